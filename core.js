@@ -0,0 +1,628 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory({
+      en: require("./locales/en.js"),
+      fr: require("./locales/fr.js"),
+      de: require("./locales/de.js"),
+      ja: require("./locales/ja.js")
+    });
+  } else {
+    root.MiniOlympics = factory(root.MiniOlympicsLocales || {});
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (locales) => {
+  "use strict";
+
+  // Simulation field size. The canvas in index.html matches it 1:1.
+  const WIDTH = 900;
+  const HEIGHT = 600;
+  const FIXED_DT = 1 / 120;
+  const GRAVITY = 1800;
+  const DEG_TO_RAD = Math.PI / 180;
+
+  // Half widths of the green and yellow bands either side of a timing meter's centre.
+  const TIMING_ZONES = { green: 0.08, yellow: 0.2 };
+
+  // Tuning handed to reset({ difficulty }). Each registered event adds its own
+  // section under its id (see registerEvent); zoneScale is shared by every meter.
+  const DIFFICULTY_PRESETS = {
+    easy: { key: "easy", label: "Easy", zoneScale: 1.35 },
+    normal: { key: "normal", label: "Normal", zoneScale: 1 },
+    hard: { key: "hard", label: "Hard", zoneScale: 0.7 }
+  };
+
+  // Assists handed to reset({ assist }). oneSwitch makes each press of the charge
+  // key the next step (press to start, press again to let go), slowTiming runs
+  // needles and charge bars at ASSIST_SLOWDOWN, and autoRelease lets go at the
+  // ideal point.
+  const NO_ASSIST = { oneSwitch: false, slowTiming: false, autoRelease: false };
+  const ASSIST_SLOWDOWN = 0.5;
+
+  // Key bound to each named action. Events ask their `controls` dependency about
+  // actions rather than key codes, so players can rebind them.
+  const DEFAULT_BINDINGS = {
+    charge: "Space",
+    aimUp: "ArrowUp",
+    aimDown: "ArrowDown",
+    brush: "KeyB",
+    pitchUp: "ArrowUp",
+    pitchDown: "ArrowDown",
+    jumpPrev: "ArrowLeft",
+    jumpNext: "ArrowRight",
+    rotationsUp: "ArrowUp",
+    rotationsDown: "ArrowDown",
+    toggleSound: "KeyM",
+    pause: "KeyP"
+  };
+
+  const KEY_LABELS = {
+    Space: "SPACE",
+    ArrowUp: "UP",
+    ArrowDown: "DOWN",
+    ArrowLeft: "LEFT",
+    ArrowRight: "RIGHT",
+    ShiftLeft: "SHIFT"
+  };
+
+  // Colours for the shared drawing helpers. The accessible set takes the Okabe-Ito
+  // colours, which stay distinct under common colour blindness, adds patterns to
+  // meter zones and uses solid, high-contrast panels and buttons.
+  const PALETTES = {
+    standard: {
+      good: "#35b66a",
+      okay: "#f2c94c",
+      bad: "#d84a4a",
+      meterFill: "#38a04a",
+      ink: "#173248",
+      button: "#2a6694",
+      buttonHover: "#204f76",
+      buttonEdge: "#0f2f4c",
+      focus: "#ffd23f",
+      panel: "rgba(10, 31, 48, 0.75)",
+      patterned: false
+    },
+    accessible: {
+      good: "#0072b2",
+      okay: "#f0e442",
+      bad: "#d55e00",
+      meterFill: "#0072b2",
+      ink: "#000000",
+      button: "#000000",
+      buttonHover: "#3a3a3a",
+      buttonEdge: "#ffffff",
+      focus: "#f0e442",
+      panel: "#000000",
+      patterned: true
+    }
+  };
+
+  let activePalette = PALETTES.standard;
+
+  // String catalogs by locale code, each a flat map of message ids to text. English
+  // is the fallback for anything a catalog lacks. "{name}" is filled from the
+  // params, and a message given as { one, other, ... } picks its form by
+  // params.count under the locale's plural rules.
+  const LOCALES = locales;
+  const FALLBACK_LOCALE = "en";
+  let activeLocale = FALLBACK_LOCALE;
+
+  // Distances are stored in metres; imperial shows feet, and wind in mph.
+  const UNIT_SYSTEMS = ["metric", "imperial"];
+  const FEET_PER_METRE = 3.28084;
+  const MPH_PER_MPS = 2.23694;
+  let activeUnits = "metric";
+
+  const numberFormats = new Map();
+
+  function numberFormat(minDigits, maxDigits, signed) {
+    const key = `${activeLocale}|${minDigits}|${maxDigits}|${signed}`;
+    if (!numberFormats.has(key)) {
+      numberFormats.set(
+        key,
+        new Intl.NumberFormat(activeLocale, {
+          minimumFractionDigits: minDigits,
+          maximumFractionDigits: maxDigits,
+          signDisplay: signed ? "always" : "auto"
+        })
+      );
+    }
+    return numberFormats.get(key);
+  }
+
+  const Utils = {
+    clamp(value, min, max) {
+      return Math.max(min, Math.min(max, value));
+    },
+
+    lerp(a, b, t) {
+      return a + (b - a) * t;
+    },
+
+    length(x, y) {
+      return Math.hypot(x, y);
+    },
+
+    normalize(x, y) {
+      const len = Math.hypot(x, y) || 1;
+      return { x: x / len, y: y / len };
+    },
+
+    pointInRect(px, py, rect) {
+      return (
+        px >= rect.x &&
+        px <= rect.x + rect.w &&
+        py >= rect.y &&
+        py <= rect.y + rect.h
+      );
+    },
+
+    setPalette(name) {
+      activePalette = PALETTES[name] || PALETTES.standard;
+    },
+
+    getPalette() {
+      return activePalette;
+    },
+
+    // Unknown codes fall back to English.
+    setLocale(code) {
+      activeLocale = Object.prototype.hasOwnProperty.call(LOCALES, code) ? code : FALLBACK_LOCALE;
+    },
+
+    getLocale() {
+      return activeLocale;
+    },
+
+    setUnits(system) {
+      activeUnits = UNIT_SYSTEMS.includes(system) ? system : "metric";
+    },
+
+    getUnits() {
+      return activeUnits;
+    },
+
+    // Message `id` in the active locale with its params filled in. A missing id
+    // shows as itself so the gap is easy to spot.
+    t(id, params = {}) {
+      const catalog = LOCALES[activeLocale] || {};
+      let message = Object.prototype.hasOwnProperty.call(catalog, id)
+        ? catalog[id]
+        : (LOCALES[FALLBACK_LOCALE] || {})[id];
+      if (message === undefined) {
+        return id;
+      }
+
+      if (typeof message === "object") {
+        const form = new Intl.PluralRules(activeLocale).select(params.count);
+        message = message[form] !== undefined ? message[form] : message.other;
+      }
+
+      return message.replace(/\{(\w+)\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+      );
+    },
+
+    // Fixed decimals with the locale's separators; `signed` shows "+" on zero and up.
+    formatNumber(value, digits = 0, signed = false) {
+      return numberFormat(digits, digits, signed).format(value);
+    },
+
+    formatDistance(metres, digits = 1) {
+      if (activeUnits === "imperial") {
+        return Utils.t("units.feet", { value: Utils.formatNumber(metres * FEET_PER_METRE, digits) });
+      }
+      return Utils.t("units.metres", { value: Utils.formatNumber(metres, digits) });
+    },
+
+    formatSpeed(metresPerSecond, digits = 1) {
+      if (activeUnits === "imperial") {
+        return Utils.t("units.mph", { value: Utils.formatNumber(metresPerSecond * MPH_PER_MPS, digits) });
+      }
+      return Utils.t("units.metresPerSecond", { value: Utils.formatNumber(metresPerSecond, digits) });
+    },
+
+    // Short on-screen name for a KeyboardEvent.code: "KeyB" -> "B", "ArrowUp" -> "UP".
+    keyLabel(code) {
+      if (KEY_LABELS[code]) {
+        return KEY_LABELS[code];
+      }
+      return String(code || "?").replace(/^(Key|Digit)/, "").toUpperCase();
+    },
+
+    // Up to two decimals, since ISU element scores and FIS points carry fractions.
+    formatPoints(value) {
+      return Utils.t("units.points", { value: numberFormat(0, 2, false).format(Math.round(value * 100) / 100) });
+    },
+
+    // Race times to the hundredth: "38.42 s", then "1:48.32" past a minute.
+    formatTime(seconds, digits = 2) {
+      const rounded = Math.round(seconds * 10 ** digits) / 10 ** digits;
+      if (rounded < 60) {
+        return Utils.t("units.seconds", { value: Utils.formatNumber(rounded, digits) });
+      }
+      const minutes = Math.floor(rounded / 60);
+      const rest = rounded - minutes * 60;
+      const padded = `${rest < 10 ? Utils.formatNumber(0) : ""}${Utils.formatNumber(rest, digits)}`;
+      return Utils.t("units.minutes", { minutes, seconds: padded });
+    },
+
+    drawButton(context, button, focused = false) {
+      const palette = activePalette;
+      context.save();
+      context.fillStyle = button.hover ? palette.buttonHover : palette.button;
+      context.strokeStyle = palette.buttonEdge;
+      context.lineWidth = 2;
+      context.fillRect(button.x, button.y, button.w, button.h);
+      context.strokeRect(button.x, button.y, button.w, button.h);
+
+      if (focused) {
+        context.strokeStyle = palette.focus;
+        context.lineWidth = 4;
+        context.strokeRect(button.x - 5, button.y - 5, button.w + 10, button.h + 10);
+      }
+
+      context.fillStyle = "#ffffff";
+      context.font = "bold 24px Trebuchet MS";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      // Longer translations squeeze to fit rather than spill past the edge.
+      context.fillText(button.label, button.x + button.w / 2, button.y + button.h / 2, button.w - 12);
+      context.restore();
+    },
+
+    drawChargeMeter(context, x, y, w, h, ratio, label) {
+      const clamped = Utils.clamp(ratio, 0, 1);
+
+      context.save();
+      context.fillStyle = "#ffffff";
+      context.globalAlpha = 0.9;
+      context.fillRect(x, y, w, h);
+
+      context.fillStyle = activePalette.meterFill;
+      context.fillRect(x, y, w * clamped, h);
+
+      context.strokeStyle = activePalette.ink;
+      context.lineWidth = 2;
+      context.strokeRect(x, y, w, h);
+
+      context.fillStyle = activePalette.ink;
+      context.font = "bold 15px Trebuchet MS";
+      context.textAlign = "left";
+      context.textBaseline = "bottom";
+      context.fillText(label, x, y - 6);
+      context.restore();
+    },
+
+    drawTimingMeter(context, x, y, w, h, needle, bands = TIMING_ZONES) {
+      context.save();
+
+      // Bad / okay / good zones for deterministic timing judgment. Patterned
+      // palettes stripe the okay zones and cross-hatch the bad ones.
+      const palette = activePalette;
+      const green = Utils.clamp(bands.green, 0, 0.5);
+      const yellow = Utils.clamp(bands.yellow, green, 0.5);
+      const zones = [
+        { start: 0.0, end: 0.5 - yellow, color: palette.bad, hatches: [1, -1] },
+        { start: 0.5 - yellow, end: 0.5 - green, color: palette.okay, hatches: [1] },
+        { start: 0.5 - green, end: 0.5 + green, color: palette.good, hatches: [] },
+        { start: 0.5 + green, end: 0.5 + yellow, color: palette.okay, hatches: [1] },
+        { start: 0.5 + yellow, end: 1.0, color: palette.bad, hatches: [1, -1] }
+      ];
+
+      for (const zone of zones) {
+        const zx = x + zone.start * w;
+        const zw = (zone.end - zone.start) * w;
+        context.fillStyle = zone.color;
+        context.fillRect(zx, y, zw, h);
+
+        if (palette.patterned && zone.hatches.length > 0 && zw > 0) {
+          context.save();
+          context.beginPath();
+          context.rect(zx, y, zw, h);
+          context.clip();
+          context.strokeStyle = "rgba(0, 0, 0, 0.6)";
+          context.lineWidth = 2;
+          context.beginPath();
+          for (const slope of zone.hatches) {
+            for (let offset = -h; offset < zw + h; offset += 8) {
+              const startX = zx + offset;
+              context.moveTo(startX, slope > 0 ? y + h : y);
+              context.lineTo(startX + h, slope > 0 ? y : y + h);
+            }
+          }
+          context.stroke();
+          context.restore();
+        }
+      }
+
+      context.strokeStyle = palette.ink;
+      context.lineWidth = 2;
+      context.strokeRect(x, y, w, h);
+
+      const nx = x + Utils.clamp(needle, 0, 1) * w;
+      context.strokeStyle = "#0e1c28";
+      context.lineWidth = 3;
+      context.beginPath();
+      context.moveTo(nx, y - 6);
+      context.lineTo(nx, y + h + 6);
+      context.stroke();
+
+      context.restore();
+    },
+
+    createButton(x, y, w, h, label, onClick) {
+      return { x, y, w, h, label, onClick, hover: false };
+    },
+
+    // Seeded PRNG (mulberry32) returning floats in [0, 1). Events draw all their
+    // randomness from one of these so a seed plus an input log replays exactly.
+    createRng(seed) {
+      let state = seed >>> 0;
+      return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+  };
+
+  const silentSound = {
+    beep() {}
+  };
+
+  // Key and axis state for headless runs; apply() mirrors what the browser Input does
+  // on key and axis events. Any injected input needs isDown(code) and getAxis(name).
+  function createScriptedInput(initialKeys = [], initialAxes = {}) {
+    const keys = new Set(initialKeys);
+    const axes = { ...initialAxes };
+
+    return {
+      keys,
+      axes,
+      mouseX: 0,
+      mouseY: 0,
+
+      isDown(code) {
+        return keys.has(code);
+      },
+
+      getAxis(name) {
+        return axes[name] || 0;
+      },
+
+      apply(eventType, payload) {
+        if (eventType === "keydown") {
+          keys.add(payload.code);
+        } else if (eventType === "keyup") {
+          keys.delete(payload.code);
+        } else if (eventType === "axis") {
+          axes[payload.name] = payload.value;
+        } else if (eventType.startsWith("pointer")) {
+          this.mouseX = payload.x;
+          this.mouseY = payload.y;
+        }
+      }
+    };
+  }
+
+  // Action lookups over a bindings map; the browser app supplies its own with the
+  // player's saved keys.
+  function createControls(bindings = DEFAULT_BINDINGS) {
+    return {
+      code(action) {
+        return bindings[action];
+      },
+
+      is(action, code) {
+        return bindings[action] === code;
+      },
+
+      label(action) {
+        return Utils.keyLabel(bindings[action]);
+      }
+    };
+  }
+
+  // Events take their side effects from here so they run the same in the browser and in Node.
+  function resolveDeps(deps = {}) {
+    return {
+      sound: deps.sound || silentSound,
+      input: deps.input || createScriptedInput(),
+      controls: deps.controls || createControls()
+    };
+  }
+
+  function createFixedClock(fixedDt = FIXED_DT) {
+    return {
+      fixedDt,
+      tick: 0,
+      time: 0,
+      accumulator: 0,
+
+      // Runs as many whole fixed steps as the elapsed real time covers.
+      advance(elapsed, step) {
+        this.accumulator += elapsed;
+        while (this.accumulator >= this.fixedDt) {
+          this.accumulator -= this.fixedDt;
+          this.step(1, step);
+        }
+      },
+
+      step(count, step) {
+        for (let i = 0; i < count; i += 1) {
+          step(this.fixedDt, this.tick);
+          this.tick += 1;
+          this.time += this.fixedDt;
+        }
+      }
+    };
+  }
+
+  // Events the app offers, in menu order. Each module in events/ registers itself
+  // when it loads; anything registered later still reaches the menu through the
+  // listeners. An event is an object with:
+  //   reset({ seed, difficulty, assist })  start over; same seed and inputs, same score
+  //   update(dt)                           one fixed step of FIXED_DT seconds
+  //   draw(context)                        paint the scene under the app's HUD
+  //   handleInput(type, payload)           keydown/keyup { code, repeat }, axis { name, value } and,
+  //                                        for pointer events, pointermove/pointerdown/pointerup { x, y }
+  //   getHUD()                             { eventName, instructions, status, attemptsRemaining,
+  //                                          score, resultDetail?, judges? }
+  //   finished                             true once getHUD().score is final
+  // and is described to registerEvent() by:
+  //   id          key for records, replays and Games totals
+  //   name        message id of the event's name
+  //   create      (deps, options) => event, with deps as for resolveDeps
+  //   icon        optional (context, x, y, size) => void, drawn on the menu
+  //   controls    actions the event reads, for key conflicts and control hints
+  //   bindings    default keys for actions not already in DEFAULT_BINDINGS
+  //   gamepad     { buttonIndex: action } for a standard-mapping pad
+  //   touch       [{ action, label }] on-screen buttons beside the HOLD button
+  //   pointer     true when the event aims with the pointer; touches on the canvas
+  //               then reach it instead of working the aim stick
+  //   difficulty  { easy, normal, hard } sections merged into DIFFICULTY_PRESETS, plus an
+  //               optional custom { field: { step, min, max } } for Custom rows that the
+  //               presets alone can't size
+  //   scoring     "points" (higher wins) or "time" (seconds, lower wins; 0 means no finish)
+  //   par         score worth 1000 Games points; for timed events, the time worth 1000
+  const EVENT_MEMBERS = ["reset", "update", "draw", "handleInput", "getHUD"];
+  const registeredEvents = [];
+  const registryListeners = [];
+
+  function registerEvent(descriptor) {
+    if (!descriptor || typeof descriptor.id !== "string" || !descriptor.id) {
+      throw new Error("An event needs a string id.");
+    }
+    if (registeredEvents.some((entry) => entry.id === descriptor.id)) {
+      throw new Error(`Event "${descriptor.id}" is already registered.`);
+    }
+    if (typeof descriptor.create !== "function") {
+      throw new Error(`Event "${descriptor.id}" needs a create function.`);
+    }
+
+    const entry = Object.freeze({
+      name: descriptor.id,
+      icon: null,
+      controls: ["charge"],
+      bindings: {},
+      gamepad: { 0: "charge" },
+      touch: [],
+      pointer: false,
+      difficulty: {},
+      scoring: "points",
+      par: 1,
+      ...descriptor
+    });
+
+    const addedActions = Object.keys(entry.bindings).filter((action) => !(action in DEFAULT_BINDINGS));
+    for (const action of addedActions) {
+      DEFAULT_BINDINGS[action] = entry.bindings[action];
+    }
+    for (const [key, section] of Object.entries(entry.difficulty)) {
+      if (DIFFICULTY_PRESETS[key]) {
+        DIFFICULTY_PRESETS[key][entry.id] = { ...section };
+      }
+    }
+
+    // A headless instance proves the contract before the app ever lists the event.
+    registeredEvents.push(entry);
+    try {
+      createEvent(entry.id);
+    } catch (error) {
+      registeredEvents.pop();
+      for (const action of addedActions) {
+        delete DEFAULT_BINDINGS[action];
+      }
+      for (const key of Object.keys(entry.difficulty)) {
+        if (DIFFICULTY_PRESETS[key]) {
+          delete DIFFICULTY_PRESETS[key][entry.id];
+        }
+      }
+      throw error;
+    }
+
+    for (const listener of registryListeners) {
+      listener(entry);
+    }
+    return entry;
+  }
+
+  function getRegisteredEvents() {
+    return registeredEvents.slice();
+  }
+
+  function onEventRegistered(listener) {
+    registryListeners.push(listener);
+  }
+
+  // Builds a registered event and checks it keeps the contract above.
+  function createEvent(id, deps = {}, options = {}) {
+    const entry = registeredEvents.find((candidate) => candidate.id === id);
+    if (!entry) {
+      throw new Error(`Unknown event "${id}".`);
+    }
+
+    const event = entry.create(deps, options);
+    const missing = EVENT_MEMBERS.filter((member) => typeof event[member] !== "function");
+    if (!("finished" in event)) {
+      missing.push("finished");
+    }
+    if (missing.length > 0) {
+      throw new Error(`Event "${id}" is missing ${missing.join(", ")}.`);
+    }
+    return event;
+  }
+
+  // Drives an event headlessly from a tick-tagged input script (the same shape as a
+  // replay's inputs) until it finishes or maxTicks elapse.
+  function simulate(event, script, { input = null, clock = createFixedClock(), maxTicks = 120 * 600 } = {}) {
+    const queue = script.slice().sort((a, b) => a.tick - b.tick);
+    let cursor = 0;
+
+    while (!event.finished && clock.tick < maxTicks) {
+      while (cursor < queue.length && queue[cursor].tick <= clock.tick) {
+        const entry = queue[cursor];
+        cursor += 1;
+
+        if (input && input.apply) {
+          input.apply(entry.type, entry.payload);
+        }
+        event.handleInput(entry.type, entry.payload);
+      }
+
+      clock.step(1, (dt) => event.update(dt));
+    }
+
+    return {
+      ...event.getHUD(),
+      finished: event.finished,
+      ticks: clock.tick
+    };
+  }
+
+  return {
+    WIDTH,
+    HEIGHT,
+    FIXED_DT,
+    GRAVITY,
+    DEG_TO_RAD,
+    LOCALES,
+    UNIT_SYSTEMS,
+    TIMING_ZONES,
+    DIFFICULTY_PRESETS,
+    DEFAULT_BINDINGS,
+    NO_ASSIST,
+    ASSIST_SLOWDOWN,
+    Utils,
+    createScriptedInput,
+    createControls,
+    resolveDeps,
+    createFixedClock,
+    simulate,
+    registerEvent,
+    getRegisteredEvents,
+    onEventRegistered,
+    createEvent
+  };
+});
@@ -0,0 +1,683 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../core.js"));
+  } else {
+    Object.assign(root.MiniOlympics, factory(root.MiniOlympics));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+  "use strict";
+
+  const { HEIGHT, WIDTH, DIFFICULTY_PRESETS, NO_ASSIST, ASSIST_SLOWDOWN, Utils, resolveDeps, registerEvent } = core;
+
+  // A ski leg into the range, five shots, a penalty loop per miss, then the run to
+  // the finish. Distances in metres.
+  const SKI_LEG = 250;
+  const FINAL_LEG = 150;
+  const PENALTY_LOOP = 60;
+  const ROUNDS = 5;
+
+  // Holding charge skis hard. The heart rate chases a target set by effort and
+  // slope; above THRESHOLD_HR stamina drains, and with little stamina left the
+  // skier can only crawl.
+  const HARD_SPEED = 7.5;
+  const EASY_SPEED = 5.5;
+  const SPEED_RESPONSE = 1.2;
+  const START_HR = 90;
+  const THRESHOLD_HR = 170;
+  const HR_RESPONSE = 4;
+  const STAMINA_DRAIN = 0.004;
+  const STAMINA_RECOVERY = 0.05;
+  const EXHAUSTED = 0.25;
+
+  // On the range the heart settles towards RANGE_HR. The crosshair sways by a few
+  // pixels plus a share of every beat over 60; holding the breath steadies it
+  // until the breath runs out, after which it shakes worse than before until the
+  // breath is back past BREATH_RECOVERED. Each fresh hold costs a gulp.
+  const RANGE_HR = 85;
+  const RANGE_HR_RESPONSE = 6;
+  const SWAY_BASE = 4;
+  const SWAY_PER_BEAT = 0.45;
+  const BREATH_STEADY = 0.45;
+  const BREATH_GASP = 1.6;
+  const BREATH_DRAIN = 1 / 3;
+  const BREATH_REFILL = 0.5;
+  const BREATH_RECOVERED = 0.5;
+  const BREATH_GULP = 0.1;
+  const AIM_SPEED = 160;
+  const RELOAD_TIME = 0.5;
+  const LEAVE_RANGE = 1;
+
+  const TARGET_RADIUS = 22;
+  const TARGET_GAP = 80;
+  const MAX_RACE_TIME = 300;
+
+  // Rolling terrain: grade is a sum of two sine waves, and the height is its
+  // integral, so the side view and the physics agree.
+  const HILLS = [
+    { amplitude: 0.05, wavelength: 40 },
+    { amplitude: 0.025, wavelength: 17 }
+  ];
+
+  function roundTime(seconds) {
+    return Math.round(seconds * 100) / 100;
+  }
+
+  function createBiathlonEvent(deps = {}) {
+    const { sound, input, controls } = resolveDeps(deps);
+
+    const plate = { x: WIDTH / 2, y: 320, w: 520, h: 150 };
+    const slope = { x: 24, y: 250, w: 852, h: 260, skierX: 260, scale: 6 };
+
+    function targetPosition(i) {
+      return { x: plate.x + (i - (ROUNDS - 1) / 2) * TARGET_GAP, y: plate.y };
+    }
+
+    const event = {
+      get name() {
+        return Utils.t("biathlon.name");
+      },
+      score: 0,
+      phase: "ready",
+      finished: false,
+      rng: Math.random,
+      phases: [0, 0, 0, 0],
+      sway: 1,
+      drain: 1,
+      swayRate: 1,
+      clock: 0,
+      // Metres covered over the whole course, and on the current leg.
+      distance: 0,
+      legDistance: 0,
+      speed: 0,
+      heartRate: START_HR,
+      stamina: 1,
+      // Hard effort; one-switch players toggle it with each press.
+      effortToggled: false,
+      breath: 1,
+      holdingBreath: false,
+      breathSpent: false,
+      aim: { x: 0, y: 0 },
+      swayTime: 0,
+      reload: 0,
+      leaveTimer: 0,
+      shots: [],
+      targets: [],
+      misses: 0,
+      penaltyLoops: 0,
+      rangeTime: 0,
+      rangeStart: 0,
+      message: "",
+      result: "",
+      assist: NO_ASSIST,
+
+      reset({ seed = 1, difficulty = DIFFICULTY_PRESETS.normal, assist = NO_ASSIST } = {}) {
+        this.assist = assist;
+        this.rng = Utils.createRng(seed);
+        this.sway = difficulty.biathlon.sway;
+        this.drain = difficulty.biathlon.drain;
+        // Slow timing slows the sway rather than shrinking it.
+        this.swayRate = assist.slowTiming ? ASSIST_SLOWDOWN : 1;
+        this.phases = [0, 1, 2, 3].map(() => this.rng() * Math.PI * 2);
+
+        this.score = 0;
+        this.finished = false;
+        this.phase = "ready";
+        this.clock = 0;
+        this.distance = 0;
+        this.legDistance = 0;
+        this.speed = 0;
+        this.heartRate = START_HR;
+        this.stamina = 1;
+        this.effortToggled = false;
+        this.breath = 1;
+        this.holdingBreath = false;
+        this.breathSpent = false;
+        this.aim = { x: plate.x - plate.w / 2 + 30, y: plate.y };
+        this.swayTime = 0;
+        this.reload = 0;
+        this.leaveTimer = 0;
+        this.shots = [];
+        this.targets = Array.from({ length: ROUNDS }, () => false);
+        this.misses = 0;
+        this.penaltyLoops = 0;
+        this.rangeTime = 0;
+        this.rangeStart = 0;
+        this.result = "";
+        this.message = Utils.t("biathlon.start");
+      },
+
+      grade(distance) {
+        return HILLS.reduce(
+          (sum, hill, i) => sum + hill.amplitude * Math.sin(distance / hill.wavelength + this.phases[i]),
+          0
+        );
+      },
+
+      height(distance) {
+        return HILLS.reduce(
+          (sum, hill, i) =>
+            sum - hill.amplitude * hill.wavelength * Math.cos(distance / hill.wavelength + this.phases[i]),
+          0
+        );
+      },
+
+      legLength() {
+        if (this.phase === "penalty") {
+          return this.penaltyLoops * PENALTY_LOOP;
+        }
+        return this.phase === "final" ? FINAL_LEG : SKI_LEG;
+      },
+
+      skiing() {
+        return this.phase === "ski" || this.phase === "penalty" || this.phase === "final";
+      },
+
+      // Hard effort from the held key, the one-switch toggle, or, with auto-release,
+      // the held key easing off on its own at the threshold.
+      hardEffort() {
+        if (this.assist.oneSwitch) {
+          return this.effortToggled;
+        }
+        const held = input.isDown(controls.code("charge"));
+        if (this.assist.autoRelease) {
+          return held && this.heartRate < THRESHOLD_HR - 5;
+        }
+        return held;
+      },
+
+      updateSki(dt) {
+        const grade = this.grade(this.distance);
+        const hard = this.hardEffort();
+
+        const wasExhausted = this.stamina < EXHAUSTED;
+        const targetHR = 120 + (hard ? 70 : 0) + grade * 300;
+        this.heartRate += ((targetHR - this.heartRate) * dt) / HR_RESPONSE;
+        if (this.heartRate > THRESHOLD_HR) {
+          this.stamina -= STAMINA_DRAIN * this.drain * (this.heartRate - THRESHOLD_HR) * dt;
+        } else {
+          this.stamina += STAMINA_RECOVERY * dt;
+        }
+        this.stamina = Utils.clamp(this.stamina, 0, 1);
+        if (!wasExhausted && this.stamina < EXHAUSTED) {
+          this.message = Utils.t("biathlon.exhausted");
+          sound.beep({ freq: 180, duration: 0.15, type: "square", volume: 0.03 });
+        }
+
+        const legs = this.stamina < EXHAUSTED ? 0.6 + 1.6 * this.stamina : 1;
+        const targetSpeed = (hard ? HARD_SPEED : EASY_SPEED) * legs * Utils.clamp(1 - grade * 4, 0.6, 1.4);
+        this.speed += ((targetSpeed - this.speed) * dt) / SPEED_RESPONSE;
+        this.distance += this.speed * dt;
+        this.legDistance += this.speed * dt;
+
+        if (this.legDistance >= this.legLength()) {
+          this.endLeg();
+        }
+      },
+
+      endLeg() {
+        this.legDistance = 0;
+        if (this.phase === "ski") {
+          this.phase = "range";
+          this.speed = 0;
+          this.rangeStart = this.clock;
+          this.message = Utils.t("biathlon.arrive", { bpm: Math.round(this.heartRate) });
+          sound.beep({ freq: 600, duration: 0.08, type: "triangle", volume: 0.03 });
+        } else if (this.phase === "penalty") {
+          this.phase = "final";
+          this.message = Utils.t("biathlon.finalLeg");
+        } else {
+          this.score = roundTime(this.clock);
+          this.phase = "done";
+          this.finished = true;
+          this.result = Utils.t("biathlon.result", {
+            hits: ROUNDS - this.misses,
+            rounds: ROUNDS,
+            range: Utils.formatTime(this.rangeTime),
+            loops: Utils.t("biathlon.penalty", { count: this.penaltyLoops })
+          });
+          this.message = Utils.t("biathlon.finish", { time: Utils.formatTime(this.score) });
+          sound.beep({ freq: 880, duration: 0.15, type: "triangle", volume: 0.04 });
+        }
+      },
+
+      // Breath held with the key, or for assisted shooters whenever there is breath
+      // to hold; once spent it has to refill before the next hold.
+      updateBreath(dt) {
+        const assisted = this.assist.oneSwitch || this.assist.autoRelease;
+        const holding = (assisted || input.isDown(controls.code("holdBreath"))) && !this.breathSpent;
+        if (holding && !this.holdingBreath && !assisted) {
+          this.breath = Math.max(0, this.breath - BREATH_GULP);
+        }
+        this.holdingBreath = holding;
+
+        if (holding) {
+          this.breath = Math.max(0, this.breath - BREATH_DRAIN * dt);
+          if (this.breath === 0) {
+            this.breathSpent = true;
+          }
+        } else {
+          this.breath = Math.min(1, this.breath + BREATH_REFILL * dt);
+          if (this.breath >= BREATH_RECOVERED) {
+            this.breathSpent = false;
+          }
+        }
+      },
+
+      swayScale() {
+        if (this.holdingBreath) {
+          return BREATH_STEADY;
+        }
+        const gasping = this.breathSpent && !(this.assist.oneSwitch || this.assist.autoRelease);
+        return gasping ? BREATH_GASP : 1;
+      },
+
+      // Offset of the muzzle from the aim point, in pixels: two slow wobbles and a
+      // faster tremor on each axis.
+      swayOffset() {
+        const amplitude = (SWAY_BASE + Math.max(0, this.heartRate - 60) * SWAY_PER_BEAT) * this.sway * this.swayScale();
+        const t = this.swayTime;
+        return {
+          x: amplitude * (0.7 * Math.sin(1.3 * t + this.phases[0]) + 0.3 * Math.sin(3.7 * t + this.phases[2])),
+          y: amplitude * (0.7 * Math.sin(1.1 * t + this.phases[1]) + 0.3 * Math.sin(4.3 * t + this.phases[3]))
+        };
+      },
+
+      nextTarget() {
+        return this.targets.findIndex((down) => !down);
+      },
+
+      updateRange(dt) {
+        this.rangeTime = this.clock - this.rangeStart;
+        this.heartRate += ((RANGE_HR - this.heartRate) * dt) / RANGE_HR_RESPONSE;
+        this.swayTime += dt * this.swayRate;
+        this.reload = Math.max(0, this.reload - dt);
+        this.updateBreath(dt);
+
+        if (this.assist.oneSwitch) {
+          const target = targetPosition(Math.max(0, this.nextTarget()));
+          const step = AIM_SPEED * 2 * dt;
+          this.aim.x += Utils.clamp(target.x - this.aim.x, -step, step);
+          this.aim.y += Utils.clamp(target.y - this.aim.y, -step, step);
+        } else {
+          const horizontal =
+            (input.isDown(controls.code("steerRight")) ? 1 : 0) - (input.isDown(controls.code("steerLeft")) ? 1 : 0);
+          const vertical =
+            (input.isDown(controls.code("aimDown")) ? 1 : 0) - (input.isDown(controls.code("aimUp")) ? 1 : 0);
+          this.moveAim(this.aim.x + horizontal * AIM_SPEED * dt, this.aim.y + vertical * AIM_SPEED * dt);
+        }
+
+        if (this.shots.length >= ROUNDS) {
+          this.leaveTimer -= dt;
+          if (this.leaveTimer <= 0) {
+            this.leaveRange();
+          }
+        }
+      },
+
+      moveAim(x, y) {
+        this.aim.x = Utils.clamp(x, plate.x - plate.w / 2, plate.x + plate.w / 2);
+        this.aim.y = Utils.clamp(y, plate.y - plate.h / 2, plate.y + plate.h / 2);
+      },
+
+      fire() {
+        if (this.phase !== "range" || this.reload > 0 || this.shots.length >= ROUNDS) {
+          return;
+        }
+
+        const offset = this.swayOffset();
+        const shot = { x: this.aim.x + offset.x, y: this.aim.y + offset.y, hit: false };
+        // A round counts on any disc still standing; a second hit on a fallen one is a miss.
+        const index = this.targets.findIndex((down, i) => {
+          const target = targetPosition(i);
+          return !down && Math.hypot(shot.x - target.x, shot.y - target.y) <= TARGET_RADIUS;
+        });
+        if (index >= 0) {
+          this.targets[index] = true;
+          shot.hit = true;
+        } else {
+          this.misses += 1;
+        }
+        this.shots.push(shot);
+        this.reload = RELOAD_TIME;
+        this.message = Utils.t(shot.hit ? "biathlon.hit" : "biathlon.miss", {
+          shot: this.shots.length,
+          rounds: ROUNDS
+        });
+        sound.beep(
+          shot.hit
+            ? { freq: 760, duration: 0.06, volume: 0.03 }
+            : { freq: 160, duration: 0.1, type: "square", volume: 0.03 }
+        );
+
+        if (this.shots.length >= ROUNDS) {
+          this.leaveTimer = LEAVE_RANGE;
+        }
+      },
+
+      leaveRange() {
+        this.rangeTime = this.clock - this.rangeStart;
+        this.holdingBreath = false;
+        this.penaltyLoops = this.misses;
+        this.phase = this.misses > 0 ? "penalty" : "final";
+        this.message = Utils.t(this.misses > 0 ? "biathlon.penalty" : "biathlon.clean", { count: this.misses });
+      },
+
+      update(dt) {
+        if (this.phase === "ready" || this.phase === "done") {
+          return;
+        }
+
+        this.clock += dt;
+        if (this.skiing()) {
+          this.updateSki(dt);
+        } else if (this.phase === "range") {
+          this.updateRange(dt);
+        }
+
+        if (!this.finished && this.clock >= MAX_RACE_TIME) {
+          this.phase = "done";
+          this.finished = true;
+          this.score = 0;
+          this.result = Utils.t("biathlon.dnf");
+          this.message = this.result;
+        }
+      },
+
+      draw(context) {
+        context.save();
+
+        context.fillStyle = "#e6f1f8";
+        context.fillRect(0, 0, WIDTH, HEIGHT);
+
+        if (this.phase === "range") {
+          this.drawRange(context);
+        } else {
+          this.drawSlope(context);
+        }
+
+        // Clock and pulse on the left, the course under them.
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "bold 32px Trebuchet MS";
+        context.fillText(Utils.formatTime(this.phase === "done" && this.score > 0 ? this.score : this.clock), 24, 86);
+        context.font = "bold 17px Trebuchet MS";
+        context.fillStyle = this.heartRate > THRESHOLD_HR ? "#b23a3a" : "#173248";
+        context.fillText(Utils.t("biathlon.heartRate", { bpm: Math.round(this.heartRate) }), 24, 118);
+        context.fillStyle = "#173248";
+        context.fillText(this.legLabel(), 24, 144);
+
+        Utils.drawChargeMeter(context, 300, 76, 260, 14, this.stamina, Utils.t("biathlon.meter.stamina"));
+        if (this.phase === "range") {
+          Utils.drawChargeMeter(context, 600, 76, 260, 14, this.breath, Utils.t("biathlon.meter.breath"));
+        }
+        this.drawShots(context, 300, 132);
+
+        context.fillStyle = "#173248";
+        context.font = "bold 18px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(this.message, 300, 196, 560);
+
+        context.restore();
+      },
+
+      legLabel() {
+        if (this.phase === "range") {
+          return Utils.t("biathlon.leg.range");
+        }
+        if (this.phase === "ready" || this.phase === "done") {
+          return "";
+        }
+        return Utils.t(`biathlon.leg.${this.phase}`, {
+          distance: Utils.formatDistance(Math.max(0, this.legLength() - this.legDistance), 0)
+        });
+      },
+
+      // Side view of the trail around the skier, with the height exaggerated.
+      drawSlope(context) {
+        const metresPerPixel = 1 / slope.scale;
+        const baseY = slope.y + slope.h / 2;
+        const here = this.height(this.distance);
+        const yAt = (distance) => baseY - (this.height(distance) - here) * slope.scale * 4;
+
+        context.save();
+        context.beginPath();
+        context.rect(slope.x, slope.y, slope.w, slope.h);
+        context.clip();
+        context.fillStyle = "#cfe0ec";
+        context.fillRect(slope.x, slope.y, slope.w, slope.h);
+
+        context.fillStyle = "#f7fbff";
+        context.beginPath();
+        context.moveTo(slope.x, slope.y + slope.h);
+        for (let px = 0; px <= slope.w; px += 6) {
+          const distance = this.distance + (px - slope.skierX) * metresPerPixel;
+          context.lineTo(slope.x + px, yAt(distance));
+        }
+        context.lineTo(slope.x + slope.w, slope.y + slope.h);
+        context.closePath();
+        context.fill();
+        context.strokeStyle = "#7fa6c2";
+        context.lineWidth = 3;
+        context.stroke();
+
+        // Marker where the current leg ends.
+        const ahead = this.legLength() - this.legDistance;
+        if (this.skiing() && ahead * slope.scale < slope.w - slope.skierX) {
+          const x = slope.x + slope.skierX + ahead * slope.scale;
+          context.strokeStyle = "#b23a3a";
+          context.lineWidth = 4;
+          context.beginPath();
+          context.moveTo(x, yAt(this.distance + ahead));
+          context.lineTo(x, yAt(this.distance + ahead) - 60);
+          context.stroke();
+        }
+
+        // Skier: body leaning into the effort, poles planted behind.
+        const x = slope.x + slope.skierX;
+        const y = baseY;
+        const lean = this.hardEffort() && this.skiing() ? 10 : 4;
+        context.strokeStyle = "#173248";
+        context.fillStyle = "#173248";
+        context.lineWidth = 4;
+        context.lineCap = "round";
+        context.beginPath();
+        context.arc(x + lean, y - 44, 6, 0, Math.PI * 2);
+        context.fill();
+        context.beginPath();
+        context.moveTo(x + lean, y - 38);
+        context.lineTo(x, y - 16);
+        context.lineTo(x + 4, y - 2);
+        context.moveTo(x + lean - 2, y - 32);
+        context.lineTo(x - 18, y - 2);
+        context.moveTo(x - 20, y);
+        context.lineTo(x + 24, y);
+        context.stroke();
+        context.restore();
+      },
+
+      // Target plate with the discs still standing, the shots so far and the
+      // swaying crosshair.
+      drawRange(context) {
+        context.save();
+        context.fillStyle = "#f7fbff";
+        context.fillRect(plate.x - plate.w / 2 - 20, plate.y - plate.h / 2 - 20, plate.w + 40, plate.h + 40);
+        context.strokeStyle = "#5d7387";
+        context.lineWidth = 3;
+        context.strokeRect(plate.x - plate.w / 2 - 20, plate.y - plate.h / 2 - 20, plate.w + 40, plate.h + 40);
+
+        this.targets.forEach((down, i) => {
+          const target = targetPosition(i);
+          context.fillStyle = down ? "#f7fbff" : "#173248";
+          context.strokeStyle = "#173248";
+          context.lineWidth = 3;
+          context.beginPath();
+          context.arc(target.x, target.y, TARGET_RADIUS, 0, Math.PI * 2);
+          context.fill();
+          context.stroke();
+        });
+
+        context.fillStyle = "#e08a2e";
+        for (const shot of this.shots) {
+          context.beginPath();
+          context.arc(shot.x, shot.y, 3, 0, Math.PI * 2);
+          context.fill();
+        }
+
+        const offset = this.swayOffset();
+        const x = this.aim.x + offset.x;
+        const y = this.aim.y + offset.y;
+        context.strokeStyle = this.holdingBreath ? Utils.getPalette().good : "#b23a3a";
+        context.lineWidth = 2;
+        context.beginPath();
+        context.arc(x, y, 14, 0, Math.PI * 2);
+        context.moveTo(x - 22, y);
+        context.lineTo(x + 22, y);
+        context.moveTo(x, y - 22);
+        context.lineTo(x, y + 22);
+        context.stroke();
+        context.restore();
+      },
+
+      // One box per round: filled for a hit, crossed for a miss.
+      drawShots(context, x, y) {
+        context.save();
+        context.lineWidth = 2;
+        for (let i = 0; i < ROUNDS; i += 1) {
+          const shot = this.shots[i];
+          const left = x + i * 30;
+          context.strokeStyle = "#173248";
+          context.strokeRect(left, y - 11, 22, 22);
+          if (shot && shot.hit) {
+            context.fillStyle = Utils.getPalette().good;
+            context.fillRect(left + 3, y - 8, 16, 16);
+          } else if (shot) {
+            context.strokeStyle = "#b23a3a";
+            context.beginPath();
+            context.moveTo(left + 4, y - 7);
+            context.lineTo(left + 18, y + 7);
+            context.moveTo(left + 18, y - 7);
+            context.lineTo(left + 4, y + 7);
+            context.stroke();
+          }
+        }
+        context.restore();
+      },
+
+      handleInput(eventType, payload) {
+        if (this.finished) {
+          return;
+        }
+
+        // The aim follows the pointer on the range; a press there also fires.
+        if (eventType === "pointermove" || eventType === "pointerdown") {
+          if (this.phase === "range" && !this.assist.oneSwitch) {
+            this.moveAim(payload.x, payload.y);
+          }
+          if (eventType === "pointerdown") {
+            this.fire();
+          }
+          return;
+        }
+
+        if (eventType !== "keydown" || payload.repeat || !controls.is("charge", payload.code)) {
+          return;
+        }
+
+        if (this.phase === "ready") {
+          this.phase = "ski";
+          this.effortToggled = true;
+          this.message = "";
+          sound.beep({ freq: 1040, duration: 0.12, type: "square", volume: 0.05 });
+        } else if (this.phase === "range") {
+          this.fire();
+        } else if (this.assist.oneSwitch) {
+          this.effortToggled = !this.effortToggled;
+        }
+      },
+
+      getHUD() {
+        const key = controls.label("charge");
+        const mode = this.assist.oneSwitch ? ".oneSwitch" : this.assist.autoRelease ? ".assisted" : "";
+        const instructionsByPhase = {
+          ready: Utils.t("biathlon.hud.ready", { key }),
+          ski: Utils.t(`biathlon.hud.ski${mode}`, { key }),
+          range: Utils.t(`biathlon.hud.range${mode}`, {
+            key,
+            breath: controls.label("holdBreath"),
+            keys: [
+              controls.label("aimUp"),
+              controls.label("aimDown"),
+              controls.label("steerLeft"),
+              controls.label("steerRight")
+            ].join("/")
+          }),
+          penalty: Utils.t(`biathlon.hud.ski${mode}`, { key }),
+          final: Utils.t(`biathlon.hud.ski${mode}`, { key }),
+          done: Utils.t("biathlon.hud.complete")
+        };
+
+        const hud = {
+          eventName: this.name,
+          instructions: instructionsByPhase[this.phase] || "",
+          status: this.message,
+          attemptsRemaining: this.finished ? 0 : 1,
+          // The clock runs on the canvas; the score is only the finishing time.
+          score: this.score
+        };
+
+        if (this.result) {
+          hud.resultDetail = this.result;
+        }
+
+        return hud;
+      }
+    };
+
+    event.reset();
+    return event;
+  }
+
+  registerEvent({
+    id: "biathlon",
+    name: "biathlon.name",
+    create: createBiathlonEvent,
+    controls: ["charge", "holdBreath", "aimUp", "aimDown", "steerLeft", "steerRight"],
+    bindings: { holdBreath: "ShiftLeft", steerLeft: "ArrowLeft", steerRight: "ArrowRight" },
+    gamepad: { 0: "charge", 1: "holdBreath", 12: "aimUp", 13: "aimDown", 14: "steerLeft", 15: "steerRight" },
+    touch: [{ action: "holdBreath", label: "touch.holdBreath" }],
+    pointer: true,
+    difficulty: {
+      easy: { sway: 0.75, drain: 0.8 },
+      normal: { sway: 1, drain: 1 },
+      hard: { sway: 1.25, drain: 1.2 }
+    },
+    scoring: "time",
+    // A clean range with a steady pace comes home in about 70 seconds; each miss
+    // costs nearly ten more.
+    par: 75,
+    icon(context, x, y, size) {
+      // Rifle across a target disc.
+      const s = size / 40;
+      context.save();
+      context.strokeStyle = "#173248";
+      context.fillStyle = "#173248";
+      context.lineWidth = 2 * s;
+      context.beginPath();
+      context.arc(x + 20 * s, y + 20 * s, 13 * s, 0, Math.PI * 2);
+      context.stroke();
+      context.beginPath();
+      context.arc(x + 20 * s, y + 20 * s, 6 * s, 0, Math.PI * 2);
+      context.fill();
+      context.lineWidth = 3 * s;
+      context.lineCap = "round";
+      context.beginPath();
+      context.moveTo(x + 4 * s, y + 34 * s);
+      context.lineTo(x + 36 * s, y + 8 * s);
+      context.stroke();
+      context.restore();
+    }
+  });
+
+  return { createBiathlonEvent };
+});
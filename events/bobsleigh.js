@@ -0,0 +1,632 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../core.js"));
+  } else {
+    Object.assign(root.MiniOlympics, factory(root.MiniOlympics));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+  "use strict";
+
+  const {
+    HEIGHT,
+    WIDTH,
+    GRAVITY,
+    TIMING_ZONES,
+    DIFFICULTY_PRESETS,
+    NO_ASSIST,
+    ASSIST_SLOWDOWN,
+    Utils,
+    resolveDeps,
+    registerEvent
+  } = core;
+
+  // The sled falls at GRAVITY like everything else in the games; at 180 px to the
+  // metre that is about real gravity. The physics runs in metres.
+  const PX_PER_METRE = 180;
+  const TRACK_GRAVITY = GRAVITY / PX_PER_METRE;
+
+  const HEATS = 2;
+
+  // Push start: the clock starts at START_LINE, the start time is taken at
+  // START_SPLIT, and the crew must be in by the end of the load zone.
+  const START_LINE = 15;
+  const START_SPLIT = 50;
+  const LOAD_ZONE = { start: 30, end: 50 };
+  const PUSH_POWER = 0.55;
+  const PUSH_TOP_SPEED = 11;
+  const LOAD_RESULTS = {
+    perfect: { label: "bob.load.perfect", kick: 0.4, keep: 1 },
+    okay: { label: "bob.load.okay", kick: 0, keep: 0.98 },
+    early: { label: "bob.load.early", kick: 0, keep: 0.94 },
+    late: { label: "bob.load.late", kick: 0, keep: 0.94 },
+    scramble: { label: "bob.load.scramble", kick: 0, keep: 0.9 }
+  };
+
+  // Descent. The channel is 1.4 m wide; in a curve the sled drifts towards the
+  // outer wall with the centripetal load (curvature x speed squared), and the pilot
+  // steers against it. The fast line rides partway up the outer wall; every metre
+  // off it skids, and touching a wall scrubs a share of speed.
+  const HALF_WIDTH = 0.7;
+  const IDEAL_OFFSET = 0.4;
+  const STEER_SPEED = 1.1;
+  const DRIFT_GAIN = 0.022;
+  const ICE_FRICTION = 0.006;
+  const AIR_DRAG = 0.0007;
+  const LINE_DRAG = 1.2;
+  const WALL_SCRUB = 0.06;
+  const WALL_REBOUND = 0.1;
+  const CURVE_RAMP = 10;
+
+  const HEAT_PAUSE = 2.5;
+  // A sled that stalls, or a crew that never gets it moving, is out after this
+  // long on the heat.
+  const MAX_RUN_TIME = 120;
+
+  // A seeded track of curves and straights, about a kilometre long and the same
+  // for both heats. Curvature is signed: positive bends right.
+  function buildTrack(rng) {
+    const segments = [];
+    let length = 0;
+    const add = (segmentLength, grade, curvature = 0) => {
+      segments.push({ start: length, end: length + segmentLength, grade, curvature });
+      length += segmentLength;
+    };
+
+    add(LOAD_ZONE.end + 10, 0.02);
+    add(30, 0.08);
+
+    let direction = rng() < 0.5 ? -1 : 1;
+    while (length < 900) {
+      const radius = 18 + rng() * 40;
+      const turn = Math.min(30 + rng() * 60, radius * 3.4);
+      add(turn, 0.08 + rng() * 0.06, direction / radius);
+      add(20 + rng() * 50, 0.09 + rng() * 0.05);
+      direction = rng() < 0.7 ? -direction : direction;
+    }
+    add(60, 0.05);
+
+    return { segments, length };
+  }
+
+  function createBobsleighEvent(deps = {}) {
+    const { sound, input, controls } = resolveDeps(deps);
+
+    // Left column: the whole track; right: the channel ahead from above.
+    const map = { x: 24, y: 136, w: 270, h: 200 };
+    const view = { x: 330, y: 60, w: 550, h: 498, sledY: 500, scale: 8, channel: 56, lookahead: 52 };
+
+    const event = {
+      get name() {
+        return Utils.t("bob.name");
+      },
+      score: 0,
+      phase: "ready",
+      finished: false,
+      rng: Math.random,
+      track: { segments: [], length: 1 },
+      trackPath: [],
+      zones: TIMING_ZONES,
+      pushRate: 1,
+      drift: 1,
+      heat: 0,
+      heats: [],
+      distance: 0,
+      speed: 0,
+      lateral: 0,
+      clock: 0,
+      // Time since the first push, whether or not the clock has started.
+      runTime: 0,
+      startTime: 0,
+      loaded: false,
+      dnf: false,
+      wallHits: 0,
+      wallTimer: 0,
+      pauseTimer: 0,
+      message: "",
+      assist: NO_ASSIST,
+
+      reset({ seed = 1, difficulty = DIFFICULTY_PRESETS.normal, assist = NO_ASSIST } = {}) {
+        // Slow timing cannot slow the sled, so it widens the load-in window.
+        const widen = (difficulty.bob.loadWindow * difficulty.zoneScale) / (assist.slowTiming ? ASSIST_SLOWDOWN : 1);
+        this.assist = assist;
+        this.rng = Utils.createRng(seed);
+        this.zones = { green: TIMING_ZONES.green * widen, yellow: TIMING_ZONES.yellow * widen };
+        this.pushRate = difficulty.bob.pushRate;
+        this.drift = difficulty.bob.drift;
+
+        this.track = buildTrack(this.rng);
+        this.trackPath = this.traceTrack();
+
+        this.score = 0;
+        this.finished = false;
+        this.heat = 0;
+        this.heats = [];
+        this.wallHits = 0;
+        this.dnf = false;
+        this.toStart();
+      },
+
+      // Sled back at the top for the next heat.
+      toStart() {
+        this.phase = "ready";
+        this.distance = 0;
+        this.speed = 0;
+        this.lateral = 0;
+        this.clock = 0;
+        this.runTime = 0;
+        this.startTime = 0;
+        this.loaded = false;
+        this.wallTimer = 0;
+        this.pauseTimer = 0;
+        this.message = Utils.t("bob.heat.ready", { number: this.heat + 1, total: HEATS });
+      },
+
+      // Track centreline as map points, scaled into the map box.
+      traceTrack() {
+        const points = [];
+        let heading = -Math.PI / 2;
+        let x = 0;
+        let y = 0;
+        for (let d = 0; d <= this.track.length; d += 4) {
+          points.push({ x, y });
+          heading += this.curvatureAt(d) * 4;
+          x += Math.cos(heading) * 4;
+          y += Math.sin(heading) * 4;
+        }
+
+        const xs = points.map((point) => point.x);
+        const ys = points.map((point) => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const scale = Math.min(
+          map.w / Math.max(1, Math.max(...xs) - minX),
+          map.h / Math.max(1, Math.max(...ys) - minY)
+        );
+        return points.map((point) => ({ x: map.x + (point.x - minX) * scale, y: map.y + (point.y - minY) * scale }));
+      },
+
+      segmentAt(distance) {
+        const segments = this.track.segments;
+        return segments.find((segment) => distance < segment.end) || segments[segments.length - 1];
+      },
+
+      // Curvature eases in and out over CURVE_RAMP metres at each end of a curve.
+      curvatureAt(distance) {
+        const segment = this.segmentAt(distance);
+        const ramp = Utils.clamp(Math.min(distance - segment.start, segment.end - distance) / CURVE_RAMP, 0, 1);
+        return segment.curvature * ramp;
+      },
+
+      // Lateral position of the fast line: up the outer wall in a curve.
+      idealLine(distance) {
+        const segment = this.segmentAt(distance);
+        if (!segment.curvature) {
+          return 0;
+        }
+        const ramp = Utils.clamp(Math.min(distance - segment.start, segment.end - distance) / CURVE_RAMP, 0, 1);
+        return -Math.sign(segment.curvature) * IDEAL_OFFSET * ramp;
+      },
+
+      loadNeedle() {
+        return Utils.clamp((this.distance - LOAD_ZONE.start) / (LOAD_ZONE.end - LOAD_ZONE.start), 0, 1);
+      },
+
+      push() {
+        if (this.phase === "ready") {
+          this.phase = "push";
+          this.message = "";
+        }
+        if (this.phase !== "push") {
+          return;
+        }
+        this.speed += PUSH_POWER * this.pushRate * Math.max(0, 1 - this.speed / PUSH_TOP_SPEED);
+        sound.beep({ freq: 300 + this.speed * 30, duration: 0.02, volume: 0.015 });
+      },
+
+      loadIn(scramble = false) {
+        const needle = this.loadNeedle();
+        const error = Math.abs(needle - 0.5);
+        let result = LOAD_RESULTS.perfect;
+        if (scramble) {
+          result = LOAD_RESULTS.scramble;
+        } else if (error > this.zones.yellow) {
+          result = needle < 0.5 ? LOAD_RESULTS.early : LOAD_RESULTS.late;
+        } else if (error > this.zones.green) {
+          result = LOAD_RESULTS.okay;
+        }
+
+        this.speed = this.speed * result.keep + result.kick;
+        this.loaded = true;
+        this.phase = "run";
+        this.message = Utils.t(result.label);
+        sound.beep({ freq: 520 + result.keep * 200, duration: 0.08, type: "triangle", volume: 0.03 });
+      },
+
+      // -1..1 steering: the keys, or for one-switch players the pilot holding the
+      // fast line on its own.
+      steering() {
+        if (this.assist.oneSwitch) {
+          const curvature = this.curvatureAt(this.distance);
+          const wanted =
+            (this.idealLine(this.distance) - this.lateral) * 3 +
+            curvature * this.speed * this.speed * DRIFT_GAIN * this.drift;
+          return Utils.clamp(wanted / STEER_SPEED, -1, 1);
+        }
+        const left = input.isDown(controls.code("steerLeft")) ? 1 : 0;
+        const right = input.isDown(controls.code("steerRight")) ? 1 : 0;
+        return right - left;
+      },
+
+      update(dt) {
+        if (this.phase === "complete") {
+          return;
+        }
+
+        if (this.phase === "between") {
+          this.pauseTimer -= dt;
+          if (this.pauseTimer <= 0) {
+            this.toStart();
+          }
+          return;
+        }
+
+        if (this.phase === "ready") {
+          return;
+        }
+
+        const segment = this.segmentAt(this.distance);
+        let accel = TRACK_GRAVITY * (segment.grade - ICE_FRICTION) - AIR_DRAG * this.speed * this.speed;
+
+        if (this.phase === "run") {
+          const curvature = this.curvatureAt(this.distance);
+          this.lateral +=
+            (this.steering() * STEER_SPEED - curvature * this.speed * this.speed * DRIFT_GAIN * this.drift) * dt;
+          accel -= LINE_DRAG * Math.abs(this.lateral - this.idealLine(this.distance));
+
+          this.wallTimer = Math.max(0, this.wallTimer - dt);
+          if (Math.abs(this.lateral) > HALF_WIDTH) {
+            this.hitWall();
+          }
+        }
+
+        const from = this.distance;
+        this.speed = Math.max(0, this.speed + accel * dt);
+        this.distance += this.speed * dt;
+        if (this.distance >= START_LINE) {
+          this.clock +=
+            from < START_LINE ? (dt * (this.distance - START_LINE)) / Math.max(this.distance - from, 1e-6) : dt;
+        }
+        if (from < START_SPLIT && this.distance >= START_SPLIT) {
+          this.startTime = this.clock - (dt * (this.distance - START_SPLIT)) / Math.max(this.distance - from, 1e-6);
+          this.message = Utils.t("bob.startTime", { time: Utils.formatTime(this.startTime) });
+        }
+
+        // Assisted crews jump in as the needle crosses the middle; anyone still
+        // pushing at the end of the zone scrambles in.
+        if (this.phase === "push" && (this.assist.autoRelease || this.assist.oneSwitch) && this.loadNeedle() >= 0.5) {
+          this.loadIn();
+        } else if (this.phase === "push" && this.distance >= LOAD_ZONE.end) {
+          this.loadIn(true);
+        }
+
+        if (this.distance >= this.track.length) {
+          this.finishHeat(
+            this.clock - (dt * (this.distance - this.track.length)) / Math.max(this.distance - from, 1e-6)
+          );
+          return;
+        }
+
+        this.runTime += dt;
+        if (this.runTime >= MAX_RUN_TIME) {
+          this.dnf = true;
+          this.score = 0;
+          this.phase = "complete";
+          this.finished = true;
+          this.message = Utils.t("bob.dnf");
+        }
+      },
+
+      // The sled bounces off the wall it touched; a sled pinned to a wall keeps
+      // scrubbing, but at most every quarter second.
+      hitWall() {
+        const side = Math.sign(this.lateral);
+        this.lateral = side * (HALF_WIDTH - WALL_REBOUND);
+        if (this.wallTimer > 0) {
+          return;
+        }
+        this.wallTimer = 0.25;
+        this.wallHits += 1;
+        this.speed *= 1 - WALL_SCRUB;
+        this.message = Utils.t("bob.wall", { speed: Utils.formatSpeed(this.speed) });
+        sound.beep({ freq: 140, duration: 0.1, type: "square", volume: 0.04 });
+      },
+
+      finishHeat(time) {
+        this.heats.push({ time, startTime: this.startTime });
+        this.heat += 1;
+        const total = this.heats.reduce((sum, heat) => sum + heat.time, 0);
+        this.message = Utils.t("bob.heatDone", { number: this.heat, time: Utils.formatTime(time) });
+        sound.beep({ freq: 880, duration: 0.15, type: "triangle", volume: 0.04 });
+
+        if (this.heat >= HEATS) {
+          this.score = Math.round(total * 100) / 100;
+          this.phase = "complete";
+          this.finished = true;
+          this.message = Utils.t("bob.complete", { time: Utils.formatTime(this.score) });
+        } else {
+          this.phase = "between";
+          this.pauseTimer = HEAT_PAUSE;
+        }
+      },
+
+      draw(context) {
+        context.save();
+
+        context.fillStyle = "#e6f1f8";
+        context.fillRect(0, 0, WIDTH, HEIGHT);
+
+        this.drawChannel(context);
+
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "bold 32px Trebuchet MS";
+        context.fillText(Utils.formatTime(this.clock), 24, 86);
+        context.font = "bold 17px Trebuchet MS";
+        context.fillText(Utils.formatSpeed(this.speed), 24, 118);
+
+        this.drawMap(context);
+        this.drawHeats(context, 24, 372);
+
+        context.fillStyle = "#173248";
+        context.font = "bold 16px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(this.message, 24, 520, 290);
+
+        if (this.phase === "ready" || this.phase === "push") {
+          Utils.drawTimingMeter(context, 400, 76, 410, 24, this.loadNeedle(), this.zones);
+          context.fillStyle = "#173248";
+          context.font = "14px Trebuchet MS";
+          context.textAlign = "left";
+          context.fillText(Utils.t("bob.meter.load"), 400, 114);
+          Utils.drawChargeMeter(context, 400, 128, 410, 14, this.speed / PUSH_TOP_SPEED, Utils.t("bob.meter.push"));
+        }
+
+        context.restore();
+      },
+
+      // Channel over the next few dozen metres, bent by the curvature ahead, with
+      // the fast line dashed down the middle of it.
+      drawChannel(context) {
+        const lateralScale = view.channel / HALF_WIDTH;
+        const left = [];
+        const right = [];
+        const line = [];
+        let heading = 0;
+        let x = view.x + view.w / 2;
+        let y = view.sledY;
+
+        for (let ahead = 0; ahead <= view.lookahead; ahead += 1) {
+          const d = Math.min(this.distance + ahead, this.track.length);
+          const normal = { x: Math.cos(heading), y: Math.sin(heading) };
+          left.push({ x: x - normal.x * view.channel, y: y - normal.y * view.channel });
+          right.push({ x: x + normal.x * view.channel, y: y + normal.y * view.channel });
+          const offset = this.idealLine(d) * lateralScale;
+          line.push({ x: x + normal.x * offset, y: y + normal.y * offset });
+
+          heading += this.curvatureAt(d);
+          x += Math.sin(heading) * view.scale;
+          y -= Math.cos(heading) * view.scale;
+        }
+
+        context.save();
+        context.beginPath();
+        context.rect(view.x, view.y, view.w, view.h);
+        context.clip();
+        context.fillStyle = "#cfe0ec";
+        context.fillRect(view.x, view.y, view.w, view.h);
+
+        context.fillStyle = "#f7fbff";
+        context.beginPath();
+        left.forEach((point, i) => (i === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+        right
+          .slice()
+          .reverse()
+          .forEach((point) => context.lineTo(point.x, point.y));
+        context.closePath();
+        context.fill();
+
+        context.strokeStyle = "#5d7387";
+        context.lineWidth = 4;
+        for (const wall of [left, right]) {
+          context.beginPath();
+          wall.forEach((point, i) => (i === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+          context.stroke();
+        }
+
+        context.strokeStyle = "rgba(42, 102, 148, 0.6)";
+        context.lineWidth = 2;
+        context.setLineDash([8, 8]);
+        context.beginPath();
+        line.forEach((point, i) => (i === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+        context.stroke();
+        context.setLineDash([]);
+
+        // Finish line once it is in view.
+        const finishAhead = this.track.length - this.distance;
+        if (finishAhead <= view.lookahead) {
+          const i = Math.max(0, Math.round(finishAhead));
+          context.strokeStyle = "#b23a3a";
+          context.lineWidth = 4;
+          context.beginPath();
+          context.moveTo(left[i].x, left[i].y);
+          context.lineTo(right[i].x, right[i].y);
+          context.stroke();
+        }
+
+        // Sled: a rounded nose and two crew helmets.
+        const sledX = view.x + view.w / 2 + this.lateral * lateralScale;
+        context.fillStyle = "#b23a3a";
+        context.fillRect(sledX - 11, view.sledY - 30, 22, 40);
+        context.beginPath();
+        context.arc(sledX, view.sledY - 30, 11, Math.PI, 0);
+        context.fill();
+        context.fillStyle = this.loaded ? "#173248" : "#5d7387";
+        for (const seat of [-16, -2]) {
+          context.beginPath();
+          context.arc(sledX, view.sledY + seat, 6, 0, Math.PI * 2);
+          context.fill();
+        }
+        context.restore();
+      },
+
+      drawMap(context) {
+        const path = this.trackPath;
+        context.save();
+        context.strokeStyle = "#7fa6c2";
+        context.lineWidth = 4;
+        context.lineJoin = "round";
+        context.beginPath();
+        path.forEach((point, i) => (i === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+        context.stroke();
+
+        const here = path[Math.min(path.length - 1, Math.round(this.distance / 4))];
+        context.fillStyle = "#b23a3a";
+        context.beginPath();
+        context.arc(here.x, here.y, 6, 0, Math.PI * 2);
+        context.fill();
+        context.restore();
+      },
+
+      drawHeats(context, x, y) {
+        context.save();
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "15px Trebuchet MS";
+
+        for (let i = 0; i < HEATS; i += 1) {
+          const heat = this.heats[i];
+          context.fillText(Utils.t("bob.heatRow", { number: i + 1 }), x, y + i * 24);
+          context.textAlign = "right";
+          context.fillText(heat ? Utils.formatTime(heat.startTime) : "--", x + 180, y + i * 24);
+          context.fillText(heat ? Utils.formatTime(heat.time) : "--", x + 270, y + i * 24);
+          context.textAlign = "left";
+        }
+
+        context.font = "bold 15px Trebuchet MS";
+        const total = this.heats.reduce((sum, heat) => sum + heat.time, 0);
+        context.fillText(Utils.t("bob.total"), x, y + HEATS * 24);
+        context.textAlign = "right";
+        context.fillText(this.heats.length > 0 ? Utils.formatTime(total) : "--", x + 270, y + HEATS * 24);
+        context.textAlign = "left";
+        context.font = "15px Trebuchet MS";
+        context.fillText(Utils.t("bob.walls", { count: this.wallHits }), x, y + HEATS * 24 + 30);
+        context.restore();
+      },
+
+      handleInput(eventType, payload) {
+        if (this.finished || eventType !== "keydown" || payload.repeat) {
+          return;
+        }
+
+        if (controls.is("charge", payload.code)) {
+          this.push();
+        } else if (
+          controls.is("loadIn", payload.code) &&
+          this.phase === "push" &&
+          this.distance >= LOAD_ZONE.start &&
+          !this.assist.autoRelease &&
+          !this.assist.oneSwitch
+        ) {
+          this.loadIn();
+        }
+      },
+
+      getHUD() {
+        const key = controls.label("charge");
+        const autoLoad = this.assist.autoRelease || this.assist.oneSwitch;
+        const instructionsByPhase = {
+          ready: Utils.t("bob.hud.ready", { key }),
+          push: Utils.t(autoLoad ? "bob.hud.push.autoLoad" : "bob.hud.push", { key, load: controls.label("loadIn") }),
+          run: Utils.t(this.assist.oneSwitch ? "bob.hud.run.oneSwitch" : "bob.hud.run", {
+            left: controls.label("steerLeft"),
+            right: controls.label("steerRight")
+          }),
+          between: Utils.t("bob.hud.between"),
+          complete: Utils.t("bob.hud.complete")
+        };
+
+        const hud = {
+          eventName: this.name,
+          instructions: instructionsByPhase[this.phase] || "",
+          status: this.message,
+          attemptsRemaining: this.finished ? 0 : HEATS - this.heats.length,
+          score: this.score
+        };
+
+        if (this.dnf) {
+          hud.resultDetail = Utils.t("bob.dnf");
+        } else if (this.heats.length > 0) {
+          hud.resultDetail = Utils.t("bob.result", {
+            heats: this.heats.map((heat) => Utils.formatTime(heat.time)).join(" + "),
+            walls: Utils.t("bob.walls", { count: this.wallHits })
+          });
+        }
+
+        return hud;
+      }
+    };
+
+    event.reset();
+    return event;
+  }
+
+  registerEvent({
+    id: "bob",
+    name: "bob.name",
+    create: createBobsleighEvent,
+    controls: ["charge", "loadIn", "steerLeft", "steerRight"],
+    bindings: { loadIn: "ArrowDown", steerLeft: "ArrowLeft", steerRight: "ArrowRight" },
+    gamepad: { 0: "charge", 13: "loadIn", 14: "steerLeft", 15: "steerRight" },
+    touch: [
+      { action: "loadIn", label: "touch.loadIn" },
+      { action: "steerLeft", label: "touch.steerLeft" },
+      { action: "steerRight", label: "touch.steerRight" }
+    ],
+    difficulty: {
+      easy: { pushRate: 1.2, drift: 0.8, loadWindow: 1.3 },
+      normal: { pushRate: 1, drift: 1, loadWindow: 1 },
+      hard: { pushRate: 0.9, drift: 1.2, loadWindow: 0.8 }
+    },
+    scoring: "time",
+    // Two clean heats with a sharp push come in around 90 seconds.
+    par: 90,
+    icon(context, x, y, size) {
+      // Sled from the side with two helmets showing over the cowling.
+      const s = size / 40;
+      context.save();
+      context.fillStyle = "#173248";
+      context.strokeStyle = "#173248";
+      context.lineWidth = 2 * s;
+      context.beginPath();
+      context.moveTo(x + 4 * s, y + 28 * s);
+      context.lineTo(x + 30 * s, y + 28 * s);
+      context.quadraticCurveTo(x + 38 * s, y + 28 * s, x + 36 * s, y + 20 * s);
+      context.lineTo(x + 8 * s, y + 20 * s);
+      context.closePath();
+      context.fill();
+      context.beginPath();
+      context.arc(x + 14 * s, y + 17 * s, 4 * s, 0, Math.PI * 2);
+      context.arc(x + 24 * s, y + 17 * s, 4 * s, 0, Math.PI * 2);
+      context.fill();
+      context.beginPath();
+      context.moveTo(x + 4 * s, y + 33 * s);
+      context.lineTo(x + 36 * s, y + 33 * s);
+      context.stroke();
+      context.restore();
+    }
+  });
+
+  return { createBobsleighEvent };
+});
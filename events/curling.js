@@ -0,0 +1,832 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../core.js"));
+  } else {
+    Object.assign(root.MiniOlympics, factory(root.MiniOlympics));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+  "use strict";
+
+  const {
+    HEIGHT,
+    WIDTH,
+    FIXED_DT,
+    GRAVITY,
+    DEG_TO_RAD,
+    DIFFICULTY_PRESETS,
+    NO_ASSIST,
+    ASSIST_SLOWDOWN,
+    Utils,
+    resolveDeps,
+    registerEvent
+  } = core;
+
+  // Labels are message ids.
+  const TEAMS = {
+    player: { label: "curling.team.player", color: "#d84a4a" },
+    cpu: { label: "curling.team.cpu", color: "#f2c94c" }
+  };
+
+  function otherTeam(team) {
+    return team === "player" ? "cpu" : "player";
+  }
+
+  function createCurlingEvent(deps = {}, options = {}) {
+    const { sound, input, controls } = resolveDeps(deps);
+
+    const rink = { x: 80, y: 100, w: 740, h: 400 };
+    const house = { x: 700, y: 300, radius: 80 };
+    const hack = { x: 140, y: 300 };
+    const stoneRadius = 14;
+    // A real house is 1.83 m across its radius; the aim readout uses this scale.
+    const metresPerPixel = 1.83 / house.radius;
+
+    const event = {
+      get name() {
+        return Utils.t("curling.name");
+      },
+      score: 0,
+      cpuScore: 0,
+      endsTotal: options.ends || 4,
+      stonesPerTeam: options.stonesPerTeam || 3,
+      cpuSkill: options.cpuSkill === undefined ? 0.6 : options.cpuSkill,
+      endIndex: 0,
+      extraEnds: 0,
+      throwIndex: 0,
+      hammer: "cpu",
+      endScores: { player: [], cpu: [] },
+      endResult: null,
+      phase: "ready",
+      finished: false,
+      charge: 0,
+      chargeRate: 0.78,
+      // Sheet friction, unswept and swept; reset() scales both by difficulty.
+      baseMu: 0.2,
+      brushMu: 0.08,
+      aimDeg: 0,
+      brushHeld: false,
+      assist: NO_ASSIST,
+      // One-switch aiming: the line sweeps until a press locks it.
+      aimLocked: false,
+      aimSweep: 0,
+      scoreTimer: 0,
+      cpuTimer: 0,
+      cpuPlan: null,
+      rng: Math.random,
+      // Every delivered stone that is still on the sheet, including the one in motion.
+      stones: [],
+      stone: null,
+      trail: [],
+      // Per-tick [x, y] path of each player delivery this match, and the
+      // personal-best match's paths (set by the app) replayed as a ghost stone.
+      deliveryPaths: [],
+      deliveryPath: null,
+      ghost: null,
+
+      createStone(team) {
+        return { x: hack.x, y: hack.y, vx: 0, vy: 0, curlSign: 1, team };
+      },
+
+      // Team without the hammer leads off; the hammer team throws last.
+      currentTeam() {
+        const leadTeam = otherTeam(this.hammer);
+        return this.throwIndex % 2 === 0 ? leadTeam : this.hammer;
+      },
+
+      resetStone() {
+        this.stone = this.createStone(this.currentTeam());
+        this.trail = [];
+        this.charge = 0;
+        this.aimDeg = 0;
+        this.brushHeld = false;
+        this.aimLocked = !this.assist.oneSwitch;
+        this.aimSweep = 0;
+
+        if (this.stone.team === "cpu") {
+          this.cpuPlan = this.planCpuShot();
+          this.cpuTimer = 1.1;
+          this.phase = "cpuAim";
+        } else {
+          this.phase = "ready";
+        }
+      },
+
+      reset({ seed = 1, difficulty = DIFFICULTY_PRESETS.normal, assist = NO_ASSIST } = {}) {
+        this.assist = assist;
+        this.stonesPerTeam = options.stonesPerTeam || difficulty.curling.stones;
+        // Replays saved before ends and skill were tunable played four ends at 0.6.
+        const { ends = 4, cpuSkill = 0.6 } = difficulty.curling;
+        this.endsTotal = options.ends || ends;
+        this.cpuSkill = options.cpuSkill === undefined ? cpuSkill : options.cpuSkill;
+        this.baseMu = 0.2 * difficulty.curling.friction;
+        this.brushMu = 0.08 * difficulty.curling.friction;
+
+        this.score = 0;
+        this.cpuScore = 0;
+        this.endIndex = 0;
+        this.extraEnds = 0;
+        this.throwIndex = 0;
+        // The CPU starts with last-stone advantage, so the player always throws first.
+        this.hammer = "cpu";
+        this.endScores = { player: [], cpu: [] };
+        this.endResult = null;
+        this.finished = false;
+        this.chargeRate = 0.78 * difficulty.curling.chargeRate * (assist.slowTiming ? ASSIST_SLOWDOWN : 1);
+        this.scoreTimer = 0;
+        this.cpuPlan = null;
+        this.rng = Utils.createRng(seed);
+        this.stones = [];
+        this.deliveryPaths = [];
+        this.deliveryPath = null;
+        this.resetStone();
+      },
+
+      curlFor(aimDeg) {
+        if (aimDeg === 0) {
+          return this.throwIndex % 2 === 0 ? 1 : -1;
+        }
+        return Math.sign(aimDeg);
+      },
+
+      launchStone() {
+        const speed = 320 + 900 * this.charge;
+        const angle = this.aimDeg * DEG_TO_RAD;
+
+        this.stone.vx = speed * Math.cos(angle);
+        this.stone.vy = speed * Math.sin(angle);
+        this.stone.curlSign = this.curlFor(this.aimDeg);
+        this.stones.push(this.stone);
+        this.deliveryPath = this.stone.team === "player" ? [] : null;
+
+        this.phase = "sliding";
+        sound.beep({ freq: 500, duration: 0.06, type: "square", volume: 0.03 });
+      },
+
+      distanceToButton(stone) {
+        return Math.hypot(stone.x - house.x, stone.y - house.y);
+      },
+
+      // Stones in the house (touching the 12-foot counts), closest to the button first.
+      stonesInHouse() {
+        return this.stones
+          .map((stone) => ({ stone, distance: this.distanceToButton(stone) }))
+          .filter((entry) => entry.distance <= house.radius + stoneRadius)
+          .sort((a, b) => a.distance - b.distance);
+      },
+
+      // Only the team with the shot stone scores: one point per stone closer than
+      // the opponent's best stone in the house.
+      scoreEnd() {
+        const ranked = this.stonesInHouse();
+        if (ranked.length === 0) {
+          return { team: null, points: 0 };
+        }
+
+        const team = ranked[0].stone.team;
+        const opponentBest = ranked.find((entry) => entry.stone.team !== team);
+        const points = ranked.filter(
+          (entry) => entry.stone.team === team && (!opponentBest || entry.distance < opponentBest.distance)
+        ).length;
+
+        return { team, points };
+      },
+
+      // Equal-mass elastic collision: the stones swap their velocity components along
+      // the line of centres, so a square hit stops the shooter dead.
+      resolveCollision(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.hypot(dx, dy);
+        const minDistance = stoneRadius * 2;
+
+        if (distance >= minDistance || distance === 0) {
+          return false;
+        }
+
+        const nx = dx / distance;
+        const ny = dy / distance;
+
+        const overlap = (minDistance - distance) / 2;
+        a.x -= nx * overlap;
+        a.y -= ny * overlap;
+        b.x += nx * overlap;
+        b.y += ny * overlap;
+
+        const approach = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+        if (approach <= 0) {
+          return false;
+        }
+
+        a.vx -= approach * nx;
+        a.vy -= approach * ny;
+        b.vx += approach * nx;
+        b.vy += approach * ny;
+        return true;
+      },
+
+      isOnSheet(stone) {
+        return (
+          stone.x - stoneRadius >= rink.x &&
+          stone.x + stoneRadius <= rink.x + rink.w &&
+          stone.y - stoneRadius >= rink.y &&
+          stone.y + stoneRadius <= rink.y + rink.h
+        );
+      },
+
+      // Friction and curl for one stone over one tick. Shared by the live sheet and
+      // the CPU's shot prediction so both follow the same path.
+      moveStone(stone, mu, dt) {
+        const speed = Utils.length(stone.vx, stone.vy);
+        if (speed <= 0) {
+          return;
+        }
+
+        // Deterministic friction model shared with requested convention.
+        const decel = mu * GRAVITY * dt;
+        const nextSpeed = Math.max(0, speed - decel);
+        const ratio = nextSpeed / speed;
+
+        stone.vx *= ratio;
+        stone.vy *= ratio;
+
+        // Mild speed-dependent curl to reward proper aiming.
+        stone.vy += stone.curlSign * 22 * (nextSpeed / 900) * dt;
+
+        stone.x += stone.vx * dt;
+        stone.y += stone.vy * dt;
+      },
+
+      // Advances every stone one tick; returns true while anything is still moving.
+      stepStones(dt) {
+        for (const stone of this.stones) {
+          // Players sweep only their own delivery.
+          const swept = this.brushHeld && stone === this.stone && stone.team === "player";
+          this.moveStone(stone, swept ? this.brushMu : this.baseMu, dt);
+
+          if (stone === this.stone) {
+            this.trail.push({ x: stone.x, y: stone.y });
+            if (this.trail.length > 45) {
+              this.trail.shift();
+            }
+          }
+        }
+
+        if (this.deliveryPath && this.stones.includes(this.stone)) {
+          this.deliveryPath.push([Math.round(this.stone.x * 10) / 10, Math.round(this.stone.y * 10) / 10]);
+        }
+
+        // Pairwise pass each tick; chain hits propagate over consecutive ticks.
+        for (let i = 0; i < this.stones.length; i += 1) {
+          for (let j = i + 1; j < this.stones.length; j += 1) {
+            if (this.resolveCollision(this.stones[i], this.stones[j])) {
+              sound.beep({ freq: 240, duration: 0.05, type: "square", volume: 0.035 });
+            }
+          }
+        }
+
+        this.stones = this.stones.filter((stone) => this.isOnSheet(stone));
+
+        let moving = false;
+        for (const stone of this.stones) {
+          if (Utils.length(stone.vx, stone.vy) <= 2) {
+            stone.vx = 0;
+            stone.vy = 0;
+          } else {
+            moving = true;
+          }
+        }
+
+        return moving;
+      },
+
+      // Unswept path of a lone stone, sampled every tick until it stops.
+      predictPath(aimDeg, charge) {
+        const speed = 320 + 900 * charge;
+        const angle = aimDeg * DEG_TO_RAD;
+        const stone = this.createStone("cpu");
+        stone.vx = speed * Math.cos(angle);
+        stone.vy = speed * Math.sin(angle);
+        stone.curlSign = this.curlFor(aimDeg);
+
+        const path = [];
+        while (Utils.length(stone.vx, stone.vy) > 2 && path.length < 2400) {
+          this.moveStone(stone, this.baseMu, FIXED_DT);
+          path.push({ x: stone.x, y: stone.y });
+        }
+        return path;
+      },
+
+      // Power that stops an unswept stone at the target.
+      drawCharge(target) {
+        const distance = Math.hypot(target.x - hack.x, target.y - hack.y);
+        // Stopping distance is v^2 / (2 mu g), so invert it for the launch speed.
+        const speed = Math.sqrt(2 * this.baseMu * GRAVITY * distance);
+        return Utils.clamp((speed - 320) / 900, 0, 1);
+      },
+
+      solveDraw(target) {
+        const targetAngle = Math.atan2(target.y - hack.y, target.x - hack.x);
+        const charge = this.drawCharge(target);
+        let aimDeg = targetAngle / DEG_TO_RAD;
+
+        // Refine the line against the real curl a few times.
+        for (let i = 0; i < 3; i += 1) {
+          const path = this.predictPath(aimDeg, charge);
+          const stop = path[path.length - 1] || hack;
+          const aimError = targetAngle - Math.atan2(stop.y - hack.y, stop.x - hack.x);
+          aimDeg = Utils.clamp(aimDeg + aimError / DEG_TO_RAD, -14, 14);
+        }
+
+        return { aimDeg, charge };
+      },
+
+      solveTakeout(target) {
+        const charge = 0.9;
+        const targetAngle = Math.atan2(target.y - hack.y, target.x - hack.x);
+        let aimDeg = targetAngle / DEG_TO_RAD;
+
+        for (let i = 0; i < 3; i += 1) {
+          const path = this.predictPath(aimDeg, charge);
+          const pass = path.find((point) => point.x >= target.x) || path[path.length - 1] || hack;
+          const aimError = targetAngle - Math.atan2(pass.y - hack.y, pass.x - hack.x);
+          aimDeg = Utils.clamp(aimDeg + aimError / DEG_TO_RAD, -14, 14);
+        }
+
+        return { aimDeg, charge };
+      },
+
+      // The CPU skip reads the house: take out a scoring player stone, guard its own
+      // shot stone while stones remain, otherwise draw to the button.
+      planCpuShot() {
+        const ranked = this.stonesInHouse();
+        const shot = ranked[0] ? ranked[0].stone : null;
+        const lastStone = this.throwIndex === this.stonesPerTeam * 2 - 1;
+
+        let mode = "draw";
+        let plan;
+        if (shot && shot.team === "player") {
+          mode = "takeout";
+          plan = this.solveTakeout(shot);
+        } else if (shot && !lastStone) {
+          mode = "guard";
+          plan = this.solveDraw({ x: house.x - house.radius - 70, y: shot.y });
+        } else {
+          plan = this.solveDraw({ x: house.x, y: house.y });
+        }
+
+        // Lower skill widens the delivery error around the intended shot.
+        const spread = 1 - Utils.clamp(this.cpuSkill, 0, 1);
+        return {
+          mode,
+          aimDeg: Utils.clamp(plan.aimDeg + (this.rng() * 2 - 1) * 3 * spread, -14, 14),
+          charge: Utils.clamp(plan.charge + (this.rng() * 2 - 1) * 0.12 * spread, 0, 1)
+        };
+      },
+
+      finishThrow() {
+        if (this.deliveryPath) {
+          this.deliveryPaths.push(this.deliveryPath);
+          this.deliveryPath = null;
+        }
+        this.throwIndex += 1;
+
+        if (this.throwIndex < this.stonesPerTeam * 2) {
+          this.phase = "settled";
+          this.scoreTimer = 0.8;
+          return;
+        }
+
+        const result = this.scoreEnd();
+        this.endScores.player.push(result.team === "player" ? result.points : 0);
+        this.endScores.cpu.push(result.team === "cpu" ? result.points : 0);
+        this.score = this.endScores.player.reduce((sum, points) => sum + points, 0);
+        this.cpuScore = this.endScores.cpu.reduce((sum, points) => sum + points, 0);
+        this.endResult = result;
+
+        // Scoring hands the hammer to the other team; a blank end keeps it.
+        if (result.team) {
+          this.hammer = otherTeam(result.team);
+        }
+
+        this.phase = "scored";
+        this.scoreTimer = 2.0;
+        sound.beep({
+          freq: result.team === "player" ? 520 + result.points * 60 : 260,
+          duration: 0.12,
+          type: "triangle",
+          volume: 0.04
+        });
+      },
+
+      startNextEnd() {
+        this.endIndex += 1;
+
+        const regulationOver = this.endIndex >= this.endsTotal + this.extraEnds;
+        if (regulationOver && this.score === this.cpuScore) {
+          // Extra ends go on until one breaks the tie.
+          this.extraEnds += 1;
+        } else if (regulationOver) {
+          this.phase = "complete";
+          this.finished = true;
+          return;
+        }
+
+        this.throwIndex = 0;
+        this.stones = [];
+        this.endResult = null;
+        this.resetStone();
+      },
+
+      update(dt) {
+        if (this.phase === "complete") {
+          return;
+        }
+
+        if (this.phase === "ready" || this.phase === "charging") {
+          // Analog stick aims continuously; the arrow keys still step 1.5 deg per press.
+          const aimAxis = input.getAxis("aim");
+          if (aimAxis !== 0) {
+            this.aimDeg = Utils.clamp(this.aimDeg + aimAxis * 20 * dt, -14, 14);
+          }
+        }
+
+        if (this.phase === "ready" && !this.aimLocked) {
+          this.aimSweep += dt * (this.assist.slowTiming ? ASSIST_SLOWDOWN : 1);
+          this.aimDeg = 10 * Math.sin(this.aimSweep * 1.6);
+        }
+
+        if (this.phase === "charging") {
+          this.charge = Utils.clamp(this.charge + this.chargeRate * dt, 0, 1);
+          // Auto-release lets go at draw weight for the button.
+          if (this.assist.autoRelease && this.charge >= this.drawCharge(house)) {
+            this.launchStone();
+          }
+        }
+
+        if (this.phase === "cpuAim") {
+          // Ease the aim line and power bar toward the plan so the shot reads on screen.
+          const ease = Utils.clamp(dt * 4, 0, 1);
+          this.aimDeg = Utils.lerp(this.aimDeg, this.cpuPlan.aimDeg, ease);
+          this.charge = Utils.lerp(this.charge, this.cpuPlan.charge, ease);
+          this.cpuTimer -= dt;
+          if (this.cpuTimer <= 0) {
+            this.aimDeg = this.cpuPlan.aimDeg;
+            this.charge = this.cpuPlan.charge;
+            this.launchStone();
+          }
+        }
+
+        if (this.phase === "sliding" && !this.stepStones(dt)) {
+          this.finishThrow();
+        }
+
+        if (this.phase === "settled") {
+          this.scoreTimer -= dt;
+          if (this.scoreTimer <= 0) {
+            this.resetStone();
+          }
+        }
+
+        if (this.phase === "scored") {
+          this.scoreTimer -= dt;
+          if (this.scoreTimer <= 0) {
+            this.startNextEnd();
+          }
+        }
+      },
+
+      getGhostRecording() {
+        return { deliveries: this.deliveryPaths.slice() };
+      },
+
+      // The best match's stone for the same delivery, at the same tick since release.
+      drawGhost(context) {
+        const deliveries = this.ghost && this.ghost.deliveries;
+        const path = this.deliveryPath && deliveries ? deliveries[this.deliveryPaths.length] : null;
+        if (!path || path.length === 0) {
+          return;
+        }
+
+        const [x, y] = path[Math.min(this.deliveryPath.length, path.length - 1)];
+        context.save();
+        context.globalAlpha = 0.35;
+        context.beginPath();
+        context.arc(x, y, stoneRadius, 0, Math.PI * 2);
+        context.fillStyle = "#7d8f9d";
+        context.fill();
+        context.strokeStyle = "#6b4fa0";
+        context.lineWidth = 3;
+        context.stroke();
+        context.restore();
+      },
+
+      drawStone(context, stone) {
+        context.beginPath();
+        context.arc(stone.x, stone.y, stoneRadius, 0, Math.PI * 2);
+        context.fillStyle = "#7d8f9d";
+        context.fill();
+        context.strokeStyle = stone === this.stone ? "#173248" : "#364955";
+        context.lineWidth = stone === this.stone ? 3 : 2;
+        context.stroke();
+
+        // Handle colour marks the team.
+        context.beginPath();
+        context.arc(stone.x, stone.y, stoneRadius * 0.55, 0, Math.PI * 2);
+        context.fillStyle = TEAMS[stone.team].color;
+        context.fill();
+      },
+
+      drawScoreboard(context) {
+        const x = 120;
+        const y = 504;
+        const cellW = 30;
+        const columns = Math.max(this.endsTotal + this.extraEnds, this.endScores.player.length);
+        const boardW = 70 + (columns + 1) * cellW;
+
+        context.save();
+        context.fillStyle = "rgba(255, 255, 255, 0.85)";
+        context.fillRect(x, y, boardW, 52);
+        context.strokeStyle = "#3f789e";
+        context.lineWidth = 1;
+        context.strokeRect(x, y, boardW, 52);
+
+        context.font = "bold 13px Trebuchet MS";
+        context.textBaseline = "middle";
+
+        ["player", "cpu"].forEach((team, row) => {
+          const rowY = y + 15 + row * 23;
+          context.fillStyle = TEAMS[team].color;
+          context.fillRect(x + 6, rowY - 6, 12, 12);
+          context.fillStyle = "#173248";
+          context.textAlign = "left";
+          // "*" marks the team holding the hammer.
+          context.fillText(`${Utils.t(TEAMS[team].label)}${this.hammer === team ? " *" : ""}`, x + 22, rowY);
+
+          context.textAlign = "center";
+          for (let end = 0; end < columns; end += 1) {
+            const points = this.endScores[team][end];
+            context.fillText(points === undefined ? "" : String(points), x + 70 + end * cellW + cellW / 2, rowY);
+          }
+
+          const total = team === "player" ? this.score : this.cpuScore;
+          context.fillText(String(total), x + 70 + columns * cellW + cellW / 2, rowY);
+        });
+
+        context.restore();
+      },
+
+      draw(context) {
+        context.save();
+
+        context.fillStyle = "#d8f2ff";
+        context.fillRect(0, 0, WIDTH, HEIGHT);
+
+        context.fillStyle = "#edf9ff";
+        context.fillRect(rink.x, rink.y, rink.w, rink.h);
+
+        context.strokeStyle = "#8cb8d3";
+        context.lineWidth = 2;
+        context.strokeRect(rink.x, rink.y, rink.w, rink.h);
+
+        context.beginPath();
+        context.strokeStyle = "#aacfe7";
+        context.moveTo(rink.x + 70, rink.y);
+        context.lineTo(rink.x + 70, rink.y + rink.h);
+        context.stroke();
+
+        for (const ring of [80, 40, 15]) {
+          context.beginPath();
+          context.arc(house.x, house.y, ring, 0, Math.PI * 2);
+          context.fillStyle = ring === 80 ? "#6fc2f2" : ring === 40 ? "#ffffff" : "#ff6767";
+          context.fill();
+          context.strokeStyle = "#3f789e";
+          context.stroke();
+        }
+
+        if (this.phase === "ready" || this.phase === "charging" || this.phase === "cpuAim") {
+          const aimRad = this.aimDeg * DEG_TO_RAD;
+          const aimLength = 120 + this.charge * 130;
+          context.strokeStyle = this.phase === "cpuAim" ? "#a8861f" : "#2a668f";
+          context.lineWidth = 3;
+          context.beginPath();
+          context.moveTo(this.stone.x, this.stone.y);
+          context.lineTo(
+            this.stone.x + Math.cos(aimRad) * aimLength,
+            this.stone.y + Math.sin(aimRad) * aimLength
+          );
+          context.stroke();
+        }
+
+        for (let i = 0; i < this.trail.length; i += 1) {
+          const p = this.trail[i];
+          const alpha = i / this.trail.length;
+          context.fillStyle = `rgba(90, 130, 160, ${alpha * 0.35})`;
+          context.beginPath();
+          context.arc(p.x, p.y, 4, 0, Math.PI * 2);
+          context.fill();
+        }
+
+        this.drawGhost(context);
+        for (const stone of this.stones) {
+          this.drawStone(context, stone);
+        }
+        if (!this.stones.includes(this.stone) && this.phase !== "scored" && this.phase !== "complete") {
+          this.drawStone(context, this.stone);
+        }
+
+        Utils.drawChargeMeter(context, 120, 65, 320, 16, this.charge, Utils.t("curling.meter.power"));
+
+        context.fillStyle = "#173248";
+        context.font = "bold 18px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(this.aimReadout(), 470, 79);
+
+        if (this.phase === "sliding" && this.stone.team === "player") {
+          const key = controls.label("brush");
+          context.fillText(Utils.t(this.brushHeld ? "curling.brushing.on" : "curling.brushing.off", { key }), 630, 79);
+        } else if (this.phase === "cpuAim" || this.phase === "scored") {
+          context.fillText(this.statusText(), 630, 79);
+        }
+
+        this.drawScoreboard(context);
+
+        context.restore();
+      },
+
+      handleInput(eventType, payload) {
+        if (this.finished) {
+          return;
+        }
+
+        // One-switch: each press of charge is the next step - lock the sweeping aim,
+        // start the push, let the stone go, then switch brushing on and off.
+        if (this.assist.oneSwitch && controls.is("charge", payload.code)) {
+          if (eventType !== "keydown" || payload.repeat) {
+            return;
+          }
+          if (this.phase === "ready" && !this.aimLocked) {
+            this.aimLocked = true;
+            sound.beep({ freq: 450, duration: 0.04, volume: 0.02 });
+            return;
+          }
+          if (this.phase === "sliding") {
+            this.brushHeld = this.stone.team === "player" && !this.brushHeld;
+            return;
+          }
+          if (this.phase === "charging") {
+            eventType = "keyup";
+          }
+        }
+
+        // Auto-release ignores letting go early; the charge runs on to its point.
+        if (this.assist.autoRelease && eventType === "keyup" && controls.is("charge", payload.code)) {
+          return;
+        }
+
+        if (eventType === "keydown") {
+          if (controls.is("aimUp", payload.code) && (this.phase === "ready" || this.phase === "charging")) {
+            this.aimDeg = Utils.clamp(this.aimDeg - 1.5, -14, 14);
+          }
+
+          if (controls.is("aimDown", payload.code) && (this.phase === "ready" || this.phase === "charging")) {
+            this.aimDeg = Utils.clamp(this.aimDeg + 1.5, -14, 14);
+          }
+
+          if (controls.is("charge", payload.code) && !payload.repeat && this.phase === "ready") {
+            this.phase = "charging";
+            this.charge = 0;
+            sound.beep({ freq: 510, duration: 0.04, volume: 0.02 });
+          }
+
+          if (controls.is("brush", payload.code)) {
+            this.brushHeld = true;
+          }
+        }
+
+        if (eventType === "keyup") {
+          if (controls.is("charge", payload.code) && this.phase === "charging") {
+            this.launchStone();
+          }
+
+          if (controls.is("brush", payload.code)) {
+            this.brushHeld = false;
+          }
+        }
+      },
+
+      // Where the aim line crosses the tee line, left or right of the button.
+      aimReadout() {
+        const offset = Math.tan(this.aimDeg * DEG_TO_RAD) * (house.x - hack.x) * metresPerPixel;
+        if (Math.abs(offset) < 0.05) {
+          return Utils.t("curling.aim.centre");
+        }
+        const distance = Utils.formatDistance(Math.abs(offset));
+        return Utils.t(offset < 0 ? "curling.aim.left" : "curling.aim.right", { distance });
+      },
+
+      statusText() {
+        if (this.phase === "cpuAim") {
+          return Utils.t(`curling.cpuCalls.${this.cpuPlan.mode}`);
+        }
+        if (this.phase === "scored" && this.endResult) {
+          return this.endResult.team
+            ? Utils.t("curling.endScore", {
+                team: Utils.t(TEAMS[this.endResult.team].label),
+                points: this.endResult.points
+              })
+            : Utils.t("curling.blankEnd");
+        }
+        return "";
+      },
+
+      getHUD() {
+        const key = controls.label("charge");
+        const mode = this.assist.oneSwitch ? ".oneSwitch" : "";
+        const brushing = {
+          key,
+          brush: controls.label("brush"),
+          from: Utils.formatNumber(this.baseMu, 2),
+          to: Utils.formatNumber(this.brushMu, 2)
+        };
+        let ready = Utils.t("curling.hud.ready", { up: controls.label("aimUp"), down: controls.label("aimDown"), key });
+        if (this.assist.oneSwitch) {
+          ready = Utils.t(this.aimLocked ? "curling.hud.ready.oneSwitch" : "curling.hud.aim.oneSwitch", { key });
+        }
+        const instructionsByPhase = {
+          ready,
+          charging: Utils.t(`curling.hud.charging${mode}`, { key }),
+          cpuAim: Utils.t("curling.hud.cpuAim"),
+          sliding: this.stone.team === "player"
+            ? Utils.t(`curling.hud.sliding${mode}`, brushing)
+            : Utils.t("curling.hud.cpuSliding"),
+          settled: Utils.t("curling.hud.settled"),
+          scored: Utils.t("curling.hud.scored"),
+          complete: Utils.t("curling.hud.complete")
+        };
+
+        // The player leads on even throws without the hammer, odd throws with it.
+        const playerThrown = Math.floor((this.throwIndex + (this.hammer === "player" ? 0 : 1)) / 2);
+        const outcome = this.score > this.cpuScore ? "won" : this.score < this.cpuScore ? "lost" : "tied";
+
+        return {
+          eventName: this.name,
+          instructions: instructionsByPhase[this.phase] || "",
+          status: this.statusText(),
+          attemptsRemaining:
+            this.phase === "scored" || this.phase === "complete" ? 0 : this.stonesPerTeam - playerThrown,
+          score: this.score,
+          resultDetail: Utils.t(`curling.result.${outcome}`, {
+            score: this.score,
+            cpuScore: this.cpuScore,
+            count: this.endScores.player.length
+          })
+        };
+      }
+    };
+
+    event.reset();
+    return event;
+  }
+
+  registerEvent({
+    id: "curling",
+    name: "curling.name",
+    create: createCurlingEvent,
+    controls: ["charge", "aimUp", "aimDown", "brush"],
+    gamepad: { 0: "charge", 1: "brush", 12: "aimUp", 13: "aimDown" },
+    touch: [{ action: "brush", label: "touch.brush" }],
+    // Friction goes up on easy because a slower sheet spreads the house over more
+    // of the charge meter.
+    difficulty: {
+      easy: { chargeRate: 0.75, friction: 1.2, stones: 2, ends: 4, cpuSkill: 0.4 },
+      normal: { chargeRate: 1, friction: 1, stones: 3, ends: 4, cpuSkill: 0.6 },
+      hard: { chargeRate: 1.3, friction: 0.85, stones: 4, ends: 4, cpuSkill: 0.8 },
+      // Custom rows whose limits the presets can't suggest.
+      custom: { ends: { step: 1, min: 1, max: 10 }, cpuSkill: { step: 0.1, min: 0, max: 1 } }
+    },
+    // Points scored over the match.
+    par: 6,
+    icon(context, x, y, size) {
+      // Stone seen from the side, with its handle.
+      const s = size / 40;
+      context.save();
+      context.fillStyle = "#8c96a0";
+      context.beginPath();
+      context.ellipse(x + 20 * s, y + 27 * s, 15 * s, 8 * s, 0, 0, Math.PI * 2);
+      context.fill();
+      context.fillStyle = "#c23b3b";
+      context.fillRect(x + 8 * s, y + 18 * s, 24 * s, 5 * s);
+      context.strokeStyle = "#173248";
+      context.lineWidth = 3 * s;
+      context.lineCap = "round";
+      context.beginPath();
+      context.moveTo(x + 16 * s, y + 18 * s);
+      context.lineTo(x + 16 * s, y + 11 * s);
+      context.lineTo(x + 28 * s, y + 11 * s);
+      context.stroke();
+      context.restore();
+    }
+  });
+
+  return { createCurlingEvent };
+});
@@ -0,0 +1,649 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../core.js"));
+  } else {
+    Object.assign(root.MiniOlympics, factory(root.MiniOlympics));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+  "use strict";
+
+  const {
+    HEIGHT,
+    WIDTH,
+    GRAVITY,
+    TIMING_ZONES,
+    DIFFICULTY_PRESETS,
+    NO_ASSIST,
+    ASSIST_SLOWDOWN,
+    Utils,
+    resolveDeps,
+    registerEvent
+  } = core;
+
+  // ISU base values for each jump, single through quad. Names are message ids.
+  const JUMP_CATALOG = [
+    { code: "T", name: "figure.jump.toeLoop", baseValues: [0.4, 1.3, 4.2, 9.5] },
+    { code: "S", name: "figure.jump.salchow", baseValues: [0.4, 1.3, 4.3, 9.7] },
+    { code: "Lo", name: "figure.jump.loop", baseValues: [0.5, 1.7, 4.9, 10.5] },
+    { code: "F", name: "figure.jump.flip", baseValues: [0.5, 1.8, 5.3, 11.0] },
+    { code: "Lz", name: "figure.jump.lutz", baseValues: [0.6, 2.1, 5.9, 11.5] },
+    { code: "A", name: "figure.jump.axel", baseValues: [1.1, 3.3, 8.0, 12.5], halfTurn: true }
+  ];
+
+  const ROTATION_NAMES = [
+    "figure.rotations.single",
+    "figure.rotations.double",
+    "figure.rotations.triple",
+    "figure.rotations.quad"
+  ];
+
+  // Landing quality from airtime against what the element needs; below the last
+  // band the skater falls.
+  const LANDINGS = [
+    { minRatio: 1.12, goe: 3, label: "figure.landing.soaring" },
+    { minRatio: 1.04, goe: 2, label: "figure.landing.clean" },
+    { minRatio: 1.0, goe: 1, label: "figure.landing.good" },
+    { minRatio: 0.94, goe: -1, label: "figure.landing.tight" },
+    { minRatio: 0.86, goe: -3, label: "figure.landing.steppedOut" }
+  ];
+
+  const FALL_DEDUCTION = 1;
+
+  // Spin rates in revolutions per second with the arms out and pulled in. Pulling in
+  // also drops the skater out of the air faster (extra fraction of gravity).
+  const OPEN_SPIN_RATE = 1.0;
+  const TUCKED_SPIN_RATE = 4.4;
+  const TUCK_EXTRA_GRAVITY = 0.3;
+
+  // ISU rotation calls by missing revolutions on landing: a quarter short is "q",
+  // up to a half is under-rotated (80% of base), a half or more is downgraded to
+  // the jump with one less rotation. Three quarters short, or spinning half a turn
+  // past the landing, ends in a fall.
+  const ROTATION_CALLS = [
+    { maxShort: 0.1, mark: "", label: "figure.call.fullyRotated", goe: 0, baseFactor: 1 },
+    { maxShort: 0.25, mark: "q", label: "figure.call.quarterShort", goe: -1, baseFactor: 1 },
+    { maxShort: 0.5, mark: "<", label: "figure.call.underRotated", goe: -2, baseFactor: 0.8 },
+    { maxShort: 0.75, mark: "<<", label: "figure.call.downgraded", goe: -3, downgrade: true }
+  ];
+
+  // The axel's forward takeoff adds half a revolution, so it needs more air.
+  function describeJump(typeIndex, rotations) {
+    const jump = JUMP_CATALOG[typeIndex];
+    const revolutions = rotations + (jump.halfTurn ? 0.5 : 0);
+    const requiredAirtime = 0.45 + 0.16 * revolutions;
+
+    return {
+      code: `${rotations}${jump.code}`,
+      rotations,
+      name: Utils.t("figure.element", { rotations: Utils.t(ROTATION_NAMES[rotations - 1]), jump: Utils.t(jump.name) }),
+      baseValue: jump.baseValues[rotations - 1],
+      revolutions,
+      requiredAirtime,
+      requiredHeight: (GRAVITY * requiredAirtime * requiredAirtime) / 8
+    };
+  }
+
+  function roundPoints(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  function createFigureSkatingEvent(deps = {}) {
+    const { sound, input, controls } = resolveDeps(deps);
+
+    const groundY = 470;
+
+    const event = {
+      get name() {
+        return Utils.t("figure.name");
+      },
+      score: 0,
+      totalJumps: 5,
+      jumpsCompleted: 0,
+      phase: "ready",
+      finished: false,
+      skaterY: groundY,
+      skaterVy: 0,
+      peakY: groundY,
+      charge: 0,
+      chargeRate: 0.9,
+      needle: 0,
+      needleDirection: 1,
+      needleSpeed: 1.5,
+      zones: TIMING_ZONES,
+      timingError: 0,
+      typeIndex: 0,
+      rotations: 2,
+      rotation: 0,
+      tucked: false,
+      // The element committed at takeoff, and the judged protocol so far.
+      element: null,
+      airTime: 0,
+      elements: [],
+      deductions: 0,
+      jumpMessage: "",
+      pauseTimer: 0,
+      assist: NO_ASSIST,
+
+      reset({ difficulty = DIFFICULTY_PRESETS.normal, assist = NO_ASSIST } = {}) {
+        const slowdown = assist.slowTiming ? ASSIST_SLOWDOWN : 1;
+        this.assist = assist;
+        this.totalJumps = difficulty.figure.jumps;
+        this.chargeRate = 0.9 * difficulty.figure.chargeRate * slowdown;
+        this.needleSpeed = 1.5 * difficulty.figure.needleSpeed * slowdown;
+        this.zones = {
+          green: TIMING_ZONES.green * difficulty.zoneScale,
+          yellow: TIMING_ZONES.yellow * difficulty.zoneScale
+        };
+
+        this.score = 0;
+        this.jumpsCompleted = 0;
+        this.phase = "ready";
+        this.finished = false;
+        this.skaterY = groundY;
+        this.skaterVy = 0;
+        this.peakY = groundY;
+        this.charge = 0;
+        this.needle = 0;
+        this.needleDirection = 1;
+        this.timingError = 0;
+        this.typeIndex = 0;
+        this.rotations = 2;
+        this.element = null;
+        this.airTime = 0;
+        this.rotation = 0;
+        this.tucked = false;
+        this.elements = [];
+        this.deductions = 0;
+        this.jumpMessage = Utils.t(assist.oneSwitch ? "figure.start.oneSwitch" : "figure.start", {
+          key: controls.label("charge")
+        });
+        this.pauseTimer = 0;
+      },
+
+      updateNeedle(dt) {
+        this.needle += this.needleDirection * this.needleSpeed * dt;
+        if (this.needle > 1) {
+          this.needle = 2 - this.needle;
+          this.needleDirection = -1;
+        }
+        if (this.needle < 0) {
+          this.needle = -this.needle;
+          this.needleDirection = 1;
+        }
+      },
+
+      selectedJump() {
+        return describeJump(this.typeIndex, this.rotations);
+      },
+
+      evaluateTiming(needle) {
+        const error = Math.abs(needle - 0.5);
+
+        if (error <= this.zones.green) {
+          return { label: Utils.t("figure.timing.perfect"), error };
+        }
+
+        if (error <= this.zones.yellow) {
+          return { label: Utils.t("figure.timing.okay"), error };
+        }
+
+        return { label: Utils.t("figure.timing.bad"), error };
+      },
+
+      takeoffSpeed(charge, timingError) {
+        const timingAccuracy = 1 - Utils.clamp(timingError / 0.5, 0, 1);
+        return 620 + 520 * charge + 140 * timingAccuracy;
+      },
+
+      // Power that gives the selected jump exactly its airtime with perfect timing.
+      requiredCharge() {
+        const neededSpeed = (this.selectedJump().requiredAirtime * GRAVITY) / 2;
+        return Utils.clamp((neededSpeed - this.takeoffSpeed(0, 0)) / 520, 0, 1);
+      },
+
+      startJump() {
+        const timing = this.evaluateTiming(this.needle);
+        this.timingError = timing.error;
+        this.element = this.selectedJump();
+        this.airTime = 0;
+        this.rotation = 0;
+        this.tucked = false;
+
+        this.skaterVy = -this.takeoffSpeed(this.charge, this.timingError);
+        this.peakY = this.skaterY;
+        this.phase = "air";
+        this.jumpMessage = Utils.t("figure.locked", { code: this.element.code, timing: timing.label });
+        sound.beep({ freq: 620, duration: 0.06, volume: 0.03 });
+      },
+
+      // Rotation call for the revolutions completed, or null for a fall.
+      callRotation(element, rotation) {
+        const short = element.revolutions - rotation;
+        if (short < -0.5) {
+          return null;
+        }
+
+        return ROTATION_CALLS.find((call) => short <= call.maxShort) || null;
+      },
+
+      // Grade of Execution: up to +2 for takeoff timing (a grade lost per 0.08 of
+      // needle error) plus the landing grade and any rotation penalty, capped to
+      // -5..+5. A fall is always -5 and costs a further point off the total. Each
+      // grade is worth 10% of the (possibly reduced) base value.
+      resolveLanding() {
+        const element = this.element;
+        const airtimeRatio = this.airTime / element.requiredAirtime;
+        const landing = LANDINGS.find((candidate) => airtimeRatio >= candidate.minRatio) || null;
+        const call = this.callRotation(element, this.rotation);
+        const fall = !landing || !call;
+
+        let baseValue = element.baseValue;
+        if (call && call.downgrade) {
+          baseValue = element.rotations > 1 ? describeJump(this.typeIndex, element.rotations - 1).baseValue : 0;
+        } else if (call) {
+          baseValue = element.baseValue * call.baseFactor;
+        }
+
+        const timingGoe = Utils.clamp(Math.round(2 - this.timingError / 0.08), -3, 2);
+        const goe = fall ? -5 : Utils.clamp(timingGoe + landing.goe + call.goe, -5, 5);
+        const points = roundPoints(baseValue * (1 + goe / 10));
+
+        if (fall) {
+          this.deductions += FALL_DEDUCTION;
+        }
+
+        const mark = call ? call.mark : "";
+        this.elements.push({ code: `${element.code}${mark}`, baseValue, goe, points, fall, rotation: this.rotation });
+        this.score = roundPoints(
+          Math.max(0, this.elements.reduce((sum, entry) => sum + entry.points, 0) - this.deductions)
+        );
+        this.jumpsCompleted += 1;
+        this.tucked = false;
+
+        const goeText = goe > 0 ? `+${goe}` : `${goe}`;
+        const verdict = fall
+          ? Utils.t("figure.fall")
+          : Utils.t("figure.verdict", { call: Utils.t(call.label), landing: Utils.t(landing.label) });
+        this.jumpMessage = Utils.t("figure.judged", {
+          code: `${element.code}${mark}`,
+          verdict,
+          goe: goeText,
+          points: Utils.formatPoints(points)
+        });
+        sound.beep({ freq: 360 + points * 30, duration: 0.09, type: "triangle", volume: 0.04 });
+
+        if (this.jumpsCompleted >= this.totalJumps) {
+          this.phase = "complete";
+          this.finished = true;
+          this.jumpMessage = Utils.t("figure.routineComplete", { score: Utils.formatPoints(this.score) });
+        } else {
+          this.phase = "pause";
+          this.pauseTimer = 0.6;
+        }
+      },
+
+      update(dt) {
+        if (this.phase === "complete") {
+          return;
+        }
+
+        const lastNeedle = this.needle;
+        if (this.phase === "ready" || this.phase === "charging") {
+          this.updateNeedle(dt);
+        }
+
+        if (this.phase === "charging") {
+          this.charge = Utils.clamp(this.charge + this.chargeRate * dt, 0, 1);
+
+          // Auto-release: once past the red tick, go as the needle crosses the centre.
+          const crossedCentre = (lastNeedle - 0.5) * (this.needle - 0.5) <= 0;
+          if (this.assist.autoRelease && this.charge >= this.requiredCharge() && crossedCentre) {
+            this.startJump();
+          }
+        }
+
+        if (this.phase === "air") {
+          // Holding charge pulls the arms in: faster spin, shorter flight. One-switch
+          // players toggle the tuck with a press instead (see handleInput).
+          if (!this.assist.oneSwitch) {
+            this.tucked = input.isDown(controls.code("charge"));
+          }
+          this.rotation += (this.tucked ? TUCKED_SPIN_RATE : OPEN_SPIN_RATE) * dt;
+
+          this.airTime += dt;
+          this.skaterVy += GRAVITY * (this.tucked ? 1 + TUCK_EXTRA_GRAVITY : 1) * dt;
+          this.skaterY += this.skaterVy * dt;
+          this.jumpMessage = Utils.t("figure.spinning", {
+            code: this.element.code,
+            rotation: Utils.formatNumber(this.rotation, 1),
+            revolutions: Utils.formatNumber(this.element.revolutions, this.element.revolutions % 1 === 0 ? 0 : 1)
+          });
+
+          if (this.skaterY < this.peakY) {
+            this.peakY = this.skaterY;
+          }
+
+          if (this.skaterY >= groundY && this.skaterVy > 0) {
+            this.skaterY = groundY;
+            this.skaterVy = 0;
+            this.resolveLanding();
+          }
+        }
+
+        if (this.phase === "pause") {
+          this.pauseTimer -= dt;
+          if (this.pauseTimer <= 0) {
+            this.phase = "ready";
+            this.charge = 0;
+            this.jumpMessage = Utils.t(this.assist.oneSwitch ? "figure.next.oneSwitch" : "figure.next", {
+              key: controls.label("charge")
+            });
+          }
+        }
+      },
+
+      draw(context) {
+        context.save();
+
+        context.fillStyle = "#d9f2ff";
+        context.fillRect(0, 0, WIDTH, HEIGHT);
+
+        context.fillStyle = "#d0e8f7";
+        context.fillRect(0, groundY + 15, WIDTH, HEIGHT - groundY - 15);
+
+        context.strokeStyle = "#aac7da";
+        context.lineWidth = 2;
+        for (let x = 40; x < WIDTH; x += 80) {
+          context.beginPath();
+          context.moveTo(x, groundY + 20);
+          context.lineTo(x + 28, HEIGHT);
+          context.stroke();
+        }
+
+        // Simple skater avatar, seen side-on: the spin shows as the arms and the
+        // free leg swinging through the turn.
+        const skaterX = 230;
+        const turn = Math.cos(this.rotation * Math.PI * 2);
+        const facing = Math.sin(this.rotation * Math.PI * 2);
+        const armReach = this.tucked ? 7 : 22;
+
+        context.strokeStyle = "#3d6a8f";
+        context.lineWidth = 4;
+        context.beginPath();
+        context.moveTo(skaterX - armReach * turn, this.skaterY - 6);
+        context.lineTo(skaterX + armReach * turn, this.skaterY - 6);
+        context.stroke();
+
+        context.fillStyle = "#2a4560";
+        context.beginPath();
+        context.arc(skaterX, this.skaterY - 24, 12, 0, Math.PI * 2);
+        context.fill();
+
+        context.fillStyle = "#f1c7a5";
+        context.beginPath();
+        context.arc(skaterX + 7 * facing, this.skaterY - 24, 4, 0, Math.PI * 2);
+        context.fill();
+
+        context.strokeStyle = "#1f3042";
+        context.lineWidth = 6;
+        context.beginPath();
+        context.moveTo(skaterX, this.skaterY - 12);
+        context.lineTo(skaterX, this.skaterY + 18);
+        if (this.phase === "air") {
+          context.moveTo(skaterX, this.skaterY + 8);
+          context.lineTo(skaterX + 14 * turn, this.skaterY + 20);
+        }
+        context.stroke();
+
+        // Height the selected (or airborne) element needs, measured at the skater's feet.
+        const target = this.phase === "air" ? this.element : this.selectedJump();
+        const targetY = groundY - target.requiredHeight;
+        context.strokeStyle = "rgba(178, 58, 58, 0.7)";
+        context.lineWidth = 2;
+        context.setLineDash([6, 5]);
+        context.beginPath();
+        context.moveTo(skaterX - 50, targetY);
+        context.lineTo(skaterX + 50, targetY);
+        context.stroke();
+        context.setLineDash([]);
+        context.fillStyle = "#b23a3a";
+        context.font = "bold 14px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(target.code, skaterX + 56, targetY + 5);
+
+        context.strokeStyle = "#6c7f93";
+        context.lineWidth = 5;
+        context.beginPath();
+        context.moveTo(skaterX - 16, groundY + 19);
+        context.lineTo(skaterX + 16, groundY + 19);
+        context.stroke();
+
+        Utils.drawTimingMeter(context, 300, 70, 460, 26, this.needle, this.zones);
+        Utils.drawChargeMeter(context, 300, 118, 460, 16, this.charge, Utils.t("figure.meter.power"));
+
+        // Tick on the power meter for the selected jump's minimum.
+        const requiredX = 300 + this.requiredCharge() * 460;
+        context.strokeStyle = "#b23a3a";
+        context.lineWidth = 3;
+        context.beginPath();
+        context.moveTo(requiredX, 112);
+        context.lineTo(requiredX, 140);
+        context.stroke();
+
+        context.fillStyle = "#173248";
+        context.font = "bold 18px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(this.jumpMessage, 300, 160);
+
+        this.drawJumpPicker(context, 300, 190);
+        this.drawProtocol(context, 790, 70);
+
+        context.restore();
+      },
+
+      drawJumpPicker(context, x, y) {
+        const selected = this.selectedJump();
+        const picking = this.phase === "ready" || this.phase === "pause";
+
+        context.save();
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+
+        JUMP_CATALOG.forEach((jump, i) => {
+          const chipX = x + i * 78;
+          const active = i === this.typeIndex;
+          context.fillStyle = active ? "#2a6694" : "rgba(255, 255, 255, 0.75)";
+          context.fillRect(chipX, y, 70, 34);
+          context.strokeStyle = "#173248";
+          context.lineWidth = 2;
+          context.strokeRect(chipX, y, 70, 34);
+
+          context.fillStyle = active ? "#ffffff" : "#173248";
+          context.font = "bold 18px Trebuchet MS";
+          context.fillText(`${this.rotations}${jump.code}`, chipX + 35, y + 17);
+        });
+
+        context.fillStyle = picking ? "#173248" : "#5d7387";
+        context.font = "16px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(
+          Utils.t("figure.picker", {
+            name: selected.name,
+            base: Utils.formatNumber(selected.baseValue, 2),
+            air: Utils.formatNumber(selected.requiredAirtime, 2)
+          }),
+          x,
+          y + 54
+        );
+        context.restore();
+      },
+
+      drawProtocol(context, x, y) {
+        context.save();
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "bold 16px Trebuchet MS";
+        context.fillText(Utils.t("figure.protocol"), x, y);
+
+        context.font = "15px Trebuchet MS";
+        this.elements.forEach((entry, i) => {
+          const goeText = entry.goe > 0 ? `+${entry.goe}` : `${entry.goe}`;
+          context.fillText(
+            `${entry.code}${entry.fall ? " F" : ""} ${goeText}  ${Utils.formatNumber(entry.points, 2)}`,
+            x,
+            y + 26 + i * 22
+          );
+        });
+
+        if (this.deductions > 0) {
+          context.fillStyle = "#b23a3a";
+          context.fillText(
+            Utils.t("figure.deductions", { value: Utils.formatNumber(this.deductions, 2) }),
+            x,
+            y + 26 + this.elements.length * 22
+          );
+        }
+        context.restore();
+      },
+
+      handleInput(eventType, payload) {
+        if (this.finished) {
+          return;
+        }
+
+        // One-switch: each press of charge is the next step, so it stands in for the
+        // release while charging and flips the tuck in the air. Releases do nothing.
+        if (this.assist.oneSwitch && controls.is("charge", payload.code)) {
+          if (eventType !== "keydown" || payload.repeat) {
+            return;
+          }
+          if (this.phase === "air") {
+            this.tucked = !this.tucked;
+            return;
+          }
+          if (this.phase === "charging") {
+            eventType = "keyup";
+          }
+        }
+
+        // Auto-release ignores letting go early; the charge runs on to its point.
+        if (this.assist.autoRelease && eventType === "keyup" && controls.is("charge", payload.code)) {
+          return;
+        }
+
+        if (eventType === "keydown" && (this.phase === "ready" || this.phase === "pause")) {
+          if (controls.is("jumpPrev", payload.code) || controls.is("jumpNext", payload.code)) {
+            const step = controls.is("jumpNext", payload.code) ? 1 : -1;
+            this.typeIndex = (this.typeIndex + step + JUMP_CATALOG.length) % JUMP_CATALOG.length;
+            sound.beep({ freq: 480, duration: 0.03, volume: 0.02 });
+          } else if (controls.is("rotationsUp", payload.code) || controls.is("rotationsDown", payload.code)) {
+            const step = controls.is("rotationsUp", payload.code) ? 1 : -1;
+            this.rotations = Utils.clamp(this.rotations + step, 1, ROTATION_NAMES.length);
+            sound.beep({ freq: 480 + this.rotations * 60, duration: 0.03, volume: 0.02 });
+          }
+        }
+
+        if (eventType === "keydown" && controls.is("charge", payload.code) && !payload.repeat) {
+          if (this.phase === "ready") {
+            this.phase = "charging";
+            this.charge = 0;
+            sound.beep({ freq: 520, duration: 0.04, volume: 0.02 });
+          }
+        }
+
+        if (eventType === "keyup" && controls.is("charge", payload.code)) {
+          if (this.phase === "charging") {
+            this.startJump();
+          }
+        }
+      },
+
+      getHUD() {
+        const key = controls.label("charge");
+        const mode = this.assist.oneSwitch ? ".oneSwitch" : "";
+        const instructionsByPhase = {
+          ready: Utils.t(`figure.hud.ready${mode}`, {
+            prev: controls.label("jumpPrev"),
+            next: controls.label("jumpNext"),
+            up: controls.label("rotationsUp"),
+            down: controls.label("rotationsDown"),
+            key
+          }),
+          charging: Utils.t(`figure.hud.charging${mode}`, { key }),
+          air: Utils.t(`figure.hud.air${mode}`, { key }),
+          pause: Utils.t("figure.hud.pause"),
+          complete: Utils.t("figure.hud.complete")
+        };
+
+        const hud = {
+          eventName: this.name,
+          instructions: instructionsByPhase[this.phase] || "",
+          // The rotation count ticks every frame in the air, so it is left out.
+          status: this.phase === "air" ? "" : this.jumpMessage,
+          attemptsRemaining: this.totalJumps - this.jumpsCompleted,
+          score: this.score
+        };
+
+        if (this.elements.length > 0) {
+          const falls = this.elements.filter((entry) => entry.fall).length;
+          const codes = this.elements.map((entry) => entry.code).join(" ");
+          hud.resultDetail = falls > 0 ? `${codes} ${Utils.t("figure.falls", { count: falls })}` : codes;
+        }
+
+        return hud;
+      }
+    };
+
+    event.reset();
+    return event;
+  }
+
+  registerEvent({
+    id: "figure",
+    name: "figure.name",
+    create: createFigureSkatingEvent,
+    controls: ["charge", "jumpPrev", "jumpNext", "rotationsUp", "rotationsDown"],
+    gamepad: { 0: "charge", 12: "rotationsUp", 13: "rotationsDown", 14: "jumpPrev", 15: "jumpNext" },
+    touch: [
+      { action: "jumpPrev", label: "touch.jumpPrev" },
+      { action: "jumpNext", label: "touch.jumpNext" },
+      { action: "rotationsDown", label: "touch.rotationsDown" },
+      { action: "rotationsUp", label: "touch.rotationsUp" }
+    ],
+    difficulty: {
+      easy: { needleSpeed: 0.7, chargeRate: 0.8, jumps: 4 },
+      normal: { needleSpeed: 1, chargeRate: 1, jumps: 5 },
+      hard: { needleSpeed: 1.35, chargeRate: 1.25, jumps: 6 }
+    },
+    // A clean five-jump routine lands around 45 ISU points.
+    par: 45,
+    icon(context, x, y, size) {
+      // Skater mid-spin: head, leaning body, raised arms and a blade.
+      const s = size / 40;
+      context.save();
+      context.strokeStyle = "#173248";
+      context.fillStyle = "#173248";
+      context.lineWidth = 3 * s;
+      context.lineCap = "round";
+      context.beginPath();
+      context.arc(x + 22 * s, y + 7 * s, 4 * s, 0, Math.PI * 2);
+      context.fill();
+      context.beginPath();
+      context.moveTo(x + 21 * s, y + 12 * s);
+      context.lineTo(x + 18 * s, y + 26 * s);
+      context.lineTo(x + 12 * s, y + 34 * s);
+      context.moveTo(x + 18 * s, y + 26 * s);
+      context.lineTo(x + 30 * s, y + 24 * s);
+      context.moveTo(x + 10 * s, y + 12 * s);
+      context.lineTo(x + 21 * s, y + 15 * s);
+      context.lineTo(x + 32 * s, y + 9 * s);
+      context.moveTo(x + 8 * s, y + 36 * s);
+      context.lineTo(x + 18 * s, y + 34 * s);
+      context.stroke();
+      context.restore();
+    }
+  });
+
+  return { createFigureSkatingEvent };
+});
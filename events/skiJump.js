@@ -0,0 +1,757 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../core.js"));
+  } else {
+    Object.assign(root.MiniOlympics, factory(root.MiniOlympics));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+  "use strict";
+
+  const {
+    HEIGHT,
+    WIDTH,
+    GRAVITY,
+    DEG_TO_RAD,
+    DIFFICULTY_PRESETS,
+    NO_ASSIST,
+    ASSIST_SLOWDOWN,
+    Utils,
+    resolveDeps,
+    registerEvent
+  } = core;
+
+  // Distances are measured horizontally from the lip at 6 px per metre, so these
+  // are youth-sized hills. A jump to the K-point is worth 60 distance points.
+  const HILLS = {
+    small: { kPoint: 13, hillSize: 16 },
+    normal: { kPoint: 17, hillSize: 20 }
+  };
+
+  // FIS meter values (points per metre either side of K) by K-point band.
+  const METER_VALUES = [
+    { minK: 170, value: 1.2 },
+    { minK: 100, value: 1.8 },
+    { minK: 80, value: 2.0 },
+    { minK: 70, value: 2.2 },
+    { minK: 60, value: 2.4 },
+    { minK: 50, value: 2.8 },
+    { minK: 40, value: 3.2 },
+    { minK: 35, value: 3.6 },
+    { minK: 30, value: 4.0 },
+    { minK: 25, value: 4.4 },
+    { minK: 0, value: 4.8 }
+  ];
+
+  const JUDGE_COUNT = 5;
+
+  function meterValueFor(kPoint) {
+    return METER_VALUES.find((band) => kPoint >= band.minK).value;
+  }
+
+  function resolveHill(hill = "normal") {
+    const base = typeof hill === "string" ? HILLS[hill] || HILLS.normal : { ...HILLS.normal, ...hill };
+    return { ...base, meterValue: base.meterValue || meterValueFor(base.kPoint) };
+  }
+
+  function createSkiJumpEvent(deps = {}, options = {}) {
+    const { sound, input, controls } = resolveDeps(deps);
+    const hill = resolveHill(options.hill);
+
+    const rampStart = { x: 120, y: 120 };
+    const lip = { x: 330, y: 300 };
+    const hillEnd = { x: 860, y: 560 };
+
+    const rampDx = lip.x - rampStart.x;
+    const rampDy = lip.y - rampStart.y;
+    const rampLength = Math.hypot(rampDx, rampDy);
+    const rampTangent = { x: rampDx / rampLength, y: rampDy / rampLength };
+    const rampNormal = { x: rampTangent.y, y: -rampTangent.x };
+
+    // Wind speeds are in m/s; the flight model sees 120 px/s of airflow per m/s.
+    const windPxPerMs = 120;
+    // FIS-style compensation: each m/s of average headwind is worth about 0.35 m of
+    // distance at a flat flying pitch, so it costs that many metres of points.
+    // Tailwind is credited 1.21x as much, as on the World Cup.
+    const windMetersPerMs = 0.35;
+    const headwindPointsPerMs = windMetersPerMs * hill.meterValue;
+    const tailwindPointsPerMs = headwindPointsPerMs * 1.21;
+    const pxPerMeter = 6;
+
+    const hillSlope = (hillEnd.y - lip.y) / (hillEnd.x - lip.x);
+    const hillAngleDeg = Math.atan2(hillEnd.y - lip.y, hillEnd.x - lip.x) / DEG_TO_RAD;
+
+    const event = {
+      get name() {
+        return Utils.t("ski.name");
+      },
+      hill,
+      score: 0,
+      attemptsTotal: 1,
+      attemptsUsed: 0,
+      phase: "ramp",
+      finished: false,
+      loading: false,
+      load: 0,
+      loadRate: 0.9,
+      // Scale on the distance before the lip over which a release still earns impulse.
+      takeoffWindow: 1,
+      takeoffLocked: false,
+      timingFactor: 0.35,
+      landingMessage: "",
+      doneTimer: 0,
+      // Positive wind is headwind (blowing up the hill into the jumper's face).
+      wind: { base: 0, gust: 0, period: 1, phase: 0, phase2: 0 },
+      flightTime: 0,
+      windSum: 0,
+      windAverage: 0,
+      windCompensation: 0,
+      distanceMeters: 0,
+      distancePoints: 0,
+      // Pitch statistics over the flight, for the style judges.
+      pitchSum: 0,
+      pitchSquareSum: 0,
+      pitchSamples: 0,
+      judges: [],
+      styleScore: 0,
+      // The best attempt so far: its score, HUD detail, judges and path.
+      best: null,
+      assist: NO_ASSIST,
+      rng: Math.random,
+      skier: {
+        s: 0,
+        speedAlong: 0,
+        x: rampStart.x,
+        y: rampStart.y,
+        vx: 0,
+        vy: 0,
+        pitchDeg: 6
+      },
+      trail: [],
+      // Skier [x, y, pitch] for every tick of this attempt, and the personal-best
+      // attempt in the same shape (set by the app) drawn alongside it.
+      path: [],
+      ghost: null,
+
+      hillY(x) {
+        const clampedX = Utils.clamp(x, lip.x, hillEnd.x);
+        return lip.y + hillSlope * (clampedX - lip.x);
+      },
+
+      reset({ seed = 1, difficulty = DIFFICULTY_PRESETS.normal, assist = NO_ASSIST } = {}) {
+        this.rng = Utils.createRng(seed);
+        this.assist = assist;
+        this.attemptsTotal = difficulty.ski.attempts;
+        this.loadRate = 0.9 * difficulty.ski.loadRate;
+        // The ramp has no needle to slow, so slow timing lengthens the release window
+        // by as much as halving the skier's speed would.
+        this.takeoffWindow = difficulty.ski.takeoffWindow / (assist.slowTiming ? ASSIST_SLOWDOWN : 1);
+        this.score = 0;
+        this.attemptsUsed = 0;
+        this.best = null;
+        this.finished = false;
+        this.startAttempt();
+      },
+
+      // Every attempt gets fresh wind from the event's generator; compensation
+      // keeps them comparable.
+      startAttempt() {
+        const rng = this.rng;
+        this.wind = {
+          base: (rng() * 2 - 1) * 2.5,
+          gust: 0.4 + rng() * 1.4,
+          period: 0.8 + rng() * 1.2,
+          phase: rng() * Math.PI * 2,
+          phase2: rng() * Math.PI * 2
+        };
+        this.flightTime = 0;
+        this.windSum = 0;
+        this.windAverage = 0;
+        this.windCompensation = 0;
+        this.distanceMeters = 0;
+        this.distancePoints = 0;
+        this.pitchSum = 0;
+        this.pitchSquareSum = 0;
+        this.pitchSamples = 0;
+        this.judges = [];
+        this.styleScore = 0;
+
+        this.phase = "ramp";
+        this.loading = false;
+        this.load = 0;
+        this.takeoffLocked = false;
+        this.timingFactor = 0.35;
+        this.landingMessage = Utils.t(this.assist.oneSwitch ? "ski.start.oneSwitch" : "ski.start", {
+          key: controls.label("charge")
+        });
+        if (this.attemptsTotal > 1) {
+          const attempt = Utils.t("ski.attempt", { number: this.attemptsUsed + 1, total: this.attemptsTotal });
+          this.landingMessage = `${attempt} ${this.landingMessage}`;
+        }
+        this.doneTimer = 0;
+
+        this.skier.s = 0;
+        this.skier.speedAlong = 0;
+        this.skier.x = rampStart.x;
+        this.skier.y = rampStart.y;
+        this.skier.vx = 0;
+        this.skier.vy = 0;
+        this.skier.pitchDeg = 6;
+
+        this.trail = [];
+        this.path = [];
+      },
+
+      // Base wind plus two out-of-step gust waves, in m/s.
+      windAt(time) {
+        const wind = this.wind;
+        const wave = Math.sin((time / wind.period) * Math.PI * 2 + wind.phase);
+        const ripple = Math.sin((time / wind.period) * Math.PI * 5.4 + wind.phase2);
+        return wind.base + wind.gust * (wave + 0.35 * ripple);
+      },
+
+      currentWind() {
+        return this.windAt(this.flightTime);
+      },
+
+      // Headwind is deducted and tailwind credited, so the same jump scores the
+      // same whatever the conditions.
+      computeWindCompensation(averageWind) {
+        if (averageWind >= 0) {
+          return -averageWind * headwindPointsPerMs;
+        }
+        return -averageWind * tailwindPointsPerMs;
+      },
+
+      // Each judge starts from 20 and deducts for an unsteady flight, a jump too short
+      // to show a flight position, a landing pitch away from the telemark position, a
+      // heavy touchdown and landing past the hill size, give or take their own eye.
+      // Marks are in half points; the highest and lowest are dropped and the middle
+      // three count.
+      scoreStyle(landingPitch, landingVy) {
+        const samples = Math.max(1, this.pitchSamples);
+        const meanPitch = this.pitchSum / samples;
+        const pitchVariance = Math.max(0, this.pitchSquareSum / samples - meanPitch * meanPitch);
+
+        const deduction =
+          Utils.clamp(Math.sqrt(pitchVariance) * 0.45, 0, 5) +
+          Utils.clamp((hill.kPoint * 0.6 - this.distanceMeters) * 0.6, 0, 6) +
+          Utils.clamp((Math.abs(landingPitch - 8) - 3) * 0.3, 0, 5) +
+          Utils.clamp((landingVy - 300) / 60, 0, 6) +
+          (this.distanceMeters > hill.hillSize ? 1.5 : 0);
+
+        const marks = [];
+        for (let i = 0; i < JUDGE_COUNT; i += 1) {
+          const eye = (this.rng() - 0.5) * 1.6;
+          marks.push(Utils.clamp(Math.round((20 - deduction + eye) * 2) / 2, 0, 20));
+        }
+
+        const order = marks.map((mark, i) => i).sort((a, b) => marks[a] - marks[b]);
+        const lowest = order[0];
+        const highest = order[order.length - 1];
+
+        this.judges = marks.map((mark, i) => ({ mark, dropped: i === lowest || i === highest }));
+        return this.judges.reduce((sum, judge) => sum + (judge.dropped ? 0 : judge.mark), 0);
+      },
+
+      computeTimingFactor(distanceToLip) {
+        const windowPx = 170 * this.takeoffWindow;
+        const normalized = Utils.clamp(1 - distanceToLip / windowPx, 0, 1);
+        return 0.3 + normalized * 0.7;
+      },
+
+      enterFlight() {
+        this.phase = "flight";
+
+        const loadFactor = 0.55 + 0.45 * this.load;
+        const impulse = 340 * loadFactor * this.timingFactor;
+
+        // Velocity at lip combines ramp speed + takeoff impulse.
+        this.skier.x = lip.x;
+        this.skier.y = lip.y;
+        this.skier.vx = rampTangent.x * this.skier.speedAlong + rampNormal.x * impulse;
+        this.skier.vy = rampTangent.y * this.skier.speedAlong + rampNormal.y * impulse;
+        this.skier.pitchDeg = 7;
+
+        sound.beep({ freq: 540, duration: 0.07, type: "square", volume: 0.04 });
+      },
+
+      resolveLanding() {
+        this.phase = "landed";
+
+        const distancePx = Math.max(0, this.skier.x - lip.x);
+        // FIS measures to the half metre.
+        const distanceMeters = Math.round((distancePx / pxPerMeter) * 2) / 2;
+
+        this.distanceMeters = distanceMeters;
+        this.distancePoints = 60 + (distanceMeters - hill.kPoint) * hill.meterValue;
+        this.styleScore = this.scoreStyle(this.skier.pitchDeg, this.skier.vy);
+
+        let landing = "ski.landing.hard";
+        if (this.styleScore >= 51) {
+          landing = "ski.landing.telemark";
+        } else if (this.styleScore >= 45) {
+          landing = "ski.landing.stable";
+        }
+
+        this.windAverage = this.flightTime > 0 ? this.windSum / this.flightTime : this.currentWind();
+        this.windCompensation = this.computeWindCompensation(this.windAverage);
+        const distance = Utils.formatDistance(distanceMeters);
+        const wind = Utils.formatNumber(this.windCompensation, 1, true);
+        this.landingMessage = Utils.t("ski.landed", { landing: Utils.t(landing), distance, wind });
+
+        // Points are kept to one decimal like an FIS result list.
+        const total = this.distancePoints + this.styleScore + this.windCompensation;
+        this.recordAttempt(
+          Math.max(0, Math.round(total * 10) / 10),
+          Utils.t("ski.result", {
+            distance,
+            kPoint: hill.kPoint,
+            distancePoints: Utils.formatNumber(this.distancePoints, 1),
+            style: Utils.formatNumber(this.styleScore, 1),
+            wind
+          })
+        );
+        this.doneTimer = 1.2;
+
+        sound.beep({ freq: 280 + distanceMeters * 4, duration: 0.1, type: "triangle", volume: 0.04 });
+      },
+
+      // The best attempt counts. Its path array is kept by reference; startAttempt()
+      // begins a new one, so the landing run-out is still recorded into it.
+      recordAttempt(score, detail) {
+        this.attemptsUsed += 1;
+        if (!this.best || score > this.best.score) {
+          this.best = { score, detail, judges: this.judges, path: this.path };
+        }
+        this.score = this.best.score;
+      },
+
+      endAttempt() {
+        if (this.attemptsUsed < this.attemptsTotal) {
+          this.startAttempt();
+          return;
+        }
+        this.phase = "complete";
+        this.finished = true;
+      },
+
+      updateRamp(dt) {
+        const rampAcceleration = 780;
+        this.skier.speedAlong += rampAcceleration * dt;
+
+        if (this.loading && !this.takeoffLocked) {
+          this.load = Utils.clamp(this.load + this.loadRate * dt, 0, 1);
+        }
+
+        this.skier.s += this.skier.speedAlong * dt;
+        if (this.skier.s >= rampLength) {
+          this.skier.s = rampLength;
+
+          if (!this.takeoffLocked) {
+            this.timingFactor = 1;
+            this.takeoffLocked = true;
+            this.loading = false;
+          }
+
+          this.enterFlight();
+        }
+
+        this.skier.x = rampStart.x + rampTangent.x * this.skier.s;
+        this.skier.y = rampStart.y + rampTangent.y * this.skier.s;
+      },
+
+      updateFlight(dt) {
+        if (input.isDown(controls.code("pitchUp"))) {
+          this.skier.pitchDeg = Utils.clamp(this.skier.pitchDeg + 55 * dt, -20, 20);
+        }
+        if (input.isDown(controls.code("pitchDown"))) {
+          this.skier.pitchDeg = Utils.clamp(this.skier.pitchDeg - 55 * dt, -20, 20);
+        }
+
+        const pitchAxis = input.getAxis("pitch");
+        if (pitchAxis !== 0) {
+          this.skier.pitchDeg = Utils.clamp(this.skier.pitchDeg + pitchAxis * 55 * dt, -20, 20);
+        }
+
+        const pitchNow = this.skier.pitchDeg;
+        this.pitchSum += pitchNow;
+        this.pitchSquareSum += pitchNow * pitchNow;
+        this.pitchSamples += 1;
+
+        const windMs = this.currentWind();
+        this.windSum += windMs * dt;
+        this.flightTime += dt;
+
+        // Aerodynamics act on the airflow relative to the skier: a headwind adds to
+        // it (more lift and drag), a tailwind takes away from it.
+        const airVx = this.skier.vx + windMs * windPxPerMs;
+        const airVy = this.skier.vy;
+        const speed = Utils.length(airVx, airVy);
+        const velUnit = Utils.normalize(airVx, airVy);
+
+        // Sweet spot for lift is slightly nose-up near +8 degrees.
+        const pitch = this.skier.pitchDeg;
+        const clShape = 1 - ((pitch - 8) * (pitch - 8)) / 900;
+        const Cl = 0.00024 * Math.max(0, clShape);
+        const Cd = 0.00009 + 0.000004 * (pitch + 2) * (pitch + 2);
+
+        const lift = Cl * speed * speed;
+        const drag = Cd * speed * speed;
+
+        const liftDir = { x: velUnit.y, y: -velUnit.x };
+
+        const ax = -drag * velUnit.x + lift * liftDir.x;
+        const ay = GRAVITY - drag * velUnit.y + lift * liftDir.y;
+
+        this.skier.vx += ax * dt;
+        this.skier.vy += ay * dt;
+        this.skier.x += this.skier.vx * dt;
+        this.skier.y += this.skier.vy * dt;
+
+        this.trail.push({ x: this.skier.x, y: this.skier.y });
+        if (this.trail.length > 60) {
+          this.trail.shift();
+        }
+
+        const hillY = this.hillY(this.skier.x);
+        if (this.skier.x >= lip.x && this.skier.y >= hillY) {
+          this.skier.y = hillY;
+          this.resolveLanding();
+        }
+
+        if (this.skier.x > WIDTH + 100 || this.skier.y > HEIGHT + 120) {
+          this.judges = [];
+          this.recordAttempt(0, "");
+          this.landingMessage = Utils.t("ski.missed");
+          if (this.attemptsUsed < this.attemptsTotal) {
+            this.phase = "landed";
+            this.doneTimer = 1.2;
+          } else {
+            this.endAttempt();
+          }
+        }
+      },
+
+      update(dt) {
+        if (this.phase === "complete") {
+          return;
+        }
+
+        if (this.phase === "ramp") {
+          this.updateRamp(dt);
+        } else if (this.phase === "flight") {
+          this.updateFlight(dt);
+        } else if (this.phase === "landed") {
+          this.doneTimer -= dt;
+          if (this.doneTimer <= 0) {
+            this.endAttempt();
+          }
+        }
+
+        const round = (value) => Math.round(value * 10) / 10;
+        this.path.push([round(this.skier.x), round(this.skier.y), round(this.skier.pitchDeg)]);
+      },
+
+      getGhostRecording() {
+        return { path: (this.best ? this.best.path : this.path).slice() };
+      },
+
+      drawSkier(context, x, y, pitchDeg) {
+        context.save();
+        context.translate(x, y);
+        context.rotate((-pitchDeg + hillAngleDeg * 0.12) * DEG_TO_RAD);
+
+        context.strokeStyle = "#1a2d3f";
+        context.lineWidth = 5;
+        context.beginPath();
+        context.moveTo(-18, 0);
+        context.lineTo(18, 0);
+        context.stroke();
+
+        context.fillStyle = "#213f5b";
+        context.beginPath();
+        context.arc(0, -10, 9, 0, Math.PI * 2);
+        context.fill();
+
+        context.restore();
+      },
+
+      // The best attempt at the same tick, plus a marker where it touched down.
+      drawGhost(context) {
+        const path = this.ghost && this.ghost.path;
+        if (!path || path.length === 0) {
+          return;
+        }
+
+        const [x, y, pitchDeg] = path[Math.min(this.path.length, path.length - 1)];
+        const landingX = path[path.length - 1][0];
+
+        context.save();
+        context.globalAlpha = 0.35;
+        this.drawSkier(context, x, y, pitchDeg);
+
+        context.globalAlpha = 0.6;
+        context.strokeStyle = "#6b4fa0";
+        context.lineWidth = 2;
+        context.beginPath();
+        context.moveTo(landingX, this.hillY(landingX) - 22);
+        context.lineTo(landingX, this.hillY(landingX) + 4);
+        context.stroke();
+        context.fillStyle = "#6b4fa0";
+        context.font = "bold 12px Trebuchet MS";
+        context.textAlign = "center";
+        context.fillText(Utils.t("ski.ghost"), landingX, this.hillY(landingX) - 28);
+        context.restore();
+      },
+
+      draw(context) {
+        context.save();
+
+        context.fillStyle = "#c7e9ff";
+        context.fillRect(0, 0, WIDTH, HEIGHT);
+
+        context.fillStyle = "#eef9ff";
+        context.beginPath();
+        context.moveTo(rampStart.x - 40, rampStart.y - 18);
+        context.lineTo(lip.x, lip.y);
+        context.lineTo(lip.x + 20, lip.y + 40);
+        context.lineTo(rampStart.x - 40, rampStart.y + 18);
+        context.closePath();
+        context.fill();
+
+        context.fillStyle = "#e8f5ff";
+        context.beginPath();
+        context.moveTo(lip.x, lip.y);
+        context.lineTo(hillEnd.x, hillEnd.y);
+        context.lineTo(hillEnd.x, HEIGHT);
+        context.lineTo(lip.x, HEIGHT);
+        context.closePath();
+        context.fill();
+
+        context.strokeStyle = "#8ab4d0";
+        context.lineWidth = 3;
+        context.beginPath();
+        context.moveTo(rampStart.x, rampStart.y);
+        context.lineTo(lip.x, lip.y);
+        context.stroke();
+
+        context.beginPath();
+        context.moveTo(lip.x, lip.y);
+        context.lineTo(hillEnd.x, hillEnd.y);
+        context.stroke();
+
+        this.drawHillMarks(context);
+        this.drawWindArrows(context);
+
+        for (let i = 0; i < this.trail.length; i += 1) {
+          const p = this.trail[i];
+          const alpha = i / this.trail.length;
+          context.fillStyle = `rgba(70, 110, 140, ${alpha * 0.3})`;
+          context.beginPath();
+          context.arc(p.x, p.y, 3, 0, Math.PI * 2);
+          context.fill();
+        }
+
+        this.drawGhost(context);
+        this.drawSkier(context, this.skier.x, this.skier.y, this.skier.pitchDeg);
+
+        Utils.drawChargeMeter(context, 110, 65, 320, 16, this.load, Utils.t("ski.meter.load"));
+
+        context.fillStyle = "#173248";
+        context.font = "bold 18px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(Utils.t("ski.takeoff", { percent: Utils.formatNumber(this.timingFactor * 100) }), 460, 79);
+
+        if (this.phase === "flight" || this.phase === "landed" || this.phase === "complete") {
+          context.fillText(Utils.t("ski.pitch", { degrees: Utils.formatNumber(this.skier.pitchDeg, 1) }), 700, 79);
+        }
+
+        if (this.landingMessage) {
+          context.fillText(this.landingMessage, 460, 108);
+        }
+
+        const windMs = this.currentWind();
+        context.fillStyle = windMs >= 0 ? "#1f7a3d" : "#a83232";
+        context.fillText(
+          Utils.t(windMs >= 0 ? "ski.wind.head" : "ski.wind.tail", { speed: Utils.formatSpeed(Math.abs(windMs)) }),
+          110,
+          108
+        );
+
+        context.restore();
+      },
+
+      // K-point and hill size lines across the landing slope.
+      drawHillMarks(context) {
+        const marks = [
+          { meters: hill.kPoint, label: `K${hill.kPoint}`, color: "#c0392b" },
+          { meters: hill.hillSize, label: `HS${hill.hillSize}`, color: "#2a6694" }
+        ];
+
+        context.save();
+        context.lineWidth = 3;
+        context.font = "bold 13px Trebuchet MS";
+        context.textAlign = "center";
+        context.textBaseline = "top";
+
+        for (const mark of marks) {
+          const x = lip.x + mark.meters * pxPerMeter;
+          const y = this.hillY(x);
+          context.strokeStyle = mark.color;
+          context.beginPath();
+          context.moveTo(x - 6, y - 3);
+          context.lineTo(x + 6, y + 9);
+          context.stroke();
+          context.fillStyle = mark.color;
+          context.fillText(mark.label, x + 4, y + 12);
+        }
+
+        context.restore();
+      },
+
+      // Flags down the landing hill; arrows point the way the air is moving and
+      // grow with wind strength.
+      drawWindArrows(context) {
+        const windMs = this.currentWind();
+        const direction = windMs >= 0 ? -1 : 1;
+        const length = 12 + Math.min(Math.abs(windMs), 4) * 9;
+
+        context.save();
+        context.strokeStyle = windMs >= 0 ? "rgba(31, 122, 61, 0.7)" : "rgba(168, 50, 50, 0.7)";
+        context.lineWidth = 3;
+
+        for (const x of [420, 540, 660, 780]) {
+          const y = this.hillY(x) - 46;
+          const tipX = x + (direction * length) / 2;
+          context.beginPath();
+          context.moveTo(x - (direction * length) / 2, y);
+          context.lineTo(tipX, y);
+          context.moveTo(tipX, y);
+          context.lineTo(tipX - direction * 7, y - 5);
+          context.moveTo(tipX, y);
+          context.lineTo(tipX - direction * 7, y + 5);
+          context.stroke();
+        }
+
+        context.restore();
+      },
+
+      handleInput(eventType, payload) {
+        if (this.finished) {
+          return;
+        }
+
+        // One-switch: the press that starts the crouch is followed by a press, not a
+        // release, to jump.
+        if (this.assist.oneSwitch && controls.is("charge", payload.code)) {
+          if (eventType !== "keydown" || payload.repeat) {
+            return;
+          }
+          if (this.loading) {
+            eventType = "keyup";
+          }
+        }
+
+        // Auto-release ignores letting go early and holds the crouch to the lip, the
+        // ideal point.
+        if (this.assist.autoRelease && eventType === "keyup" && controls.is("charge", payload.code)) {
+          return;
+        }
+
+        if (this.phase === "ramp") {
+          if (
+            eventType === "keydown" &&
+            controls.is("charge", payload.code) &&
+            !payload.repeat &&
+            !this.takeoffLocked
+          ) {
+            this.loading = true;
+            sound.beep({ freq: 510, duration: 0.04, volume: 0.02 });
+          }
+
+          if (eventType === "keyup" && controls.is("charge", payload.code) && this.loading && !this.takeoffLocked) {
+            this.loading = false;
+            const distToLip = Math.max(0, rampLength - this.skier.s);
+            this.timingFactor = this.computeTimingFactor(distToLip);
+            this.takeoffLocked = true;
+            sound.beep({ freq: 660, duration: 0.05, volume: 0.03 });
+          }
+        }
+      },
+
+      getHUD() {
+        const instructionsByPhase = {
+          ramp: Utils.t(this.assist.oneSwitch ? "ski.hud.ramp.oneSwitch" : "ski.hud.ramp", {
+            key: controls.label("charge")
+          }),
+          flight: Utils.t("ski.hud.flight", { up: controls.label("pitchUp"), down: controls.label("pitchDown") }),
+          landed: Utils.t("ski.hud.landed"),
+          complete: Utils.t("ski.hud.complete")
+        };
+
+        const hud = {
+          eventName: this.name,
+          instructions: instructionsByPhase[this.phase] || "",
+          status: this.landingMessage,
+          attemptsRemaining: this.attemptsTotal - this.attemptsUsed,
+          score: this.score
+        };
+
+        if (this.best && this.best.judges.length > 0) {
+          hud.resultDetail =
+            this.attemptsTotal > 1
+              ? Utils.t("ski.bestOf", { count: this.attemptsUsed, detail: this.best.detail })
+              : this.best.detail;
+          hud.judges = this.best.judges.map((judge) => ({ ...judge }));
+        }
+
+        return hud;
+      }
+    };
+
+    event.reset();
+    return event;
+  }
+
+  registerEvent({
+    id: "ski",
+    name: "ski.name",
+    create: createSkiJumpEvent,
+    controls: ["charge", "pitchUp", "pitchDown"],
+    gamepad: { 0: "charge", 12: "pitchUp", 13: "pitchDown" },
+    // The crouch loads faster on easy since it never fills before the lip.
+    difficulty: {
+      easy: { loadRate: 1.3, takeoffWindow: 1.4, attempts: 3 },
+      normal: { loadRate: 1, takeoffWindow: 1, attempts: 1 },
+      hard: { loadRate: 0.8, takeoffWindow: 0.7, attempts: 1 }
+    },
+    // FIS points for a jump a little past K.
+    par: 120,
+    icon(context, x, y, size) {
+      // Jumper in the V: body flat over two splayed skis.
+      const s = size / 40;
+      context.save();
+      context.strokeStyle = "#173248";
+      context.fillStyle = "#173248";
+      context.lineWidth = 3 * s;
+      context.lineCap = "round";
+      context.beginPath();
+      context.arc(x + 30 * s, y + 12 * s, 4 * s, 0, Math.PI * 2);
+      context.fill();
+      context.beginPath();
+      context.moveTo(x + 27 * s, y + 15 * s);
+      context.lineTo(x + 12 * s, y + 24 * s);
+      context.stroke();
+      context.strokeStyle = "#c23b3b";
+      context.beginPath();
+      context.moveTo(x + 4 * s, y + 26 * s);
+      context.lineTo(x + 36 * s, y + 20 * s);
+      context.moveTo(x + 4 * s, y + 32 * s);
+      context.lineTo(x + 36 * s, y + 30 * s);
+      context.stroke();
+      context.restore();
+    }
+  });
+
+  return { createSkiJumpEvent, SKI_HILLS: HILLS };
+});
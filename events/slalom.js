@@ -0,0 +1,647 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../core.js"));
+  } else {
+    Object.assign(root.MiniOlympics, factory(root.MiniOlympics));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+  "use strict";
+
+  const { HEIGHT, WIDTH, DIFFICULTY_PRESETS, NO_ASSIST, ASSIST_SLOWDOWN, Utils, resolveDeps, registerEvent } = core;
+
+  const RUNS = 2;
+  const GATES = 24;
+  const SPLIT_GATES = [8, 16];
+
+  // Course in metres: x across the slope (0 is the middle, positive to the
+  // skier's right), y down it from the start wand.
+  const COURSE_HALF = 12;
+  const FIRST_GATE = 16;
+  const FINISH_RUN_OUT = 14;
+  const GATE_WIDTH = 4.5;
+  const GATE_COLORS = { red: "#c8322f", blue: "#2a5fb0" };
+
+  // The skier rides on an edge. A tipped carving ski turns on a radius of its
+  // sidecut over the sine of the edge angle, and the harder it is tipped the more
+  // speed it scrubs. Tucked, the skis run flat and the air drag drops.
+  const SLOPE_ACCEL = 9.81 * Math.sin(0.32);
+  const SNOW_FRICTION = 0.25;
+  const AIR_DRAG = 0.011;
+  const TUCK_DRAG = 0.006;
+  const SIDECUT_RADIUS = 4.5;
+  const CARVE_DRAG = 0.35;
+  const MAX_EDGE = 65;
+  const EDGE_RATE = 240;
+  const MAX_HEADING = 1.35;
+  const START_PUSH = 4;
+  const FENCE_LOSS = 0.7;
+
+  // Hiking back up to a missed gate, in metres per second.
+  const HIKE_SPEED = 1.6;
+  const HIKE_ABOVE = 3;
+  const RUN_PAUSE = 2.5;
+  const MAX_RUN_TIME = 120;
+
+  // A seeded set of gates for one run, alternating sides of the fall line.
+  function buildCourse(rng) {
+    const gates = [];
+    let y = FIRST_GATE;
+    let side = rng() < 0.5 ? -1 : 1;
+    for (let i = 0; i < GATES; i += 1) {
+      gates.push({ x: side * (1.5 + rng() * 1.8), y, color: i % 2 === 0 ? "red" : "blue" });
+      y += 11 + rng() * 3;
+      side = -side;
+    }
+    return { gates, finish: y - 11 + FINISH_RUN_OUT };
+  }
+
+  function roundTime(seconds) {
+    return Math.round(seconds * 100) / 100;
+  }
+
+  function createSlalomEvent(deps = {}) {
+    const { sound, input, controls } = resolveDeps(deps);
+
+    // The slope from above, downhill towards the bottom of the screen.
+    const view = { x: 330, y: 60, w: 550, h: 498, skierY: 190, scale: 18 };
+
+    const event = {
+      get name() {
+        return Utils.t("slalom.name");
+      },
+      score: 0,
+      phase: "ready",
+      finished: false,
+      rng: Math.random,
+      course: { gates: [], finish: 1 },
+      gateWidth: GATE_WIDTH,
+      scrub: 1,
+      run: 0,
+      runs: [],
+      x: 0,
+      y: 0,
+      heading: 0,
+      speed: 0,
+      edge: 0,
+      tucked: false,
+      // True while pressed against the netting, so a contact costs speed once.
+      onFence: false,
+      clock: 0,
+      nextGate: 0,
+      // Index of a gate skied past on the wrong side, or -1.
+      missedGate: -1,
+      hikeTarget: null,
+      splits: [],
+      trail: [],
+      pauseTimer: 0,
+      disqualified: null,
+      message: "",
+      assist: NO_ASSIST,
+
+      reset({ seed = 1, difficulty = DIFFICULTY_PRESETS.normal, assist = NO_ASSIST } = {}) {
+        // Slow timing cannot slow the slope, so it widens the gates.
+        this.assist = assist;
+        this.rng = Utils.createRng(seed);
+        this.gateWidth = (GATE_WIDTH * difficulty.slalom.gateWidth) / (assist.slowTiming ? ASSIST_SLOWDOWN : 1);
+        this.scrub = difficulty.slalom.scrub;
+
+        this.score = 0;
+        this.finished = false;
+        this.run = 0;
+        this.runs = [];
+        this.disqualified = null;
+        this.toStart();
+      },
+
+      // A fresh set of gates and the skier in the start house.
+      toStart() {
+        this.course = buildCourse(this.rng);
+        this.phase = "ready";
+        this.x = 0;
+        this.y = 0;
+        this.heading = 0;
+        this.speed = 0;
+        this.edge = 0;
+        this.tucked = false;
+        this.onFence = false;
+        this.clock = 0;
+        this.nextGate = 0;
+        this.missedGate = -1;
+        this.hikeTarget = null;
+        this.splits = [];
+        this.trail = [];
+        this.pauseTimer = 0;
+        this.message = Utils.t("slalom.run.ready", { number: this.run + 1, total: RUNS });
+      },
+
+      // Heading that points the skis at the middle of the next gate, or the finish.
+      headingToNextGate() {
+        const gate = this.course.gates[this.nextGate];
+        const target = gate ? gate : { x: 0, y: this.course.finish };
+        return Math.atan2(target.x - this.x, Math.max(target.y - this.y, 0.5));
+      },
+
+      // -1..1 steering input. One-switch skiers carve the line on their own; with
+      // auto-release a held key lets go once the skis point at the next gate.
+      steering() {
+        const wanted = this.headingToNextGate() - this.heading;
+        if (this.assist.oneSwitch) {
+          return Utils.clamp(wanted * 4, -1, 1);
+        }
+
+        const left = input.isDown(controls.code("steerLeft")) ? 1 : 0;
+        const right = input.isDown(controls.code("steerRight")) ? 1 : 0;
+        const steer = right - left;
+        if (this.assist.autoRelease && Math.sign(steer) !== Math.sign(wanted)) {
+          return 0;
+        }
+        return steer;
+      },
+
+      tuckHeld() {
+        if (this.assist.oneSwitch) {
+          return Math.abs(this.headingToNextGate() - this.heading) < 0.05;
+        }
+        return input.isDown(controls.code("tuck"));
+      },
+
+      update(dt) {
+        if (this.phase === "complete" || this.phase === "ready") {
+          return;
+        }
+
+        if (this.phase === "between") {
+          this.pauseTimer -= dt;
+          if (this.pauseTimer <= 0) {
+            this.toStart();
+          }
+          return;
+        }
+
+        this.clock += dt;
+        if (this.phase === "hike") {
+          this.hike(dt);
+        } else {
+          this.ski(dt);
+        }
+
+        if (!this.finished && this.phase !== "between" && this.clock >= MAX_RUN_TIME) {
+          this.disqualify("slalom.dnf");
+        }
+      },
+
+      ski(dt) {
+        // The edge follows the keys at EDGE_RATE; a tuck flattens the skis.
+        this.tucked = this.tuckHeld();
+        const wantedEdge = this.tucked ? 0 : this.steering() * MAX_EDGE;
+        const step = EDGE_RATE * dt;
+        this.edge += Utils.clamp(wantedEdge - this.edge, -step, step);
+
+        const tilt = Math.sin((Math.abs(this.edge) * Math.PI) / 180);
+        if (tilt > 0) {
+          this.heading += (Math.sign(this.edge) * this.speed * tilt * dt) / SIDECUT_RADIUS;
+          this.heading = Utils.clamp(this.heading, -MAX_HEADING, MAX_HEADING);
+        }
+
+        const drag = this.tucked ? TUCK_DRAG : AIR_DRAG;
+        const accel =
+          SLOPE_ACCEL * Math.cos(this.heading) -
+          SNOW_FRICTION -
+          drag * this.speed * this.speed -
+          CARVE_DRAG * this.scrub * this.speed * tilt * tilt;
+        this.speed = Math.max(0, this.speed + accel * dt);
+
+        const fromX = this.x;
+        const fromY = this.y;
+        this.x += Math.sin(this.heading) * this.speed * dt;
+        this.y += Math.cos(this.heading) * this.speed * dt;
+        const touching = Math.abs(this.x) >= COURSE_HALF;
+        if (touching) {
+          this.x = Math.sign(this.x) * COURSE_HALF;
+          // Only a heading into the netting is stopped; turning away skis off it.
+          if (Math.sign(this.heading) === Math.sign(this.x)) {
+            this.heading = 0;
+          }
+          if (!this.onFence) {
+            this.speed *= FENCE_LOSS;
+            this.message = Utils.t("slalom.fence");
+            sound.beep({ freq: 140, duration: 0.1, type: "square", volume: 0.04 });
+          }
+        }
+        this.onFence = touching;
+
+        if (this.trail.length === 0 || this.y - this.trail[this.trail.length - 1].y > 0.5) {
+          this.trail.push({ x: this.x, y: this.y });
+        }
+
+        this.checkGates(fromX, fromY, dt);
+      },
+
+      // Gates crossed during the last step. Skiing past a second gate, or over the
+      // finish line, with one still missed disqualifies the run.
+      checkGates(fromX, fromY, dt) {
+        const gates = this.course.gates;
+        while (this.phase === "run" && this.nextGate < gates.length && this.y >= gates[this.nextGate].y) {
+          const gate = gates[this.nextGate];
+          const share = (gate.y - fromY) / Math.max(this.y - fromY, 1e-6);
+          const crossX = fromX + (this.x - fromX) * share;
+          const inside = Math.abs(crossX - gate.x) <= this.gateWidth / 2;
+
+          if (this.missedGate >= 0) {
+            this.disqualify("slalom.dq", { gate: this.missedGate + 1 });
+            return;
+          }
+
+          if (inside) {
+            this.passGate(this.clock - dt * (1 - share));
+          } else {
+            this.missedGate = this.nextGate;
+            this.message = Utils.t("slalom.missed", { gate: this.nextGate + 1, key: controls.label("charge") });
+            sound.beep({ freq: 200, duration: 0.15, type: "square", volume: 0.04 });
+          }
+          this.nextGate += 1;
+        }
+
+        if (this.phase === "run" && this.y >= this.course.finish) {
+          if (this.missedGate >= 0) {
+            this.disqualify("slalom.dq", { gate: this.missedGate + 1 });
+            return;
+          }
+          const share = (this.course.finish - fromY) / Math.max(this.y - fromY, 1e-6);
+          this.finishRun(this.clock - dt * (1 - share));
+        }
+      },
+
+      passGate(time) {
+        const number = this.nextGate + 1;
+        sound.beep({ freq: 500 + (number % 2) * 120, duration: 0.03, volume: 0.015 });
+
+        const split = SPLIT_GATES.indexOf(number);
+        if (split < 0) {
+          return;
+        }
+        this.splits[split] = time;
+        const first = this.run > 0 && this.runs[0] ? this.runs[0].splits[split] : undefined;
+        this.message =
+          first === undefined
+            ? Utils.t("slalom.split", { number: split + 1, time: Utils.formatTime(time) })
+            : Utils.t("slalom.split.gap", {
+                number: split + 1,
+                time: Utils.formatTime(time),
+                gap: Utils.formatNumber(time - first, 2, true)
+              });
+      },
+
+      // Sidestepping back up to just above the missed gate, then a standing restart.
+      startHike() {
+        const gate = this.course.gates[this.missedGate];
+        this.phase = "hike";
+        this.hikeTarget = { x: gate.x, y: gate.y - HIKE_ABOVE };
+        this.speed = 0;
+        this.edge = 0;
+        this.tucked = false;
+        this.message = Utils.t("slalom.hike", { gate: this.missedGate + 1 });
+      },
+
+      hike(dt) {
+        const dx = this.hikeTarget.x - this.x;
+        const dy = this.hikeTarget.y - this.y;
+        const distance = Math.hypot(dx, dy);
+        const step = HIKE_SPEED * dt;
+        if (distance > step) {
+          this.x += (dx / distance) * step;
+          this.y += (dy / distance) * step;
+          return;
+        }
+
+        this.x = this.hikeTarget.x;
+        this.y = this.hikeTarget.y;
+        this.heading = 0;
+        this.nextGate = this.missedGate;
+        this.message = Utils.t("slalom.hike.done", { gate: this.missedGate + 1 });
+        this.missedGate = -1;
+        this.hikeTarget = null;
+        this.phase = "run";
+      },
+
+      disqualify(id, params = {}) {
+        this.disqualified = { run: this.run + 1, reason: Utils.t(id, params) };
+        this.phase = "complete";
+        this.finished = true;
+        this.score = 0;
+        this.message = this.disqualified.reason;
+        sound.beep({ freq: 160, duration: 0.25, type: "square", volume: 0.04 });
+      },
+
+      finishRun(time) {
+        this.runs.push({ time, splits: this.splits.slice() });
+        this.run += 1;
+        this.message = Utils.t("slalom.runDone", { number: this.run, time: Utils.formatTime(time) });
+        sound.beep({ freq: 880, duration: 0.15, type: "triangle", volume: 0.04 });
+
+        if (this.run >= RUNS) {
+          const total = this.runs.reduce((sum, run) => sum + run.time, 0);
+          this.score = roundTime(total);
+          this.phase = "complete";
+          this.finished = true;
+          this.message = Utils.t("slalom.complete", { time: Utils.formatTime(this.score) });
+        } else {
+          this.phase = "between";
+          this.pauseTimer = RUN_PAUSE;
+        }
+      },
+
+      draw(context) {
+        context.save();
+
+        context.fillStyle = "#e6f1f8";
+        context.fillRect(0, 0, WIDTH, HEIGHT);
+
+        this.drawSlope(context);
+
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "bold 32px Trebuchet MS";
+        context.fillText(Utils.formatTime(this.clock), 24, 86);
+        context.font = "bold 17px Trebuchet MS";
+        context.fillText(Utils.formatSpeed(this.speed), 24, 118);
+        context.fillText(
+          Utils.t("slalom.gates", { passed: Math.min(this.nextGate, GATES), total: GATES }),
+          24,
+          144
+        );
+
+        this.drawEdgeGauge(context, 24, 172, 270, 16);
+        this.drawRuns(context, 24, 262);
+
+        context.fillStyle = "#173248";
+        context.font = "bold 16px Trebuchet MS";
+        context.textAlign = "left";
+        context.fillText(this.message, 24, 520, 290);
+
+        context.restore();
+      },
+
+      // Course from above around the skier: netting, gates, tracks and the skier.
+      drawSlope(context) {
+        const centreX = view.x + view.w / 2;
+        const toScreen = (x, y) => ({
+          x: centreX + x * view.scale,
+          y: view.y + view.skierY + (y - this.y) * view.scale
+        });
+
+        context.save();
+        context.beginPath();
+        context.rect(view.x, view.y, view.w, view.h);
+        context.clip();
+        context.fillStyle = "#f7fbff";
+        context.fillRect(view.x, view.y, view.w, view.h);
+
+        context.strokeStyle = "#e08a2e";
+        context.lineWidth = 3;
+        context.setLineDash([6, 6]);
+        for (const side of [-1, 1]) {
+          const x = centreX + side * COURSE_HALF * view.scale;
+          context.beginPath();
+          context.moveTo(x, view.y);
+          context.lineTo(x, view.y + view.h);
+          context.stroke();
+        }
+        context.setLineDash([]);
+
+        // Start and finish lines.
+        context.strokeStyle = "#b23a3a";
+        context.lineWidth = 4;
+        for (const y of [0, this.course.finish]) {
+          const left = toScreen(-COURSE_HALF, y);
+          const right = toScreen(COURSE_HALF, y);
+          context.beginPath();
+          context.moveTo(left.x, left.y);
+          context.lineTo(right.x, right.y);
+          context.stroke();
+        }
+
+        context.strokeStyle = "rgba(93, 115, 135, 0.5)";
+        context.lineWidth = 2;
+        context.beginPath();
+        this.trail.forEach((point, i) => {
+          const screen = toScreen(point.x, point.y);
+          if (i === 0) {
+            context.moveTo(screen.x, screen.y);
+          } else {
+            context.lineTo(screen.x, screen.y);
+          }
+        });
+        context.stroke();
+
+        // Each gate is a pair of poles with a panel between; a missed one is ringed.
+        this.course.gates.forEach((gate, i) => {
+          const left = toScreen(gate.x - this.gateWidth / 2, gate.y);
+          const right = toScreen(gate.x + this.gateWidth / 2, gate.y);
+          if (left.y < view.y - 20 || left.y > view.y + view.h + 20) {
+            return;
+          }
+          context.fillStyle = GATE_COLORS[gate.color];
+          for (const pole of [left, right]) {
+            context.beginPath();
+            context.arc(pole.x, pole.y, 5, 0, Math.PI * 2);
+            context.fill();
+          }
+          context.strokeStyle = GATE_COLORS[gate.color];
+          context.lineWidth = 2;
+          context.setLineDash([4, 6]);
+          context.beginPath();
+          context.moveTo(left.x, left.y);
+          context.lineTo(right.x, right.y);
+          context.stroke();
+          context.setLineDash([]);
+          if (i === this.missedGate) {
+            context.strokeStyle = "#b23a3a";
+            context.lineWidth = 3;
+            context.strokeRect(left.x - 10, left.y - 10, right.x - left.x + 20, 20);
+          }
+        });
+
+        // Skier: two skis along the heading, set apart more the harder they edge.
+        const here = toScreen(this.x, this.y);
+        context.translate(here.x, here.y);
+        context.rotate(-this.heading);
+        context.fillStyle = "#173248";
+        const apart = this.tucked ? 3 : 4 + Math.abs(this.edge) / 20;
+        for (const side of [-1, 1]) {
+          context.fillRect(side * apart - 1.5, -18, 3, 36);
+        }
+        context.beginPath();
+        context.arc(0, 0, this.tucked ? 6 : 8, 0, Math.PI * 2);
+        context.fill();
+        context.restore();
+      },
+
+      // Edge angle from full left to full right, with the current tilt marked.
+      drawEdgeGauge(context, x, y, w, h) {
+        context.save();
+        context.fillStyle = "rgba(255, 255, 255, 0.75)";
+        context.fillRect(x, y, w, h);
+        context.fillStyle = "#173248";
+        context.fillRect(x + w / 2 - 1, y, 2, h);
+        context.fillRect(x + ((this.edge / MAX_EDGE + 1) / 2) * w - 2, y - 4, 4, h + 8);
+        context.strokeStyle = "#173248";
+        context.lineWidth = 2;
+        context.strokeRect(x, y, w, h);
+
+        context.font = "14px Trebuchet MS";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.fillText(
+          Utils.t(this.tucked ? "slalom.meter.tuck" : "slalom.meter.edge", {
+            degrees: Utils.formatNumber(Math.abs(this.edge))
+          }),
+          x,
+          y + h + 14
+        );
+        context.restore();
+      },
+
+      // Splits and times for both runs.
+      drawRuns(context, x, y) {
+        context.save();
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "bold 15px Trebuchet MS";
+        context.textAlign = "right";
+        for (let i = 0; i < SPLIT_GATES.length; i += 1) {
+          context.fillText(Utils.t("slalom.splitColumn", { number: i + 1 }), x + 160 + i * 60, y);
+        }
+        context.fillText(Utils.t("slalom.timeColumn"), x + 280, y);
+
+        context.font = "15px Trebuchet MS";
+        for (let i = 0; i < RUNS; i += 1) {
+          const run = i < this.runs.length ? this.runs[i] : i === this.run ? { splits: this.splits, time: 0 } : null;
+          const rowY = y + 24 + i * 24;
+          context.textAlign = "left";
+          context.fillText(Utils.t("slalom.runRow", { number: i + 1 }), x, rowY);
+          context.textAlign = "right";
+          for (let j = 0; j < SPLIT_GATES.length; j += 1) {
+            const split = run && run.splits[j];
+            context.fillText(split ? Utils.formatNumber(split, 2) : "--", x + 160 + j * 60, rowY);
+          }
+          context.fillText(run && run.time ? Utils.formatNumber(run.time, 2) : "--", x + 280, rowY);
+        }
+
+        context.font = "bold 15px Trebuchet MS";
+        const total = this.runs.reduce((sum, run) => sum + run.time, 0);
+        context.textAlign = "left";
+        context.fillText(Utils.t("slalom.total"), x, y + 24 + RUNS * 24);
+        context.textAlign = "right";
+        context.fillText(this.runs.length > 0 ? Utils.formatTime(total) : "--", x + 280, y + 24 + RUNS * 24);
+        context.restore();
+      },
+
+      handleInput(eventType, payload) {
+        if (this.finished || eventType !== "keydown" || payload.repeat || !controls.is("charge", payload.code)) {
+          return;
+        }
+
+        if (this.phase === "ready") {
+          this.phase = "run";
+          this.speed = START_PUSH;
+          this.message = "";
+          sound.beep({ freq: 1040, duration: 0.12, type: "square", volume: 0.05 });
+        } else if (this.phase === "run" && this.missedGate >= 0) {
+          this.startHike();
+        }
+      },
+
+      getHUD() {
+        const key = controls.label("charge");
+        const mode = this.assist.oneSwitch ? ".oneSwitch" : this.assist.autoRelease ? ".autoRelease" : "";
+        const instructionsByPhase = {
+          ready: Utils.t("slalom.hud.ready", { key }),
+          run: Utils.t(this.missedGate >= 0 ? "slalom.hud.missed" : `slalom.hud.run${mode}`, {
+            key,
+            left: controls.label("steerLeft"),
+            right: controls.label("steerRight"),
+            tuck: controls.label("tuck")
+          }),
+          hike: Utils.t("slalom.hud.hike"),
+          between: Utils.t("slalom.hud.between"),
+          complete: Utils.t("slalom.hud.complete")
+        };
+
+        const hud = {
+          eventName: this.name,
+          instructions: instructionsByPhase[this.phase] || "",
+          status: this.message,
+          attemptsRemaining: this.finished ? 0 : RUNS - this.runs.length,
+          score: this.score
+        };
+
+        if (this.disqualified) {
+          hud.resultDetail = Utils.t("slalom.result.dq", {
+            number: this.disqualified.run,
+            reason: this.disqualified.reason
+          });
+        } else if (this.runs.length > 0) {
+          hud.resultDetail = Utils.t("slalom.result", {
+            runs: this.runs.map((run) => Utils.formatTime(run.time)).join(" + ")
+          });
+        }
+
+        return hud;
+      }
+    };
+
+    event.reset();
+    return event;
+  }
+
+  registerEvent({
+    id: "slalom",
+    name: "slalom.name",
+    create: createSlalomEvent,
+    controls: ["charge", "tuck", "steerLeft", "steerRight"],
+    bindings: { tuck: "ArrowDown", steerLeft: "ArrowLeft", steerRight: "ArrowRight" },
+    gamepad: { 0: "charge", 13: "tuck", 14: "steerLeft", 15: "steerRight" },
+    touch: [
+      { action: "tuck", label: "touch.tuck" },
+      { action: "steerLeft", label: "touch.steerLeft" },
+      { action: "steerRight", label: "touch.steerRight" }
+    ],
+    difficulty: {
+      easy: { gateWidth: 1.3, scrub: 0.8 },
+      normal: { gateWidth: 1, scrub: 1 },
+      hard: { gateWidth: 0.85, scrub: 1.2 }
+    },
+    scoring: "time",
+    // Two clean runs carved without skidding add up to about 65 seconds.
+    par: 65,
+    icon(context, x, y, size) {
+      // Two gate poles and a skier's curving track between them.
+      const s = size / 40;
+      context.save();
+      context.lineWidth = 3 * s;
+      context.lineCap = "round";
+      context.strokeStyle = "#c8322f";
+      context.beginPath();
+      context.moveTo(x + 10 * s, y + 6 * s);
+      context.lineTo(x + 10 * s, y + 20 * s);
+      context.stroke();
+      context.strokeStyle = "#2a5fb0";
+      context.beginPath();
+      context.moveTo(x + 30 * s, y + 20 * s);
+      context.lineTo(x + 30 * s, y + 34 * s);
+      context.stroke();
+      context.strokeStyle = "#173248";
+      context.lineWidth = 2 * s;
+      context.beginPath();
+      context.moveTo(x + 4 * s, y + 4 * s);
+      context.bezierCurveTo(x + 30 * s, y + 10 * s, x + 10 * s, y + 30 * s, x + 36 * s, y + 36 * s);
+      context.stroke();
+      context.restore();
+    }
+  });
+
+  return { createSlalomEvent };
+});
@@ -0,0 +1,725 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("../core.js"));
+  } else {
+    Object.assign(root.MiniOlympics, factory(root.MiniOlympics));
+  }
+})(typeof globalThis !== "undefined" ? globalThis : this, (core) => {
+  "use strict";
+
+  const {
+    HEIGHT,
+    WIDTH,
+    FIXED_DT,
+    TIMING_ZONES,
+    DIFFICULTY_PRESETS,
+    NO_ASSIST,
+    ASSIST_SLOWDOWN,
+    Utils,
+    resolveDeps,
+    registerEvent
+  } = core;
+
+  // The 500 m runs from the home straight: straight, curve, back straight with the
+  // crossover, curve, and the home straight again to the finish. Distances in metres.
+  const RACE_DISTANCE = 500;
+  const SPLIT_DISTANCES = [100, 200, 300, 400];
+  const CURVES = [
+    { start: 100, end: 200 },
+    { start: 300, end: 400 }
+  ];
+  const CROSSOVER = { start: 230, end: 270, mark: 250 };
+
+  // Lanes are -1 (inner) and +1 (outer); the pair swap at the crossover, so each
+  // skater takes one tight and one wide curve.
+  const LANE_RADII = { inner: 26, outer: 30 };
+  const ICE_GRAVITY = 9.81;
+
+  // A push adds up to STRIDE_POWER m/s, fading to nothing at TOP_SPEED. Air drag
+  // grows with the square of speed, so pushes and drag settle near 14.5 m/s.
+  const STRIDE_POWER = 2.2;
+  const TOP_SPEED = 16.5;
+  const AIR_DRAG = 0.0021;
+  const ICE_FRICTION = 0.05;
+  const STRIDE_QUALITY = { perfect: 1, okay: 0.6, bad: 0.25 };
+
+  // Short quick strides off the line, long glides at speed.
+  function idealInterval(speed) {
+    return 0.22 + 0.026 * speed;
+  }
+
+  // Lean in degrees. Holding charge leans in; off by more than the tolerance from
+  // what the curve needs, the blades scrub speed. The need ramps in and out over
+  // the first and last LEAN_RAMP metres of a curve.
+  const MAX_LEAN = 55;
+  const LEAN_RATE = 70;
+  const LEAN_TOLERANCE = 8;
+  const LEAN_SCRUB = 0.09;
+  const LEAN_RAMP = 8;
+
+  // Reacting faster than this counts as anticipating the gun. A second false start
+  // disqualifies.
+  const ANTICIPATION_LIMIT = 0.1;
+  const FALSE_STARTS_ALLOWED = 1;
+  const RECALL_TIME = 1.6;
+  const START_CALL = 1.2;
+
+  // The skater leaving the inner lane gives way at the crossover when the other is
+  // this close, losing a share of speed.
+  const YIELD_GAP = 3;
+  const YIELD_LOSS = 0.92;
+
+  const CPU_ACCEL = 6;
+  const MAX_RACE_TIME = 120;
+
+  function laneAt(startLane, distance) {
+    if (distance <= CROSSOVER.start) {
+      return startLane;
+    }
+    if (distance >= CROSSOVER.end) {
+      return -startLane;
+    }
+    const progress = (distance - CROSSOVER.start) / (CROSSOVER.end - CROSSOVER.start);
+    return startLane * (1 - 2 * progress);
+  }
+
+  // Lean the curve under `distance` asks for at `speed`, in degrees.
+  function requiredLean(startLane, distance, speed) {
+    const curve = CURVES.find((candidate) => distance >= candidate.start && distance < candidate.end);
+    if (!curve) {
+      return 0;
+    }
+
+    const ramp = Utils.clamp(Math.min(distance - curve.start, curve.end - distance) / LEAN_RAMP, 0, 1);
+    const radius = laneAt(startLane, distance) < 0 ? LANE_RADII.inner : LANE_RADII.outer;
+    return (ramp * Math.atan((speed * speed) / (ICE_GRAVITY * radius)) * 180) / Math.PI;
+  }
+
+  // Top speed that, with CPU_ACCEL off the line, covers the race in `raceTime`.
+  function cpuTopSpeed(raceTime) {
+    const discriminant = Math.max(0, raceTime * raceTime - (4 * RACE_DISTANCE) / CPU_ACCEL);
+    return ((raceTime - Math.sqrt(discriminant)) * CPU_ACCEL) / 2;
+  }
+
+  // Time the skater crossed `mark` during a step from `from` to `to` metres.
+  function crossingTime(time, dt, from, to, mark) {
+    return time - dt + (dt * (mark - from)) / Math.max(to - from, 1e-6);
+  }
+
+  function roundTime(seconds) {
+    return Math.round(seconds * 100) / 100;
+  }
+
+  function createSpeedSkatingEvent(deps = {}) {
+    const { sound, input, controls } = resolveDeps(deps);
+
+    // The oval on screen: straights of 300 px, the nominal lane on a 95 px radius.
+    const rink = { x: 450, y: 372, straight: 300, radius: 95, laneGap: 10 };
+
+    function trackPoint(distance, lane) {
+      const half = rink.straight / 2;
+      const radius = rink.radius + lane * rink.laneGap;
+      const d = Utils.clamp(distance, 0, RACE_DISTANCE);
+
+      if (d < 100 || d >= 400) {
+        const along = d < 100 ? d : d - 400;
+        return { x: rink.x - half + (along / 100) * rink.straight, y: rink.y + radius };
+      }
+      if (d < 200) {
+        const angle = Math.PI / 2 - (Math.PI * (d - 100)) / 100;
+        return { x: rink.x + half + radius * Math.cos(angle), y: rink.y + radius * Math.sin(angle) };
+      }
+      if (d < 300) {
+        return { x: rink.x + half - ((d - 200) / 100) * rink.straight, y: rink.y - radius };
+      }
+      const angle = -Math.PI / 2 - (Math.PI * (d - 300)) / 100;
+      return { x: rink.x - half + radius * Math.cos(angle), y: rink.y + radius * Math.sin(angle) };
+    }
+
+    function createSkater(startLane) {
+      return { startLane, distance: 0, speed: 0, splits: [], finishTime: 0, yielded: false };
+    }
+
+    const event = {
+      get name() {
+        return Utils.t("speed.name");
+      },
+      score: 0,
+      phase: "set",
+      finished: false,
+      rng: Math.random,
+      zones: TIMING_ZONES,
+      leanTolerance: LEAN_TOLERANCE,
+      cpuReaction: 0.18,
+      cpuTop: 13.9,
+      startTimer: 0,
+      recallTimer: 0,
+      falseStarts: 0,
+      raceTime: 0,
+      reaction: 0,
+      player: createSkater(-1),
+      cpu: createSkater(1),
+      // Stride rhythm: the side and race time of the last push.
+      lastSide: "",
+      lastStrideTime: 0,
+      strideCount: 0,
+      strideMessage: "",
+      lean: 0,
+      leaning: false,
+      message: "",
+      result: "",
+      assist: NO_ASSIST,
+
+      reset({ seed = 1, difficulty = DIFFICULTY_PRESETS.normal, assist = NO_ASSIST } = {}) {
+        // Slow timing cannot slow the ice, so it widens the rhythm and lean windows.
+        const widen =
+          (difficulty.speed.rhythmWindow * difficulty.zoneScale) / (assist.slowTiming ? ASSIST_SLOWDOWN : 1);
+        this.assist = assist;
+        this.rng = Utils.createRng(seed);
+        this.zones = { green: TIMING_ZONES.green * widen, yellow: TIMING_ZONES.yellow * widen };
+        this.leanTolerance = (LEAN_TOLERANCE * difficulty.speed.grip) / (assist.slowTiming ? ASSIST_SLOWDOWN : 1);
+
+        const playerLane = this.rng() < 0.5 ? -1 : 1;
+        this.player = createSkater(playerLane);
+        this.cpu = createSkater(-playerLane);
+        this.cpuReaction = 0.14 + this.rng() * 0.08;
+        this.cpuTop = cpuTopSpeed(difficulty.speed.cpuTime - this.cpuReaction);
+
+        this.score = 0;
+        this.finished = false;
+        this.falseStarts = 0;
+        this.result = "";
+        this.toStart();
+      },
+
+      // Both skaters back on the line for a fresh start command.
+      toStart() {
+        this.phase = "set";
+        this.startTimer = START_CALL + 1 + this.rng() * 0.6;
+        this.recallTimer = 0;
+        this.raceTime = 0;
+        this.reaction = 0;
+        this.player = createSkater(this.player.startLane);
+        this.cpu = createSkater(this.cpu.startLane);
+        this.lastSide = "";
+        this.lastStrideTime = 0;
+        this.strideCount = 0;
+        this.strideMessage = "";
+        this.lean = 0;
+        this.leaning = false;
+        this.message = Utils.t(this.player.startLane < 0 ? "speed.start.inner" : "speed.start.outer");
+      },
+
+      falseStart(reason) {
+        this.falseStarts += 1;
+        sound.beep({ freq: 220, duration: 0.2, type: "square", volume: 0.04 });
+
+        if (this.falseStarts > FALSE_STARTS_ALLOWED) {
+          this.phase = "done";
+          this.finished = true;
+          this.score = 0;
+          this.result = Utils.t("speed.disqualified");
+          this.message = this.result;
+          return;
+        }
+
+        this.phase = "recall";
+        this.recallTimer = RECALL_TIME;
+        this.message = Utils.t("speed.falseStart", { reason });
+      },
+
+      stride(side) {
+        if (this.phase === "set") {
+          this.falseStart(Utils.t("speed.falseStart.early"));
+          return;
+        }
+        if (this.phase !== "race") {
+          return;
+        }
+
+        // The first push is the reaction to the gun.
+        if (this.strideCount === 0) {
+          if (this.raceTime < ANTICIPATION_LIMIT) {
+            this.falseStart(
+              Utils.t("speed.falseStart.anticipated", {
+                time: Utils.formatTime(this.raceTime, 3),
+                limit: Utils.formatTime(ANTICIPATION_LIMIT, 3)
+              })
+            );
+            return;
+          }
+          this.reaction = this.raceTime;
+          this.message = Utils.t("speed.reaction", { time: Utils.formatTime(this.reaction, 3) });
+        }
+
+        const skater = this.player;
+        let quality = STRIDE_QUALITY.perfect;
+        let label = "speed.stride.perfect";
+
+        if (side === this.lastSide) {
+          quality = 0;
+          label = "speed.stride.sameLeg";
+        } else if (this.strideCount > 0) {
+          const needle = this.rhythmNeedle();
+          const error = Math.abs(needle - 0.5);
+          if (error > this.zones.yellow) {
+            quality = STRIDE_QUALITY.bad;
+            label = needle < 0.5 ? "speed.stride.rushed" : "speed.stride.late";
+          } else if (error > this.zones.green) {
+            quality = STRIDE_QUALITY.okay;
+            label = "speed.stride.okay";
+          }
+        }
+
+        skater.speed += STRIDE_POWER * quality * Math.max(0, 1 - skater.speed / TOP_SPEED);
+        this.lastSide = side;
+        this.lastStrideTime = this.raceTime;
+        this.strideCount += 1;
+        this.strideMessage = Utils.t(label);
+        sound.beep({ freq: side === "left" ? 420 + quality * 160 : 460 + quality * 160, duration: 0.03, volume: 0.02 });
+      },
+
+      // 0.5 is the ideal moment for the next push at the current speed.
+      rhythmNeedle() {
+        if (this.phase !== "race" || this.strideCount === 0) {
+          return 0;
+        }
+        const elapsed = this.raceTime - this.lastStrideTime;
+        return Utils.clamp(elapsed / (2 * idealInterval(this.player.speed)), 0, 1);
+      },
+
+      // Moves a skater along; returns the distance before the step.
+      advance(skater, dt) {
+        const from = skater.distance;
+        skater.distance += skater.speed * dt;
+
+        SPLIT_DISTANCES.forEach((mark, i) => {
+          if (skater.splits[i] === undefined && skater.distance >= mark) {
+            skater.splits[i] = crossingTime(this.raceTime, dt, from, skater.distance, mark);
+          }
+        });
+        if (!skater.finishTime && skater.distance >= RACE_DISTANCE) {
+          skater.finishTime = crossingTime(this.raceTime, dt, from, skater.distance, RACE_DISTANCE);
+        }
+        return from;
+      },
+
+      // The pair-mate skates an even race: reaction, then a smooth build to its
+      // top speed. It leans perfectly and only loses time by yielding.
+      updateCpu(dt) {
+        const cpu = this.cpu;
+        if (this.raceTime > this.cpuReaction) {
+          cpu.speed += CPU_ACCEL * (1 - cpu.speed / this.cpuTop) * dt;
+        }
+        const from = this.advance(cpu, dt);
+        if (from < CROSSOVER.mark && cpu.distance >= CROSSOVER.mark) {
+          this.checkCrossover(cpu, this.player);
+        }
+      },
+
+      // Only the skater leaving the inner lane has to give way.
+      checkCrossover(skater, other) {
+        if (skater.startLane > 0 || Math.abs(other.distance - CROSSOVER.mark) > YIELD_GAP) {
+          return;
+        }
+        skater.speed *= YIELD_LOSS;
+        skater.yielded = true;
+        this.message = Utils.t(skater === this.player ? "speed.crossover.yield" : "speed.crossover.cpuYields");
+        sound.beep({ freq: 300, duration: 0.1, volume: 0.03 });
+      },
+
+      updateLean(dt) {
+        const skater = this.player;
+        const needed = requiredLean(skater.startLane, skater.distance, skater.speed);
+
+        // Assisted leaning follows the curve at the same rate a held key would.
+        if (this.assist.oneSwitch || this.assist.autoRelease) {
+          const step = LEAN_RATE * dt;
+          this.lean += Utils.clamp(needed - this.lean, -step * 1.4, step);
+        } else {
+          this.leaning = input.isDown(controls.code("charge"));
+          this.lean += this.leaning ? LEAN_RATE * dt : -LEAN_RATE * 1.4 * dt;
+        }
+        this.lean = Utils.clamp(this.lean, 0, MAX_LEAN);
+
+        const miss = Math.abs(this.lean - needed) - this.leanTolerance;
+        if (miss > 0) {
+          skater.speed = Math.max(0, skater.speed - miss * LEAN_SCRUB * dt);
+        }
+      },
+
+      leanState() {
+        const needed = requiredLean(this.player.startLane, this.player.distance, this.player.speed);
+        if (this.lean < needed - this.leanTolerance) {
+          return "wide";
+        }
+        if (this.lean > needed + this.leanTolerance) {
+          return "over";
+        }
+        return "ok";
+      },
+
+      finishRace() {
+        // Let the pair-mate finish too, so the result can name its time.
+        const playerTime = this.player.finishTime;
+        while (!this.cpu.finishTime && this.raceTime < MAX_RACE_TIME) {
+          this.raceTime += FIXED_DT;
+          this.updateCpu(FIXED_DT);
+        }
+
+        this.score = roundTime(playerTime);
+        this.raceTime = playerTime;
+        this.phase = "done";
+        this.finished = true;
+        this.result = Utils.t(playerTime <= this.cpu.finishTime ? "speed.result.won" : "speed.result.lost", {
+          reaction: Utils.formatTime(this.reaction, 3),
+          opener: Utils.formatTime(this.player.splits[0]),
+          cpu: Utils.formatTime(this.cpu.finishTime)
+        });
+        this.message = Utils.t("speed.finish", { time: Utils.formatTime(this.score) });
+        sound.beep({ freq: 880, duration: 0.15, type: "triangle", volume: 0.04 });
+      },
+
+      update(dt) {
+        if (this.phase === "done") {
+          return;
+        }
+
+        if (this.phase === "recall") {
+          this.recallTimer -= dt;
+          if (this.recallTimer <= 0) {
+            this.toStart();
+          }
+          return;
+        }
+
+        if (this.phase === "set") {
+          this.startTimer -= dt;
+          if (this.startTimer <= START_CALL && this.message !== Utils.t("speed.ready")) {
+            this.message = Utils.t("speed.ready");
+          }
+          if (this.startTimer <= 0) {
+            this.phase = "race";
+            this.message = Utils.t("speed.gun");
+            sound.beep({ freq: 1040, duration: 0.12, type: "square", volume: 0.05 });
+          }
+          return;
+        }
+
+        this.raceTime += dt;
+        const player = this.player;
+        player.speed = Math.max(0, player.speed - (AIR_DRAG * player.speed * player.speed + ICE_FRICTION) * dt);
+        this.updateLean(dt);
+
+        const splitsBefore = player.splits.length;
+        const from = this.advance(player, dt);
+        if (from < CROSSOVER.mark && player.distance >= CROSSOVER.mark) {
+          this.checkCrossover(player, this.cpu);
+        }
+        this.updateCpu(dt);
+
+        if (player.splits.length > splitsBefore) {
+          // The CPU has no split yet when the player reaches the mark first.
+          const i = player.splits.length - 1;
+          const cpuSplit = this.cpu.splits[i];
+          this.message = Utils.t("speed.split", {
+            distance: Utils.formatDistance(SPLIT_DISTANCES[i], 0),
+            time: Utils.formatTime(player.splits[i]),
+            gap:
+              cpuSplit === undefined
+                ? Utils.t("speed.split.ahead")
+                : Utils.t("speed.split.gap", { gap: Utils.formatNumber(player.splits[i] - cpuSplit, 2, true) })
+          });
+        }
+
+        if (player.finishTime) {
+          this.finishRace();
+        } else if (this.raceTime >= MAX_RACE_TIME) {
+          this.phase = "done";
+          this.finished = true;
+          this.score = 0;
+          this.result = Utils.t("speed.dnf");
+          this.message = this.result;
+        }
+      },
+
+      draw(context) {
+        context.save();
+
+        context.fillStyle = "#d9f2ff";
+        context.fillRect(0, 0, WIDTH, HEIGHT);
+
+        this.drawRink(context);
+        this.drawSkater(context, this.cpu, "#b23a3a", Utils.t("speed.cpu"));
+        this.drawSkater(context, this.player, "#2a6694", Utils.t("speed.you"));
+
+        // Race clock, speed and reaction on the left.
+        const clock = this.phase === "done" && this.score > 0 ? this.score : this.raceTime;
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "bold 36px Trebuchet MS";
+        context.fillText(Utils.formatTime(clock), 24, 88);
+        context.font = "bold 17px Trebuchet MS";
+        context.fillText(Utils.formatSpeed(this.player.speed), 24, 124);
+        if (this.reaction > 0) {
+          context.fillText(Utils.t("speed.reaction", { time: Utils.formatTime(this.reaction, 3) }), 24, 150);
+        }
+
+        Utils.drawTimingMeter(context, 300, 70, 300, 24, this.rhythmNeedle(), this.zones);
+        context.font = "14px Trebuchet MS";
+        context.fillText(Utils.t("speed.meter.rhythm"), 300, 106);
+        context.textAlign = "right";
+        context.fillText(this.strideMessage, 600, 106);
+
+        this.drawLeanGauge(context, 300, 122, 300, 16);
+
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.font = "bold 18px Trebuchet MS";
+        context.fillText(this.message, 300, 182, 330);
+
+        this.drawSplits(context, 660, 70);
+
+        context.restore();
+      },
+
+      drawRink(context) {
+        const half = rink.straight / 2;
+        const outer = rink.radius + rink.laneGap * 2;
+        const inner = rink.radius - rink.laneGap * 2;
+
+        // Ice, lane lines, then the crossover, splits and finish marks.
+        context.save();
+        context.fillStyle = "#f4fbff";
+        context.strokeStyle = "#7fa6c2";
+        context.lineWidth = 2;
+        for (const radius of [outer, rink.radius, inner]) {
+          context.beginPath();
+          context.moveTo(rink.x - half, rink.y - radius);
+          context.lineTo(rink.x + half, rink.y - radius);
+          context.arc(rink.x + half, rink.y, radius, -Math.PI / 2, Math.PI / 2);
+          context.lineTo(rink.x - half, rink.y + radius);
+          context.arc(rink.x - half, rink.y, radius, Math.PI / 2, (Math.PI * 3) / 2);
+          context.closePath();
+          if (radius === outer) {
+            context.fill();
+          }
+          context.stroke();
+        }
+
+        context.fillStyle = "#d9f2ff";
+        context.beginPath();
+        context.moveTo(rink.x - half, rink.y - inner);
+        context.lineTo(rink.x + half, rink.y - inner);
+        context.arc(rink.x + half, rink.y, inner, -Math.PI / 2, Math.PI / 2);
+        context.lineTo(rink.x - half, rink.y + inner);
+        context.arc(rink.x - half, rink.y, inner, Math.PI / 2, (Math.PI * 3) / 2);
+        context.fill();
+
+        const crossStart = trackPoint(CROSSOVER.start, 0).x;
+        const crossEnd = trackPoint(CROSSOVER.end, 0).x;
+        context.strokeStyle = "#e08a2e";
+        context.lineWidth = 3;
+        context.beginPath();
+        context.moveTo(crossStart, rink.y - rink.radius - rink.laneGap);
+        context.lineTo(crossEnd, rink.y - rink.radius + rink.laneGap);
+        context.moveTo(crossStart, rink.y - rink.radius + rink.laneGap);
+        context.lineTo(crossEnd, rink.y - rink.radius - rink.laneGap);
+        context.stroke();
+
+        context.lineWidth = 2;
+        context.strokeStyle = "#5d7387";
+        for (const mark of SPLIT_DISTANCES) {
+          const a = trackPoint(mark, -2);
+          const b = trackPoint(mark, 2);
+          context.beginPath();
+          context.moveTo(a.x, a.y);
+          context.lineTo(b.x, b.y);
+          context.stroke();
+        }
+
+        context.lineWidth = 4;
+        context.strokeStyle = "#b23a3a";
+        for (const mark of [0, RACE_DISTANCE]) {
+          const a = trackPoint(mark, -2);
+          const b = trackPoint(mark, 2);
+          context.beginPath();
+          context.moveTo(a.x, a.y);
+          context.lineTo(b.x, b.y);
+          context.stroke();
+        }
+        context.restore();
+      },
+
+      drawSkater(context, skater, color, label) {
+        const point = trackPoint(skater.distance, laneAt(skater.startLane, skater.distance));
+
+        context.save();
+        context.fillStyle = color;
+        context.beginPath();
+        context.arc(point.x, point.y, 7, 0, Math.PI * 2);
+        context.fill();
+        context.font = "bold 12px Trebuchet MS";
+        context.textAlign = "center";
+        context.fillText(label, point.x, point.y - 14);
+        context.restore();
+      },
+
+      // Lean against the band the curve asks for.
+      drawLeanGauge(context, x, y, w, h) {
+        const needed = requiredLean(this.player.startLane, this.player.distance, this.player.speed);
+        const palette = Utils.getPalette();
+        const bandStart = Utils.clamp((needed - this.leanTolerance) / MAX_LEAN, 0, 1);
+        const bandEnd = Utils.clamp((needed + this.leanTolerance) / MAX_LEAN, 0, 1);
+
+        context.save();
+        context.fillStyle = "rgba(255, 255, 255, 0.75)";
+        context.fillRect(x, y, w, h);
+        context.fillStyle = palette.good;
+        context.fillRect(x + bandStart * w, y, (bandEnd - bandStart) * w, h);
+        context.fillStyle = "#173248";
+        context.fillRect(x + (this.lean / MAX_LEAN) * w - 2, y - 4, 4, h + 8);
+        context.strokeStyle = "#173248";
+        context.lineWidth = 2;
+        context.strokeRect(x, y, w, h);
+
+        const state = this.leanState();
+        context.font = "14px Trebuchet MS";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.fillText(Utils.t("speed.meter.lean", { degrees: Utils.formatNumber(this.lean) }), x, y + h + 14);
+        if (this.phase === "race" && state !== "ok") {
+          context.fillStyle = "#b23a3a";
+          context.textAlign = "right";
+          context.fillText(Utils.t(`speed.lean.${state}`), x + w, y + h + 14);
+        }
+        context.restore();
+      },
+
+      drawSplits(context, x, y) {
+        context.save();
+        context.fillStyle = "#173248";
+        context.textAlign = "left";
+        context.textBaseline = "middle";
+        context.font = "bold 16px Trebuchet MS";
+        context.fillText(Utils.t("speed.splits"), x, y);
+        context.textAlign = "right";
+        context.fillText(Utils.t("speed.you"), x + 160, y);
+        context.fillText(Utils.t("speed.cpu"), x + 226, y);
+
+        context.font = "15px Trebuchet MS";
+        [...SPLIT_DISTANCES, RACE_DISTANCE].forEach((mark, i) => {
+          const rowY = y + 24 + i * 22;
+          const mine = i < SPLIT_DISTANCES.length ? this.player.splits[i] : this.player.finishTime;
+          const theirs = i < SPLIT_DISTANCES.length ? this.cpu.splits[i] : this.cpu.finishTime;
+          context.textAlign = "left";
+          context.fillText(Utils.formatDistance(mark, 0), x, rowY);
+          context.textAlign = "right";
+          context.fillText(mine ? Utils.formatNumber(mine, 2) : "--", x + 160, rowY);
+          context.fillText(theirs ? Utils.formatNumber(theirs, 2) : "--", x + 226, rowY);
+        });
+        context.restore();
+      },
+
+      handleInput(eventType, payload) {
+        if (this.finished || eventType !== "keydown" || payload.repeat) {
+          return;
+        }
+
+        // One-switch: each press of charge is the next push, alternating legs for
+        // the player; the lean follows the curve on its own.
+        if (this.assist.oneSwitch && controls.is("charge", payload.code)) {
+          this.stride(this.lastSide === "left" ? "right" : "left");
+          return;
+        }
+
+        if (controls.is("strideLeft", payload.code)) {
+          this.stride("left");
+        } else if (controls.is("strideRight", payload.code)) {
+          this.stride("right");
+        }
+      },
+
+      getHUD() {
+        const key = controls.label("charge");
+        const left = controls.label("strideLeft");
+        const right = controls.label("strideRight");
+        const mode = this.assist.oneSwitch ? ".oneSwitch" : this.assist.autoRelease ? ".autoLean" : "";
+        const instructionsByPhase = {
+          set: Utils.t(this.assist.oneSwitch ? "speed.hud.set.oneSwitch" : "speed.hud.set", { left, right, key }),
+          race: Utils.t(`speed.hud.race${mode}`, { left, right, key }),
+          recall: Utils.t("speed.hud.recall"),
+          done: Utils.t("speed.hud.complete")
+        };
+
+        const hud = {
+          eventName: this.name,
+          instructions: instructionsByPhase[this.phase] || "",
+          status: this.message,
+          attemptsRemaining: this.finished ? 0 : 1,
+          // The clock runs on the canvas; the score is only the finishing time.
+          score: this.score
+        };
+
+        if (this.result) {
+          hud.resultDetail = this.result;
+        }
+
+        return hud;
+      }
+    };
+
+    event.reset();
+    return event;
+  }
+
+  registerEvent({
+    id: "speed",
+    name: "speed.name",
+    create: createSpeedSkatingEvent,
+    controls: ["charge", "strideLeft", "strideRight"],
+    bindings: { strideLeft: "ArrowLeft", strideRight: "ArrowRight" },
+    gamepad: { 0: "charge", 14: "strideLeft", 15: "strideRight" },
+    touch: [
+      { action: "strideLeft", label: "touch.strideLeft" },
+      { action: "strideRight", label: "touch.strideRight" }
+    ],
+    difficulty: {
+      easy: { cpuTime: 41, rhythmWindow: 1.3, grip: 1.3 },
+      normal: { cpuTime: 38.5, rhythmWindow: 1, grip: 1 },
+      hard: { cpuTime: 37, rhythmWindow: 0.8, grip: 0.8 }
+    },
+    scoring: "time",
+    // A tidy race with a few loose strides crosses in about 38 seconds.
+    par: 38,
+    icon(context, x, y, size) {
+      // Skater low in the crouch, one leg pushing out behind.
+      const s = size / 40;
+      context.save();
+      context.strokeStyle = "#173248";
+      context.fillStyle = "#173248";
+      context.lineWidth = 3 * s;
+      context.lineCap = "round";
+      context.beginPath();
+      context.arc(x + 30 * s, y + 12 * s, 4 * s, 0, Math.PI * 2);
+      context.fill();
+      context.beginPath();
+      context.moveTo(x + 26 * s, y + 15 * s);
+      context.lineTo(x + 12 * s, y + 20 * s);
+      context.moveTo(x + 18 * s, y + 18 * s);
+      context.lineTo(x + 10 * s, y + 14 * s);
+      context.moveTo(x + 12 * s, y + 20 * s);
+      context.lineTo(x + 18 * s, y + 28 * s);
+      context.lineTo(x + 16 * s, y + 34 * s);
+      context.moveTo(x + 12 * s, y + 20 * s);
+      context.lineTo(x + 4 * s, y + 30 * s);
+      context.moveTo(x + 10 * s, y + 35 * s);
+      context.lineTo(x + 24 * s, y + 35 * s);
+      context.stroke();
+      context.restore();
+    }
+  });
+
+  return { createSpeedSkatingEvent };
+});
@@ -4,119 +4,27 @@
   const canvas = document.getElementById("gameCanvas");
   const ctx = canvas.getContext("2d");
   const soundToggleButton = document.getElementById("soundToggle");
-
-  const WIDTH = canvas.width;
-  const HEIGHT = canvas.height;
-  const FIXED_DT = 1 / 120;
-  const GRAVITY = 1800;
-  const DEG_TO_RAD = Math.PI / 180;
-
-  const Utils = {
-    clamp(value, min, max) {
-      return Math.max(min, Math.min(max, value));
-    },
-
-    lerp(a, b, t) {
-      return a + (b - a) * t;
-    },
-
-    length(x, y) {
-      return Math.hypot(x, y);
-    },
-
-    normalize(x, y) {
-      const len = Math.hypot(x, y) || 1;
-      return { x: x / len, y: y / len };
-    },
-
-    pointInRect(px, py, rect) {
-      return (
-        px >= rect.x &&
-        px <= rect.x + rect.w &&
-        py >= rect.y &&
-        py <= rect.y + rect.h
-      );
-    },
-
-    formatPoints(value) {
-      return `${Math.round(value)} pts`;
-    },
-
-    drawButton(context, button) {
-      context.save();
-      context.fillStyle = button.hover ? "#204f76" : "#2a6694";
-      context.strokeStyle = "#0f2f4c";
-      context.lineWidth = 2;
-      context.fillRect(button.x, button.y, button.w, button.h);
-      context.strokeRect(button.x, button.y, button.w, button.h);
-
-      context.fillStyle = "#ffffff";
-      context.font = "bold 24px Trebuchet MS";
-      context.textAlign = "center";
-      context.textBaseline = "middle";
-      context.fillText(button.label, button.x + button.w / 2, button.y + button.h / 2);
-      context.restore();
-    },
-
-    drawChargeMeter(context, x, y, w, h, ratio, label) {
-      const clamped = Utils.clamp(ratio, 0, 1);
-
-      context.save();
-      context.fillStyle = "#ffffff";
-      context.globalAlpha = 0.9;
-      context.fillRect(x, y, w, h);
-
-      context.fillStyle = "#38a04a";
-      context.fillRect(x, y, w * clamped, h);
-
-      context.strokeStyle = "#173248";
-      context.lineWidth = 2;
-      context.strokeRect(x, y, w, h);
-
-      context.fillStyle = "#173248";
-      context.font = "bold 15px Trebuchet MS";
-      context.textAlign = "left";
-      context.textBaseline = "bottom";
-      context.fillText(label, x, y - 6);
-      context.restore();
-    },
-
-    drawTimingMeter(context, x, y, w, h, needle) {
-      context.save();
-
-      // Red / yellow / green zones for deterministic timing judgment.
-      const zones = [
-        { start: 0.0, end: 0.3, color: "#d84a4a" },
-        { start: 0.3, end: 0.42, color: "#f2c94c" },
-        { start: 0.42, end: 0.58, color: "#35b66a" },
-        { start: 0.58, end: 0.7, color: "#f2c94c" },
-        { start: 0.7, end: 1.0, color: "#d84a4a" }
-      ];
-
-      for (const zone of zones) {
-        context.fillStyle = zone.color;
-        context.fillRect(x + zone.start * w, y, (zone.end - zone.start) * w, h);
-      }
-
-      context.strokeStyle = "#173248";
-      context.lineWidth = 2;
-      context.strokeRect(x, y, w, h);
-
-      const nx = x + Utils.clamp(needle, 0, 1) * w;
-      context.strokeStyle = "#0e1c28";
-      context.lineWidth = 3;
-      context.beginPath();
-      context.moveTo(nx, y - 6);
-      context.lineTo(nx, y + h + 6);
-      context.stroke();
-
-      context.restore();
-    },
-
-    createButton(x, y, w, h, label, onClick) {
-      return { x, y, w, h, label, onClick, hover: false };
-    }
-  };
+  const saveReplayButton = document.getElementById("saveReplay");
+  const loadReplayButton = document.getElementById("loadReplay");
+  const replayFileInput = document.getElementById("replayFile");
+  const announcerElement = document.getElementById("announcer");
+
+  const {
+    WIDTH,
+    HEIGHT,
+    FIXED_DT,
+    DIFFICULTY_PRESETS,
+    DEFAULT_BINDINGS,
+    NO_ASSIST,
+    LOCALES,
+    UNIT_SYSTEMS,
+    Utils,
+    createFixedClock,
+    getRegisteredEvents,
+    onEventRegistered,
+    createEvent
+  } = window.MiniOlympics;
+  const { t } = Utils;
 
   const Sound = {
     enabled: true,
@@ -140,7 +48,7 @@
 
     setEnabled(enabled) {
       this.enabled = Boolean(enabled);
-      soundToggleButton.textContent = this.enabled ? "Sound: On" : "Sound: Off";
+      soundToggleButton.textContent = t(this.enabled ? "page.soundOn" : "page.soundOff");
       soundToggleButton.setAttribute("aria-pressed", String(this.enabled));
     },
 
@@ -181,21 +89,53 @@
     mouseX: 0,
     mouseY: 0,
     routeInput: () => {},
+    // Analog values in [-1, 1]; positive aim matches ArrowDown, positive pitch ArrowUp.
+    axes: { aim: 0, pitch: 0 },
+    touchMode: false,
+    pointers: new Map(),
+    virtualHeld: new Map(),
+    dragRange: 90,
+    tiltEnabled: false,
+    tiltBaseline: null,
+    gamepadConnected: false,
+    // Button index -> the key code its press sent, so the release sends the same one.
+    gamepadPressed: new Map(),
+    gamepadDeadzone: 0.15,
+    // Standard-mapping button index -> key code the menus understand. In events
+    // gamepadCodeFor() swaps in the keys bound to that event's actions.
+    gamepadButtonCodes: {
+      0: "Space",
+      1: "KeyB",
+      9: "Enter",
+      12: "ArrowUp",
+      13: "ArrowDown",
+      14: "ArrowLeft",
+      15: "ArrowRight"
+    },
 
     init(routeInput) {
       this.routeInput = routeInput;
 
       window.addEventListener("keydown", (event) => {
-        if (["Space", "ArrowUp", "ArrowDown"].includes(event.code)) {
+        if (["Space", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(event.code)) {
           event.preventDefault();
         }
 
+        const payload = { code: event.code, repeat: event.repeat };
+        if (event.code === "Tab") {
+          // Tab walks the canvas buttons while there are any; otherwise it leaves the canvas.
+          if (getActiveButtons().length > 0) {
+            event.preventDefault();
+          }
+          payload.shiftKey = event.shiftKey;
+        }
+
         this.keys.add(event.code);
-        this.routeInput("keydown", { code: event.code, repeat: event.repeat });
+        this.routeInput("keydown", payload);
       });
 
       window.addEventListener("keyup", (event) => {
-        if (["Space", "ArrowUp", "ArrowDown"].includes(event.code)) {
+        if (["Space", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(event.code)) {
           event.preventDefault();
         }
 
@@ -203,931 +143,1009 @@
         this.routeInput("keyup", { code: event.code });
       });
 
-      canvas.addEventListener("mousemove", (event) => {
-        const point = this.toCanvasPoint(event);
-        this.mouseX = point.x;
-        this.mouseY = point.y;
-        this.routeInput("pointermove", point);
-      });
+      // Pointer Events cover mouse, pen and multi-touch with one code path.
+      canvas.addEventListener("pointerdown", (event) => {
+        if (event.pointerType !== "mouse") {
+          this.touchMode = true;
+          event.preventDefault();
+        }
 
-      canvas.addEventListener("mousedown", (event) => {
         const point = this.toCanvasPoint(event);
         this.mouseX = point.x;
         this.mouseY = point.y;
         Sound.ensureContext();
-        this.routeInput("pointerdown", point);
-      });
-
-      canvas.addEventListener("mouseup", (event) => {
-        const point = this.toCanvasPoint(event);
-        this.mouseX = point.x;
-        this.mouseY = point.y;
-        this.routeInput("pointerup", point);
-      });
-    },
 
-    isDown(code) {
-      return this.keys.has(code);
-    },
-
-    toCanvasPoint(event) {
-      const rect = canvas.getBoundingClientRect();
-      return {
-        x: (event.clientX - rect.left) * (canvas.width / rect.width),
-        y: (event.clientY - rect.top) * (canvas.height / rect.height)
-      };
-    }
-  };
+        if (canvas.setPointerCapture) {
+          canvas.setPointerCapture(event.pointerId);
+        }
 
-  function createFigureSkatingEvent() {
-    const totalJumps = 5;
-    const groundY = 470;
+        const layout = this.touchMode ? getTouchLayout() : { controls: [], drag: false };
+        const control = layout.controls.find((candidate) => Utils.pointInRect(point.x, point.y, candidate));
 
-    const event = {
-      name: "Figure Skating",
-      score: 0,
-      jumpsCompleted: 0,
-      phase: "ready",
-      finished: false,
-      skaterY: groundY,
-      skaterVy: 0,
-      peakY: groundY,
-      charge: 0,
-      chargeRate: 0.9,
-      needle: 0,
-      needleDirection: 1,
-      needleSpeed: 1.5,
-      timingError: 0,
-      timingMultiplier: 1,
-      landingMultiplier: 1,
-      jumpMessage: "",
-      pauseTimer: 0,
-
-      reset() {
-        this.score = 0;
-        this.jumpsCompleted = 0;
-        this.phase = "ready";
-        this.finished = false;
-        this.skaterY = groundY;
-        this.skaterVy = 0;
-        this.peakY = groundY;
-        this.charge = 0;
-        this.needle = 0;
-        this.needleDirection = 1;
-        this.timingError = 0;
-        this.timingMultiplier = 1;
-        this.landingMultiplier = 1;
-        this.jumpMessage = "Hold SPACE to charge, release near green.";
-        this.pauseTimer = 0;
-      },
-
-      updateNeedle(dt) {
-        this.needle += this.needleDirection * this.needleSpeed * dt;
-        if (this.needle > 1) {
-          this.needle = 2 - this.needle;
-          this.needleDirection = -1;
-        }
-        if (this.needle < 0) {
-          this.needle = -this.needle;
-          this.needleDirection = 1;
+        if (control && control.code) {
+          this.pointers.set(event.pointerId, { code: control.code });
+          this.pressVirtual(control.code);
+          return;
         }
-      },
 
-      evaluateTiming(needle) {
-        const error = Math.abs(needle - 0.5);
-
-        if (needle >= 0.42 && needle <= 0.58) {
-          return { label: "Perfect timing", multiplier: 1.25, error };
+        if (control && control.action === "tilt") {
+          this.toggleTilt();
+          return;
         }
 
-        if ((needle >= 0.3 && needle < 0.42) || (needle > 0.58 && needle <= 0.7)) {
-          return { label: "Okay timing", multiplier: 1.0, error };
+        if (control && control.action === "pause") {
+          pauseEvent();
+          return;
         }
 
-        return { label: "Bad timing", multiplier: 0.7, error };
-      },
-
-      startJump() {
-        const timing = this.evaluateTiming(this.needle);
-        this.timingError = timing.error;
-        this.timingMultiplier = timing.multiplier;
-
-        const timingAccuracy = 1 - Utils.clamp(this.timingError / 0.5, 0, 1);
-        const takeoffSpeed = 620 + 520 * this.charge + 140 * timingAccuracy;
-
-        this.skaterVy = -takeoffSpeed;
-        this.peakY = this.skaterY;
-        this.phase = "air";
-        this.jumpMessage = `${timing.label} locked`;
-        Sound.beep({ freq: 620, duration: 0.06, volume: 0.03 });
-      },
-
-      resolveLanding() {
-        const jumpIndex = this.jumpsCompleted;
-        const baseDifficulty = 120 + jumpIndex * 45;
-        const requiredHeight = 95 + jumpIndex * 22;
-        const jumpHeight = groundY - this.peakY;
-        const heightRatio = jumpHeight / requiredHeight;
-
-        // Landing multiplier is deterministic from timing quality and achieved jump height.
-        let landingMultiplier = 0.45;
-        let landingLabel = "Rough landing";
-
-        if (this.timingError <= 0.08 && heightRatio >= 1.05) {
-          landingMultiplier = 1.35;
-          landingLabel = "Clean landing";
-        } else if (this.timingError <= 0.16 && heightRatio >= 0.9) {
-          landingMultiplier = 1.1;
-          landingLabel = "Good landing";
-        } else if (this.timingError <= 0.24 && heightRatio >= 0.75) {
-          landingMultiplier = 0.8;
-          landingLabel = "Sketchy landing";
+        if (layout.drag) {
+          this.pointers.set(event.pointerId, { drag: true, startX: point.x, startY: point.y });
+          return;
         }
 
-        this.landingMultiplier = landingMultiplier;
-        const points = Math.round(baseDifficulty * this.timingMultiplier * landingMultiplier);
-        this.score += points;
-        this.jumpsCompleted += 1;
+        this.routeInput("pointerdown", point);
+      });
 
-        this.jumpMessage = `${landingLabel}: +${points} (${Math.round(jumpHeight)} px height)`;
-        Sound.beep({ freq: 360 + points * 0.2, duration: 0.09, type: "triangle", volume: 0.04 });
+      canvas.addEventListener("pointermove", (event) => {
+        const point = this.toCanvasPoint(event);
+        const pointer = this.pointers.get(event.pointerId);
 
-        if (this.jumpsCompleted >= totalJumps) {
-          this.phase = "complete";
-          this.finished = true;
-          this.jumpMessage = `Routine complete: ${Utils.formatPoints(this.score)}`;
-        } else {
-          this.phase = "pause";
-          this.pauseTimer = 0.6;
+        if (pointer && pointer.drag) {
+          // Dragging down aims down / noses down, like pushing a stick.
+          const value = Utils.clamp((point.y - pointer.startY) / this.dragRange, -1, 1);
+          this.setAxis("aim", value);
+          this.setAxis("pitch", -value);
+          return;
         }
-      },
 
-      update(dt) {
-        if (this.phase === "complete") {
+        if (pointer) {
           return;
         }
 
-        if (this.phase === "ready" || this.phase === "charging") {
-          this.updateNeedle(dt);
+        this.mouseX = point.x;
+        this.mouseY = point.y;
+        this.routeInput("pointermove", point);
+      });
+
+      const endPointer = (event) => {
+        const pointer = this.pointers.get(event.pointerId);
+        this.pointers.delete(event.pointerId);
+
+        if (pointer && pointer.code) {
+          this.releaseVirtual(pointer.code);
+          return;
         }
 
-        if (this.phase === "charging") {
-          this.charge = Utils.clamp(this.charge + this.chargeRate * dt, 0, 1);
+        if (pointer && pointer.drag) {
+          this.setAxis("aim", 0);
+          this.setAxis("pitch", 0);
+          return;
         }
 
-        if (this.phase === "air") {
-          this.skaterVy += GRAVITY * dt;
-          this.skaterY += this.skaterVy * dt;
+        if (event.type === "pointerup") {
+          const point = this.toCanvasPoint(event);
+          this.mouseX = point.x;
+          this.mouseY = point.y;
+          this.routeInput("pointerup", point);
+        }
+      };
 
-          if (this.skaterY < this.peakY) {
-            this.peakY = this.skaterY;
-          }
+      canvas.addEventListener("pointerup", endPointer);
+      canvas.addEventListener("pointercancel", endPointer);
 
-          if (this.skaterY >= groundY && this.skaterVy > 0) {
-            this.skaterY = groundY;
-            this.skaterVy = 0;
-            this.resolveLanding();
-          }
+      window.addEventListener("deviceorientation", (event) => {
+        if (!this.tiltEnabled || event.beta === null) {
+          return;
         }
 
-        if (this.phase === "pause") {
-          this.pauseTimer -= dt;
-          if (this.pauseTimer <= 0) {
-            this.phase = "ready";
-            this.charge = 0;
-            this.jumpMessage = "Next jump: hold SPACE to charge.";
-          }
+        if (this.tiltBaseline === null) {
+          this.tiltBaseline = event.beta;
         }
-      },
 
-      draw(context) {
-        context.save();
+        const value = this.applyDeadzone(Utils.clamp((event.beta - this.tiltBaseline) / 25, -1, 1));
+        this.setAxis("aim", value);
+        this.setAxis("pitch", -value);
+      });
+    },
+
+    // On-screen controls can overlap (two fingers on one zone), so count holders per code.
+    pressVirtual(code) {
+      const count = this.virtualHeld.get(code) || 0;
+      this.virtualHeld.set(code, count + 1);
 
-        context.fillStyle = "#d9f2ff";
-        context.fillRect(0, 0, WIDTH, HEIGHT);
+      if (count === 0) {
+        this.keys.add(code);
+        this.routeInput("keydown", { code, repeat: false });
+      }
+    },
 
-        context.fillStyle = "#d0e8f7";
-        context.fillRect(0, groundY + 15, WIDTH, HEIGHT - groundY - 15);
+    releaseVirtual(code) {
+      const count = this.virtualHeld.get(code) || 0;
+      if (count <= 1) {
+        this.virtualHeld.delete(code);
+        this.keys.delete(code);
+        this.routeInput("keyup", { code });
+      } else {
+        this.virtualHeld.set(code, count - 1);
+      }
+    },
 
-        context.strokeStyle = "#aac7da";
-        context.lineWidth = 2;
-        for (let x = 40; x < WIDTH; x += 80) {
-          context.beginPath();
-          context.moveTo(x, groundY + 20);
-          context.lineTo(x + 28, HEIGHT);
-          context.stroke();
+    toggleTilt() {
+      const enable = () => {
+        this.tiltEnabled = !this.tiltEnabled;
+        this.tiltBaseline = null;
+        if (!this.tiltEnabled) {
+          this.setAxis("aim", 0);
+          this.setAxis("pitch", 0);
         }
+      };
 
-        // Simple skater avatar.
-        const skaterX = 230;
-        context.fillStyle = "#2a4560";
-        context.beginPath();
-        context.arc(skaterX, this.skaterY - 24, 12, 0, Math.PI * 2);
-        context.fill();
+      // iOS only delivers orientation after an explicit permission prompt.
+      const OrientationEvent = window.DeviceOrientationEvent;
+      if (!this.tiltEnabled && OrientationEvent && typeof OrientationEvent.requestPermission === "function") {
+        OrientationEvent.requestPermission()
+          .then((state) => {
+            if (state === "granted") {
+              enable();
+            }
+          })
+          .catch(() => {});
+        return;
+      }
 
-        context.strokeStyle = "#1f3042";
-        context.lineWidth = 6;
-        context.beginPath();
-        context.moveTo(skaterX, this.skaterY - 12);
-        context.lineTo(skaterX, this.skaterY + 18);
-        context.stroke();
+      enable();
+    },
 
-        context.strokeStyle = "#6c7f93";
-        context.lineWidth = 5;
-        context.beginPath();
-        context.moveTo(skaterX - 16, groundY + 19);
-        context.lineTo(skaterX + 16, groundY + 19);
-        context.stroke();
+    isDown(code) {
+      // During playback events poll the recorded key state instead of the keyboard.
+      if (Replay.playback) {
+        return Replay.playback.keys.has(code);
+      }
 
-        Utils.drawTimingMeter(context, 300, 70, 460, 26, this.needle);
-        Utils.drawChargeMeter(context, 300, 118, 460, 16, this.charge, "Jump Power");
+      return this.keys.has(code);
+    },
 
-        context.fillStyle = "#173248";
-        context.font = "bold 18px Trebuchet MS";
-        context.textAlign = "left";
-        context.fillText(this.jumpMessage, 300, 160);
+    getAxis(name) {
+      if (Replay.playback) {
+        return Replay.playback.axes[name] || 0;
+      }
 
-        context.restore();
-      },
+      return this.axes[name] || 0;
+    },
 
-      handleInput(eventType, payload) {
-        if (this.finished) {
-          return;
-        }
+    // Called once per animation frame; the Gamepad API has no button events.
+    pollGamepads() {
+      const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+      const pad = pads.find((candidate) => candidate && candidate.connected);
 
-        if (eventType === "keydown" && payload.code === "Space" && !payload.repeat) {
-          if (this.phase === "ready") {
-            this.phase = "charging";
-            this.charge = 0;
-            Sound.beep({ freq: 520, duration: 0.04, volume: 0.02 });
-          }
+      if (!pad) {
+        if (this.gamepadConnected) {
+          this.releaseGamepad();
         }
+        return;
+      }
 
-        if (eventType === "keyup" && payload.code === "Space") {
-          if (this.phase === "charging") {
-            this.startJump();
-          }
+      this.gamepadConnected = true;
+
+      for (const index of Object.keys(this.gamepadButtonCodes)) {
+        const button = pad.buttons[index];
+        const pressed = Boolean(button && button.pressed);
+
+        if (pressed && !this.gamepadPressed.has(index)) {
+          const code = gamepadCodeFor(index);
+          this.gamepadPressed.set(index, code);
+          this.keys.add(code);
+          this.routeInput("keydown", { code, repeat: false });
+        } else if (!pressed && this.gamepadPressed.has(index)) {
+          const code = this.gamepadPressed.get(index);
+          this.gamepadPressed.delete(index);
+          this.keys.delete(code);
+          this.routeInput("keyup", { code });
         }
-      },
-
-      getHUD() {
-        const instructionsByPhase = {
-          ready: "Hold SPACE to charge jump; release as needle crosses green.",
-          charging: "Release SPACE to commit timing and power.",
-          air: "In-air simulation running. Prepare for landing.",
-          pause: "Landing judged. Resetting for next jump.",
-          complete: "Routine complete. Returning to results."
-        };
-
-        return {
-          eventName: this.name,
-          instructions: instructionsByPhase[this.phase] || "",
-          attemptsRemaining: totalJumps - this.jumpsCompleted,
-          score: this.score
-        };
       }
-    };
 
-    event.reset();
-    return event;
-  }
+      const stickY = this.applyDeadzone(pad.axes[1] || 0);
+      this.setAxis("aim", stickY);
+      this.setAxis("pitch", -stickY);
+    },
 
-  function createCurlingEvent() {
-    const rink = { x: 80, y: 100, w: 740, h: 400 };
-    const house = { x: 700, y: 300 };
-    const stoneRadius = 14;
-    const totalStones = 3;
+    releaseGamepad() {
+      for (const code of this.gamepadPressed.values()) {
+        this.keys.delete(code);
+        this.routeInput("keyup", { code });
+      }
+      this.gamepadPressed.clear();
+      this.gamepadConnected = false;
+      this.setAxis("aim", 0);
+      this.setAxis("pitch", 0);
+    },
 
-    const event = {
-      name: "Curling",
-      score: 0,
-      stonesUsed: 0,
-      phase: "ready",
-      finished: false,
-      charge: 0,
-      chargeRate: 0.78,
-      aimDeg: 0,
-      brushHeld: false,
-      scoreTimer: 0,
-      lastStoneScore: 0,
-      stone: {
-        x: 140,
-        y: 300,
-        vx: 0,
-        vy: 0,
-        curlSign: 1
-      },
-      trail: [],
-
-      resetStone() {
-        this.stone.x = 140;
-        this.stone.y = 300;
-        this.stone.vx = 0;
-        this.stone.vy = 0;
-        this.stone.curlSign = this.aimDeg >= 0 ? 1 : -1;
-        this.trail = [];
-      },
-
-      reset() {
-        this.score = 0;
-        this.stonesUsed = 0;
-        this.phase = "ready";
-        this.finished = false;
-        this.charge = 0;
-        this.chargeRate = 0.78;
-        this.aimDeg = 0;
-        this.brushHeld = false;
-        this.scoreTimer = 0;
-        this.lastStoneScore = 0;
-        this.resetStone();
-      },
-
-      launchStone() {
-        const speed = 320 + 900 * this.charge;
-        const angle = this.aimDeg * DEG_TO_RAD;
-
-        this.stone.vx = speed * Math.cos(angle);
-        this.stone.vy = speed * Math.sin(angle);
-        this.stone.curlSign = this.aimDeg === 0 ? (this.stonesUsed % 2 === 0 ? 1 : -1) : Math.sign(this.aimDeg);
-
-        this.phase = "sliding";
-        Sound.beep({ freq: 500, duration: 0.06, type: "square", volume: 0.03 });
-      },
-
-      scoreStone() {
-        const dx = this.stone.x - house.x;
-        const dy = this.stone.y - house.y;
-        const distance = Math.hypot(dx, dy);
-
-        let points = 0;
-        if (distance < 15) {
-          points = 100;
-        } else if (distance < 40) {
-          points = 60;
-        } else if (distance < 80) {
-          points = 30;
-        }
+    applyDeadzone(value) {
+      const magnitude = Math.abs(value);
+      if (magnitude < this.gamepadDeadzone) {
+        return 0;
+      }
 
-        this.lastStoneScore = points;
-        this.score += points;
-        this.stonesUsed += 1;
-        this.phase = "scored";
-        this.scoreTimer = 1.0;
+      return Math.sign(value) * ((magnitude - this.gamepadDeadzone) / (1 - this.gamepadDeadzone));
+    },
 
-        Sound.beep({ freq: 280 + points * 3, duration: 0.09, type: "triangle", volume: 0.04 });
-      },
+    // Axis changes go through routeInput like key presses so replays capture them.
+    setAxis(name, value) {
+      const rounded = Math.round(value * 100) / 100 || 0;
+      if (this.axes[name] === rounded) {
+        return;
+      }
 
-      update(dt) {
-        if (this.phase === "complete") {
-          return;
-        }
+      this.axes[name] = rounded;
+      this.routeInput("axis", { name, value: rounded });
+    },
 
-        if (this.phase === "charging") {
-          this.charge = Utils.clamp(this.charge + this.chargeRate * dt, 0, 1);
-        }
+    toCanvasPoint(event) {
+      // Raw TouchEvents carry coordinates on their touch lists rather than the event.
+      const source = event.changedTouches && event.changedTouches.length > 0 ? event.changedTouches[0] : event;
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: (source.clientX - rect.left) * (canvas.width / rect.width),
+        y: (source.clientY - rect.top) * (canvas.height / rect.height)
+      };
+    }
+  };
 
-        if (this.phase === "sliding") {
-          const mu = this.brushHeld ? 0.08 : 0.2;
-          const speed = Utils.length(this.stone.vx, this.stone.vy);
+  // Records every routed input tagged with the fixed-step tick it arrived on, so a
+  // run can be fed back through the same update loop and reproduce exactly.
+  const Replay = {
+    format: "mini-olympics-replay",
+    // v3 stores the difficulty the run was played on, v4 the key bindings and v5
+    // the assists; older runs were Normal on the default keys with no assists.
+    version: 5,
+    tick: 0,
+    recording: null,
+    playback: null,
+    lastRecording: null,
+
+    startRecording(eventKey, seed, difficulty, bindings, assist, heldKeys, axes) {
+      this.tick = 0;
+      this.playback = null;
+      this.recording = {
+        format: this.format,
+        version: this.version,
+        eventKey,
+        seed,
+        difficulty,
+        bindings: { ...bindings },
+        assist: { ...assist },
+        fixedDt: FIXED_DT,
+        initialKeys: Array.from(heldKeys),
+        initialAxes: { ...axes },
+        inputs: [],
+        totalTicks: 0,
+        finalScore: null
+      };
+    },
 
-          if (speed > 0) {
-            // Deterministic friction model shared with requested convention.
-            const decel = mu * GRAVITY * dt;
-            const nextSpeed = Math.max(0, speed - decel);
-            const ratio = speed > 0 ? nextSpeed / speed : 0;
+    record(eventType, payload) {
+      if (!this.recording) {
+        return;
+      }
 
-            this.stone.vx *= ratio;
-            this.stone.vy *= ratio;
+      this.recording.inputs.push({ tick: this.tick, type: eventType, payload: { ...payload } });
+    },
 
-            // Mild speed-dependent curl to reward proper aiming.
-            this.stone.vy += this.stone.curlSign * 22 * (nextSpeed / 900) * dt;
+    // Drops a run abandoned part way, keeping the last finished one.
+    cancelRecording() {
+      this.recording = null;
+    },
 
-            this.stone.x += this.stone.vx * dt;
-            this.stone.y += this.stone.vy * dt;
+    stopRecording(finalScore) {
+      if (!this.recording) {
+        return;
+      }
 
-            this.trail.push({ x: this.stone.x, y: this.stone.y });
-            if (this.trail.length > 45) {
-              this.trail.shift();
-            }
-          }
+      this.recording.totalTicks = this.tick;
+      this.recording.finalScore = finalScore;
+      this.lastRecording = this.recording;
+      this.recording = null;
+    },
 
-          const minY = rink.y + stoneRadius;
-          const maxY = rink.y + rink.h - stoneRadius;
+    startPlayback(data) {
+      this.tick = 0;
+      this.recording = null;
+      this.playback = {
+        data,
+        cursor: 0,
+        keys: new Set(data.initialKeys),
+        axes: { ...(data.initialAxes || {}) }
+      };
+    },
 
-          if (this.stone.y < minY) {
-            this.stone.y = minY;
-            this.stone.vy = Math.abs(this.stone.vy) * 0.3;
-          } else if (this.stone.y > maxY) {
-            this.stone.y = maxY;
-            this.stone.vy = -Math.abs(this.stone.vy) * 0.3;
-          }
+    stopPlayback() {
+      this.playback = null;
+    },
 
-          const speedNow = Utils.length(this.stone.vx, this.stone.vy);
-          if (speedNow <= 2) {
-            this.stone.vx = 0;
-            this.stone.vy = 0;
-            this.scoreStone();
-          }
-        }
+    // Feeds every logged input due on the current tick, mirroring how live input
+    // lands between fixed steps.
+    feed(dispatch) {
+      const playback = this.playback;
+      if (!playback) {
+        return;
+      }
 
-        if (this.phase === "scored") {
-          this.scoreTimer -= dt;
-          if (this.scoreTimer <= 0) {
-            if (this.stonesUsed >= totalStones) {
-              this.phase = "complete";
-              this.finished = true;
-            } else {
-              this.phase = "ready";
-              this.charge = 0;
-              this.aimDeg = 0;
-              this.brushHeld = false;
-              this.resetStone();
-            }
-          }
+      const inputs = playback.data.inputs;
+      while (playback.cursor < inputs.length && inputs[playback.cursor].tick <= this.tick) {
+        const input = inputs[playback.cursor];
+        playback.cursor += 1;
+
+        if (input.type === "keydown") {
+          playback.keys.add(input.payload.code);
+        } else if (input.type === "keyup") {
+          playback.keys.delete(input.payload.code);
+        } else if (input.type === "axis") {
+          playback.axes[input.payload.name] = input.payload.value;
         }
-      },
-
-      draw(context) {
-        context.save();
 
-        context.fillStyle = "#d8f2ff";
-        context.fillRect(0, 0, WIDTH, HEIGHT);
+        dispatch(input.type, input.payload, true);
+      }
+    },
 
-        context.fillStyle = "#edf9ff";
-        context.fillRect(rink.x, rink.y, rink.w, rink.h);
+    advance() {
+      if (this.recording || this.playback) {
+        this.tick += 1;
+      }
+    },
 
-        context.strokeStyle = "#8cb8d3";
-        context.lineWidth = 2;
-        context.strokeRect(rink.x, rink.y, rink.w, rink.h);
+    serialize(data) {
+      return JSON.stringify(data, null, 2);
+    },
 
-        context.beginPath();
-        context.strokeStyle = "#aacfe7";
-        context.moveTo(rink.x + 70, rink.y);
-        context.lineTo(rink.x + 70, rink.y + rink.h);
-        context.stroke();
+    parse(text, knownEvents) {
+      const data = JSON.parse(text);
 
-        for (const ring of [80, 40, 15]) {
-          context.beginPath();
-          context.arc(house.x, house.y, ring, 0, Math.PI * 2);
-          context.fillStyle = ring === 80 ? "#6fc2f2" : ring === 40 ? "#ffffff" : "#ff6767";
-          context.fill();
-          context.strokeStyle = "#3f789e";
-          context.stroke();
-        }
+      if (!data || data.format !== this.format) {
+        throw new Error(t("replay.error.format"));
+      }
+      if (![2, 3, 4, this.version].includes(data.version)) {
+        throw new Error(t("replay.error.version", { version: data.version }));
+      }
+      if (data.version === 2) {
+        data.difficulty = DIFFICULTY_PRESETS.normal;
+      }
+      if (data.version < 4) {
+        data.bindings = DEFAULT_BINDINGS;
+      }
+      if (data.version < 5) {
+        data.assist = NO_ASSIST;
+      }
+      if (!Object.prototype.hasOwnProperty.call(knownEvents, data.eventKey)) {
+        throw new Error(t("replay.error.event", { event: data.eventKey }));
+      }
+      if (data.fixedDt !== FIXED_DT) {
+        throw new Error(t("replay.error.timestep"));
+      }
+      if (!Number.isInteger(data.seed)) {
+        throw new Error(t("replay.error.seed"));
+      }
+      if (!Array.isArray(data.inputs) || !Array.isArray(data.initialKeys)) {
+        throw new Error(t("replay.error.inputs"));
+      }
+      const difficulty = data.difficulty;
+      // Only the replayed event's own section is read back.
+      if (!difficulty || typeof difficulty.key !== "string" || !difficulty[data.eventKey]) {
+        throw new Error(t("replay.error.difficulty"));
+      }
+      if (!data.bindings || typeof data.bindings !== "object") {
+        throw new Error(t("replay.error.bindings"));
+      }
+      data.bindings = { ...DEFAULT_BINDINGS, ...data.bindings };
+      if (!data.assist || typeof data.assist !== "object") {
+        throw new Error(t("replay.error.assist"));
+      }
+      data.assist = { ...NO_ASSIST, ...data.assist };
 
-        if (this.phase === "ready" || this.phase === "charging") {
-          const aimRad = this.aimDeg * DEG_TO_RAD;
-          const aimLength = 120 + this.charge * 130;
-          context.strokeStyle = "#2a668f";
-          context.lineWidth = 3;
-          context.beginPath();
-          context.moveTo(this.stone.x, this.stone.y);
-          context.lineTo(
-            this.stone.x + Math.cos(aimRad) * aimLength,
-            this.stone.y + Math.sin(aimRad) * aimLength
-          );
-          context.stroke();
-        }
+      return data;
+    }
+  };
 
-        for (let i = 0; i < this.trail.length; i += 1) {
-          const p = this.trail[i];
-          const alpha = i / this.trail.length;
-          context.fillStyle = `rgba(90, 130, 160, ${alpha * 0.35})`;
-          context.beginPath();
-          context.arc(p.x, p.y, 4, 0, Math.PI * 2);
-          context.fill();
-        }
+  const Records = {
+    // v2: figure skating moved to ISU points and ski jump to FIS points, so v1
+    // boards are not comparable.
+    storageKey: "miniOlympics.records.v2",
+    maxEntries: 5,
+    storage: null,
+    data: {},
+
+    init() {
+      // Private browsing and sandboxed iframes can throw on access; fall back to memory.
+      try {
+        const storage = window.localStorage;
+        const probe = "__miniOlympicsProbe";
+        storage.setItem(probe, probe);
+        storage.removeItem(probe);
+        this.storage = storage;
+      } catch (error) {
+        this.storage = null;
+      }
 
-        context.beginPath();
-        context.arc(this.stone.x, this.stone.y, stoneRadius, 0, Math.PI * 2);
-        context.fillStyle = "#7d8f9d";
-        context.fill();
-        context.strokeStyle = "#364955";
-        context.lineWidth = 2;
-        context.stroke();
+      this.data = this.read();
+    },
 
-        Utils.drawChargeMeter(context, 120, 65, 320, 16, this.charge, "Push Power");
+    read() {
+      if (!this.storage) {
+        return {};
+      }
 
-        context.fillStyle = "#173248";
-        context.font = "bold 18px Trebuchet MS";
-        context.textAlign = "left";
-        context.fillText(`Aim: ${this.aimDeg.toFixed(1)} deg`, 470, 79);
+      try {
+        const parsed = JSON.parse(this.storage.getItem(this.storageKey) || "{}");
+        return parsed && typeof parsed === "object" ? parsed : {};
+      } catch (error) {
+        return {};
+      }
+    },
 
-        if (this.phase === "sliding") {
-          context.fillText(this.brushHeld ? "Brushing ON (B)" : "Brushing OFF (hold B)", 630, 79);
-        } else if (this.phase === "scored") {
-          context.fillText(`Stone score: ${this.lastStoneScore}`, 630, 79);
-        }
+    write() {
+      if (!this.storage) {
+        return;
+      }
 
-        context.restore();
-      },
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+      } catch (error) {
+        // Quota or permission errors keep the in-memory copy authoritative.
+      }
+    },
 
-      handleInput(eventType, payload) {
-        if (this.finished) {
-          return;
-        }
+    getLeaderboard(key) {
+      return (this.data[key] || []).slice();
+    },
 
-        if (eventType === "keydown") {
-          if (payload.code === "ArrowUp" && (this.phase === "ready" || this.phase === "charging")) {
-            this.aimDeg = Utils.clamp(this.aimDeg - 1.5, -14, 14);
-          }
+    getBest(key) {
+      const board = this.data[key];
+      return board && board.length > 0 ? board[0] : null;
+    },
 
-          if (payload.code === "ArrowDown" && (this.phase === "ready" || this.phase === "charging")) {
-            this.aimDeg = Utils.clamp(this.aimDeg + 1.5, -14, 14);
-          }
+    // Returns the rank the score would take, or -1 when it misses the board.
+    rankFor(key, score) {
+      if (score <= 0) {
+        return -1;
+      }
 
-          if (payload.code === "Space" && !payload.repeat && this.phase === "ready") {
-            this.phase = "charging";
-            this.charge = 0;
-            Sound.beep({ freq: 510, duration: 0.04, volume: 0.02 });
-          }
+      const board = this.data[key] || [];
+      const rank = board.findIndex((entry) => beats(key, score, entry.score));
+      if (rank !== -1) {
+        return rank;
+      }
 
-          if (payload.code === "KeyB") {
-            this.brushHeld = true;
-          }
-        }
+      return board.length < this.maxEntries ? board.length : -1;
+    },
 
-        if (eventType === "keyup") {
-          if (payload.code === "Space" && this.phase === "charging") {
-            this.launchStone();
-          }
+    // Runs helped by an assist keep their place but carry a mark.
+    addEntry(key, initials, score, assisted = false) {
+      const rank = this.rankFor(key, score);
+      if (rank === -1) {
+        return -1;
+      }
 
-          if (payload.code === "KeyB") {
-            this.brushHeld = false;
-          }
-        }
-      },
-
-      getHUD() {
-        const instructionsByPhase = {
-          ready: "UP/DOWN aim, hold SPACE to set push power, release to throw.",
-          charging: "Release SPACE to launch the stone.",
-          sliding: "Hold B to brush and reduce friction (mu 0.20 -> 0.08).",
-          scored: "Stone stopped. Scoring this throw.",
-          complete: "End complete. Returning to results."
-        };
+      const board = this.data[key] || [];
+      board.splice(rank, 0, {
+        initials,
+        score: Math.round(score * 100) / 100,
+        date: new Date().toISOString().slice(0, 10),
+        ...(assisted ? { assisted: true } : {})
+      });
+      board.length = Math.min(board.length, this.maxEntries);
+      this.data[key] = board;
+      this.write();
+      return rank;
+    }
+  };
 
-        return {
-          eventName: this.name,
-          instructions: instructionsByPhase[this.phase] || "",
-          attemptsRemaining: totalStones - this.stonesUsed,
-          score: this.score
-        };
+  // Path of the best-ever attempt per event, for events that can record one
+  // (getGhostRecording) and draw it back (their `ghost` field). Shares the storage
+  // Records probed.
+  const Ghosts = {
+    storageKey: "miniOlympics.ghosts.v1",
+    storage: null,
+    data: {},
+
+    init(storage) {
+      this.storage = storage;
+      try {
+        const parsed = storage ? JSON.parse(storage.getItem(this.storageKey) || "{}") : {};
+        this.data = parsed && typeof parsed === "object" ? parsed : {};
+      } catch (error) {
+        this.data = {};
       }
-    };
+    },
 
-    event.reset();
-    return event;
-  }
+    get(key) {
+      const entry = this.data[key];
+      return entry ? entry.recording : null;
+    },
 
-  function createSkiJumpEvent() {
-    const rampStart = { x: 120, y: 120 };
-    const lip = { x: 330, y: 300 };
-    const hillEnd = { x: 860, y: 560 };
+    // Keeps the attempt when it beats the stored one; returns whether it did.
+    offer(key, score, event) {
+      if (!event.getGhostRecording || score <= 0) {
+        return false;
+      }
 
-    const rampDx = lip.x - rampStart.x;
-    const rampDy = lip.y - rampStart.y;
-    const rampLength = Math.hypot(rampDx, rampDy);
-    const rampTangent = { x: rampDx / rampLength, y: rampDy / rampLength };
-    const rampNormal = { x: rampTangent.y, y: -rampTangent.x };
+      const current = this.data[key];
+      if (current && !beats(key, score, current.score)) {
+        return false;
+      }
 
-    const hillSlope = (hillEnd.y - lip.y) / (hillEnd.x - lip.x);
-    const hillAngleDeg = Math.atan2(hillEnd.y - lip.y, hillEnd.x - lip.x) / DEG_TO_RAD;
+      this.data[key] = { score, recording: event.getGhostRecording() };
+      if (this.storage) {
+        try {
+          this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+          // Quota errors keep the ghost for this session only.
+        }
+      }
+      return true;
+    }
+  };
 
-    const event = {
-      name: "Ski Jump",
-      score: 0,
-      attemptsTotal: 1,
-      attemptsUsed: 0,
-      phase: "ramp",
-      finished: false,
-      loading: false,
-      load: 0,
-      loadRate: 0.9,
-      takeoffLocked: false,
-      timingFactor: 0.35,
-      landingMessage: "",
-      doneTimer: 0,
-      skier: {
-        s: 0,
-        speedAlong: 0,
-        x: rampStart.x,
-        y: rampStart.y,
-        vx: 0,
-        vy: 0,
-        pitchDeg: 6
-      },
-      trail: [],
-
-      hillY(x) {
-        const clampedX = Utils.clamp(x, lip.x, hillEnd.x);
-        return lip.y + hillSlope * (clampedX - lip.x);
-      },
-
-      reset() {
-        this.score = 0;
-        this.attemptsUsed = 0;
-        this.phase = "ramp";
-        this.finished = false;
-        this.loading = false;
-        this.load = 0;
-        this.takeoffLocked = false;
-        this.timingFactor = 0.35;
-        this.landingMessage = "Hold SPACE while descending, release near lip.";
-        this.doneTimer = 0;
-
-        this.skier.s = 0;
-        this.skier.speedAlong = 0;
-        this.skier.x = rampStart.x;
-        this.skier.y = rampStart.y;
-        this.skier.vx = 0;
-        this.skier.vy = 0;
-        this.skier.pitchDeg = 6;
-
-        this.trail = [];
-      },
-
-      computeTimingFactor(distanceToLip) {
-        const windowPx = 170;
-        const normalized = Utils.clamp(1 - distanceToLip / windowPx, 0, 1);
-        return 0.3 + normalized * 0.7;
-      },
-
-      enterFlight() {
-        this.phase = "flight";
-
-        const loadFactor = 0.55 + 0.45 * this.load;
-        const impulse = 340 * loadFactor * this.timingFactor;
-
-        // Velocity at lip combines ramp speed + takeoff impulse.
-        this.skier.x = lip.x;
-        this.skier.y = lip.y;
-        this.skier.vx = rampTangent.x * this.skier.speedAlong + rampNormal.x * impulse;
-        this.skier.vy = rampTangent.y * this.skier.speedAlong + rampNormal.y * impulse;
-        this.skier.pitchDeg = 7;
-
-        Sound.beep({ freq: 540, duration: 0.07, type: "square", volume: 0.04 });
-      },
-
-      resolveLanding() {
-        this.phase = "landed";
-        this.attemptsUsed = 1;
-
-        const distancePx = Math.max(0, this.skier.x - lip.x);
-        const distanceMeters = distancePx / 6;
-
-        const safePitch = Math.abs(this.skier.pitchDeg - 8) <= 8;
-        const safeVSpeed = this.skier.vy < 360;
-
-        let bonus = 0;
-        if (safePitch && safeVSpeed) {
-          bonus = 35;
-          this.landingMessage = "Telemark-style landing bonus";
-        } else if (safeVSpeed) {
-          bonus = 15;
-          this.landingMessage = "Stable landing bonus";
+  // Rows of the settings screen's Custom difficulty, one per field of each event's
+  // presets. `event` names the preset section a value lives in; timing zone width is
+  // shared by every meter. An event's `difficulty.custom` sets a row's limits
+  // outright. Otherwise counts step by one up to two past the largest preset,
+  // multipliers by a tenth between half and double, and anything in its own units
+  // (seconds, say) by a half from a tenth below the lowest preset to a tenth above
+  // the highest.
+  function customSettings() {
+    const rows = [];
+    for (const { id, difficulty } of getRegisteredEvents()) {
+      const normal = difficulty.normal || {};
+      const limits = difficulty.custom || {};
+      for (const field of Object.keys(normal)) {
+        const values = Object.keys(DIFFICULTY_PRESETS)
+          .map((key) => (difficulty[key] || {})[field])
+          .filter((value) => typeof value === "number");
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+        const label = `custom.${id}${field[0].toUpperCase()}${field.slice(1)}`;
+        if (limits[field]) {
+          rows.push({ label, event: id, field, ...limits[field], multiplier: normal[field] === 1 });
+        } else if (values.every(Number.isInteger)) {
+          rows.push({ label, event: id, field, step: 1, min: 1, max: high + 2 });
+        } else if (normal[field] === 1) {
+          rows.push({ label, event: id, field, step: 0.1, min: 0.5, max: 2, multiplier: true });
         } else {
-          this.landingMessage = "Hard landing";
+          rows.push({ label, event: id, field, step: 0.5, min: Math.floor(low * 0.9), max: Math.ceil(high * 1.1) });
         }
+      }
+    }
+    rows.push({
+      label: "custom.zoneScale",
+      event: null,
+      field: "zoneScale",
+      step: 0.05,
+      min: 0.5,
+      max: 1.6,
+      multiplier: true
+    });
+    return rows;
+  }
 
-        this.score = Math.round(distanceMeters + bonus);
-        this.doneTimer = 1.2;
+  // Custom rows fill a left column then a right one, tightening to stay above the
+  // settings buttons however many events are registered.
+  function customRowSlot(index, count) {
+    const perColumn = Math.ceil(count / 2);
+    const gap = Math.min(34, 340 / perColumn);
+    return { x: index < perColumn ? 40 : 470, y: 162 + (index % perColumn) * gap, h: Math.min(30, gap - 4) };
+  }
 
-        Sound.beep({ freq: 280 + distanceMeters * 4, duration: 0.1, type: "triangle", volume: 0.04 });
-      },
+  // The chosen difficulty, plus the values behind Custom. Shares the storage
+  // Records probed.
+  const Settings = {
+    storageKey: "miniOlympics.settings.v1",
+    storage: null,
+    data: {
+      difficulty: "normal",
+      custom: null,
+      palette: "standard",
+      assist: { ...NO_ASSIST },
+      locale: "en",
+      units: "metric"
+    },
 
-      updateRamp(dt) {
-        const rampAcceleration = 780;
-        this.skier.speedAlong += rampAcceleration * dt;
+    init(storage) {
+      this.storage = storage;
+      let parsed = null;
+      try {
+        parsed = storage ? JSON.parse(storage.getItem(this.storageKey) || "null") : null;
+      } catch (error) {
+        parsed = null;
+      }
 
-        if (this.loading && !this.takeoffLocked) {
-          this.load = Utils.clamp(this.load + this.loadRate * dt, 0, 1);
-        }
+      const saved = parsed && typeof parsed === "object" ? parsed : {};
+      const known =
+        saved.difficulty === "custom" || Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, saved.difficulty);
+      this.data = {
+        difficulty: known ? saved.difficulty : "normal",
+        custom: this.makeCustom(saved.custom || {}),
+        palette: saved.palette === "accessible" ? "accessible" : "standard",
+        assist: Object.fromEntries(
+          Object.keys(NO_ASSIST).map((name) => [name, Boolean(saved.assist && saved.assist[name])])
+        ),
+        locale: Object.prototype.hasOwnProperty.call(LOCALES, saved.locale) ? saved.locale : this.browserLocale(),
+        units: UNIT_SYSTEMS.includes(saved.units) ? saved.units : "metric"
+      };
+      Utils.setPalette(this.data.palette);
+      Utils.setLocale(this.data.locale);
+      Utils.setUnits(this.data.units);
+    },
 
-        this.skier.s += this.skier.speedAlong * dt;
-        if (this.skier.s >= rampLength) {
-          this.skier.s = rampLength;
+    // First visit: the browser's language when there is a catalog for it.
+    browserLocale() {
+      const code = String(navigator.language || "").slice(0, 2).toLowerCase();
+      return Object.prototype.hasOwnProperty.call(LOCALES, code) ? code : "en";
+    },
 
-          if (!this.takeoffLocked) {
-            this.timingFactor = 1;
-            this.takeoffLocked = true;
-            this.loading = false;
-          }
+    // Fills anything missing from an older save with the Normal values.
+    makeCustom(source) {
+      const normal = DIFFICULTY_PRESETS.normal;
+      const custom = {
+        key: "custom",
+        label: "Custom",
+        zoneScale: typeof source.zoneScale === "number" ? source.zoneScale : normal.zoneScale
+      };
+      for (const { id } of getRegisteredEvents()) {
+        custom[id] = { ...normal[id], ...(source[id] || {}) };
+      }
+      return custom;
+    },
 
-          this.enterFlight();
-        }
+    write() {
+      if (!this.storage) {
+        return;
+      }
 
-        this.skier.x = rampStart.x + rampTangent.x * this.skier.s;
-        this.skier.y = rampStart.y + rampTangent.y * this.skier.s;
-      },
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+      } catch (error) {
+        // Quota errors keep the setting for this session only.
+      }
+    },
 
-      updateFlight(dt) {
-        if (Input.isDown("ArrowUp")) {
-          this.skier.pitchDeg = Utils.clamp(this.skier.pitchDeg + 55 * dt, -20, 20);
-        }
-        if (Input.isDown("ArrowDown")) {
-          this.skier.pitchDeg = Utils.clamp(this.skier.pitchDeg - 55 * dt, -20, 20);
-        }
+    getDifficulty() {
+      const key = this.data.difficulty;
+      return key === "custom" ? this.data.custom : DIFFICULTY_PRESETS[key];
+    },
 
-        const speed = Utils.length(this.skier.vx, this.skier.vy);
-        const velUnit = Utils.normalize(this.skier.vx, this.skier.vy);
+    setDifficulty(key) {
+      this.data.difficulty = key;
+      this.write();
+    },
 
-        // Sweet spot for lift is slightly nose-up near +8 degrees.
-        const pitch = this.skier.pitchDeg;
-        const clShape = 1 - ((pitch - 8) * (pitch - 8)) / 900;
-        const Cl = 0.00024 * Math.max(0, clShape);
-        const Cd = 0.00009 + 0.000004 * (pitch + 2) * (pitch + 2);
+    // Colour-blind-safe, high-contrast colours with patterned meter zones.
+    togglePalette() {
+      this.data.palette = this.data.palette === "accessible" ? "standard" : "accessible";
+      Utils.setPalette(this.data.palette);
+      this.write();
+    },
 
-        const lift = Cl * speed * speed;
-        const drag = Cd * speed * speed;
+    getAssist() {
+      return { ...this.data.assist };
+    },
 
-        const liftDir = { x: velUnit.y, y: -velUnit.x };
+    toggleAssist(name) {
+      this.data.assist[name] = !this.data.assist[name];
+      this.write();
+    },
 
-        const ax = -drag * velUnit.x + lift * liftDir.x;
-        const ay = GRAVITY - drag * velUnit.y + lift * liftDir.y;
+    setLocale(code) {
+      this.data.locale = code;
+      Utils.setLocale(code);
+      this.write();
+    },
 
-        this.skier.vx += ax * dt;
-        this.skier.vy += ay * dt;
-        this.skier.x += this.skier.vx * dt;
-        this.skier.y += this.skier.vy * dt;
+    setUnits(system) {
+      this.data.units = system;
+      Utils.setUnits(system);
+      this.write();
+    },
 
-        this.trail.push({ x: this.skier.x, y: this.skier.y });
-        if (this.trail.length > 60) {
-          this.trail.shift();
-        }
+    // Editing a value starts Custom from whatever is selected now.
+    adjust(row, direction) {
+      if (this.data.difficulty !== "custom") {
+        this.data.custom = this.makeCustom(this.getDifficulty());
+        this.data.difficulty = "custom";
+      }
 
-        const hillY = this.hillY(this.skier.x);
-        if (this.skier.x >= lip.x && this.skier.y >= hillY) {
-          this.skier.y = hillY;
-          this.resolveLanding();
-        }
+      const section = row.event ? this.data.custom[row.event] : this.data.custom;
+      const next = Utils.clamp(section[row.field] + row.step * direction, row.min, row.max);
+      section[row.field] = Math.round(next * 100) / 100;
+      this.write();
+    }
+  };
 
-        if (this.skier.x > WIDTH + 100 || this.skier.y > HEIGHT + 120) {
-          this.phase = "complete";
-          this.attemptsUsed = 1;
-          this.finished = true;
-          this.score = 0;
-          this.landingMessage = "Jump missed landing hill";
-        }
-      },
+  function eventIds() {
+    return getRegisteredEvents().map((entry) => entry.id);
+  }
 
-      update(dt) {
-        if (this.phase === "complete") {
-          return;
-        }
+  function eventEntry(id) {
+    return getRegisteredEvents().find((entry) => entry.id === id) || null;
+  }
 
-        if (this.phase === "ramp") {
-          this.updateRamp(dt);
-        } else if (this.phase === "flight") {
-          this.updateFlight(dt);
-        } else if (this.phase === "landed") {
-          this.doneTimer -= dt;
-          if (this.doneTimer <= 0) {
-            this.phase = "complete";
-            this.finished = true;
-          }
-        }
-      },
+  // Scores come keyed by event id or by record key ("speed.hard"); timed events
+  // rank the lower time first and show a clock instead of points.
+  function isTimed(key) {
+    const entry = eventEntry(String(key).split(".")[0]);
+    return Boolean(entry && entry.scoring === "time");
+  }
 
-      draw(context) {
-        context.save();
+  function beats(key, score, other) {
+    return isTimed(key) ? score < other : score > other;
+  }
 
-        context.fillStyle = "#c7e9ff";
-        context.fillRect(0, 0, WIDTH, HEIGHT);
+  function formatScore(key, score) {
+    if (!isTimed(key)) {
+      return Utils.formatPoints(score);
+    }
+    return score > 0 ? Utils.formatTime(score) : t("units.noTime");
+  }
 
-        context.fillStyle = "#eef9ff";
-        context.beginPath();
-        context.moveTo(rampStart.x - 40, rampStart.y - 18);
-        context.lineTo(lip.x, lip.y);
-        context.lineTo(lip.x + 20, lip.y + 40);
-        context.lineTo(rampStart.x - 40, rampStart.y + 18);
-        context.closePath();
-        context.fill();
+  // Actions the app itself handles in every event.
+  const APP_ACTIONS = ["toggleSound", "pause"];
+
+  // Rows of the controls screen, from the actions each registered event reads.
+  // Two actions may share a key only when no event uses both; toggleSound works
+  // everywhere, so it shares with nothing.
+  function getControlRows() {
+    const rows = [];
+    for (const entry of getRegisteredEvents()) {
+      for (const action of entry.controls.filter((name) => !APP_ACTIONS.includes(name))) {
+        let row = rows.find((candidate) => candidate.action === action);
+        if (!row) {
+          row = { action, label: `action.${action}`, events: [] };
+          rows.push(row);
+        }
+        row.events.push(entry.id);
+      }
+    }
+    rows.push({ action: "toggleSound", label: "action.toggleSound", events: [...eventIds(), "menu"] });
+    rows.push({ action: "pause", label: "action.pause", events: eventIds() });
+    return rows;
+  }
 
-        context.fillStyle = "#e8f5ff";
-        context.beginPath();
-        context.moveTo(lip.x, lip.y);
-        context.lineTo(hillEnd.x, hillEnd.y);
-        context.lineTo(hillEnd.x, HEIGHT);
-        context.lineTo(lip.x, HEIGHT);
-        context.closePath();
-        context.fill();
+  // Escape cancels a rebind and Enter confirms menus and initials. Actions that
+  // also work in menus can't take the keys that move through them.
+  const RESERVED_KEYS = ["Escape", "Enter", "NumpadEnter"];
+  const MENU_KEYS = ["Space", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"];
+
+  // The player's key per action, handed to every event as its `controls`. A replay
+  // brings the bindings it was recorded with. Shares the storage Records probed.
+  const Bindings = {
+    storageKey: "miniOlympics.bindings.v1",
+    storage: null,
+    data: { ...DEFAULT_BINDINGS },
+
+    init(storage) {
+      this.storage = storage;
+      let parsed = null;
+      try {
+        parsed = storage ? JSON.parse(storage.getItem(this.storageKey) || "null") : null;
+      } catch (error) {
+        parsed = null;
+      }
 
-        context.strokeStyle = "#8ab4d0";
-        context.lineWidth = 3;
-        context.beginPath();
-        context.moveTo(rampStart.x, rampStart.y);
-        context.lineTo(lip.x, lip.y);
-        context.stroke();
+      this.data = { ...DEFAULT_BINDINGS };
+      if (parsed && typeof parsed === "object") {
+        for (const action of Object.keys(DEFAULT_BINDINGS)) {
+          if (typeof parsed[action] === "string") {
+            this.data[action] = parsed[action];
+          }
+        }
+      }
+    },
 
-        context.beginPath();
-        context.moveTo(lip.x, lip.y);
-        context.lineTo(hillEnd.x, hillEnd.y);
-        context.stroke();
+    write() {
+      if (!this.storage) {
+        return;
+      }
 
-        for (let i = 0; i < this.trail.length; i += 1) {
-          const p = this.trail[i];
-          const alpha = i / this.trail.length;
-          context.fillStyle = `rgba(70, 110, 140, ${alpha * 0.3})`;
-          context.beginPath();
-          context.arc(p.x, p.y, 3, 0, Math.PI * 2);
-          context.fill();
-        }
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+      } catch (error) {
+        // Quota errors keep the bindings for this session only.
+      }
+    },
 
-        context.save();
-        context.translate(this.skier.x, this.skier.y);
-        context.rotate((-this.skier.pitchDeg + hillAngleDeg * 0.12) * DEG_TO_RAD);
+    active() {
+      return Replay.playback ? Replay.playback.data.bindings : this.data;
+    },
 
-        context.strokeStyle = "#1a2d3f";
-        context.lineWidth = 5;
-        context.beginPath();
-        context.moveTo(-18, 0);
-        context.lineTo(18, 0);
-        context.stroke();
+    code(action) {
+      return this.active()[action];
+    },
 
-        context.fillStyle = "#213f5b";
-        context.beginPath();
-        context.arc(0, -10, 9, 0, Math.PI * 2);
-        context.fill();
+    is(action, code) {
+      return this.active()[action] === code;
+    },
 
-        context.restore();
+    label(action) {
+      return Utils.keyLabel(this.active()[action]);
+    },
 
-        Utils.drawChargeMeter(context, 110, 65, 320, 16, this.load, "Leg Load");
+    // Rows whose action already uses `code` somewhere `action` is also used.
+    conflictsFor(action, code) {
+      const rows = getControlRows();
+      const row = rows.find((candidate) => candidate.action === action);
+      return rows.filter(
+        (other) =>
+          other.action !== action &&
+          this.data[other.action] === code &&
+          other.events.some((key) => row.events.includes(key))
+      );
+    },
 
-        context.fillStyle = "#173248";
-        context.font = "bold 18px Trebuchet MS";
-        context.textAlign = "left";
-        context.fillText(`Takeoff timing: ${(this.timingFactor * 100).toFixed(0)}%`, 460, 79);
+    bind(action, code) {
+      this.data[action] = code;
+      this.write();
+    },
 
-        if (this.phase === "flight" || this.phase === "landed" || this.phase === "complete") {
-          context.fillText(`Pitch: ${this.skier.pitchDeg.toFixed(1)} deg`, 700, 79);
-        }
+    resetDefaults() {
+      this.data = { ...DEFAULT_BINDINGS };
+      this.write();
+    }
+  };
 
-        if (this.landingMessage) {
-          context.fillText(this.landingMessage, 460, 108);
-        }
+  // Mirrors the canvas into the page's live region for screen readers. Each frame
+  // passes the current text by part; only parts that changed are read out.
+  const Announcer = {
+    element: null,
+    last: {},
 
-        context.restore();
-      },
+    init(element) {
+      this.element = element;
+    },
 
-      handleInput(eventType, payload) {
-        if (this.finished) {
-          return;
-        }
+    update(parts) {
+      const changed = Object.keys(parts).filter((key) => parts[key] && parts[key] !== this.last[key]);
+      this.last = parts;
+      if (changed.length > 0 && this.element) {
+        this.element.textContent = changed
+          .map((key) => (/[.!?]$/.test(parts[key]) ? parts[key] : `${parts[key]}.`))
+          .join(" ");
+      }
+    }
+  };
 
-        if (this.phase === "ramp") {
-          if (eventType === "keydown" && payload.code === "Space" && !payload.repeat && !this.takeoffLocked) {
-            this.loading = true;
-            Sound.beep({ freq: 510, duration: 0.04, volume: 0.02 });
-          }
+  // Boards and ghosts are kept per difficulty so easier runs never outrank harder
+  // ones. Normal keeps the bare event key, which is where earlier scores live.
+  function recordKeyFor(key, difficulty) {
+    return difficulty.key === "normal" ? key : `${key}.${difficulty.key}`;
+  }
 
-          if (eventType === "keyup" && payload.code === "Space" && this.loading && !this.takeoffLocked) {
-            this.loading = false;
-            const distToLip = Math.max(0, rampLength - this.skier.s);
-            this.timingFactor = this.computeTimingFactor(distToLip);
-            this.takeoffLocked = true;
-            Sound.beep({ freq: 660, duration: 0.05, volume: 0.03 });
-          }
-        }
-      },
-
-      getHUD() {
-        const instructionsByPhase = {
-          ramp: "Hold SPACE while descending and release near lip for best impulse.",
-          flight: "Use UP/DOWN to tune pitch (-20 deg to +20 deg) for lift and low drag.",
-          landed: "Landing judged. Final score stabilizing.",
-          complete: "Jump complete. Returning to results."
-        };
+  // Full Games totals only compare across the same events, so the board is keyed
+  // by the set played. The original three keep the bare key their scores live under.
+  const ORIGINAL_GAMES = ["figure", "curling", "ski"];
 
-        return {
-          eventName: this.name,
-          instructions: instructionsByPhase[this.phase] || "",
-          attemptsRemaining: this.attemptsTotal - this.attemptsUsed,
-          score: this.score
-        };
-      }
-    };
+  function gamesRecordKey(order) {
+    const set = order.join("+");
+    return set === ORIGINAL_GAMES.join("+") ? "games" : `games+${set}`;
+  }
+
+  function isAssisted(assist) {
+    return Object.values(assist).some(Boolean);
+  }
 
-    event.reset();
-    return event;
+  // Preset labels in core stay English for headless use; the screens use the catalog.
+  function difficultyLabel(difficulty) {
+    return t(`difficulty.${difficulty.key}`);
   }
 
+  function describeConditions(difficulty, assist) {
+    return t(isAssisted(assist) ? "conditions.assisted" : "conditions", { difficulty: difficultyLabel(difficulty) });
+  }
+
+  // Toggles on the accessibility screen. Labels and hints are message ids.
+  const ACCESS_OPTIONS = [
+    {
+      label: "access.palette",
+      hint: "access.palette.hint",
+      isOn: () => Settings.data.palette === "accessible",
+      toggle: () => Settings.togglePalette()
+    },
+    {
+      label: "access.oneSwitch",
+      hint: "access.oneSwitch.hint",
+      isOn: () => Settings.data.assist.oneSwitch,
+      toggle: () => Settings.toggleAssist("oneSwitch")
+    },
+    {
+      label: "access.slowTiming",
+      hint: "access.slowTiming.hint",
+      isOn: () => Settings.data.assist.slowTiming,
+      toggle: () => Settings.toggleAssist("slowTiming")
+    },
+    {
+      label: "access.autoRelease",
+      hint: "access.autoRelease.hint",
+      isOn: () => Settings.data.assist.autoRelease,
+      toggle: () => Settings.toggleAssist("autoRelease")
+    }
+  ];
+
+  // Names and labels are message ids. Rivals score the same Games points in every
+  // event, so their totals grow with the programme.
+  const TOURNAMENT_RIVALS = [
+    { name: "nation.norway", perEvent: 800 },
+    { name: "nation.canada", perEvent: 717 },
+    { name: "nation.germany", perEvent: 633 },
+    { name: "nation.japan", perEvent: 550 },
+    { name: "nation.switzerland", perEvent: 467 }
+  ];
+
+  const MEDALS = [
+    { label: "medal.gold", color: "#d4a72c", minPoints: 900 },
+    { label: "medal.silver", color: "#9aa7b1", minPoints: 700 },
+    { label: "medal.bronze", color: "#b0733c", minPoints: 500 }
+  ];
+
   const app = {
-    state: "menu", // menu | event | results
+    // menu | event | results | standings | players | ready | comparison | settings |
+    // controls | access | language
+    state: "menu",
+    menuPage: 0,
     activeEventKey: "",
     activeEvent: null,
+    // Difficulty the current or last run was played on (a replay brings its own).
+    activeDifficulty: DIFFICULTY_PRESETS.normal,
+    activeAssist: NO_ASSIST,
     results: {
+      eventKey: "",
       eventName: "",
-      score: 0
+      difficulty: DIFFICULTY_PRESETS.normal,
+      assist: NO_ASSIST,
+      score: 0,
+      detail: "",
+      judges: null,
+      replayCheck: null
     },
-    events: {
-      figure: createFigureSkatingEvent(),
-      curling: createCurlingEvent(),
-      ski: createSkiJumpEvent()
+    recordEntry: null,
+    tournament: {
+      active: false,
+      order: [],
+      index: 0,
+      total: 0,
+      entries: []
     },
+    // Local pass-the-device play: every chosen event runs once per player in turn.
+    hotSeat: {
+      active: false,
+      players: [],
+      // Event id -> ticked; addEvent ticks each sport as it registers.
+      events: {},
+      editIndex: 0,
+      turns: [],
+      turnIndex: 0,
+      seeds: {},
+      scores: []
+    },
+    // One instance per registered event, by id.
+    events: {},
+    // Set while a live event is paused: the keys and axes held at the moment it
+    // paused, so resume can send the event whatever changed in between.
+    pause: null,
+    // Action waiting for a key on the controls screen, and the screen's last notice.
+    rebinding: null,
+    controlsNotice: "",
     ui: {
       menuButtons: [],
-      backButton: null
+      backButton: null,
+      watchReplayButton: null,
+      standingsButton: null,
+      saveRecordButton: null,
+      skipRecordButton: null,
+      playerButtons: [],
+      hotSeatButtons: [],
+      readyButton: null,
+      comparisonButtons: [],
+      settingsButtons: [],
+      controlsButtons: [],
+      pauseButtons: [],
+      focusIndex: -1
     },
     transition: {
       alpha: 0,
@@ -1138,6 +1156,100 @@
     particles: []
   };
 
+  // `binding` names the action whose bound key a control presses. Labels are
+  // message ids.
+  const TOUCH_CONTROLS = {
+    charge: { x: 726, y: 404, w: 160, h: 142, binding: "charge", label: "touch.hold" },
+    tilt: { x: 14, y: 500, w: 92, h: 46, action: "tilt", label: "touch.tilt" },
+    pause: { x: 14, y: 444, w: 92, h: 46, action: "pause", label: "touch.pause" }
+  };
+
+  // Where an event's own touch buttons go, filled from the end so a lone button
+  // sits beside HOLD.
+  const TOUCH_SLOTS = [
+    { x: 480, y: 334 },
+    { x: 600, y: 334 },
+    { x: 480, y: 404 },
+    { x: 600, y: 404 },
+    { x: 480, y: 474 },
+    { x: 600, y: 474 }
+  ];
+
+  function gamepadCodeFor(index) {
+    // B skips the initials prompt rather than typing a B.
+    if (app.recordEntry && Input.gamepadButtonCodes[index] === "KeyB") {
+      return "Escape";
+    }
+    const entry = app.state === "event" ? eventEntry(app.activeEventKey) : null;
+    const action = entry && entry.gamepad[index];
+    return action ? Bindings.code(action) : Input.gamepadButtonCodes[index];
+  }
+
+  // Active on-screen controls for the current scene; Input asks for these on each touch.
+  function getTouchLayout() {
+    if (app.state !== "event" || !app.activeEvent || Replay.playback || app.pause || app.transition.dir !== 0) {
+      return { controls: [], drag: false };
+    }
+
+    const controls = [TOUCH_CONTROLS.charge, TOUCH_CONTROLS.tilt, TOUCH_CONTROLS.pause];
+    const own = eventEntry(app.activeEventKey).touch.slice(0, TOUCH_SLOTS.length);
+    own.forEach((control, i) => {
+      const slot = TOUCH_SLOTS[TOUCH_SLOTS.length - own.length + i];
+      controls.push({ ...slot, w: 110, h: 60, binding: control.action, label: control.label });
+    });
+
+    const bound = controls.map((control) =>
+      control.binding ? { ...control, code: Bindings.code(control.binding) } : control
+    );
+    // Events aimed with the pointer take touches on the canvas themselves.
+    return { controls: bound, drag: !eventEntry(app.activeEventKey).pointer };
+  }
+
+  function drawTouchControls(context) {
+    const layout = getTouchLayout();
+    if (!Input.touchMode || layout.controls.length === 0) {
+      return;
+    }
+
+    context.save();
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    for (const control of layout.controls) {
+      const active = control.code ? Input.isDown(control.code) : Input.tiltEnabled;
+      context.fillStyle = active ? "rgba(42, 102, 148, 0.7)" : "rgba(255, 255, 255, 0.45)";
+      context.strokeStyle = "rgba(23, 50, 72, 0.8)";
+      context.lineWidth = 2;
+      context.fillRect(control.x, control.y, control.w, control.h);
+      context.strokeRect(control.x, control.y, control.w, control.h);
+
+      context.fillStyle = active ? "#ffffff" : "#173248";
+      context.font = "bold 20px Trebuchet MS";
+      context.fillText(t(control.label), control.x + control.w / 2, control.y + control.h / 2, control.w - 8);
+    }
+
+    for (const pointer of Input.pointers.values()) {
+      if (!pointer.drag) {
+        continue;
+      }
+
+      // Vertical drag track centred on where the finger went down.
+      context.strokeStyle = "rgba(23, 50, 72, 0.5)";
+      context.lineWidth = 3;
+      context.beginPath();
+      context.moveTo(pointer.startX, pointer.startY - Input.dragRange);
+      context.lineTo(pointer.startX, pointer.startY + Input.dragRange);
+      context.stroke();
+
+      context.fillStyle = "rgba(42, 102, 148, 0.75)";
+      context.beginPath();
+      context.arc(pointer.startX, pointer.startY + Input.getAxis("aim") * Input.dragRange, 16, 0, Math.PI * 2);
+      context.fill();
+    }
+
+    context.restore();
+  }
+
   function initParticles() {
     app.particles = [];
     for (let i = 0; i < 36; i += 1) {
@@ -1151,168 +1263,1585 @@
     }
   }
 
+  // Event cards on one menu page: two columns of three.
+  const MENU_PAGE_SIZE = 6;
+
+  function menuPageCount() {
+    return Math.max(1, Math.ceil(getRegisteredEvents().length / MENU_PAGE_SIZE));
+  }
+
+  function buildMenuButtons() {
+    const pages = menuPageCount();
+    app.menuPage = Utils.clamp(app.menuPage, 0, pages - 1);
+    const start = app.menuPage * MENU_PAGE_SIZE;
+
+    const buttons = getRegisteredEvents()
+      .slice(start, start + MENU_PAGE_SIZE)
+      .map((entry, i) => {
+        const button = Utils.createButton(
+          70 + (i % 2) * 390,
+          168 + Math.floor(i / 2) * 72,
+          370,
+          62,
+          "",
+          () => selectEvent(entry.id)
+        );
+        button.eventEntry = entry;
+        button.recordKey = entry.id;
+        button.speech = () => {
+          const best = Records.getBest(recordKeyFor(entry.id, Settings.getDifficulty()));
+          return best
+            ? t("speech.eventBest", { event: t(entry.name), score: formatScore(entry.id, best.score) })
+            : t(entry.name);
+        };
+        return button;
+      });
+
+    if (pages > 1) {
+      const previous = Utils.createButton(70, 390, 120, 38, "<", () => turnMenuPage(-1));
+      const next = Utils.createButton(710, 390, 120, 38, ">", () => turnMenuPage(1));
+      previous.pageStep = -1;
+      next.pageStep = 1;
+      previous.speech = () => t("speech.previousPage");
+      next.speech = () => t("speech.nextPage");
+      buttons.push(previous, next);
+    }
+
+    const games = Utils.createButton(60, 440, 250, 56, t("menu.fullGames"), () => startTournament());
+    games.recordKey = gamesRecordKey(eventIds());
+    buttons.push(
+      games,
+      Utils.createButton(325, 440, 250, 56, t("menu.hotSeat"), () => openHotSeatSetup()),
+      Utils.createButton(590, 440, 250, 56, t("menu.settings"), () => openSettings())
+    );
+    app.ui.menuButtons = buttons;
+  }
+
+  // Wraps around; focus stays on the page button that was pressed.
+  function turnMenuPage(step) {
+    const pages = menuPageCount();
+    app.menuPage = (app.menuPage + step + pages) % pages;
+    const focused = app.ui.focusIndex !== -1;
+    buildMenuButtons();
+    if (focused) {
+      app.ui.focusIndex = app.ui.menuButtons.findIndex((button) => button.pageStep === step);
+    }
+  }
+
   function initUI() {
-    app.ui.menuButtons = [
-      Utils.createButton(320, 210, 260, 64, "Figure Skating", () => selectEvent("figure")),
-      Utils.createButton(320, 294, 260, 64, "Curling", () => selectEvent("curling")),
-      Utils.createButton(320, 378, 260, 64, "Ski Jump", () => selectEvent("ski"))
+    buildMenuButtons();
+
+    const backToMenu = () => {
+      startTransition(() => {
+        app.tournament.active = false;
+        app.hotSeat.active = false;
+        app.state = "menu";
+      });
+    };
+
+    app.ui.backButton = Utils.createButton(465, 490, 210, 62, t("button.backToMenu"), backToMenu);
+    app.ui.watchReplayButton = Utils.createButton(225, 490, 210, 62, t("button.watchReplay"), () => {
+      startReplay(Replay.lastRecording);
+    });
+    app.ui.saveRecordButton = Utils.createButton(124, 426, 120, 44, t("button.save"), saveRecordEntry);
+    app.ui.skipRecordButton = Utils.createButton(256, 426, 120, 44, t("button.skip"), skipRecordEntry);
+    app.ui.standingsButton = Utils.createButton(345, 515, 210, 56, t("button.backToMenu"), backToMenu);
+
+    app.ui.hotSeatButtons = [
+      Utils.createButton(110, 476, 150, 48, t("hotSeat.addPlayer"), addHotSeatPlayer),
+      Utils.createButton(280, 476, 150, 48, t("hotSeat.removePlayer"), removeHotSeatPlayer),
+      ...eventIds().map((key, i, ids) => {
+        // Rows tighten to keep every event above Start.
+        const gap = Math.min(64, 256 / ids.length);
+        const button = Utils.createButton(520, 130 + i * gap, 270, Math.min(50, gap - 6), "", () =>
+          toggleHotSeatEvent(key)
+        );
+        button.eventKey = key;
+        return button;
+      }),
+      Utils.createButton(520, 400, 270, 56, t("hotSeat.start"), startHotSeat),
+      Utils.createButton(520, 470, 270, 56, t("button.backToMenu"), backToMenu)
+    ];
+    app.ui.readyButton = Utils.createButton(345, 400, 210, 62, t("hotSeat.go"), beginHotSeatTurn);
+    app.ui.comparisonButtons = [
+      Utils.createButton(225, 515, 210, 56, t("hotSeat.playAgain"), startHotSeat),
+      Utils.createButton(465, 515, 210, 56, t("button.backToMenu"), backToMenu)
+    ];
+    buildPlayerButtons();
+
+    const presets = [...Object.keys(DIFFICULTY_PRESETS), "custom"];
+    app.ui.settingsButtons = [
+      ...presets.map((key, i) => {
+        const label = t(`difficulty.${key}`);
+        const button = Utils.createButton(115 + i * 175, 84, 150, 48, label, () => Settings.setDifficulty(key));
+        button.difficultyKey = key;
+        button.speech = () =>
+          t(Settings.getDifficulty().key === key ? "speech.difficulty.selected" : "speech.difficulty", { label });
+        return button;
+      }),
+      ...customSettings().flatMap((row, i, rows) => {
+        const value = () => {
+          const difficulty = Settings.getDifficulty();
+          return (row.event ? difficulty[row.event] : difficulty)[row.field];
+        };
+        const slot = customRowSlot(i, rows.length);
+        const lower = Utils.createButton(slot.x + 300, slot.y, 44, slot.h, "-", () => Settings.adjust(row, -1));
+        const raise = Utils.createButton(slot.x + 350, slot.y, 44, slot.h, "+", () => Settings.adjust(row, 1));
+        lower.speech = () => t("speech.lower", { label: t(row.label), value: value() });
+        raise.speech = () => t("speech.raise", { label: t(row.label), value: value() });
+        return [lower, raise];
+      }),
+      Utils.createButton(45, 520, 190, 56, t("settings.controls"), openControls),
+      Utils.createButton(255, 520, 190, 56, t("settings.access"), openAccess),
+      Utils.createButton(465, 520, 190, 56, t("settings.language"), openLanguage),
+      Utils.createButton(675, 520, 190, 56, t("button.backToMenu"), backToMenu)
+    ];
+
+    app.ui.accessButtons = [
+      ...ACCESS_OPTIONS.map((option, i) => {
+        const button = Utils.createButton(250, 120 + i * 90, 400, 54, "", option.toggle);
+        button.accessOption = option;
+        button.speech = () => t(option.isOn() ? "speech.on" : "speech.off", { label: t(option.label) });
+        return button;
+      }),
+      Utils.createButton(345, 520, 210, 56, t("button.back"), openSettings)
+    ];
+
+    app.ui.languageButtons = [
+      ...Object.keys(LOCALES).map((code, i) => {
+        const name = LOCALES[code]["locale.name"];
+        const button = Utils.createButton(90 + i * 185, 150, 170, 54, name, () => changeLocale(code));
+        button.localeCode = code;
+        button.speech = () => (Utils.getLocale() === code ? t("speech.selected", { label: name }) : name);
+        return button;
+      }),
+      ...UNIT_SYSTEMS.map((system, i) => {
+        const label = t(`units.${system}`);
+        const button = Utils.createButton(240 + i * 230, 320, 190, 54, label, () => Settings.setUnits(system));
+        button.unitSystem = system;
+        button.speech = () => (Utils.getUnits() === system ? t("speech.selected", { label }) : label);
+        return button;
+      }),
+      Utils.createButton(345, 520, 210, 56, t("button.back"), openSettings)
+    ];
+
+    app.ui.controlsButtons = [
+      ...getControlRows().map((row, i) => {
+        const { buttonX, y, buttonW } = controlRowLayout(i);
+        const button = Utils.createButton(buttonX, y - 15, buttonW, 30, "", () => startRebinding(row.action));
+        button.action = row.action;
+        button.speech = () => `${t(row.label)}: ${Utils.keyLabel(Bindings.data[row.action])}`;
+        return button;
+      }),
+      Utils.createButton(225, 520, 210, 56, t("controls.defaults"), () => {
+        Bindings.resetDefaults();
+        app.rebinding = null;
+        app.controlsNotice = t("controls.restored");
+      }),
+      Utils.createButton(465, 520, 210, 56, t("button.back"), openSettings)
+    ];
+
+    app.ui.pauseButtons = [
+      Utils.createButton(345, 220, 210, 60, t("pause.resume"), resumeEvent),
+      Utils.createButton(345, 296, 210, 60, t("pause.restart"), restartEvent),
+      Utils.createButton(345, 372, 210, 60, t("pause.quit"), quitEvent)
     ];
+  }
+
+  // Labels are fixed when buttons are built, so a new language rebuilds them. Player
+  // names still on the old default follow along.
+  function changeLocale(code) {
+    const defaults = app.hotSeat.players.map((name, i) => name === defaultPlayerName(i));
+    Settings.setLocale(code);
+    app.hotSeat.players = app.hotSeat.players.map((name, i) => (defaults[i] ? defaultPlayerName(i) : name));
+    applyLocale();
+  }
+
+  function applyLocale() {
+    document.documentElement.lang = Utils.getLocale();
+    saveReplayButton.textContent = t("page.saveReplay");
+    loadReplayButton.textContent = t("page.loadReplay");
+    canvas.setAttribute("aria-label", t("page.canvas"));
+    Sound.setEnabled(Sound.enabled);
+    initUI();
+  }
+
+  function addEvent(entry) {
+    app.events[entry.id] = createEvent(entry.id, { sound: Sound, input: Input, controls: Bindings });
+    app.hotSeat.events[entry.id] = true;
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 0x7fffffff);
+  }
+
+  function activateEvent(key, replayData = null, seed = replayData ? replayData.seed : randomSeed()) {
+    // Events draw any randomness from this seed, so replays must reuse it.
+    const event = app.events[key];
+    const difficulty = replayData ? replayData.difficulty : Settings.getDifficulty();
+    const assist = replayData ? replayData.assist : Settings.getAssist();
+    if (event.getGhostRecording) {
+      event.ghost = Ghosts.get(recordKeyFor(key, difficulty));
+    }
+    event.reset({ seed, difficulty, assist });
+    app.activeEvent = event;
+    app.activeEventKey = key;
+    app.activeDifficulty = difficulty;
+    app.activeAssist = assist;
+    app.state = "event";
+
+    if (replayData) {
+      Replay.startPlayback(replayData);
+    } else {
+      Replay.startRecording(key, seed, difficulty, Bindings.data, assist, Input.keys, Input.axes);
+    }
+  }
+
+  function startReplay(data) {
+    if (!data) {
+      return;
+    }
+
+    startTransition(() => {
+      app.tournament.active = false;
+      app.recordEntry = null;
+      activateEvent(data.eventKey, data);
+    });
+  }
+
+  // Only live runs pause; a replay has Escape to stop it instead.
+  function pauseEvent() {
+    if (app.state !== "event" || !app.activeEvent || Replay.playback || app.pause || app.transition.dir !== 0) {
+      return;
+    }
+
+    app.pause = { heldKeys: new Set(Input.keys), axes: { ...Input.axes } };
+    app.ui.focusIndex = -1;
+    Sound.beep({ freq: 360, duration: 0.06, volume: 0.03 });
+  }
+
+  // Keys pressed or released and axes moved while paused reach the event now, on
+  // the tick it resumes at, so the recording still matches what the event saw.
+  function resumeEvent() {
+    const pause = app.pause;
+    if (!pause) {
+      return;
+    }
+
+    app.pause = null;
+    const ignored = ["Escape", Bindings.data.pause];
+    for (const code of pause.heldKeys) {
+      if (!Input.keys.has(code) && !ignored.includes(code)) {
+        routeInput("keyup", { code });
+      }
+    }
+    for (const code of Input.keys) {
+      if (!pause.heldKeys.has(code) && !ignored.includes(code)) {
+        routeInput("keydown", { code, repeat: false });
+      }
+    }
+    for (const [name, value] of Object.entries(Input.axes)) {
+      if (pause.axes[name] !== value) {
+        routeInput("axis", { name, value });
+      }
+    }
+  }
+
+  function restartEvent() {
+    const key = app.activeEventKey;
+    // Hot-seat players must all face the same conditions.
+    const seed = app.hotSeat.active ? app.hotSeat.seeds[key] : randomSeed();
+    startTransition(() => {
+      app.pause = null;
+      activateEvent(key, null, seed);
+    });
+  }
+
+  function quitEvent() {
+    startTransition(() => {
+      app.pause = null;
+      Replay.cancelRecording();
+      app.tournament.active = false;
+      app.hotSeat.active = false;
+      app.state = "menu";
+    });
+  }
+
+  function stopReplay() {
+    startTransition(() => {
+      Replay.stopPlayback();
+      app.state = "menu";
+    });
+  }
+
+  function saveReplay() {
+    const data = Replay.lastRecording;
+    if (!data) {
+      return;
+    }
+
+    const blob = new Blob([Replay.serialize(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `mini-olympics-${data.eventKey}-${Math.round(data.finalScore)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function loadReplay(file) {
+    const reader = new FileReader();
+    reader.addEventListener("load", () => {
+      try {
+        const data = Replay.parse(String(reader.result), app.events);
+        Replay.lastRecording = data;
+        updateReplayControls();
+        startReplay(data);
+      } catch (error) {
+        window.alert(t("replay.loadFailed", { message: error.message }));
+      }
+    });
+    reader.readAsText(file);
+  }
+
+  function updateReplayControls() {
+    saveReplayButton.disabled = !Replay.lastRecording;
+  }
+
+  function selectEvent(key) {
+    startTransition(() => {
+      activateEvent(key);
+    });
+  }
+
+  function startTournament() {
+    startTransition(() => {
+      app.tournament.active = true;
+      app.tournament.order = eventIds();
+      app.tournament.index = 0;
+      app.tournament.total = 0;
+      app.tournament.entries = [];
+      activateEvent(app.tournament.order[0]);
+    });
+  }
+
+  function openSettings() {
+    startTransition(() => {
+      app.rebinding = null;
+      app.state = "settings";
+    });
+  }
+
+  function openAccess() {
+    startTransition(() => {
+      app.state = "access";
+    });
+  }
+
+  function openLanguage() {
+    startTransition(() => {
+      app.state = "language";
+    });
+  }
+
+  function openControls() {
+    startTransition(() => {
+      app.controlsNotice = "";
+      app.state = "controls";
+    });
+  }
+
+  function startRebinding(action) {
+    app.rebinding = action;
+    app.controlsNotice = "";
+  }
+
+  // Takes the next key for the action waiting on the controls screen. Reserved keys
+  // and keys another action needs in the same event are refused.
+  function handleRebindKey(payload) {
+    const action = app.rebinding;
+    if (payload.code === "Escape") {
+      app.rebinding = null;
+      app.controlsNotice = "";
+      return;
+    }
+
+    const row = getControlRows().find((candidate) => candidate.action === action);
+    if (RESERVED_KEYS.includes(payload.code) || (row.events.includes("menu") && MENU_KEYS.includes(payload.code))) {
+      app.controlsNotice = t("controls.reserved", { key: Utils.keyLabel(payload.code) });
+      return;
+    }
+
+    const conflicts = Bindings.conflictsFor(action, payload.code);
+    if (conflicts.length > 0) {
+      app.controlsNotice = t("controls.conflict", {
+        key: Utils.keyLabel(payload.code),
+        actions: conflicts.map((row) => t(row.label)).join(", ")
+      });
+      Sound.beep({ freq: 220, duration: 0.08, volume: 0.03 });
+      return;
+    }
+
+    Bindings.bind(action, payload.code);
+    app.rebinding = null;
+    app.controlsNotice = "";
+    Sound.beep({ freq: 880, duration: 0.05, volume: 0.03 });
+  }
+
+  // Each event's par maps onto 1000 Games points, so every sport weighs the same
+  // in the total.
+  function normalizeScore(key, score) {
+    const entry = eventEntry(key);
+    const par = (entry && entry.par) || 1;
+    if (isTimed(key)) {
+      return score > 0 ? Math.round((1000 * par) / score) : 0;
+    }
+    return Math.round((1000 * Math.max(0, score)) / par);
+  }
+
+  function medalFor(points) {
+    return MEDALS.find((medal) => points >= medal.minPoints) || null;
+  }
+
+  const HOT_SEAT_MIN_PLAYERS = 2;
+  const HOT_SEAT_MAX_PLAYERS = 8;
+  const HOT_SEAT_NAME_LENGTH = 10;
+
+  function defaultPlayerName(index) {
+    return t("hotSeat.defaultName", { number: index + 1 });
+  }
+
+  function openHotSeatSetup() {
+    startTransition(() => {
+      app.hotSeat.editIndex = 0;
+      app.state = "players";
+    });
+  }
+
+  // One button per name slot; pressing one picks the name the keyboard types into.
+  function buildPlayerButtons() {
+    app.ui.playerButtons = app.hotSeat.players.map((name, i) =>
+      Utils.createButton(110, 110 + i * 44, 320, 38, name, () => {
+        app.hotSeat.editIndex = i;
+      })
+    );
+  }
+
+  function addHotSeatPlayer() {
+    const hotSeat = app.hotSeat;
+    if (hotSeat.players.length >= HOT_SEAT_MAX_PLAYERS) {
+      return;
+    }
+
+    hotSeat.players.push(defaultPlayerName(hotSeat.players.length));
+    hotSeat.editIndex = hotSeat.players.length - 1;
+    buildPlayerButtons();
+  }
+
+  function removeHotSeatPlayer() {
+    const hotSeat = app.hotSeat;
+    if (hotSeat.players.length <= HOT_SEAT_MIN_PLAYERS) {
+      return;
+    }
+
+    hotSeat.players.pop();
+    hotSeat.editIndex = Math.min(hotSeat.editIndex, hotSeat.players.length - 1);
+    app.ui.focusIndex = -1;
+    buildPlayerButtons();
+  }
+
+  function toggleHotSeatEvent(key) {
+    const events = app.hotSeat.events;
+    const chosen = eventIds().filter((candidate) => events[candidate]);
+    // Keep at least one event picked.
+    if (events[key] && chosen.length === 1) {
+      return;
+    }
+    events[key] = !events[key];
+  }
+
+  function handleHotSeatNameInput(payload) {
+    const hotSeat = app.hotSeat;
+    const name = hotSeat.players[hotSeat.editIndex];
+    const match = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(payload.code);
+
+    if (match && name.length < HOT_SEAT_NAME_LENGTH) {
+      hotSeat.players[hotSeat.editIndex] = name + (match[1] || match[2]);
+    } else if (payload.code === "Backspace") {
+      hotSeat.players[hotSeat.editIndex] = name.slice(0, -1);
+    } else {
+      return false;
+    }
+
+    app.ui.playerButtons[hotSeat.editIndex].label = hotSeat.players[hotSeat.editIndex];
+    return true;
+  }
+
+  function startHotSeat() {
+    const hotSeat = app.hotSeat;
+    hotSeat.players = hotSeat.players.map((name, i) => name.trim() || defaultPlayerName(i));
+    buildPlayerButtons();
+
+    // Event by event, each player takes a turn; everyone gets the same seed (wind,
+    // CPU skip) for a given event so conditions are equal.
+    hotSeat.turns = [];
+    hotSeat.seeds = {};
+    for (const key of eventIds().filter((candidate) => hotSeat.events[candidate])) {
+      hotSeat.seeds[key] = randomSeed();
+      hotSeat.players.forEach((name, player) => {
+        hotSeat.turns.push({ key, player });
+      });
+    }
+
+    hotSeat.scores = hotSeat.players.map(() => ({}));
+    hotSeat.turnIndex = 0;
+    hotSeat.active = true;
+    app.tournament.active = false;
+
+    startTransition(() => {
+      app.state = "ready";
+    });
+  }
+
+  function beginHotSeatTurn() {
+    const turn = app.hotSeat.turns[app.hotSeat.turnIndex];
+    startTransition(() => {
+      activateEvent(turn.key, null, app.hotSeat.seeds[turn.key]);
+    });
+  }
+
+  function finishHotSeatTurn(hud) {
+    const hotSeat = app.hotSeat;
+    const turn = hotSeat.turns[hotSeat.turnIndex];
+    // Turns count toward the comparison only; the leaderboards stay single-player.
+    hotSeat.scores[turn.player][turn.key] = hud.score;
+
+    hotSeat.turnIndex += 1;
+    if (hotSeat.turnIndex < hotSeat.turns.length) {
+      app.state = "ready";
+    } else {
+      hotSeat.active = false;
+      app.state = "comparison";
+    }
+  }
+
+  // Players ranked on Games points so different events add up fairly.
+  function getHotSeatRanking() {
+    const hotSeat = app.hotSeat;
+    const rows = hotSeat.players.map((name, player) => {
+      const scores = hotSeat.scores[player] || {};
+      const total = Object.keys(scores).reduce((sum, key) => sum + normalizeScore(key, scores[key]), 0);
+      return { name, scores, total };
+    });
+
+    rows.sort((a, b) => b.total - a.total);
+    return rows;
+  }
+
+  function beginRecordEntry(key, score) {
+    const rank = Records.rankFor(key, score);
+    const assisted = isAssisted(app.activeAssist);
+    app.recordEntry = rank === -1 ? null : { key, score, rank, initials: "", assisted };
+  }
+
+  const RECORD_ENTRY_ORIGIN = { x: 250, y: 320 };
+
+  function getRecordEntryBoxes() {
+    const boxes = [];
+    for (let i = 0; i < 3; i += 1) {
+      boxes.push({ x: RECORD_ENTRY_ORIGIN.x - 66 + i * 46, y: RECORD_ENTRY_ORIGIN.y + 48, w: 40, h: 46 });
+    }
+    return boxes;
+  }
+
+  function saveRecordEntry() {
+    const entry = app.recordEntry;
+    if (!entry || entry.initials.length === 0) {
+      return;
+    }
+
+    Records.addEntry(entry.key, entry.initials, entry.score, entry.assisted);
+    app.recordEntry = null;
+    Sound.beep({ freq: 880, duration: 0.08, type: "triangle", volume: 0.035 });
+  }
+
+  // Leaves the score off the board for a player who'd rather not sign it.
+  function skipRecordEntry() {
+    app.recordEntry = null;
+    Sound.beep({ freq: 420, duration: 0.05, volume: 0.025 });
+  }
+
+  function handleRecordEntryInput(eventType, payload) {
+    const entry = app.recordEntry;
+    if (!entry) {
+      return;
+    }
+
+    // Without a keyboard, tapping a box cycles its letter and Save confirms.
+    if (eventType === "pointerdown") {
+      const index = getRecordEntryBoxes().findIndex((box) => Utils.pointInRect(payload.x, payload.y, box));
+      if (index !== -1) {
+        const letters = entry.initials.padEnd(index + 1, "A").split("");
+        if (index < entry.initials.length) {
+          letters[index] = letters[index] === "Z" ? "A" : String.fromCharCode(letters[index].charCodeAt(0) + 1);
+        }
+        entry.initials = letters.join("");
+        Sound.beep({ freq: 600, duration: 0.03, volume: 0.02 });
+      } else if (Utils.pointInRect(payload.x, payload.y, app.ui.saveRecordButton)) {
+        saveRecordEntry();
+      } else if (Utils.pointInRect(payload.x, payload.y, app.ui.skipRecordButton)) {
+        skipRecordEntry();
+      }
+      return;
+    }
+
+    if (eventType !== "keydown") {
+      return;
+    }
+
+    if (/^Key[A-Z]$/.test(payload.code) && entry.initials.length < 3) {
+      entry.initials += payload.code.slice(3);
+      Sound.beep({ freq: 600, duration: 0.03, volume: 0.02 });
+    } else if (payload.code === "ArrowUp" || payload.code === "ArrowDown") {
+      // A pad has no letters: Up and Down turn the last letter, starting from A.
+      const step = payload.code === "ArrowUp" ? 1 : 25;
+      const last = entry.initials ? (entry.initials.charCodeAt(entry.initials.length - 1) - 65 + step) % 26 : 0;
+      entry.initials = entry.initials.slice(0, -1) + String.fromCharCode(65 + last);
+      Sound.beep({ freq: 600, duration: 0.03, volume: 0.02 });
+    } else if (payload.code === "ArrowRight" && entry.initials && entry.initials.length < 3) {
+      entry.initials += "A";
+      Sound.beep({ freq: 600, duration: 0.03, volume: 0.02 });
+    } else if (payload.code === "Backspace" || payload.code === "ArrowLeft") {
+      entry.initials = entry.initials.slice(0, -1);
+    } else if (payload.code === "Enter" || payload.code === "NumpadEnter" || payload.code === "Space") {
+      saveRecordEntry();
+    } else if (payload.code === "Escape") {
+      skipRecordEntry();
+    }
+  }
+
+  function finishEvent(hud) {
+    app.results.difficulty = app.activeDifficulty;
+    app.results.assist = app.activeAssist;
+
+    if (Replay.playback) {
+      app.results.eventKey = app.activeEventKey;
+      app.results.eventName = hud.eventName;
+      app.results.score = hud.score;
+      app.results.detail = hud.resultDetail || "";
+      app.results.judges = hud.judges || null;
+      app.results.replayCheck = { expected: Replay.playback.data.finalScore, actual: hud.score };
+      Replay.stopPlayback();
+      app.state = "results";
+      return;
+    }
+
+    Replay.stopRecording(hud.score);
+    updateReplayControls();
+    Ghosts.offer(recordKeyFor(app.activeEventKey, app.activeDifficulty), hud.score, app.activeEvent);
+    app.results.replayCheck = null;
+
+    if (app.hotSeat.active) {
+      finishHotSeatTurn(hud);
+      return;
+    }
+
+    if (!app.tournament.active) {
+      app.results.eventKey = app.activeEventKey;
+      app.results.eventName = hud.eventName;
+      app.results.score = hud.score;
+      app.results.detail = hud.resultDetail || "";
+      app.results.judges = hud.judges || null;
+      beginRecordEntry(recordKeyFor(app.activeEventKey, app.activeDifficulty), hud.score);
+      app.state = "results";
+      return;
+    }
+
+    const tournament = app.tournament;
+    const points = normalizeScore(app.activeEventKey, hud.score);
+    tournament.entries.push({
+      key: app.activeEventKey,
+      eventName: hud.eventName,
+      score: hud.score,
+      points
+    });
+    tournament.total += points;
+    tournament.index += 1;
+
+    if (tournament.index < tournament.order.length) {
+      activateEvent(tournament.order[tournament.index]);
+    } else {
+      tournament.active = false;
+      beginRecordEntry(recordKeyFor(gamesRecordKey(tournament.order), app.activeDifficulty), tournament.total);
+      app.state = "standings";
+    }
+  }
+
+  function getStandings() {
+    const count = app.tournament.order.length;
+    const rows = TOURNAMENT_RIVALS.map((rival) => ({
+      name: t(rival.name),
+      total: rival.perEvent * count,
+      player: false
+    }));
+    rows.push({ name: t("standings.you"), total: app.tournament.total, player: true });
+    // Ties go to the player so an exact match with a rival still earns the spot.
+    rows.sort((a, b) => b.total - a.total || Number(b.player) - Number(a.player));
+    return rows;
+  }
+
+  function startTransition(action) {
+    if (app.transition.dir !== 0) {
+      return;
+    }
+
+    app.transition.pendingAction = action;
+    app.transition.dir = 1;
+    app.ui.focusIndex = -1;
+  }
+
+  function updateTransition(dt) {
+    if (app.transition.dir === 0) {
+      return;
+    }
+
+    if (app.transition.dir === 1) {
+      app.transition.alpha += app.transition.speed * dt;
+      if (app.transition.alpha >= 1) {
+        app.transition.alpha = 1;
+        if (app.transition.pendingAction) {
+          app.transition.pendingAction();
+          app.transition.pendingAction = null;
+        }
+        app.transition.dir = -1;
+      }
+    } else {
+      app.transition.alpha -= app.transition.speed * dt;
+      if (app.transition.alpha <= 0) {
+        app.transition.alpha = 0;
+        app.transition.dir = 0;
+      }
+    }
+  }
+
+  function updateParticles(dt) {
+    for (const particle of app.particles) {
+      particle.x += particle.vx * dt;
+      particle.y += particle.vy * dt;
+
+      if (particle.x > WIDTH + 10) {
+        particle.x = -10;
+      }
+      if (particle.y < -10) {
+        particle.y = HEIGHT + 10;
+      }
+      if (particle.y > HEIGHT + 10) {
+        particle.y = -10;
+      }
+    }
+  }
+
+  function drawParticles(context) {
+    context.save();
+    for (const particle of app.particles) {
+      context.fillStyle = "rgba(255, 255, 255, 0.35)";
+      context.beginPath();
+      context.arc(particle.x, particle.y, particle.r, 0, Math.PI * 2);
+      context.fill();
+    }
+    context.restore();
+  }
+
+  function drawMenu(context) {
+    context.save();
+
+    context.fillStyle = "#c3e7ff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
+
+    context.fillStyle = "#14334a";
+    context.font = "bold 66px Trebuchet MS";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(t("menu.title"), WIDTH / 2, 96);
+
+    const difficulty = Settings.getDifficulty();
+    context.font = "bold 24px Trebuchet MS";
+    context.fillText(t("menu.choose", { difficulty: difficultyLabel(difficulty) }), WIDTH / 2, 144);
+
+    for (const button of app.ui.menuButtons) {
+      Utils.drawButton(context, button, isFocused(button));
+      if (!button.recordKey) {
+        continue;
+      }
+
+      const best = Records.getBest(recordKeyFor(button.recordKey, difficulty));
+      const bestText = t("menu.best", {
+        score: best ? `${formatScore(button.recordKey, best.score)}  ${best.initials}` : "--"
+      });
+      const entry = button.eventEntry;
+      if (!entry) {
+        context.fillStyle = "#14334a";
+        context.font = "bold 15px Trebuchet MS";
+        context.textAlign = "center";
+        context.fillText(bestText, button.x + button.w / 2, button.y + button.h + 14, button.w);
+        continue;
+      }
+
+      context.fillStyle = "#e8f4fd";
+      context.beginPath();
+      context.arc(button.x + 32, button.y + button.h / 2, 23, 0, Math.PI * 2);
+      context.fill();
+      if (entry.icon) {
+        entry.icon(context, button.x + 12, button.y + button.h / 2 - 20, 40);
+      }
+
+      context.fillStyle = "#ffffff";
+      context.textAlign = "left";
+      context.font = "bold 21px Trebuchet MS";
+      context.fillText(t(entry.name), button.x + 66, button.y + 21, button.w - 76);
+      context.font = "15px Trebuchet MS";
+      context.fillText(bestText, button.x + 66, button.y + 45, button.w - 76);
+    }
+
+    const pages = menuPageCount();
+    if (pages > 1) {
+      context.fillStyle = "#14334a";
+      context.font = "bold 17px Trebuchet MS";
+      context.textAlign = "center";
+      context.fillText(t("menu.page", { page: app.menuPage + 1, count: pages }), WIDTH / 2, 409);
+    }
+
+    context.textAlign = "center";
+    context.font = "16px Trebuchet MS";
+    context.fillStyle = "#1f4d6a";
+    context.fillText(
+      t("menu.footer", { charge: Bindings.label("charge"), sound: Bindings.label("toggleSound") }),
+      WIDTH / 2,
+      540,
+      WIDTH - 40
+    );
+
+    if (Input.gamepadConnected) {
+      context.fillText(t("menu.gamepad"), WIDTH / 2, 564, WIDTH - 40);
+    }
+
+    context.restore();
+  }
+
+  function drawHUD(context, hud) {
+    const palette = Utils.getPalette();
+    context.save();
+
+    context.fillStyle = palette.panel;
+    context.fillRect(0, 0, WIDTH, 52);
+
+    context.fillStyle = "#ffffff";
+    context.font = "bold 20px Trebuchet MS";
+    context.textAlign = "left";
+    context.textBaseline = "middle";
+    context.fillText(hud.eventName, 14, 26);
+
+    context.textAlign = "center";
+    context.font = "bold 17px Trebuchet MS";
+    context.fillText(t("hud.attempts", { count: Math.max(0, hud.attemptsRemaining) }), WIDTH / 2, 26);
+
+    context.textAlign = "right";
+    context.font = "bold 20px Trebuchet MS";
+    context.fillText(t("hud.score", { score: formatScore(app.activeEventKey, hud.score) }), WIDTH - 14, 26);
+
+    context.fillStyle = palette.panel;
+    context.fillRect(0, HEIGHT - 42, WIDTH, 42);
+    context.fillStyle = "#ffffff";
+    context.textAlign = "left";
+    context.font = "16px Trebuchet MS";
+    context.fillText(hud.instructions, 14, HEIGHT - 20, WIDTH - 28);
+
+    context.restore();
+  }
+
+  function drawTournamentTag(context) {
+    const tournament = app.tournament;
+
+    context.save();
+    context.fillStyle = "rgba(10, 31, 48, 0.6)";
+    context.fillRect(WIDTH - 290, HEIGHT - 76, 280, 28);
+    context.fillStyle = "#ffffff";
+    context.font = "bold 15px Trebuchet MS";
+    context.textAlign = "right";
+    context.textBaseline = "middle";
+    context.fillText(
+      t("tournament.tag", {
+        number: tournament.index + 1,
+        count: tournament.order.length,
+        total: Utils.formatNumber(tournament.total)
+      }),
+      WIDTH - 20,
+      HEIGHT - 62
+    );
+    context.restore();
+  }
+
+  function drawResults(context) {
+    context.save();
+
+    context.fillStyle = "#d3ecff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
+
+    context.fillStyle = "#173248";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 58px Trebuchet MS";
+    context.fillText(t("results.title"), WIDTH / 2, 80);
+
+    context.font = "bold 17px Trebuchet MS";
+    context.fillText(describeConditions(app.results.difficulty, app.results.assist), WIDTH / 2, 122);
+
+    context.font = "bold 32px Trebuchet MS";
+    context.fillText(app.results.eventName, 250, 180);
+
+    context.font = "bold 48px Trebuchet MS";
+    context.fillText(formatScore(app.results.eventKey, app.results.score), 250, 244);
+
+    if (app.results.detail) {
+      context.font = "17px Trebuchet MS";
+      context.fillText(app.results.detail, 250, 284);
+    }
+
+    drawRecordEntry(context);
+    drawReplayCheck(context, 250, 320);
+    drawLeaderboard(context, recordKeyFor(app.results.eventKey, app.results.difficulty), 510, 150);
+    drawJudgeMarks(context, 510, 412);
+
+    for (const button of getActiveButtons()) {
+      Utils.drawButton(context, button, isFocused(button));
+    }
+
+    context.restore();
+  }
+
+  // Style judges' marks under the leaderboard; the dropped high and low marks are
+  // greyed and struck through.
+  function drawJudgeMarks(context, x, y) {
+    const judges = app.results.judges;
+    if (!judges) {
+      return;
+    }
+
+    context.save();
+    context.fillStyle = "#173248";
+    context.textAlign = "left";
+    context.textBaseline = "middle";
+    context.font = "bold 16px Trebuchet MS";
+    context.fillText(t("results.judges"), x, y);
+
+    judges.forEach((judge, i) => {
+      const boxX = x + i * 71;
+      const boxY = y + 14;
+      context.fillStyle = judge.dropped ? "rgba(255, 255, 255, 0.4)" : "#ffffff";
+      context.fillRect(boxX, boxY, 56, 40);
+      context.strokeStyle = "#3a5f7e";
+      context.lineWidth = 2;
+      context.strokeRect(boxX, boxY, 56, 40);
+
+      context.fillStyle = judge.dropped ? "#8a9aa8" : "#173248";
+      context.font = "bold 18px Trebuchet MS";
+      context.textAlign = "center";
+      context.fillText(Utils.formatNumber(judge.mark, 1), boxX + 28, boxY + 20);
+
+      if (judge.dropped) {
+        context.strokeStyle = "#8a9aa8";
+        context.beginPath();
+        context.moveTo(boxX + 8, boxY + 20);
+        context.lineTo(boxX + 48, boxY + 20);
+        context.stroke();
+      }
+    });
+
+    context.restore();
+  }
+
+  function drawReplayCheck(context, x, y) {
+    const check = app.results.replayCheck;
+    if (!check) {
+      return;
+    }
+
+    const matches = Math.round(check.expected * 100) === Math.round(check.actual * 100);
+
+    context.save();
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillStyle = "#173248";
+    context.font = "bold 22px Trebuchet MS";
+    context.fillText(t("replay.finished"), x, y);
+
+    context.font = "16px Trebuchet MS";
+    context.fillStyle = matches ? "#1f7a3f" : "#b23a3a";
+    context.fillText(
+      matches
+        ? t("replay.matches")
+        : t("replay.mismatch", {
+            expected: formatScore(app.results.eventKey, check.expected),
+            actual: formatScore(app.results.eventKey, check.actual)
+          }),
+      x,
+      y + 30
+    );
+    context.restore();
+  }
+
+  function drawReplayBanner(context) {
+    context.save();
+    context.fillStyle = "rgba(178, 58, 58, 0.85)";
+    context.fillRect(14, HEIGHT - 76, 220, 28);
+    context.fillStyle = "#ffffff";
+    context.font = "bold 15px Trebuchet MS";
+    context.textAlign = "left";
+    context.textBaseline = "middle";
+    context.fillText(t("replay.banner"), 26, HEIGHT - 62, 200);
+    context.restore();
+  }
+
+  function drawRecordEntry(context) {
+    const entry = app.recordEntry;
+    if (!entry) {
+      return;
+    }
+
+    const { x, y } = RECORD_ENTRY_ORIGIN;
+    context.save();
+    context.fillStyle = "#173248";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 22px Trebuchet MS";
+    context.fillText(entry.rank === 0 ? t("record.new") : t("record.top", { count: Records.maxEntries }), x, y);
+
+    context.font = "16px Trebuchet MS";
+    context.fillText(
+      t(Input.touchMode ? "record.touchPrompt" : Input.gamepadConnected ? "record.padPrompt" : "record.keyPrompt"),
+      x,
+      y + 28,
+      440
+    );
+
+    getRecordEntryBoxes().forEach((box, i) => {
+      context.fillStyle = "#ffffff";
+      context.fillRect(box.x, box.y, box.w, box.h);
+      context.strokeStyle = i === entry.initials.length ? "#2a6694" : "#173248";
+      context.lineWidth = i === entry.initials.length ? 3 : 2;
+      context.strokeRect(box.x, box.y, box.w, box.h);
+
+      context.fillStyle = "#173248";
+      context.font = "bold 28px Trebuchet MS";
+      context.fillText(entry.initials[i] || "", box.x + box.w / 2, box.y + box.h / 2);
+    });
+
+    context.restore();
+
+    Utils.drawButton(context, app.ui.saveRecordButton);
+    Utils.drawButton(context, app.ui.skipRecordButton);
+  }
+
+  function drawLeaderboard(context, key, x, y) {
+    const board = Records.getLeaderboard(key);
+
+    context.save();
+    context.fillStyle = "rgba(255, 255, 255, 0.7)";
+    context.fillRect(x, y, 340, 66 + Records.maxEntries * 36);
+    context.strokeStyle = "#3a5f7e";
+    context.lineWidth = 2;
+    context.strokeRect(x, y, 340, 66 + Records.maxEntries * 36);
+
+    context.fillStyle = "#173248";
+    context.textBaseline = "middle";
+    context.textAlign = "center";
+    context.font = "bold 20px Trebuchet MS";
+    context.fillText(t("leaderboard.title"), x + 170, y + 26);
+
+    context.font = "17px Trebuchet MS";
+    for (let i = 0; i < Records.maxEntries; i += 1) {
+      const entry = board[i];
+      const rowY = y + 68 + i * 36;
+
+      context.textAlign = "left";
+      context.fillText(`${i + 1}.`, x + 18, rowY);
+      if (!entry) {
+        context.fillText("--", x + 52, rowY);
+        continue;
+      }
+
+      context.font = "bold 17px Trebuchet MS";
+      context.fillText(entry.initials, x + 52, rowY);
+      context.font = "17px Trebuchet MS";
+      if (entry.assisted) {
+        context.fillText("(A)", x + 100, rowY);
+      }
+      context.fillText(entry.date, x + 206, rowY);
+      context.textAlign = "right";
+      context.fillText(formatScore(key, entry.score), x + 190, rowY);
+    }
+
+    if (board.some((entry) => entry.assisted)) {
+      context.font = "14px Trebuchet MS";
+      context.textAlign = "center";
+      context.fillText(t("leaderboard.assisted"), x + 170, y + 48 + Records.maxEntries * 36);
+    }
+
+    context.restore();
+  }
+
+  function drawStandings(context) {
+    const tournament = app.tournament;
+
+    context.save();
+
+    context.fillStyle = "#d3ecff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
+
+    context.fillStyle = "#173248";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 46px Trebuchet MS";
+    context.fillText(t("standings.title"), WIDTH / 2, 60);
+
+    context.font = "bold 16px Trebuchet MS";
+    context.fillText(describeConditions(app.activeDifficulty, app.activeAssist), WIDTH / 2, 92);
+
+    // Per-event breakdown: raw score, normalized Games points and event medal.
+    context.font = "bold 17px Trebuchet MS";
+    context.textAlign = "left";
+    context.fillText(t("standings.event"), 90, 112);
+    context.fillText(t("standings.score"), 290, 112);
+    context.fillText(t("standings.gamesPoints"), 390, 112);
+
+    // Rows close up so a long programme still ends above the total.
+    const rowGap = Math.min(34, 96 / Math.max(1, tournament.entries.length - 1));
+    for (let i = 0; i < tournament.entries.length; i += 1) {
+      const entry = tournament.entries[i];
+      const medal = medalFor(entry.points);
+      const y = 146 + i * rowGap;
+
+      context.font = rowGap < 24 ? "14px Trebuchet MS" : "17px Trebuchet MS";
+      context.fillStyle = "#173248";
+      context.fillText(entry.eventName, 90, y, 190);
+      context.fillText(formatScore(entry.key, entry.score), 290, y);
+      context.fillText(Utils.formatNumber(entry.points), 390, y);
+
+      if (medal) {
+        context.fillStyle = medal.color;
+        context.beginPath();
+        context.arc(500, y, Math.min(9, rowGap / 2 - 1), 0, Math.PI * 2);
+        context.fill();
+      }
+    }
+
+    context.fillStyle = "#173248";
+    context.font = "bold 22px Trebuchet MS";
+    context.fillText(t("standings.total", { total: Utils.formatNumber(tournament.total) }), 90, 262);
+    drawRecordEntry(context);
+
+    // Final standings against the fixed rival field; top three take medals.
+    const standings = getStandings();
+    context.font = "bold 17px Trebuchet MS";
+    context.fillText(t("standings.rank"), 580, 112);
+    context.fillText(t("standings.nation"), 640, 112);
+    context.textAlign = "right";
+    context.fillText(t("standings.totalColumn"), 830, 112);
+
+    for (let i = 0; i < standings.length; i += 1) {
+      const row = standings[i];
+      const y = 146 + i * 34;
+      const medal = i < MEDALS.length ? MEDALS[i] : null;
+
+      if (row.player) {
+        context.fillStyle = "rgba(42, 102, 148, 0.18)";
+        context.fillRect(566, y - 15, 276, 30);
+      }
+
+      if (medal) {
+        context.fillStyle = medal.color;
+        context.beginPath();
+        context.arc(596, y, 11, 0, Math.PI * 2);
+        context.fill();
+      }
+
+      context.fillStyle = "#173248";
+      context.font = row.player ? "bold 17px Trebuchet MS" : "17px Trebuchet MS";
+      context.textAlign = "center";
+      context.fillText(String(i + 1), 596, y);
+      context.textAlign = "left";
+      context.fillText(row.name, 640, y);
+      context.textAlign = "right";
+      context.fillText(Utils.formatNumber(row.total), 830, y);
+    }
+
+    const placement = standings.findIndex((row) => row.player);
+    const finalMedal = placement < MEDALS.length ? MEDALS[placement] : null;
+    context.textAlign = "center";
+    context.font = "bold 30px Trebuchet MS";
+    context.fillStyle = finalMedal ? finalMedal.color : "#173248";
+    context.fillText(
+      finalMedal
+        ? t("standings.medal", { medal: t(finalMedal.label) })
+        : t("standings.place", { place: placement + 1 }),
+      WIDTH / 2,
+      440
+    );
+
+    if (!app.recordEntry) {
+      Utils.drawButton(context, app.ui.standingsButton, isFocused(app.ui.standingsButton));
+    }
+
+    context.restore();
+  }
+
+  function drawPlayerSetup(context) {
+    const hotSeat = app.hotSeat;
+
+    context.save();
+    context.fillStyle = "#c3e7ff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
+
+    context.fillStyle = "#14334a";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 46px Trebuchet MS";
+    context.fillText(t("menu.hotSeat"), WIDTH / 2, 52);
+
+    context.font = "bold 17px Trebuchet MS";
+    context.textAlign = "left";
+    context.fillText(t("hotSeat.players", { count: hotSeat.players.length, max: HOT_SEAT_MAX_PLAYERS }), 110, 94);
+    context.fillText(t("hotSeat.events"), 520, 112);
+
+    app.ui.playerButtons.forEach((button, i) => {
+      const editing = i === hotSeat.editIndex;
+      button.label = editing ? `${hotSeat.players[i]}_` : hotSeat.players[i];
+      Utils.drawButton(context, button, isFocused(button));
+      if (editing) {
+        context.strokeStyle = "#ffffff";
+        context.lineWidth = 2;
+        context.strokeRect(button.x + 3, button.y + 3, button.w - 6, button.h - 6);
+      }
+    });
+
+    for (const button of app.ui.hotSeatButtons) {
+      if (button.eventKey) {
+        const name = app.events[button.eventKey].name;
+        button.label = `${hotSeat.events[button.eventKey] ? "[x]" : "[ ]"} ${name}`;
+      }
+      Utils.drawButton(context, button, isFocused(button));
+    }
+
+    context.restore();
+  }
+
+  function drawGetReady(context) {
+    const hotSeat = app.hotSeat;
+    const turn = hotSeat.turns[hotSeat.turnIndex];
+
+    context.save();
+    context.fillStyle = "#d3ecff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
+
+    context.fillStyle = "#173248";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 24px Trebuchet MS";
+    context.fillText(
+      t("hotSeat.turn", {
+        number: hotSeat.turnIndex + 1,
+        count: hotSeat.turns.length,
+        event: app.events[turn.key].name
+      }),
+      WIDTH / 2,
+      150
+    );
+
+    context.font = "bold 54px Trebuchet MS";
+    context.fillText(t("hotSeat.getReady", { player: hotSeat.players[turn.player] }), WIDTH / 2, 240, WIDTH - 40);
+
+    context.font = "18px Trebuchet MS";
+    context.fillText(t("hotSeat.pass"), WIDTH / 2, 310);
+
+    Utils.drawButton(context, app.ui.readyButton, isFocused(app.ui.readyButton));
+    context.restore();
+  }
+
+  function drawComparison(context) {
+    const hotSeat = app.hotSeat;
+    const keys = eventIds().filter((key) => hotSeat.events[key]);
+    const ranking = getHotSeatRanking();
+
+    context.save();
+    context.fillStyle = "#d3ecff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
+
+    context.fillStyle = "#173248";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 46px Trebuchet MS";
+    context.fillText(t("hotSeat.resultsTitle"), WIDTH / 2, 60);
+
+    context.font = "bold 16px Trebuchet MS";
+    context.fillText(describeConditions(app.activeDifficulty, app.activeAssist), WIDTH / 2, 92);
+
+    const span = Math.min(150, 450 / keys.length);
+    const columnX = (i) => 330 + i * span;
+    context.font = "bold 17px Trebuchet MS";
+    context.textAlign = "left";
+    context.fillText(t("standings.rank"), 90, 116);
+    context.fillText(t("hotSeat.player"), 150, 116);
+    keys.forEach((key, i) => {
+      context.fillText(app.events[key].name, columnX(i), 116, span - 10);
+    });
+    context.textAlign = "right";
+    context.fillText(t("standings.gamesPoints"), 830, 116);
+
+    ranking.forEach((row, i) => {
+      const y = 150 + i * 40;
+      // Tied totals share a rank.
+      const rank = ranking.findIndex((other) => other.total === row.total);
+      const medal = rank < MEDALS.length ? MEDALS[rank] : null;
+
+      if (medal) {
+        context.fillStyle = medal.color;
+        context.beginPath();
+        context.arc(106, y, 13, 0, Math.PI * 2);
+        context.fill();
+      }
+
+      context.fillStyle = "#173248";
+      context.font = rank === 0 ? "bold 18px Trebuchet MS" : "18px Trebuchet MS";
+      context.textAlign = "center";
+      context.fillText(String(rank + 1), 106, y);
+      context.textAlign = "left";
+      context.fillText(row.name, 150, y);
+      keys.forEach((key, column) => {
+        context.fillText(key in row.scores ? formatScore(key, row.scores[key]) : "--", columnX(column), y, span - 10);
+      });
+      context.textAlign = "right";
+      context.fillText(Utils.formatNumber(row.total), 830, y);
+    });
+
+    for (const button of app.ui.comparisonButtons) {
+      Utils.drawButton(context, button, isFocused(button));
+    }
+
+    context.restore();
+  }
+
+  function drawHotSeatTag(context) {
+    const hotSeat = app.hotSeat;
+    const turn = hotSeat.turns[hotSeat.turnIndex];
+
+    context.save();
+    context.fillStyle = "rgba(10, 31, 48, 0.6)";
+    context.fillRect(WIDTH - 290, HEIGHT - 76, 280, 28);
+    context.fillStyle = "#ffffff";
+    context.font = "bold 15px Trebuchet MS";
+    context.textAlign = "right";
+    context.textBaseline = "middle";
+    context.fillText(
+      t("hotSeat.tag", {
+        player: hotSeat.players[turn.player],
+        number: hotSeat.turnIndex + 1,
+        count: hotSeat.turns.length
+      }),
+      WIDTH - 20,
+      HEIGHT - 62
+    );
+    context.restore();
+  }
+
+  function drawSettings(context) {
+    const difficulty = Settings.getDifficulty();
+
+    context.save();
+    context.fillStyle = "#c3e7ff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
 
-    app.ui.backButton = Utils.createButton(345, 390, 210, 62, "Back to Menu", () => {
-      startTransition(() => {
-        app.state = "menu";
-      });
-    });
-  }
+    context.fillStyle = "#14334a";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 46px Trebuchet MS";
+    context.fillText(t("menu.settings"), WIDTH / 2, 44);
 
-  function selectEvent(key) {
-    startTransition(() => {
-      const event = app.events[key];
-      event.reset();
-      app.activeEvent = event;
-      app.activeEventKey = key;
-      app.state = "event";
+    context.font = "bold 17px Trebuchet MS";
+    context.textAlign = "left";
+    context.fillText(t("settings.customHeading"), 40, 146);
+
+    customSettings().forEach((row, i, rows) => {
+      const section = row.event ? difficulty[row.event] : difficulty;
+      const slot = customRowSlot(i, rows.length);
+      const y = slot.y + slot.h / 2;
+      context.font = `${Math.min(17, slot.h - 4)}px Trebuchet MS`;
+      context.textAlign = "left";
+      context.fillText(t(row.label), slot.x, y, 210);
+      context.font = `bold ${Math.min(17, slot.h - 4)}px Trebuchet MS`;
+      context.textAlign = "right";
+      const shown = row.multiplier
+        ? `x${Utils.formatNumber(section[row.field], 2)}`
+        : Utils.formatNumber(section[row.field], row.step < 1 ? 1 : 0);
+      context.fillText(shown, slot.x + 290, y);
     });
-  }
 
-  function startTransition(action) {
-    if (app.transition.dir !== 0) {
-      return;
+    for (const button of app.ui.settingsButtons) {
+      Utils.drawButton(context, button, isFocused(button));
+      if (button.difficultyKey === difficulty.key) {
+        context.strokeStyle = "#ffffff";
+        context.lineWidth = 2;
+        context.strokeRect(button.x + 3, button.y + 3, button.w - 6, button.h - 6);
+      }
     }
 
-    app.transition.pendingAction = action;
-    app.transition.dir = 1;
+    context.restore();
   }
 
-  function updateTransition(dt) {
-    if (app.transition.dir === 0) {
-      return;
-    }
+  function drawAccess(context) {
+    context.save();
+    context.fillStyle = "#c3e7ff";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    drawParticles(context);
 
-    if (app.transition.dir === 1) {
-      app.transition.alpha += app.transition.speed * dt;
-      if (app.transition.alpha >= 1) {
-        app.transition.alpha = 1;
-        if (app.transition.pendingAction) {
-          app.transition.pendingAction();
-          app.transition.pendingAction = null;
-        }
-        app.transition.dir = -1;
-      }
-    } else {
-      app.transition.alpha -= app.transition.speed * dt;
-      if (app.transition.alpha <= 0) {
-        app.transition.alpha = 0;
-        app.transition.dir = 0;
-      }
-    }
-  }
+    context.fillStyle = "#14334a";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = "bold 46px Trebuchet MS";
+    context.fillText(t("settings.access"), WIDTH / 2, 44);
 
-  function updateParticles(dt) {
-    for (const particle of app.particles) {
-      particle.x += particle.vx * dt;
-      particle.y += particle.vy * dt;
+    context.font = "17px Trebuchet MS";
+    context.fillText(t("access.note"), WIDTH / 2, 88, WIDTH - 40);
 
-      if (particle.x > WIDTH + 10) {
-        particle.x = -10;
-      }
-      if (particle.y < -10) {
-        particle.y = HEIGHT + 10;
+    for (const button of app.ui.accessButtons) {
+      const option = button.accessOption;
+      if (option) {
+        button.label = t(option.isOn() ? "access.toggle.on" : "access.toggle.off", { label: t(option.label) });
       }
-      if (particle.y > HEIGHT + 10) {
-        particle.y = -10;
+      Utils.drawButton(context, button, isFocused(button));
+      if (option) {
+        context.fillStyle = "#14334a";
+        context.font = "15px Trebuchet MS";
+        context.fillText(t(option.hint), WIDTH / 2, button.y + button.h + 14, WIDTH - 40);
       }
     }
-  }
 
-  function drawParticles(context) {
-    context.save();
-    for (const particle of app.particles) {
-      context.fillStyle = "rgba(255, 255, 255, 0.35)";
-      context.beginPath();
-      context.arc(particle.x, particle.y, particle.r, 0, Math.PI * 2);
-      context.fill();
-    }
     context.restore();
   }
 
-  function drawMenu(context) {
+  function drawLanguage(context) {
     context.save();
-
     context.fillStyle = "#c3e7ff";
     context.fillRect(0, 0, WIDTH, HEIGHT);
     drawParticles(context);
 
     context.fillStyle = "#14334a";
-    context.font = "bold 66px Trebuchet MS";
     context.textAlign = "center";
     context.textBaseline = "middle";
-    context.fillText("Mini Olympics", WIDTH / 2, 120);
-
-    context.font = "bold 24px Trebuchet MS";
-    context.fillText("Choose an event", WIDTH / 2, 168);
+    context.font = "bold 46px Trebuchet MS";
+    context.fillText(t("settings.language"), WIDTH / 2, 44);
 
-    for (const button of app.ui.menuButtons) {
-      Utils.drawButton(context, button);
+    context.font = "bold 20px Trebuchet MS";
+    context.fillText(t("language.heading"), WIDTH / 2, 124);
+    context.fillText(t("language.units"), WIDTH / 2, 294);
+
+    context.font = "17px Trebuchet MS";
+    context.fillText(
+      t("language.sample", { distance: Utils.formatDistance(19.5), points: Utils.formatPoints(1234.5) }),
+      WIDTH / 2,
+      420
+    );
+
+    for (const button of app.ui.languageButtons) {
+      Utils.drawButton(context, button, isFocused(button));
+      if (button.localeCode === Utils.getLocale() || button.unitSystem === Utils.getUnits()) {
+        context.strokeStyle = "#ffffff";
+        context.lineWidth = 2;
+        context.strokeRect(button.x + 3, button.y + 3, button.w - 6, button.h - 6);
+      }
     }
 
-    context.font = "16px Trebuchet MS";
-    context.fillStyle = "#1f4d6a";
-    context.fillText("Controls: SPACE and arrows by event. Press M to toggle sound.", WIDTH / 2, 530);
-
     context.restore();
   }
 
-  function drawHUD(context, hud) {
+  function drawPauseOverlay(context) {
     context.save();
-
-    context.fillStyle = "rgba(10, 31, 48, 0.75)";
-    context.fillRect(0, 0, WIDTH, 52);
+    context.fillStyle = "rgba(10, 31, 48, 0.72)";
+    context.fillRect(0, 0, WIDTH, HEIGHT);
 
     context.fillStyle = "#ffffff";
-    context.font = "bold 20px Trebuchet MS";
-    context.textAlign = "left";
+    context.textAlign = "center";
     context.textBaseline = "middle";
-    context.fillText(hud.eventName, 14, 26);
+    context.font = "bold 54px Trebuchet MS";
+    context.fillText(t("pause.title"), WIDTH / 2, 150);
 
-    context.textAlign = "center";
-    context.font = "bold 17px Trebuchet MS";
-    context.fillText(`Attempts Remaining: ${Math.max(0, hud.attemptsRemaining)}`, WIDTH / 2, 26);
+    context.font = "17px Trebuchet MS";
+    context.fillText(t("pause.hint", { key: Bindings.label("pause") }), WIDTH / 2, 470);
 
-    context.textAlign = "right";
-    context.font = "bold 20px Trebuchet MS";
-    context.fillText(`Score: ${Math.round(hud.score)}`, WIDTH - 14, 26);
+    for (const button of app.ui.pauseButtons) {
+      Utils.drawButton(context, button, isFocused(button));
+    }
+    context.restore();
+  }
 
-    context.fillStyle = "rgba(10, 31, 48, 0.72)";
-    context.fillRect(0, HEIGHT - 42, WIDTH, 42);
-    context.fillStyle = "#ffffff";
-    context.textAlign = "left";
-    context.font = "16px Trebuchet MS";
-    context.fillText(hud.instructions, 14, HEIGHT - 20);
+  const CONTROL_ROWS_PER_COLUMN = 12;
 
-    context.restore();
+  // One column while the rows fit, then two narrower ones side by side.
+  function controlRowLayout(index) {
+    const y = 111 + (index % CONTROL_ROWS_PER_COLUMN) * 34;
+    if (getControlRows().length <= CONTROL_ROWS_PER_COLUMN) {
+      return { labelX: 200, labelW: 310, buttonX: 520, buttonW: 180, y };
+    }
+    const offset = Math.floor(index / CONTROL_ROWS_PER_COLUMN) * 440;
+    return { labelX: 30 + offset, labelW: 250, buttonX: 290 + offset, buttonW: 130, y };
   }
 
-  function drawResults(context) {
+  function drawControls(context) {
     context.save();
-
-    context.fillStyle = "#d3ecff";
+    context.fillStyle = "#c3e7ff";
     context.fillRect(0, 0, WIDTH, HEIGHT);
     drawParticles(context);
 
-    context.fillStyle = "#173248";
+    context.fillStyle = "#14334a";
     context.textAlign = "center";
     context.textBaseline = "middle";
-    context.font = "bold 58px Trebuchet MS";
-    context.fillText("Results", WIDTH / 2, 150);
+    context.font = "bold 46px Trebuchet MS";
+    context.fillText(t("settings.controls"), WIDTH / 2, 40);
 
-    context.font = "bold 32px Trebuchet MS";
-    context.fillText(app.results.eventName, WIDTH / 2, 250);
+    context.font = "bold 17px Trebuchet MS";
+    if (app.controlsNotice) {
+      context.fillStyle = "#b2302f";
+      context.fillText(app.controlsNotice, WIDTH / 2, 80);
+    } else {
+      context.fillText(
+        app.rebinding ? t("controls.waiting") : t("controls.prompt"),
+        WIDTH / 2,
+        80
+      );
+    }
 
-    context.font = "bold 48px Trebuchet MS";
-    context.fillText(Utils.formatPoints(app.results.score), WIDTH / 2, 318);
+    context.fillStyle = "#14334a";
+    context.textAlign = "left";
+    context.font = "17px Trebuchet MS";
+    getControlRows().forEach((row, i) => {
+      const { labelX, y, labelW } = controlRowLayout(i);
+      context.fillText(t(row.label), labelX, y, labelW);
+    });
 
-    Utils.drawButton(context, app.ui.backButton);
+    for (const button of app.ui.controlsButtons) {
+      if (button.action) {
+        button.label = app.rebinding === button.action ? "..." : Utils.keyLabel(Bindings.data[button.action]);
+      }
+      Utils.drawButton(context, button, isFocused(button));
+    }
 
     context.restore();
   }
@@ -1329,19 +2858,121 @@
   }
 
   function getActiveButtons() {
+    if (app.recordEntry) {
+      return [];
+    }
+
+    if (app.pause) {
+      return app.ui.pauseButtons;
+    }
+
     if (app.state === "menu") {
       return app.ui.menuButtons;
     }
 
     if (app.state === "results") {
-      return [app.ui.backButton];
+      const canWatch = Replay.lastRecording && Replay.lastRecording.eventKey === app.results.eventKey;
+      return canWatch ? [app.ui.watchReplayButton, app.ui.backButton] : [app.ui.backButton];
+    }
+
+    if (app.state === "standings") {
+      return [app.ui.standingsButton];
+    }
+
+    if (app.state === "players") {
+      return [...app.ui.playerButtons, ...app.ui.hotSeatButtons];
+    }
+
+    if (app.state === "ready") {
+      return [app.ui.readyButton];
+    }
+
+    if (app.state === "comparison") {
+      return app.ui.comparisonButtons;
+    }
+
+    if (app.state === "settings") {
+      return app.ui.settingsButtons;
+    }
+
+    if (app.state === "controls") {
+      return app.ui.controlsButtons;
+    }
+
+    if (app.state === "access") {
+      return app.ui.accessButtons;
+    }
+
+    if (app.state === "language") {
+      return app.ui.languageButtons;
     }
 
     return [];
   }
 
   function routeInput(eventType, payload) {
-    if (eventType === "keydown" && payload.code === "KeyM" && !payload.repeat) {
+    if (Replay.playback) {
+      // Live input is ignored while a replay drives the event.
+      if (eventType === "keydown" && payload.code === "Escape" && app.transition.dir === 0) {
+        stopReplay();
+      } else if (eventType === "keydown" && payload.code === Bindings.data.toggleSound && !payload.repeat) {
+        Sound.toggle();
+      }
+      return;
+    }
+
+    const pauseKey =
+      eventType === "keydown" && !payload.repeat && (payload.code === "Escape" || payload.code === Bindings.data.pause);
+    if (app.pause) {
+      // Nothing reaches the event or the recording while paused.
+      if (pauseKey && app.transition.dir === 0) {
+        resumeEvent();
+      } else {
+        dispatchInput(eventType, payload, false);
+      }
+      return;
+    }
+
+    if (pauseKey && app.state === "event") {
+      pauseEvent();
+      return;
+    }
+
+    Replay.record(eventType, payload);
+    dispatchInput(eventType, payload, false);
+  }
+
+  function dispatchInput(eventType, payload, replayed) {
+    if (app.recordEntry && app.transition.dir === 0) {
+      handleRecordEntryInput(eventType, payload);
+      return;
+    }
+
+    if (app.rebinding && app.transition.dir === 0) {
+      if (eventType === "keydown" && !payload.repeat) {
+        handleRebindKey(payload);
+        return;
+      }
+      if (eventType === "pointerdown") {
+        app.rebinding = null;
+      }
+    }
+
+    // Letters typed into a player's name are the name, even M for the sound toggle.
+    if (
+      eventType === "keydown" &&
+      app.state === "players" &&
+      app.transition.dir === 0 &&
+      handleHotSeatNameInput(payload)
+    ) {
+      return;
+    }
+
+    if (eventType === "keydown" && Bindings.is("toggleSound", payload.code) && !payload.repeat) {
+      if (replayed) {
+        return;
+      }
+
       Sound.toggle();
       Sound.beep({ freq: Sound.enabled ? 700 : 260, duration: 0.05, volume: 0.03 });
       return;
@@ -1351,43 +2982,88 @@
       return;
     }
 
+    // Pointer moves and presses that miss every button carry on to an event that
+    // aims with the pointer.
     if (eventType === "pointermove") {
       const buttons = getActiveButtons();
       for (const button of buttons) {
         button.hover = Utils.pointInRect(payload.x, payload.y, button);
       }
-      return;
     }
 
     if (eventType === "pointerdown") {
-      const buttons = getActiveButtons();
-      for (const button of buttons) {
-        if (Utils.pointInRect(payload.x, payload.y, button)) {
-          button.onClick();
-          Sound.beep({ freq: 700, duration: 0.04, volume: 0.025 });
-          break;
-        }
+      const button = getActiveButtons().find((candidate) => Utils.pointInRect(payload.x, payload.y, candidate));
+      if (button) {
+        button.onClick();
+        Sound.beep({ freq: 700, duration: 0.04, volume: 0.025 });
+        return;
+      }
+    }
+
+    if (eventType === "keydown" && app.state === "ready" && (payload.code === "Enter" || payload.code === "Space")) {
+      if (!payload.repeat) {
+        beginHotSeatTurn();
       }
       return;
     }
 
-    if (app.state === "event" && app.activeEvent) {
+    if (eventType === "keydown" && navigateButtons(payload)) {
+      return;
+    }
+
+    if (app.state === "event" && app.activeEvent && !app.pause) {
       app.activeEvent.handleInput(eventType, payload);
     }
   }
 
+  // Arrow keys / D-pad move focus across the on-screen buttons; Enter, Space or A presses.
+  function navigateButtons(payload) {
+    const buttons = getActiveButtons();
+    if (buttons.length === 0) {
+      return false;
+    }
+
+    const steps = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1, Tab: payload.shiftKey ? -1 : 1 };
+    const step = steps[payload.code];
+    if (step) {
+      const current = app.ui.focusIndex;
+      if (current === -1) {
+        app.ui.focusIndex = step > 0 ? 0 : buttons.length - 1;
+      } else {
+        app.ui.focusIndex = (current + step + buttons.length) % buttons.length;
+      }
+      Sound.beep({ freq: 560, duration: 0.03, volume: 0.02 });
+      return true;
+    }
+
+    const focused = buttons[app.ui.focusIndex];
+    if ((payload.code === "Enter" || payload.code === "Space") && !payload.repeat && focused) {
+      focused.onClick();
+      Sound.beep({ freq: 700, duration: 0.04, volume: 0.025 });
+      return true;
+    }
+
+    return false;
+  }
+
+  function isFocused(button) {
+    return getActiveButtons()[app.ui.focusIndex] === button;
+  }
+
   function update(dt) {
     updateParticles(dt);
 
-    if (app.state === "event" && app.activeEvent) {
+    // A paused event takes no steps, so the clock's accumulator and the replay tick
+    // carry on from where they were once it resumes.
+    if (app.state === "event" && app.activeEvent && !app.pause) {
+      Replay.feed(dispatchInput);
       app.activeEvent.update(dt);
+      Replay.advance();
 
       if (app.activeEvent.finished) {
         const hud = app.activeEvent.getHUD();
         startTransition(() => {
-          app.results.eventName = hud.eventName;
-          app.results.score = hud.score;
-          app.state = "results";
+          finishEvent(hud);
         });
       }
     }
@@ -1403,15 +3079,148 @@
     } else if (app.state === "event" && app.activeEvent) {
       app.activeEvent.draw(ctx);
       drawHUD(ctx, app.activeEvent.getHUD());
+      if (app.tournament.active) {
+        drawTournamentTag(ctx);
+      } else if (app.hotSeat.active) {
+        drawHotSeatTag(ctx);
+      }
+      if (Replay.playback) {
+        drawReplayBanner(ctx);
+      }
+      drawTouchControls(ctx);
+      if (app.pause) {
+        drawPauseOverlay(ctx);
+      }
     } else if (app.state === "results") {
       drawResults(ctx);
+    } else if (app.state === "standings") {
+      drawStandings(ctx);
+    } else if (app.state === "players") {
+      drawPlayerSetup(ctx);
+    } else if (app.state === "ready") {
+      drawGetReady(ctx);
+    } else if (app.state === "comparison") {
+      drawComparison(ctx);
+    } else if (app.state === "settings") {
+      drawSettings(ctx);
+    } else if (app.state === "controls") {
+      drawControls(ctx);
+    } else if (app.state === "access") {
+      drawAccess(ctx);
+    } else if (app.state === "language") {
+      drawLanguage(ctx);
     }
 
     drawTransition(ctx);
+    Announcer.update(getAnnouncement());
+  }
+
+  function buttonSpeech(button) {
+    const speech = typeof button.speech === "function" ? button.speech() : button.speech;
+    return speech || button.label;
+  }
+
+  // Text a screen reader should hear for the current scene, split into parts so a
+  // change of focus doesn't repeat the whole screen.
+  function getAnnouncement() {
+    const focused = getActiveButtons()[app.ui.focusIndex];
+    const focus = focused ? buttonSpeech(focused) : "";
+
+    if (app.recordEntry) {
+      const entry = app.recordEntry;
+      return {
+        screen: entry.rank === 0 ? t("record.new") : t("record.top", { count: Records.maxEntries }),
+        entry: `${t("speech.initials")} ${entry.initials.split("").join(" ")}`.trim()
+      };
+    }
+
+    if (app.state === "event" && app.activeEvent) {
+      if (app.pause) {
+        return { screen: t("pause.title"), focus };
+      }
+
+      const hud = app.activeEvent.getHUD();
+      return {
+        screen: Replay.playback ? t("speech.replay", { event: hud.eventName }) : hud.eventName,
+        status: hud.status || "",
+        instructions: hud.instructions,
+        score: t("hud.score", { score: formatScore(app.activeEventKey, hud.score) })
+      };
+    }
+
+    if (app.state === "menu") {
+      return { screen: t("speech.menu", { difficulty: difficultyLabel(Settings.getDifficulty()) }), focus };
+    }
+
+    if (app.state === "results") {
+      const results = app.results;
+      const score = formatScore(results.eventKey, results.score);
+      const detail = results.detail ? `, ${results.detail}` : "";
+      return {
+        screen: t("speech.results", {
+          conditions: describeConditions(results.difficulty, results.assist),
+          result: `${results.eventName} ${score}${detail}`
+        }),
+        focus
+      };
+    }
+
+    if (app.state === "standings") {
+      const placement = getStandings().findIndex((row) => row.player);
+      const params = { points: Utils.formatNumber(app.tournament.total), place: placement + 1 };
+      return {
+        screen:
+          placement < MEDALS.length
+            ? t("speech.standings.medal", { ...params, medal: t(MEDALS[placement].label) })
+            : t("speech.standings", params),
+        focus
+      };
+    }
+
+    if (app.state === "players") {
+      return { screen: t("speech.players", { count: app.hotSeat.players.length }), focus };
+    }
+
+    if (app.state === "ready") {
+      const turn = app.hotSeat.turns[app.hotSeat.turnIndex];
+      return {
+        screen: t("speech.ready", { player: app.hotSeat.players[turn.player], event: app.events[turn.key].name })
+      };
+    }
+
+    if (app.state === "comparison") {
+      const winner = getHotSeatRanking()[0];
+      return {
+        screen: t("speech.comparison", { player: winner.name, points: Utils.formatNumber(winner.total) }),
+        focus
+      };
+    }
+
+    if (app.state === "settings") {
+      return { screen: t("speech.settings", { difficulty: difficultyLabel(Settings.getDifficulty()) }), focus };
+    }
+
+    if (app.state === "access") {
+      return { screen: t("settings.access"), focus };
+    }
+
+    if (app.state === "language") {
+      return { screen: t("settings.language"), focus };
+    }
+
+    if (app.state === "controls") {
+      return {
+        screen: t("settings.controls"),
+        notice: app.controlsNotice || (app.rebinding ? t("speech.rebinding") : ""),
+        focus
+      };
+    }
+
+    return {};
   }
 
   let lastTime = 0;
-  let accumulator = 0;
+  const clock = createFixedClock(FIXED_DT);
 
   function frame(timestamp) {
     if (!lastTime) {
@@ -1425,25 +3234,60 @@
       frameDelta = 0.25;
     }
 
-    accumulator += frameDelta;
+    Input.pollGamepads();
 
     // Fixed timestep accumulator keeps physics deterministic and stable.
-    while (accumulator >= FIXED_DT) {
-      update(FIXED_DT);
-      accumulator -= FIXED_DT;
-    }
+    clock.advance(frameDelta, update);
 
     draw();
     requestAnimationFrame(frame);
   }
 
+  // A hidden tab stops animation frames, so pause rather than let the run sit
+  // half-finished, and start timing afresh from the first frame back.
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      pauseEvent();
+    }
+    lastTime = 0;
+  });
+  window.addEventListener("blur", pauseEvent);
+
   soundToggleButton.addEventListener("click", () => {
     Sound.toggle();
     Sound.beep({ freq: Sound.enabled ? 700 : 260, duration: 0.05, volume: 0.03 });
   });
 
+  saveReplayButton.addEventListener("click", saveReplay);
+  loadReplayButton.addEventListener("click", () => {
+    replayFileInput.click();
+  });
+  replayFileInput.addEventListener("change", () => {
+    const file = replayFileInput.files && replayFileInput.files[0];
+    if (file) {
+      loadReplay(file);
+    }
+    replayFileInput.value = "";
+  });
+
+  Records.init();
+  Ghosts.init(Records.storage);
+  getRegisteredEvents().forEach(addEvent);
+  Settings.init(Records.storage);
+  Bindings.init(Records.storage);
+  Announcer.init(announcerElement);
+  app.hotSeat.players = [defaultPlayerName(0), defaultPlayerName(1)];
+  updateReplayControls();
   initParticles();
-  initUI();
+  applyLocale();
+  // A script loaded after this one can still add a sport; it joins the menu,
+  // Games, hot seat and controls screen as soon as it registers.
+  onEventRegistered((entry) => {
+    addEvent(entry);
+    Settings.data.custom = Settings.makeCustom(Settings.data.custom);
+    Bindings.init(Bindings.storage);
+    initUI();
+  });
   Input.init(routeInput);
   requestAnimationFrame(frame);
 })();
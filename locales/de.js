@@ -0,0 +1,476 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    (root.MiniOlympicsLocales = root.MiniOlympicsLocales || {}).de = factory();
+  }
+})(typeof self !== "undefined" ? self : this, () => {
+  return {
+    "locale.name": "Deutsch",
+
+    "units.points": "{value} Pkt.",
+    "units.metres": "{value} m",
+    "units.feet": "{value} ft",
+    "units.metresPerSecond": "{value} m/s",
+    "units.mph": "{value} mph",
+    "units.seconds": "{value} s",
+    "units.minutes": "{minutes}:{seconds}",
+    "units.noTime": "Keine Zeit",
+
+    "figure.name": "Eiskunstlauf",
+    "figure.jump.toeLoop": "Toeloop",
+    "figure.jump.salchow": "Salchow",
+    "figure.jump.loop": "Rittberger",
+    "figure.jump.flip": "Flip",
+    "figure.jump.lutz": "Lutz",
+    "figure.jump.axel": "Axel",
+    "figure.rotations.single": "Einfacher",
+    "figure.rotations.double": "Doppelter",
+    "figure.rotations.triple": "Dreifacher",
+    "figure.rotations.quad": "Vierfacher",
+    "figure.element": "{rotations} {jump}",
+    "figure.landing.soaring": "hoch, saubere Landung",
+    "figure.landing.clean": "saubere Landung",
+    "figure.landing.good": "gute Landung",
+    "figure.landing.tight": "knappe Landung",
+    "figure.landing.steppedOut": "Ausgestiegen",
+    "figure.call.fullyRotated": "Voll rotiert",
+    "figure.call.quarterShort": "Viertel zu kurz",
+    "figure.call.underRotated": "Unterdreht",
+    "figure.call.downgraded": "Abgewertet",
+    "figure.start": "Sprung wählen, {key} zum Laden halten und nahe Grün loslassen.",
+    "figure.start.oneSwitch": "Sprung wählen, {key} zum Laden drücken und nahe Grün erneut drücken.",
+    "figure.timing.perfect": "Perfektes Timing",
+    "figure.timing.okay": "Ordentliches Timing",
+    "figure.timing.bad": "Schlechtes Timing",
+    "figure.locked": "{code}: {timing} festgelegt",
+    "figure.fall": "Sturz",
+    "figure.verdict": "{call}, {landing}",
+    "figure.judged": "{code} {verdict}: GOE {goe}, {points}",
+    "figure.routineComplete": "Kür beendet: {score}",
+    "figure.spinning": "{code}: {rotation} / {revolutions} Umdr.",
+    "figure.next": "Nächster Sprung: {key} zum Laden halten.",
+    "figure.next.oneSwitch": "Nächster Sprung: {key} zum Laden drücken.",
+    "figure.meter.power": "Sprungkraft",
+    "figure.picker": "{name}  Basis {base}  braucht {air} s Luft",
+    "figure.protocol": "Elemente",
+    "figure.deductions": "Abz. -{value}",
+    "figure.falls": { one: "({count} Sturz)", other: "({count} Stürze)" },
+    "figure.hud.ready":
+      "{prev}/{next} Sprung, {up}/{down} Umdrehungen. {key} über die rote Marke halten, auf Grün loslassen.",
+    "figure.hud.ready.oneSwitch":
+      "{prev}/{next} Sprung, {up}/{down} Umdrehungen. {key} zum Laden drücken, hinter der roten Marke auf Grün erneut drücken.",
+    "figure.hud.charging": "{key} loslassen, um Timing und Kraft festzulegen.",
+    "figure.hud.charging.oneSwitch": "{key} drücken, um Timing und Kraft festzulegen.",
+    "figure.hud.air": "{key} halten, um die Arme anzuziehen und schneller zu drehen; loslassen, um höher zu schweben.",
+    "figure.hud.air.oneSwitch":
+      "{key} drücken, um die Arme anzuziehen oder zu öffnen; angezogen dreht schneller, offen schwebt höher.",
+    "figure.hud.pause": "Landung bewertet. Nächster Sprung wird vorbereitet.",
+    "figure.hud.complete": "Kür beendet. Zurück zu den Ergebnissen.",
+
+    "curling.name": "Curling",
+    "curling.team.player": "DU",
+    "curling.team.cpu": "CPU",
+    "curling.meter.power": "Schubkraft",
+    "curling.aim.centre": "Ziel: auf dem Button",
+    "curling.aim.left": "Ziel: {distance} links",
+    "curling.aim.right": "Ziel: {distance} rechts",
+    "curling.brushing.on": "Wischen AN ({key})",
+    "curling.brushing.off": "Wischen AUS ({key} halten)",
+    "curling.cpuCalls.draw": "CPU spielt einen Draw",
+    "curling.cpuCalls.takeout": "CPU spielt einen Takeout",
+    "curling.cpuCalls.guard": "CPU spielt einen Guard",
+    "curling.endScore": "{team} +{points}",
+    "curling.blankEnd": "Leeres End",
+    "curling.hud.ready": "{up}/{down} zielen, {key} für die Schubkraft halten, zum Werfen loslassen.",
+    "curling.hud.ready.oneSwitch": "{key} drücken, um den Schub zu starten, erneut zum Werfen.",
+    "curling.hud.aim.oneSwitch": "{key} drücken, um das wandernde Ziel festzulegen.",
+    "curling.hud.charging": "{key} loslassen, um den Stein abzugeben.",
+    "curling.hud.charging.oneSwitch": "{key} drücken, um den Stein abzugeben.",
+    "curling.hud.cpuAim": "Der CPU-Skip zielt.",
+    "curling.hud.sliding": "{brush} halten, um zu wischen und die Reibung zu senken (mu {from} -> {to}).",
+    "curling.hud.sliding.oneSwitch":
+      "{key} drücken, um zu wischen und die Reibung zu senken (mu {from} -> {to}); erneut zum Aufhören.",
+    "curling.hud.cpuSliding": "CPU-Stein in Bewegung.",
+    "curling.hud.settled": "Alle Steine liegen. Der nächste Stein folgt.",
+    "curling.hud.scored": "End vorbei. Das nähere Team punktet mit jedem Stein vor dem besten gegnerischen.",
+    "curling.hud.complete": "Spiel beendet. Zurück zu den Ergebnissen.",
+    "curling.result.won": {
+      one: "Sieg {score}-{cpuScore} gegen CPU ({count} End)",
+      other: "Sieg {score}-{cpuScore} gegen CPU ({count} Ends)"
+    },
+    "curling.result.lost": {
+      one: "Niederlage {score}-{cpuScore} gegen CPU ({count} End)",
+      other: "Niederlage {score}-{cpuScore} gegen CPU ({count} Ends)"
+    },
+    "curling.result.tied": {
+      one: "Remis {score}-{cpuScore} gegen CPU ({count} End)",
+      other: "Remis {score}-{cpuScore} gegen CPU ({count} Ends)"
+    },
+
+    "ski.name": "Skispringen",
+    "ski.start": "{key} in der Anfahrt halten, nahe dem Schanzentisch loslassen.",
+    "ski.start.oneSwitch": "{key} zum Hocken drücken, nahe dem Schanzentisch erneut drücken.",
+    "ski.attempt": "Versuch {number} von {total}.",
+    "ski.landing.telemark": "Telemark-Landung",
+    "ski.landing.stable": "Sichere Landung",
+    "ski.landing.hard": "Harte Landung",
+    "ski.landed": "{landing} | {distance} | Windkomp. {wind}",
+    "ski.result": "{distance} bei K{kPoint} ({distancePoints}), Haltung {style}, Wind {wind}",
+    "ski.missed": "Sprung verfehlt den Aufsprunghang",
+    "ski.meter.load": "Beinspannung",
+    "ski.takeoff": "Absprung-Timing: {percent} %",
+    "ski.pitch": "Neigung: {degrees}°",
+    "ski.wind.head": "Wind: {speed} Gegenwind",
+    "ski.wind.tail": "Wind: {speed} Rückenwind",
+    "ski.hud.ramp": "{key} in der Anfahrt halten und nahe dem Tisch loslassen für den besten Absprung.",
+    "ski.hud.ramp.oneSwitch": "{key} zum Hocken drücken und nahe dem Tisch erneut für den besten Absprung.",
+    "ski.hud.flight":
+      "{up}/{down} stellen die Neigung (-20° bis +20°) für Auftrieb und wenig Widerstand. Gegenwind trägt.",
+    "ski.hud.landed": "Landung bewertet. Endnote wird ermittelt.",
+    "ski.hud.complete": "Sprung beendet. Zurück zu den Ergebnissen.",
+    "ski.bestOf": "Beste von {count}: {detail}",
+    "ski.ghost": "BESTWERT",
+
+    "speed.name": "Eisschnelllauf 500 m",
+    "speed.start.inner": "Start auf der Innenbahn. Auf die Plätze...",
+    "speed.start.outer": "Start auf der Außenbahn. Auf die Plätze...",
+    "speed.ready": "Fertig...",
+    "speed.gun": "Peng! Los!",
+    "speed.reaction": "Reaktion {time}",
+    "speed.falseStart": "Fehlstart: {reason} Ein zweiter führt zur Disqualifikation.",
+    "speed.falseStart.early": "vor dem Schuss losgelaufen.",
+    "speed.falseStart.anticipated": "Reaktion {time} liegt unter {limit}.",
+    "speed.disqualified": "Disqualifiziert: zweiter Fehlstart",
+    "speed.dnf": "Nicht im Ziel",
+    "speed.stride.perfect": "Perfekter Abstoß",
+    "speed.stride.okay": "Guter Abstoß",
+    "speed.stride.rushed": "Abstoß zu früh",
+    "speed.stride.late": "Abstoß zu spät",
+    "speed.stride.sameLeg": "Zweimal dasselbe Bein: kein Abstoß",
+    "speed.crossover.yield": "Wechselgerade: Du lässt der CPU von außen den Vortritt.",
+    "speed.crossover.cpuYields": "Wechselgerade: Die CPU lässt dir den Vortritt.",
+    "speed.split": "{distance} {time} ({gap})",
+    "speed.split.ahead": "vor der CPU",
+    "speed.split.gap": "{gap} zur CPU",
+    "speed.finish": "Ziel: {time}",
+    "speed.result.won": "CPU geschlagen ({cpu}). Reaktion {reaction}, 100 m {opener}",
+    "speed.result.lost": "CPU gewinnt ({cpu}). Reaktion {reaction}, 100 m {opener}",
+    "speed.you": "DU",
+    "speed.cpu": "CPU",
+    "speed.splits": "Zwischenzeiten",
+    "speed.meter.rhythm": "Schrittrhythmus",
+    "speed.meter.lean": "Neigung {degrees}°",
+    "speed.lean.wide": "Zu weit außen",
+    "speed.lean.over": "Zu stark geneigt",
+    "speed.hud.set": "Bis zum Schuss stillhalten, dann {left}/{right} abwechseln.",
+    "speed.hud.set.oneSwitch": "Bis zum Schuss stillhalten, dann {key} zum Abstoßen drücken.",
+    "speed.hud.race":
+      "{left}/{right} abwechseln, wenn die Nadel im Grünen steht. {key} halten, um dich in die Kurven zu legen.",
+    "speed.hud.race.oneSwitch": "{key} drücken, wenn die Nadel im Grünen steht. Die Neigung folgt den Kurven.",
+    "speed.hud.race.autoLean":
+      "{left}/{right} abwechseln, wenn die Nadel im Grünen steht. Die Neigung folgt den Kurven.",
+    "speed.hud.recall": "Zurückgerufen. Zurück an die Linie.",
+    "speed.hud.complete": "Rennen vorbei. Zurück zu den Ergebnissen.",
+
+    "bob.name": "Zweierbob",
+    "bob.heat.ready": "Lauf {number} von {total}.",
+    "bob.load.perfect": "Perfekter Einstieg",
+    "bob.load.okay": "Sauberer Einstieg",
+    "bob.load.early": "Zu früh eingestiegen",
+    "bob.load.late": "Zu spät eingestiegen",
+    "bob.load.scramble": "Am Ende der Schubstrecke hineingestolpert",
+    "bob.startTime": "Startzeit {time}",
+    "bob.wall": "Bandenkontakt! Nur noch {speed}",
+    "bob.heatDone": "Lauf {number}: {time}",
+    "bob.complete": "Gesamt {time}",
+    "bob.dnf": "Nicht im Ziel",
+    "bob.meter.load": "Einstieg",
+    "bob.meter.push": "Anschubtempo",
+    "bob.heatRow": "Lauf {number}",
+    "bob.total": "Gesamt",
+    "bob.walls": { one: "{count} Bandenkontakt", other: "{count} Bandenkontakte" },
+    "bob.result": "Läufe {heats}, {walls}",
+    "bob.hud.ready": "{key} hämmern, um den Bob anzuschieben.",
+    "bob.hud.push": "Weiter {key} hämmern; {load} drücken, wenn die Nadel im Grünen steht, um einzusteigen.",
+    "bob.hud.push.autoLoad": "Weiter {key} hämmern; die Crew steigt bei Grün ein.",
+    "bob.hud.run": "{left}/{right} halten, um der gestrichelten Linie zu folgen. Banden kosten Tempo.",
+    "bob.hud.run.oneSwitch": "Der Pilot hält die gestrichelte Linie. Gut festhalten.",
+    "bob.hud.between": "Lauf vorbei. Zurück nach oben zum nächsten Lauf.",
+    "bob.hud.complete": "Beide Läufe fertig. Zurück zu den Ergebnissen.",
+
+    "biathlon.name": "Biathlon-Sprint",
+    "biathlon.start": "250 m bis zum Schießstand, fünf Schuss, dann ins Ziel.",
+    "biathlon.exhausted": "Keine Kraft mehr! Langsamer laufen, um dich zu erholen.",
+    "biathlon.arrive": "Am Schießstand mit {bpm} Puls.",
+    "biathlon.hit": "Schuss {shot} von {rounds}: Treffer",
+    "biathlon.miss": "Schuss {shot} von {rounds}: Fehler",
+    "biathlon.clean": "Fehlerfrei! Direkt ins Ziel.",
+    "biathlon.penalty": { one: "{count} Strafrunde", other: "{count} Strafrunden" },
+    "biathlon.finalLeg": "Strafrunden geschafft. Ab ins Ziel.",
+    "biathlon.finish": "Im Ziel nach {time}",
+    "biathlon.dnf": "Nicht im Ziel",
+    "biathlon.result": "{hits}/{rounds} Treffer, {range} am Schießstand, {loops}",
+    "biathlon.heartRate": "Puls {bpm}",
+    "biathlon.meter.stamina": "Ausdauer",
+    "biathlon.meter.breath": "Atem",
+    "biathlon.leg.ski": "Schießstand in {distance}",
+    "biathlon.leg.penalty": "Strafrunden: noch {distance}",
+    "biathlon.leg.final": "Ziel in {distance}",
+    "biathlon.leg.range": "Am Schießstand",
+    "biathlon.hud.ready": "Drücke {key} zum Start.",
+    "biathlon.hud.ski": "Halte {key}, um hart zu laufen. Über Puls 170 sinkt die Ausdauer.",
+    "biathlon.hud.ski.oneSwitch": "Drücke {key}, um zwischen hartem und lockerem Laufen zu wechseln.",
+    "biathlon.hud.ski.assisted": "Halte {key}, um hart zu laufen; bei Puls 165 nimmst du raus.",
+    "biathlon.hud.range":
+      "Ziele mit der Maus oder {keys}, halte {breath} zum Ruhigstellen, klicke oder drücke {key} zum Schießen.",
+    "biathlon.hud.range.oneSwitch":
+      "Das Gewehr sucht die nächste Scheibe und atmet für dich. Drücke {key} zum Schießen.",
+    "biathlon.hud.range.assisted":
+      "Ziele mit der Maus oder {keys}; der Atem wird von selbst angehalten. Klicke oder drücke {key} zum Schießen.",
+    "biathlon.hud.complete": "Im Ziel. Zurück zu den Ergebnissen.",
+
+    "slalom.name": "Slalom",
+    "slalom.run.ready": "Lauf {number} von {total}.",
+    "slalom.fence": "Ins Fangnetz!",
+    "slalom.missed": "Tor {gate} verpasst! Drücke {key}, um zurückzusteigen.",
+    "slalom.split": "Zwischenzeit {number}: {time}",
+    "slalom.split.gap": "Zwischenzeit {number}: {time} ({gap})",
+    "slalom.hike": "Steige zurück zu Tor {gate}...",
+    "slalom.hike.done": "Wieder oberhalb von Tor {gate}. Los!",
+    "slalom.dq": "Disqualifiziert: an Tor {gate} vorbeigefahren",
+    "slalom.dnf": "Nicht im Ziel",
+    "slalom.runDone": "Lauf {number}: {time}",
+    "slalom.complete": "Gesamtzeit {time}",
+    "slalom.gates": "Tor {passed} von {total}",
+    "slalom.meter.edge": "Kante {degrees}°",
+    "slalom.meter.tuck": "Hocke",
+    "slalom.splitColumn": "Zwz. {number}",
+    "slalom.timeColumn": "Zeit",
+    "slalom.runRow": "Lauf {number}",
+    "slalom.total": "Gesamt",
+    "slalom.result": "Läufe {runs}",
+    "slalom.result.dq": "Lauf {number}: {reason}",
+    "slalom.hud.ready": "Drücke {key}, um aus dem Starthaus zu stoßen.",
+    "slalom.hud.run":
+      "Halte {left}/{right}, um durch die Tore zu carven; mehr Kante dreht enger, kostet aber Tempo. Halte {tuck} für die Hocke.",
+    "slalom.hud.run.oneSwitch": "Die Linie und die Hocke laufen von selbst. Einfach dranbleiben.",
+    "slalom.hud.run.autoRelease":
+      "Halte {left}/{right} zum Carven; die Kante löst sich, sobald du aufs nächste Tor zeigst. Halte {tuck} für die Hocke.",
+    "slalom.hud.missed":
+      "Drücke {key}, um über das Tor zurückzusteigen, sonst folgt am nächsten Tor die Disqualifikation.",
+    "slalom.hud.hike": "Du steigst zurück. Die Uhr läuft weiter.",
+    "slalom.hud.between": "Lauf vorbei. Zurück nach oben zum zweiten Lauf.",
+    "slalom.hud.complete": "Beide Läufe geschafft. Zurück zu den Ergebnissen.",
+
+    "page.saveReplay": "Replay speichern",
+    "page.loadReplay": "Replay laden",
+    "page.soundOn": "Ton: An",
+    "page.soundOff": "Ton: Aus",
+    "page.canvas": "Mini Olympics Spielfläche",
+
+    "difficulty.easy": "Leicht",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Schwer",
+    "difficulty.custom": "Eigene",
+    "conditions": "Schwierigkeit: {difficulty}",
+    "conditions.assisted": "Schwierigkeit: {difficulty} (Hilfen an)",
+
+    "menu.title": "Mini Olympics",
+    "menu.choose": "Disziplin wählen  |  {difficulty}",
+    "menu.best": "Bestwert: {score}",
+    "menu.page": "Seite {page} von {count}",
+    "menu.fullGames": "Ganze Spiele",
+    "menu.hotSeat": "Reihum",
+    "menu.settings": "Einstellungen",
+    "menu.footer":
+      "{charge} halten lädt in jeder Disziplin. {sound} schaltet den Ton. Tasten in den Einstellungen ändern.",
+    "menu.gamepad": "Gamepad: Steuerkreuz wählt, A lädt/bestätigt, B wischt, Stick zielt und neigt.",
+
+    "button.back": "Zurück",
+    "button.backToMenu": "Zum Menü",
+    "button.watchReplay": "Replay ansehen",
+    "button.save": "Speichern",
+    "button.skip": "Überspringen",
+
+    "hud.attempts": { one: "{count} Versuch übrig", other: "{count} Versuche übrig" },
+    "hud.score": "Punkte: {score}",
+
+    "touch.hold": "HALTEN",
+    "touch.brush": "WISCHEN",
+    "touch.tilt": "NEIGEN",
+    "touch.pause": "PAUSE",
+    "touch.jumpPrev": "< SPRUNG",
+    "touch.jumpNext": "SPRUNG >",
+    "touch.rotationsDown": "- UMDR",
+    "touch.rotationsUp": "+ UMDR",
+    "touch.strideLeft": "< ABSTOSS",
+    "touch.strideRight": "ABSTOSS >",
+    "touch.loadIn": "EINSTEIGEN",
+    "touch.steerLeft": "< LENKEN",
+    "touch.steerRight": "LENKEN >",
+    "touch.holdBreath": "ATEM",
+    "touch.tuck": "HOCKE",
+
+    "results.title": "Ergebnisse",
+    "results.judges": "Haltungsrichter",
+
+    "replay.finished": "Replay beendet",
+    "replay.matches": "Stimmt mit dem gespeicherten Ergebnis überein",
+    "replay.mismatch": "Gespeichert {expected}, abgespielt {actual}",
+    "replay.banner": "REPLAY  |  ESC zum Beenden",
+    "replay.loadFailed": "Replay konnte nicht geladen werden: {message}",
+    "replay.error.format": "Keine Mini Olympics Replay-Datei.",
+    "replay.error.version": "Replay-Version {version} wird nicht unterstützt.",
+    "replay.error.event": "Unbekannte Disziplin „{event}“.",
+    "replay.error.timestep": "Das Replay wurde mit einem anderen Zeitschritt aufgenommen.",
+    "replay.error.seed": "Dem Replay fehlt der Zufallsstartwert.",
+    "replay.error.inputs": "Dem Replay fehlt das Eingabeprotokoll.",
+    "replay.error.difficulty": "Dem Replay fehlt die Schwierigkeit.",
+    "replay.error.bindings": "Dem Replay fehlt die Tastenbelegung.",
+    "replay.error.assist": "Dem Replay fehlen die Hilfen.",
+
+    "record.new": "Neuer Rekord!",
+    "record.top": "Unter den besten {count}!",
+    "record.touchPrompt": "Kästchen antippen, um Buchstaben zu wählen, dann Speichern oder Überspringen",
+    "record.padPrompt": "Auf/Ab wählt einen Buchstaben, Rechts fügt einen an, A speichert, B überspringt",
+    "record.keyPrompt": "Initialen eingeben, ENTER zum Speichern, ESC zum Überspringen",
+    "leaderboard.title": "Bestenliste",
+    "leaderboard.assisted": "(A) = mit Hilfen gespielt",
+
+    "tournament.tag": "Ganze Spiele {number}/{count}  |  Gesamt: {total}",
+    "medal.gold": "Gold",
+    "medal.silver": "Silber",
+    "medal.bronze": "Bronze",
+    "nation.norway": "Norwegen",
+    "nation.canada": "Kanada",
+    "nation.germany": "Deutschland",
+    "nation.japan": "Japan",
+    "nation.switzerland": "Schweiz",
+    "standings.title": "Gesamtwertung",
+    "standings.event": "Disziplin",
+    "standings.score": "Ergebnis",
+    "standings.gamesPoints": "Spielpkt.",
+    "standings.total": "Gesamt: {total}",
+    "standings.rank": "Platz",
+    "standings.nation": "Nation",
+    "standings.totalColumn": "Gesamt",
+    "standings.you": "Du",
+    "standings.medal": "{medal}medaille!",
+    "standings.place": "Platz {place}",
+
+    "hotSeat.addPlayer": "+ Spieler",
+    "hotSeat.removePlayer": "- Spieler",
+    "hotSeat.start": "Start",
+    "hotSeat.go": "Los!",
+    "hotSeat.playAgain": "Nochmal",
+    "hotSeat.defaultName": "SPIELER {number}",
+    "hotSeat.players": "Spieler ({count}/{max}) - Namen wählen und tippen",
+    "hotSeat.events": "Disziplinen",
+    "hotSeat.turn": "Runde {number} von {count}  |  {event}",
+    "hotSeat.getReady": "{player}, mach dich bereit",
+    "hotSeat.pass": "Steuerung weitergeben, dann Los drücken (ENTER).",
+    "hotSeat.resultsTitle": "Ergebnisse reihum",
+    "hotSeat.player": "Spieler",
+    "hotSeat.tag": "{player}  |  Runde {number}/{count}",
+
+    "settings.customHeading": "Eigene Werte (Ändern wählt Eigene)",
+    "settings.controls": "Steuerung",
+    "settings.access": "Barrierefreiheit",
+    "settings.language": "Sprache & Einheiten",
+    "custom.figureNeedleSpeed": "Eiskunstlauf: Zeigertempo",
+    "custom.figureChargeRate": "Eiskunstlauf: Ladetempo",
+    "custom.figureJumps": "Eiskunstlauf: Sprünge",
+    "custom.curlingChargeRate": "Curling: Ladetempo",
+    "custom.curlingFriction": "Curling: Eisreibung",
+    "custom.curlingStones": "Curling: Steine pro Team",
+    "custom.curlingEnds": "Curling: Ends",
+    "custom.curlingCpuSkill": "Curling: CPU-Stärke",
+    "custom.skiLoadRate": "Skisprung: Ladetempo",
+    "custom.skiTakeoffWindow": "Skisprung: Absprungfenster",
+    "custom.skiAttempts": "Skisprung: Versuche",
+    "custom.speedCpuTime": "Eisschnelllauf: Gegnerzeit (s)",
+    "custom.speedRhythmWindow": "Eisschnelllauf: Rhythmusfenster",
+    "custom.speedGrip": "Eisschnelllauf: Kufengriff",
+    "custom.bobPushRate": "Bob: Anschubtempo",
+    "custom.bobDrift": "Bob: Abdrift",
+    "custom.bobLoadWindow": "Bob: Einstiegsfenster",
+    "custom.biathlonSway": "Biathlon: Gewehrschwanken",
+    "custom.biathlonDrain": "Biathlon: Ausdauerverlust",
+    "custom.slalomGateWidth": "Slalom: Torbreite",
+    "custom.slalomScrub": "Slalom: Kurvenbremsung",
+    "custom.zoneScale": "Breite der Timing-Zonen",
+
+    "access.note": "Mit Hilfen erzielte Ergebnisse sind in den Bestenlisten mit (A) markiert.",
+    "access.toggle.on": "{label}: An",
+    "access.toggle.off": "{label}: Aus",
+    "access.palette": "Farbenblind-Palette",
+    "access.palette.hint": "Kontrastreiche Farben mit gemusterten Timing-Zonen.",
+    "access.oneSwitch": "Ein-Tasten-Spiel",
+    "access.oneSwitch.hint": "Ladetaste drücken, um eine Aktion zu starten, und erneut, um sie zu beenden.",
+    "access.slowTiming": "Langsames Timing",
+    "access.slowTiming.hint": "Zeiger und Ladebalken laufen halb so schnell; das Absprungfenster verdoppelt sich.",
+    "access.autoRelease": "Automatisch loslassen",
+    "access.autoRelease.hint": "Ladungen lösen sich selbst am idealen Punkt.",
+
+    "language.heading": "Sprache",
+    "language.units": "Einheiten",
+    "language.sample": "Beispiel: {distance}  |  {points}",
+    "units.metric": "Metrisch",
+    "units.imperial": "Imperial",
+
+    "controls.defaults": "Standard",
+    "controls.restored": "Standardtasten wiederhergestellt.",
+    "controls.reserved": "{key} ist für Menüs reserviert.",
+    "controls.conflict": "{key} ist bereits belegt mit {actions}.",
+    "controls.waiting": "Taste drücken (ESC bricht ab)",
+    "controls.prompt": "Aktion wählen, dann die neue Taste drücken",
+    "action.charge": "Laden / halten (alle Disziplinen)",
+    "action.jumpPrev": "Eiskunstlauf: vorheriger Sprung",
+    "action.jumpNext": "Eiskunstlauf: nächster Sprung",
+    "action.rotationsUp": "Eiskunstlauf: mehr Umdrehungen",
+    "action.rotationsDown": "Eiskunstlauf: weniger Umdrehungen",
+    "action.aimUp": "Curling, Biathlon: höher zielen",
+    "action.aimDown": "Curling, Biathlon: tiefer zielen",
+    "action.brush": "Curling: wischen",
+    "action.pitchUp": "Skisprung: Spitze hoch",
+    "action.pitchDown": "Skisprung: Spitze runter",
+    "action.strideLeft": "Eisschnelllauf: Abstoß links",
+    "action.strideRight": "Eisschnelllauf: Abstoß rechts",
+    "action.loadIn": "Bob: einsteigen",
+    "action.steerLeft": "Bob, Slalom: links lenken; Biathlon: nach links zielen",
+    "action.steerRight": "Bob, Slalom: rechts lenken; Biathlon: nach rechts zielen",
+    "action.holdBreath": "Biathlon: Atem anhalten",
+    "action.tuck": "Slalom: Hocke",
+    "action.toggleSound": "Ton an/aus",
+    "action.pause": "Pause (ESC geht auch)",
+
+    "pause.title": "Pause",
+    "pause.hint": "ESC oder {key} zum Fortsetzen",
+    "pause.resume": "Weiter",
+    "pause.restart": "Neu starten",
+    "pause.quit": "Zum Menü",
+
+    "speech.eventBest": "{event}, Bestwert {score}",
+    "speech.previousPage": "Vorherige Seite der Disziplinen",
+    "speech.nextPage": "Nächste Seite der Disziplinen",
+    "speech.difficulty": "Schwierigkeit {label}",
+    "speech.difficulty.selected": "Schwierigkeit {label}, ausgewählt",
+    "speech.lower": "{label} verringern, jetzt {value}",
+    "speech.raise": "{label} erhöhen, jetzt {value}",
+    "speech.on": "{label} an",
+    "speech.off": "{label} aus",
+    "speech.selected": "{label}, ausgewählt",
+    "speech.initials": "Initialen eingeben, dann Enter zum Speichern oder Escape zum Überspringen.",
+    "speech.replay": "{event} Replay",
+    "speech.menu": "Hauptmenü, Schwierigkeit {difficulty}",
+    "speech.results": "Ergebnisse, {conditions}. {result}",
+    "speech.standings": "Gesamtwertung. {points} Punkte, Platz {place}",
+    "speech.standings.medal": "Gesamtwertung. {points} Punkte, Platz {place}, {medal}medaille",
+    "speech.players": { one: "Reihum-Einrichtung, {count} Spieler", other: "Reihum-Einrichtung, {count} Spieler" },
+    "speech.ready": "{player}, mach dich bereit für {event}. Enter drücken.",
+    "speech.comparison": "Ergebnisse reihum. {player} führt mit {points} Punkten",
+    "speech.settings": "Einstellungen, Schwierigkeit {difficulty}",
+    "speech.rebinding": "Taste drücken, Escape bricht ab"
+  };
+});
@@ -0,0 +1,470 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    (root.MiniOlympicsLocales = root.MiniOlympicsLocales || {}).en = factory();
+  }
+})(typeof self !== "undefined" ? self : this, () => {
+  // English is the fallback catalog: every message id must exist here. A value is
+  // either a string with {placeholders} or an object keyed by plural category.
+  return {
+    "locale.name": "English",
+
+    "units.points": "{value} pts",
+    "units.metres": "{value} m",
+    "units.feet": "{value} ft",
+    "units.metresPerSecond": "{value} m/s",
+    "units.mph": "{value} mph",
+    "units.seconds": "{value} s",
+    "units.minutes": "{minutes}:{seconds}",
+    "units.noTime": "No time",
+
+    "figure.name": "Figure Skating",
+    "figure.jump.toeLoop": "Toe Loop",
+    "figure.jump.salchow": "Salchow",
+    "figure.jump.loop": "Loop",
+    "figure.jump.flip": "Flip",
+    "figure.jump.lutz": "Lutz",
+    "figure.jump.axel": "Axel",
+    "figure.rotations.single": "Single",
+    "figure.rotations.double": "Double",
+    "figure.rotations.triple": "Triple",
+    "figure.rotations.quad": "Quad",
+    "figure.element": "{rotations} {jump}",
+    "figure.landing.soaring": "soaring, clean landing",
+    "figure.landing.clean": "clean landing",
+    "figure.landing.good": "good landing",
+    "figure.landing.tight": "tight landing",
+    "figure.landing.steppedOut": "stepped out",
+    "figure.call.fullyRotated": "Fully rotated",
+    "figure.call.quarterShort": "Quarter short",
+    "figure.call.underRotated": "Under-rotated",
+    "figure.call.downgraded": "Downgraded",
+    "figure.start": "Pick a jump, then hold {key} to charge and release near green.",
+    "figure.start.oneSwitch": "Pick a jump, then press {key} to charge and again near green.",
+    "figure.timing.perfect": "Perfect timing",
+    "figure.timing.okay": "Okay timing",
+    "figure.timing.bad": "Bad timing",
+    "figure.locked": "{code}: {timing} locked",
+    "figure.fall": "Fall",
+    "figure.verdict": "{call}, {landing}",
+    "figure.judged": "{code} {verdict}: GOE {goe}, {points}",
+    "figure.routineComplete": "Routine complete: {score}",
+    "figure.spinning": "{code}: {rotation} / {revolutions} rev",
+    "figure.next": "Next jump: hold {key} to charge.",
+    "figure.next.oneSwitch": "Next jump: press {key} to charge.",
+    "figure.meter.power": "Jump Power",
+    "figure.picker": "{name}  base {base}  needs {air} s air",
+    "figure.protocol": "Elements",
+    "figure.deductions": "Ded. -{value}",
+    "figure.falls": { one: "({count} fall)", other: "({count} falls)" },
+    "figure.hud.ready": "{prev}/{next} jump, {up}/{down} rotations. Hold {key} past the red tick, release on green.",
+    "figure.hud.ready.oneSwitch":
+      "{prev}/{next} jump, {up}/{down} rotations. Press {key} to charge, press again on green past the red tick.",
+    "figure.hud.charging": "Release {key} to commit timing and power.",
+    "figure.hud.charging.oneSwitch": "Press {key} to commit timing and power.",
+    "figure.hud.air": "Hold {key} to pull the arms in and spin faster; let go to float higher.",
+    "figure.hud.air.oneSwitch":
+      "Press {key} to pull the arms in or open them; tucked spins faster, open floats higher.",
+    "figure.hud.pause": "Landing judged. Resetting for next jump.",
+    "figure.hud.complete": "Routine complete. Returning to results.",
+
+    "curling.name": "Curling",
+    "curling.team.player": "YOU",
+    "curling.team.cpu": "CPU",
+    "curling.meter.power": "Push Power",
+    "curling.aim.centre": "Aim: on the button",
+    "curling.aim.left": "Aim: {distance} left",
+    "curling.aim.right": "Aim: {distance} right",
+    "curling.brushing.on": "Brushing ON ({key})",
+    "curling.brushing.off": "Brushing OFF (hold {key})",
+    "curling.cpuCalls.draw": "CPU calls a draw",
+    "curling.cpuCalls.takeout": "CPU calls a takeout",
+    "curling.cpuCalls.guard": "CPU calls a guard",
+    "curling.endScore": "{team} +{points}",
+    "curling.blankEnd": "Blank end",
+    "curling.hud.ready": "{up}/{down} aim, hold {key} to set push power, release to throw.",
+    "curling.hud.ready.oneSwitch": "Press {key} to start the push, press again to throw.",
+    "curling.hud.aim.oneSwitch": "Press {key} to lock the sweeping aim.",
+    "curling.hud.charging": "Release {key} to launch the stone.",
+    "curling.hud.charging.oneSwitch": "Press {key} to launch the stone.",
+    "curling.hud.cpuAim": "CPU skip is lining up a shot.",
+    "curling.hud.sliding": "Hold {brush} to brush and reduce friction (mu {from} -> {to}).",
+    "curling.hud.sliding.oneSwitch":
+      "Press {key} to brush and reduce friction (mu {from} -> {to}); press again to stop.",
+    "curling.hud.cpuSliding": "CPU stone in motion.",
+    "curling.hud.settled": "All stones at rest. Next stone coming up.",
+    "curling.hud.scored": "End over. Closest team scores each stone inside the opponent's best.",
+    "curling.hud.complete": "Match complete. Returning to results.",
+    "curling.result.won": {
+      one: "Won {score}-{cpuScore} vs CPU ({count} end)",
+      other: "Won {score}-{cpuScore} vs CPU ({count} ends)"
+    },
+    "curling.result.lost": {
+      one: "Lost {score}-{cpuScore} vs CPU ({count} end)",
+      other: "Lost {score}-{cpuScore} vs CPU ({count} ends)"
+    },
+    "curling.result.tied": {
+      one: "Tied {score}-{cpuScore} vs CPU ({count} end)",
+      other: "Tied {score}-{cpuScore} vs CPU ({count} ends)"
+    },
+
+    "ski.name": "Ski Jump",
+    "ski.start": "Hold {key} while descending, release near lip.",
+    "ski.start.oneSwitch": "Press {key} to crouch, press again near the lip.",
+    "ski.attempt": "Attempt {number} of {total}.",
+    "ski.landing.telemark": "Telemark landing",
+    "ski.landing.stable": "Stable landing",
+    "ski.landing.hard": "Hard landing",
+    "ski.landed": "{landing} | {distance} | Wind comp {wind}",
+    "ski.result": "{distance} on K{kPoint} ({distancePoints}), style {style}, wind {wind}",
+    "ski.missed": "Jump missed landing hill",
+    "ski.meter.load": "Leg Load",
+    "ski.takeoff": "Takeoff timing: {percent}%",
+    "ski.pitch": "Pitch: {degrees} deg",
+    "ski.wind.head": "Wind: {speed} head",
+    "ski.wind.tail": "Wind: {speed} tail",
+    "ski.hud.ramp": "Hold {key} while descending and release near lip for best impulse.",
+    "ski.hud.ramp.oneSwitch": "Press {key} to crouch and again near the lip for best impulse.",
+    "ski.hud.flight": "Use {up}/{down} to tune pitch (-20 deg to +20 deg) for lift and low drag. Headwind adds lift.",
+    "ski.hud.landed": "Landing judged. Final score stabilizing.",
+    "ski.hud.complete": "Jump complete. Returning to results.",
+    "ski.bestOf": "Best of {count}: {detail}",
+    "ski.ghost": "BEST",
+
+    "speed.name": "Speed Skating 500 m",
+    "speed.start.inner": "Inner lane start. Go to the start...",
+    "speed.start.outer": "Outer lane start. Go to the start...",
+    "speed.ready": "Ready...",
+    "speed.gun": "Bang! Go!",
+    "speed.reaction": "Reaction {time}",
+    "speed.falseStart": "False start: {reason} A second one disqualifies.",
+    "speed.falseStart.early": "moved before the gun.",
+    "speed.falseStart.anticipated": "{time} reaction is under {limit}.",
+    "speed.disqualified": "Disqualified: second false start",
+    "speed.dnf": "Did not finish",
+    "speed.stride.perfect": "Perfect push",
+    "speed.stride.okay": "Good push",
+    "speed.stride.rushed": "Rushed push",
+    "speed.stride.late": "Late push",
+    "speed.stride.sameLeg": "Same leg twice: no push",
+    "speed.crossover.yield": "Crossover: you give way to the CPU from the outer lane.",
+    "speed.crossover.cpuYields": "Crossover: the CPU gives way to you.",
+    "speed.split": "{distance} {time} ({gap})",
+    "speed.split.ahead": "ahead of the CPU",
+    "speed.split.gap": "{gap} vs CPU",
+    "speed.finish": "Finish: {time}",
+    "speed.result.won": "Beat the CPU ({cpu}). Reaction {reaction}, 100 m {opener}",
+    "speed.result.lost": "CPU won ({cpu}). Reaction {reaction}, 100 m {opener}",
+    "speed.you": "YOU",
+    "speed.cpu": "CPU",
+    "speed.splits": "Splits",
+    "speed.meter.rhythm": "Stride rhythm",
+    "speed.meter.lean": "Lean {degrees} deg",
+    "speed.lean.wide": "Drifting wide",
+    "speed.lean.over": "Leaning too far",
+    "speed.hud.set": "Stay still until the gun, then alternate {left}/{right}.",
+    "speed.hud.set.oneSwitch": "Stay still until the gun, then press {key} to push.",
+    "speed.hud.race": "Alternate {left}/{right} as the needle hits green. Hold {key} to lean into the curves.",
+    "speed.hud.race.oneSwitch": "Press {key} as the needle hits green. The lean follows the curves.",
+    "speed.hud.race.autoLean": "Alternate {left}/{right} as the needle hits green. The lean follows the curves.",
+    "speed.hud.recall": "Recalled. Back to the line.",
+    "speed.hud.complete": "Race over. Returning to results.",
+
+    "bob.name": "Two-man Bobsleigh",
+    "bob.heat.ready": "Heat {number} of {total}.",
+    "bob.load.perfect": "Perfect load-in",
+    "bob.load.okay": "Clean load-in",
+    "bob.load.early": "Jumped in too early",
+    "bob.load.late": "Jumped in late",
+    "bob.load.scramble": "Scrambled in at the end of the push",
+    "bob.startTime": "Start time {time}",
+    "bob.wall": "Wall hit! Down to {speed}",
+    "bob.heatDone": "Heat {number}: {time}",
+    "bob.complete": "Total {time}",
+    "bob.dnf": "Did not finish",
+    "bob.meter.load": "Load-in",
+    "bob.meter.push": "Push Speed",
+    "bob.heatRow": "Heat {number}",
+    "bob.total": "Total",
+    "bob.walls": { one: "{count} wall hit", other: "{count} wall hits" },
+    "bob.result": "Heats {heats}, {walls}",
+    "bob.hud.ready": "Mash {key} to push the sled off.",
+    "bob.hud.push": "Keep mashing {key}; press {load} as the needle crosses green to jump in.",
+    "bob.hud.push.autoLoad": "Keep mashing {key}; the crew jumps in on green.",
+    "bob.hud.run": "Hold {left}/{right} to ride the dashed line. Walls scrub speed.",
+    "bob.hud.run.oneSwitch": "The pilot holds the dashed line. Sit tight.",
+    "bob.hud.between": "Heat over. Back to the top for the next heat.",
+    "bob.hud.complete": "Both heats done. Returning to results.",
+
+    "biathlon.name": "Biathlon Sprint",
+    "biathlon.start": "250 m to the range, five shots, then the run home.",
+    "biathlon.exhausted": "Legs gone! Ease off to get your stamina back.",
+    "biathlon.arrive": "Into the range at {bpm} bpm.",
+    "biathlon.hit": "Shot {shot} of {rounds}: hit",
+    "biathlon.miss": "Shot {shot} of {rounds}: miss",
+    "biathlon.clean": "Clean shooting! Straight on to the finish.",
+    "biathlon.penalty": { one: "{count} penalty loop", other: "{count} penalty loops" },
+    "biathlon.finalLeg": "Loops done. On to the finish.",
+    "biathlon.finish": "Finished in {time}",
+    "biathlon.dnf": "Did not finish",
+    "biathlon.result": "{hits}/{rounds} hits, {range} on the range, {loops}",
+    "biathlon.heartRate": "Heart rate {bpm} bpm",
+    "biathlon.meter.stamina": "Stamina",
+    "biathlon.meter.breath": "Breath",
+    "biathlon.leg.ski": "Range in {distance}",
+    "biathlon.leg.penalty": "Penalty loops: {distance} to go",
+    "biathlon.leg.final": "Finish in {distance}",
+    "biathlon.leg.range": "On the range",
+    "biathlon.hud.ready": "Press {key} to start.",
+    "biathlon.hud.ski": "Hold {key} to ski hard. Over 170 bpm your stamina drains.",
+    "biathlon.hud.ski.oneSwitch": "Press {key} to switch between hard and easy skiing.",
+    "biathlon.hud.ski.assisted": "Hold {key} to ski hard; you ease off at 165 bpm.",
+    "biathlon.hud.range": "Aim with the mouse or {keys}, hold {breath} to steady, click or press {key} to fire.",
+    "biathlon.hud.range.oneSwitch": "The rifle finds the next target and breathes for you. Press {key} to fire.",
+    "biathlon.hud.range.assisted":
+      "Aim with the mouse or {keys}; breath holds on its own. Click or press {key} to fire.",
+    "biathlon.hud.complete": "Across the line. Returning to results.",
+
+    "slalom.name": "Slalom",
+    "slalom.run.ready": "Run {number} of {total}.",
+    "slalom.fence": "Into the netting!",
+    "slalom.missed": "Missed gate {gate}! Press {key} to hike back.",
+    "slalom.split": "Split {number}: {time}",
+    "slalom.split.gap": "Split {number}: {time} ({gap})",
+    "slalom.hike": "Hiking back up to gate {gate}...",
+    "slalom.hike.done": "Back above gate {gate}. Go!",
+    "slalom.dq": "Disqualified: skied on past gate {gate}",
+    "slalom.dnf": "Did not finish",
+    "slalom.runDone": "Run {number}: {time}",
+    "slalom.complete": "Combined {time}",
+    "slalom.gates": "Gate {passed} of {total}",
+    "slalom.meter.edge": "Edge {degrees} deg",
+    "slalom.meter.tuck": "Tuck",
+    "slalom.splitColumn": "Split {number}",
+    "slalom.timeColumn": "Time",
+    "slalom.runRow": "Run {number}",
+    "slalom.total": "Combined",
+    "slalom.result": "Runs {runs}",
+    "slalom.result.dq": "Run {number}: {reason}",
+    "slalom.hud.ready": "Press {key} to push out of the start gate.",
+    "slalom.hud.run":
+      "Hold {left}/{right} to carve through the gates; harder edges turn tighter but scrub speed. Hold {tuck} to tuck.",
+    "slalom.hud.run.oneSwitch": "The skier carves the line and tucks on their own. Sit tight.",
+    "slalom.hud.run.autoRelease":
+      "Hold {left}/{right} to carve; the edge lets go once you point at the next gate. Hold {tuck} to tuck.",
+    "slalom.hud.missed": "Press {key} to hike back above the gate, or you will be disqualified at the next one.",
+    "slalom.hud.hike": "Hiking back up. The clock is still running.",
+    "slalom.hud.between": "Run over. Back to the top for the second run.",
+    "slalom.hud.complete": "Both runs done. Returning to results.",
+
+    "page.saveReplay": "Save Replay",
+    "page.loadReplay": "Load Replay",
+    "page.soundOn": "Sound: On",
+    "page.soundOff": "Sound: Off",
+    "page.canvas": "Mini Olympics game canvas",
+
+    "difficulty.easy": "Easy",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Hard",
+    "difficulty.custom": "Custom",
+    "conditions": "Difficulty: {difficulty}",
+    "conditions.assisted": "Difficulty: {difficulty} (assists on)",
+
+    "menu.title": "Mini Olympics",
+    "menu.choose": "Choose an event  |  {difficulty}",
+    "menu.best": "Best: {score}",
+    "menu.page": "Page {page} of {count}",
+    "menu.fullGames": "Full Games",
+    "menu.hotSeat": "Hot Seat",
+    "menu.settings": "Settings",
+    "menu.footer": "Hold {charge} to charge in every event. Press {sound} to toggle sound. Rebind keys in Settings.",
+    "menu.gamepad": "Gamepad: D-pad to choose, A to charge/select, B to brush, stick to aim and pitch.",
+
+    "button.back": "Back",
+    "button.backToMenu": "Back to Menu",
+    "button.watchReplay": "Watch Replay",
+    "button.save": "Save",
+    "button.skip": "Skip",
+
+    "hud.attempts": "Attempts Remaining: {count}",
+    "hud.score": "Score: {score}",
+
+    "touch.hold": "HOLD",
+    "touch.brush": "BRUSH",
+    "touch.tilt": "TILT",
+    "touch.pause": "PAUSE",
+    "touch.jumpPrev": "< JUMP",
+    "touch.jumpNext": "JUMP >",
+    "touch.rotationsDown": "- REV",
+    "touch.rotationsUp": "+ REV",
+    "touch.strideLeft": "< STRIDE",
+    "touch.strideRight": "STRIDE >",
+    "touch.loadIn": "LOAD IN",
+    "touch.steerLeft": "< STEER",
+    "touch.steerRight": "STEER >",
+    "touch.holdBreath": "BREATH",
+    "touch.tuck": "TUCK",
+
+    "results.title": "Results",
+    "results.judges": "Style judges",
+
+    "replay.finished": "Replay finished",
+    "replay.matches": "Matches the recorded score",
+    "replay.mismatch": "Recorded {expected}, replayed {actual}",
+    "replay.banner": "REPLAY  |  ESC to stop",
+    "replay.loadFailed": "Could not load replay: {message}",
+    "replay.error.format": "Not a Mini Olympics replay file.",
+    "replay.error.version": "Unsupported replay version {version}.",
+    "replay.error.event": "Unknown event \"{event}\".",
+    "replay.error.timestep": "Replay was recorded with a different timestep.",
+    "replay.error.seed": "Replay is missing its random seed.",
+    "replay.error.inputs": "Replay is missing its input log.",
+    "replay.error.difficulty": "Replay is missing its difficulty.",
+    "replay.error.bindings": "Replay is missing its key bindings.",
+    "replay.error.assist": "Replay is missing its assists.",
+
+    "record.new": "New record!",
+    "record.top": "Top {count} finish!",
+    "record.touchPrompt": "Tap the boxes to pick letters, then Save or Skip",
+    "record.padPrompt": "Up/Down picks a letter, Right adds one, A saves, B skips",
+    "record.keyPrompt": "Type your initials, ENTER to save, ESC to skip",
+    "leaderboard.title": "Leaderboard",
+    "leaderboard.assisted": "(A) = played with assists",
+
+    "tournament.tag": "Full Games {number}/{count}  |  Total: {total}",
+    "medal.gold": "Gold",
+    "medal.silver": "Silver",
+    "medal.bronze": "Bronze",
+    "nation.norway": "Norway",
+    "nation.canada": "Canada",
+    "nation.germany": "Germany",
+    "nation.japan": "Japan",
+    "nation.switzerland": "Switzerland",
+    "standings.title": "Full Games Standings",
+    "standings.event": "Event",
+    "standings.score": "Score",
+    "standings.gamesPoints": "Games Pts",
+    "standings.total": "Total: {total}",
+    "standings.rank": "Rank",
+    "standings.nation": "Nation",
+    "standings.totalColumn": "Total",
+    "standings.you": "You",
+    "standings.medal": "{medal} Medal!",
+    "standings.place": "Finished #{place}",
+
+    "hotSeat.addPlayer": "+ Player",
+    "hotSeat.removePlayer": "- Player",
+    "hotSeat.start": "Start",
+    "hotSeat.go": "Go!",
+    "hotSeat.playAgain": "Play Again",
+    "hotSeat.defaultName": "PLAYER {number}",
+    "hotSeat.players": "Players ({count}/{max}) - pick a name and type",
+    "hotSeat.events": "Events",
+    "hotSeat.turn": "Turn {number} of {count}  |  {event}",
+    "hotSeat.getReady": "{player}, get ready",
+    "hotSeat.pass": "Pass the controls, then press Go (ENTER).",
+    "hotSeat.resultsTitle": "Hot Seat Results",
+    "hotSeat.player": "Player",
+    "hotSeat.tag": "{player}  |  Turn {number}/{count}",
+
+    "settings.customHeading": "Custom values (changing one selects Custom)",
+    "settings.controls": "Controls",
+    "settings.access": "Accessibility",
+    "settings.language": "Language & Units",
+    "custom.figureNeedleSpeed": "Figure needle speed",
+    "custom.figureChargeRate": "Figure charge rate",
+    "custom.figureJumps": "Figure jumps",
+    "custom.curlingChargeRate": "Curling charge rate",
+    "custom.curlingFriction": "Curling ice friction",
+    "custom.curlingStones": "Curling stones per team",
+    "custom.curlingEnds": "Curling ends",
+    "custom.curlingCpuSkill": "Curling CPU skill",
+    "custom.skiLoadRate": "Ski load rate",
+    "custom.skiTakeoffWindow": "Ski takeoff window",
+    "custom.skiAttempts": "Ski attempts",
+    "custom.speedCpuTime": "Speed rival time (s)",
+    "custom.speedRhythmWindow": "Speed rhythm window",
+    "custom.speedGrip": "Speed blade grip",
+    "custom.bobPushRate": "Bob push rate",
+    "custom.bobDrift": "Bob drift",
+    "custom.bobLoadWindow": "Bob load-in window",
+    "custom.biathlonSway": "Biathlon rifle sway",
+    "custom.biathlonDrain": "Biathlon stamina drain",
+    "custom.slalomGateWidth": "Slalom gate width",
+    "custom.slalomScrub": "Slalom turn drag",
+    "custom.zoneScale": "Timing zone width",
+
+    "access.note": "Results earned with an assist are marked (A) on the leaderboards.",
+    "access.toggle.on": "{label}: On",
+    "access.toggle.off": "{label}: Off",
+    "access.palette": "Colour-blind palette",
+    "access.palette.hint": "High-contrast colours with patterned timing zones.",
+    "access.oneSwitch": "One-switch play",
+    "access.oneSwitch.hint": "Press the charge key to start each action and again to finish it.",
+    "access.slowTiming": "Slow timing",
+    "access.slowTiming.hint": "Needles and charge bars run at half speed; the ski lip window doubles.",
+    "access.autoRelease": "Auto-release",
+    "access.autoRelease.hint": "Charges let go at the ideal point on their own.",
+
+    "language.heading": "Language",
+    "language.units": "Units",
+    "language.sample": "Example: {distance}  |  {points}",
+    "units.metric": "Metric",
+    "units.imperial": "Imperial",
+
+    "controls.defaults": "Defaults",
+    "controls.restored": "Default keys restored.",
+    "controls.reserved": "{key} is reserved for menus.",
+    "controls.conflict": "{key} is already used for {actions}.",
+    "controls.waiting": "Press a key (ESC to cancel)",
+    "controls.prompt": "Pick an action, then press its new key",
+    "action.charge": "Charge / hold (all events)",
+    "action.jumpPrev": "Figure: previous jump",
+    "action.jumpNext": "Figure: next jump",
+    "action.rotationsUp": "Figure: more rotations",
+    "action.rotationsDown": "Figure: fewer rotations",
+    "action.aimUp": "Curling, biathlon: aim up",
+    "action.aimDown": "Curling, biathlon: aim down",
+    "action.brush": "Curling: brush",
+    "action.pitchUp": "Ski jump: nose up",
+    "action.pitchDown": "Ski jump: nose down",
+    "action.strideLeft": "Speed skating: left push",
+    "action.strideRight": "Speed skating: right push",
+    "action.loadIn": "Bobsleigh: jump in",
+    "action.steerLeft": "Bobsleigh, slalom: steer left; biathlon: aim left",
+    "action.steerRight": "Bobsleigh, slalom: steer right; biathlon: aim right",
+    "action.holdBreath": "Biathlon: hold breath",
+    "action.tuck": "Slalom: tuck",
+    "action.toggleSound": "Toggle sound",
+    "action.pause": "Pause (ESC also works)",
+
+    "pause.title": "Paused",
+    "pause.hint": "ESC or {key} to resume",
+    "pause.resume": "Resume",
+    "pause.restart": "Restart Event",
+    "pause.quit": "Quit to Menu",
+
+    "speech.eventBest": "{event}, best {score}",
+    "speech.previousPage": "Previous page of events",
+    "speech.nextPage": "Next page of events",
+    "speech.difficulty": "{label} difficulty",
+    "speech.difficulty.selected": "{label} difficulty, selected",
+    "speech.lower": "Lower {label}, now {value}",
+    "speech.raise": "Raise {label}, now {value}",
+    "speech.on": "{label} on",
+    "speech.off": "{label} off",
+    "speech.selected": "{label}, selected",
+    "speech.initials": "Type your initials, then Enter to save, or Escape to skip.",
+    "speech.replay": "{event} replay",
+    "speech.menu": "Main menu, {difficulty} difficulty",
+    "speech.results": "Results, {conditions}. {result}",
+    "speech.standings": "Full Games standings. {points} points, place {place}",
+    "speech.standings.medal": "Full Games standings. {points} points, place {place}, {medal} medal",
+    "speech.players": "Hot seat setup, {count} players",
+    "speech.ready": "{player}, get ready for {event}. Press Enter.",
+    "speech.comparison": "Hot seat results. {player} leads with {points} points",
+    "speech.settings": "Settings, {difficulty} difficulty",
+    "speech.rebinding": "Press a key, Escape to cancel"
+  };
+});
@@ -0,0 +1,477 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    (root.MiniOlympicsLocales = root.MiniOlympicsLocales || {}).fr = factory();
+  }
+})(typeof self !== "undefined" ? self : this, () => {
+  return {
+    "locale.name": "Français",
+
+    "units.points": "{value} pts",
+    "units.metres": "{value} m",
+    "units.feet": "{value} pi",
+    "units.metresPerSecond": "{value} m/s",
+    "units.mph": "{value} mi/h",
+    "units.seconds": "{value} s",
+    "units.minutes": "{minutes}:{seconds}",
+    "units.noTime": "Sans temps",
+
+    "figure.name": "Patinage artistique",
+    "figure.jump.toeLoop": "Boucle piquée",
+    "figure.jump.salchow": "Salchow",
+    "figure.jump.loop": "Boucle",
+    "figure.jump.flip": "Flip",
+    "figure.jump.lutz": "Lutz",
+    "figure.jump.axel": "Axel",
+    "figure.rotations.single": "Simple",
+    "figure.rotations.double": "Double",
+    "figure.rotations.triple": "Triple",
+    "figure.rotations.quad": "Quadruple",
+    "figure.element": "{jump} {rotations}",
+    "figure.landing.soaring": "envolée, réception nette",
+    "figure.landing.clean": "réception nette",
+    "figure.landing.good": "bonne réception",
+    "figure.landing.tight": "réception serrée",
+    "figure.landing.steppedOut": "sortie de pied",
+    "figure.call.fullyRotated": "Rotation complète",
+    "figure.call.quarterShort": "Quart manquant",
+    "figure.call.underRotated": "Sous-rotation",
+    "figure.call.downgraded": "Déclassé",
+    "figure.start": "Choisissez un saut, maintenez {key} pour charger et relâchez près du vert.",
+    "figure.start.oneSwitch": "Choisissez un saut, appuyez sur {key} pour charger puis à nouveau près du vert.",
+    "figure.timing.perfect": "Timing parfait",
+    "figure.timing.okay": "Timing correct",
+    "figure.timing.bad": "Mauvais timing",
+    "figure.locked": "{code} : {timing} verrouillé",
+    "figure.fall": "Chute",
+    "figure.verdict": "{call}, {landing}",
+    "figure.judged": "{code} {verdict} : GOE {goe}, {points}",
+    "figure.routineComplete": "Programme terminé : {score}",
+    "figure.spinning": "{code} : {rotation} / {revolutions} tours",
+    "figure.next": "Saut suivant : maintenez {key} pour charger.",
+    "figure.next.oneSwitch": "Saut suivant : appuyez sur {key} pour charger.",
+    "figure.meter.power": "Puissance du saut",
+    "figure.picker": "{name}  base {base}  il faut {air} s en l'air",
+    "figure.protocol": "Éléments",
+    "figure.deductions": "Déd. -{value}",
+    "figure.falls": { one: "({count} chute)", other: "({count} chutes)" },
+    "figure.hud.ready":
+      "{prev}/{next} saut, {up}/{down} rotations. Maintenez {key} au-delà du repère rouge, relâchez sur le vert.",
+    "figure.hud.ready.oneSwitch":
+      "{prev}/{next} saut, {up}/{down} rotations. Appuyez sur {key} pour charger, puis à nouveau sur le vert après le repère rouge.",
+    "figure.hud.charging": "Relâchez {key} pour valider timing et puissance.",
+    "figure.hud.charging.oneSwitch": "Appuyez sur {key} pour valider timing et puissance.",
+    "figure.hud.air": "Maintenez {key} pour serrer les bras et tourner plus vite ; relâchez pour planer plus haut.",
+    "figure.hud.air.oneSwitch":
+      "Appuyez sur {key} pour serrer ou ouvrir les bras ; serrés tournent plus vite, ouverts planent plus haut.",
+    "figure.hud.pause": "Réception jugée. Préparation du saut suivant.",
+    "figure.hud.complete": "Programme terminé. Retour aux résultats.",
+
+    "curling.name": "Curling",
+    "curling.team.player": "VOUS",
+    "curling.team.cpu": "CPU",
+    "curling.meter.power": "Puissance de poussée",
+    "curling.aim.centre": "Visée : sur le bouton",
+    "curling.aim.left": "Visée : {distance} à gauche",
+    "curling.aim.right": "Visée : {distance} à droite",
+    "curling.brushing.on": "Balayage ACTIF ({key})",
+    "curling.brushing.off": "Balayage INACTIF (maintenez {key})",
+    "curling.cpuCalls.draw": "Le CPU annonce une placée",
+    "curling.cpuCalls.takeout": "Le CPU annonce une sortie",
+    "curling.cpuCalls.guard": "Le CPU annonce une garde",
+    "curling.endScore": "{team} +{points}",
+    "curling.blankEnd": "Manche blanche",
+    "curling.hud.ready": "{up}/{down} viser, maintenez {key} pour la puissance, relâchez pour lancer.",
+    "curling.hud.ready.oneSwitch": "Appuyez sur {key} pour commencer la poussée, à nouveau pour lancer.",
+    "curling.hud.aim.oneSwitch": "Appuyez sur {key} pour fixer la visée qui balaie.",
+    "curling.hud.charging": "Relâchez {key} pour lancer la pierre.",
+    "curling.hud.charging.oneSwitch": "Appuyez sur {key} pour lancer la pierre.",
+    "curling.hud.cpuAim": "Le skip CPU prépare son tir.",
+    "curling.hud.sliding": "Maintenez {brush} pour balayer et réduire le frottement (mu {from} -> {to}).",
+    "curling.hud.sliding.oneSwitch":
+      "Appuyez sur {key} pour balayer et réduire le frottement (mu {from} -> {to}) ; à nouveau pour arrêter.",
+    "curling.hud.cpuSliding": "Pierre du CPU en mouvement.",
+    "curling.hud.settled": "Toutes les pierres sont arrêtées. Pierre suivante.",
+    "curling.hud.scored": "Fin de manche. L'équipe la plus proche marque chaque pierre devant la meilleure adverse.",
+    "curling.hud.complete": "Match terminé. Retour aux résultats.",
+    "curling.result.won": {
+      one: "Victoire {score}-{cpuScore} contre le CPU ({count} manche)",
+      other: "Victoire {score}-{cpuScore} contre le CPU ({count} manches)"
+    },
+    "curling.result.lost": {
+      one: "Défaite {score}-{cpuScore} contre le CPU ({count} manche)",
+      other: "Défaite {score}-{cpuScore} contre le CPU ({count} manches)"
+    },
+    "curling.result.tied": {
+      one: "Égalité {score}-{cpuScore} contre le CPU ({count} manche)",
+      other: "Égalité {score}-{cpuScore} contre le CPU ({count} manches)"
+    },
+
+    "ski.name": "Saut à ski",
+    "ski.start": "Maintenez {key} pendant la descente, relâchez près du nez du tremplin.",
+    "ski.start.oneSwitch": "Appuyez sur {key} pour vous accroupir, à nouveau près du nez du tremplin.",
+    "ski.attempt": "Essai {number} sur {total}.",
+    "ski.landing.telemark": "Réception en télémark",
+    "ski.landing.stable": "Réception stable",
+    "ski.landing.hard": "Réception dure",
+    "ski.landed": "{landing} | {distance} | Comp. vent {wind}",
+    "ski.result": "{distance} sur K{kPoint} ({distancePoints}), style {style}, vent {wind}",
+    "ski.missed": "Saut hors de la piste de réception",
+    "ski.meter.load": "Charge des jambes",
+    "ski.takeoff": "Timing d'envol : {percent} %",
+    "ski.pitch": "Assiette : {degrees}°",
+    "ski.wind.head": "Vent : {speed} de face",
+    "ski.wind.tail": "Vent : {speed} de dos",
+    "ski.hud.ramp": "Maintenez {key} pendant la descente et relâchez près du nez pour la meilleure impulsion.",
+    "ski.hud.ramp.oneSwitch":
+      "Appuyez sur {key} pour vous accroupir et à nouveau près du nez pour la meilleure impulsion.",
+    "ski.hud.flight":
+      "{up}/{down} règlent l'assiette (-20° à +20°) pour la portance et la traînée. Le vent de face porte.",
+    "ski.hud.landed": "Réception jugée. Note finale en cours.",
+    "ski.hud.complete": "Saut terminé. Retour aux résultats.",
+    "ski.bestOf": "Meilleur de {count} : {detail}",
+    "ski.ghost": "RECORD",
+
+    "speed.name": "Patinage de vitesse 500 m",
+    "speed.start.inner": "Départ couloir intérieur. À vos marques...",
+    "speed.start.outer": "Départ couloir extérieur. À vos marques...",
+    "speed.ready": "Prêts...",
+    "speed.gun": "Pan ! Partez !",
+    "speed.reaction": "Réaction {time}",
+    "speed.falseStart": "Faux départ : {reason} Un second disqualifie.",
+    "speed.falseStart.early": "parti avant le coup de feu.",
+    "speed.falseStart.anticipated": "réaction de {time}, sous {limit}.",
+    "speed.disqualified": "Disqualifié : second faux départ",
+    "speed.dnf": "Abandon",
+    "speed.stride.perfect": "Poussée parfaite",
+    "speed.stride.okay": "Bonne poussée",
+    "speed.stride.rushed": "Poussée précipitée",
+    "speed.stride.late": "Poussée tardive",
+    "speed.stride.sameLeg": "Même jambe deux fois : pas de poussée",
+    "speed.crossover.yield": "Croisement : vous cédez au CPU venu du couloir extérieur.",
+    "speed.crossover.cpuYields": "Croisement : le CPU vous cède le passage.",
+    "speed.split": "{distance} {time} ({gap})",
+    "speed.split.ahead": "devant le CPU",
+    "speed.split.gap": "{gap} sur le CPU",
+    "speed.finish": "Arrivée : {time}",
+    "speed.result.won": "CPU battu ({cpu}). Réaction {reaction}, 100 m {opener}",
+    "speed.result.lost": "Le CPU gagne ({cpu}). Réaction {reaction}, 100 m {opener}",
+    "speed.you": "VOUS",
+    "speed.cpu": "CPU",
+    "speed.splits": "Temps intermédiaires",
+    "speed.meter.rhythm": "Rythme des poussées",
+    "speed.meter.lean": "Inclinaison {degrees}°",
+    "speed.lean.wide": "Trop large",
+    "speed.lean.over": "Trop incliné",
+    "speed.hud.set": "Restez immobile jusqu'au coup de feu, puis alternez {left}/{right}.",
+    "speed.hud.set.oneSwitch": "Restez immobile jusqu'au coup de feu, puis appuyez sur {key} pour pousser.",
+    "speed.hud.race":
+      "Alternez {left}/{right} quand l'aiguille est au vert. Maintenez {key} pour pencher dans les virages.",
+    "speed.hud.race.oneSwitch": "Appuyez sur {key} quand l'aiguille est au vert. L'inclinaison suit les virages.",
+    "speed.hud.race.autoLean": "Alternez {left}/{right} quand l'aiguille est au vert. L'inclinaison suit les virages.",
+    "speed.hud.recall": "Rappel. Retour sur la ligne.",
+    "speed.hud.complete": "Course terminée. Retour aux résultats.",
+
+    "bob.name": "Bobsleigh à deux",
+    "bob.heat.ready": "Manche {number} sur {total}.",
+    "bob.load.perfect": "Embarquement parfait",
+    "bob.load.okay": "Embarquement propre",
+    "bob.load.early": "Embarqué trop tôt",
+    "bob.load.late": "Embarqué en retard",
+    "bob.load.scramble": "Embarquement précipité en fin de poussée",
+    "bob.startTime": "Temps de départ {time}",
+    "bob.wall": "Choc contre le mur ! Plus que {speed}",
+    "bob.heatDone": "Manche {number} : {time}",
+    "bob.complete": "Total {time}",
+    "bob.dnf": "Abandon",
+    "bob.meter.load": "Embarquement",
+    "bob.meter.push": "Vitesse de poussée",
+    "bob.heatRow": "Manche {number}",
+    "bob.total": "Total",
+    "bob.walls": { one: "{count} choc contre le mur", other: "{count} chocs contre le mur" },
+    "bob.result": "Manches {heats}, {walls}",
+    "bob.hud.ready": "Martelez {key} pour lancer le bob.",
+    "bob.hud.push": "Continuez à marteler {key} ; appuyez sur {load} quand l'aiguille passe au vert pour embarquer.",
+    "bob.hud.push.autoLoad": "Continuez à marteler {key} ; l'équipage embarque au vert.",
+    "bob.hud.run": "Maintenez {left}/{right} pour suivre la ligne pointillée. Les murs freinent.",
+    "bob.hud.run.oneSwitch": "Le pilote suit la ligne pointillée. Tenez bon.",
+    "bob.hud.between": "Manche terminée. Retour en haut pour la suivante.",
+    "bob.hud.complete": "Les deux manches sont faites. Retour aux résultats.",
+
+    "biathlon.name": "Sprint de biathlon",
+    "biathlon.start": "250 m jusqu'au pas de tir, cinq balles, puis le retour.",
+    "biathlon.exhausted": "Plus de jambes ! Ralentissez pour récupérer.",
+    "biathlon.arrive": "Arrivée au pas de tir à {bpm} bpm.",
+    "biathlon.hit": "Tir {shot} sur {rounds} : touché",
+    "biathlon.miss": "Tir {shot} sur {rounds} : manqué",
+    "biathlon.clean": "Sans faute ! Direction l'arrivée.",
+    "biathlon.penalty": { one: "{count} tour de pénalité", other: "{count} tours de pénalité" },
+    "biathlon.finalLeg": "Pénalités purgées. Direction l'arrivée.",
+    "biathlon.finish": "Arrivée en {time}",
+    "biathlon.dnf": "Abandon",
+    "biathlon.result": "{hits}/{rounds} touchés, {range} au tir, {loops}",
+    "biathlon.heartRate": "Pouls {bpm} bpm",
+    "biathlon.meter.stamina": "Endurance",
+    "biathlon.meter.breath": "Souffle",
+    "biathlon.leg.ski": "Pas de tir dans {distance}",
+    "biathlon.leg.penalty": "Tours de pénalité : encore {distance}",
+    "biathlon.leg.final": "Arrivée dans {distance}",
+    "biathlon.leg.range": "Au pas de tir",
+    "biathlon.hud.ready": "Appuyez sur {key} pour partir.",
+    "biathlon.hud.ski": "Maintenez {key} pour skier fort. Au-delà de 170 bpm, l'endurance baisse.",
+    "biathlon.hud.ski.oneSwitch": "Appuyez sur {key} pour alterner effort fort et facile.",
+    "biathlon.hud.ski.assisted": "Maintenez {key} pour skier fort ; vous ralentissez à 165 bpm.",
+    "biathlon.hud.range":
+      "Visez à la souris ou avec {keys}, maintenez {breath} pour stabiliser, cliquez ou appuyez sur {key} pour tirer.",
+    "biathlon.hud.range.oneSwitch":
+      "La carabine vise la cible suivante et gère le souffle. Appuyez sur {key} pour tirer.",
+    "biathlon.hud.range.assisted":
+      "Visez à la souris ou avec {keys} ; le souffle est retenu seul. Cliquez ou appuyez sur {key} pour tirer.",
+    "biathlon.hud.complete": "Ligne franchie. Retour aux résultats.",
+
+    "slalom.name": "Slalom",
+    "slalom.run.ready": "Manche {number} sur {total}.",
+    "slalom.fence": "Dans les filets !",
+    "slalom.missed": "Porte {gate} manquée ! Appuyez sur {key} pour remonter.",
+    "slalom.split": "Intermédiaire {number} : {time}",
+    "slalom.split.gap": "Intermédiaire {number} : {time} ({gap})",
+    "slalom.hike": "Remontée vers la porte {gate}...",
+    "slalom.hike.done": "De retour au-dessus de la porte {gate}. C'est reparti !",
+    "slalom.dq": "Disqualifié : porte {gate} non franchie",
+    "slalom.dnf": "Abandon",
+    "slalom.runDone": "Manche {number} : {time}",
+    "slalom.complete": "Temps cumulé {time}",
+    "slalom.gates": "Porte {passed} sur {total}",
+    "slalom.meter.edge": "Prise de carre {degrees}°",
+    "slalom.meter.tuck": "Position de recherche de vitesse",
+    "slalom.splitColumn": "Inter. {number}",
+    "slalom.timeColumn": "Temps",
+    "slalom.runRow": "Manche {number}",
+    "slalom.total": "Cumulé",
+    "slalom.result": "Manches {runs}",
+    "slalom.result.dq": "Manche {number} : {reason}",
+    "slalom.hud.ready": "Appuyez sur {key} pour vous élancer du portillon.",
+    "slalom.hud.run":
+      "Maintenez {left}/{right} pour tourner entre les portes ; plus la carre est prise, plus le virage est serré et freine. Maintenez {tuck} pour vous grouper.",
+    "slalom.hud.run.oneSwitch": "Le skieur trace sa ligne et se groupe tout seul. Tenez bon.",
+    "slalom.hud.run.autoRelease":
+      "Maintenez {left}/{right} pour tourner ; la carre se relâche face à la porte suivante. Maintenez {tuck} pour vous grouper.",
+    "slalom.hud.missed": "Appuyez sur {key} pour remonter au-dessus de la porte, sinon disqualification à la suivante.",
+    "slalom.hud.hike": "Remontée en cours. Le chrono tourne toujours.",
+    "slalom.hud.between": "Manche terminée. Retour en haut pour la seconde.",
+    "slalom.hud.complete": "Les deux manches sont faites. Retour aux résultats.",
+
+    "page.saveReplay": "Enregistrer le replay",
+    "page.loadReplay": "Charger un replay",
+    "page.soundOn": "Son : activé",
+    "page.soundOff": "Son : coupé",
+    "page.canvas": "Zone de jeu Mini Olympics",
+
+    "difficulty.easy": "Facile",
+    "difficulty.normal": "Normal",
+    "difficulty.hard": "Difficile",
+    "difficulty.custom": "Perso",
+    "conditions": "Difficulté : {difficulty}",
+    "conditions.assisted": "Difficulté : {difficulty} (aides activées)",
+
+    "menu.title": "Mini Olympics",
+    "menu.choose": "Choisissez une épreuve  |  {difficulty}",
+    "menu.best": "Record : {score}",
+    "menu.page": "Page {page} sur {count}",
+    "menu.fullGames": "Jeux complets",
+    "menu.hotSeat": "Chacun son tour",
+    "menu.settings": "Réglages",
+    "menu.footer":
+      "Maintenez {charge} pour charger dans chaque épreuve. {sound} active le son. Touches modifiables dans Réglages.",
+    "menu.gamepad":
+      "Manette : croix pour choisir, A pour charger/valider, B pour balayer, stick pour viser et l'assiette.",
+
+    "button.back": "Retour",
+    "button.backToMenu": "Menu principal",
+    "button.watchReplay": "Voir le replay",
+    "button.save": "Valider",
+    "button.skip": "Passer",
+
+    "hud.attempts": { one: "Essai restant : {count}", other: "Essais restants : {count}" },
+    "hud.score": "Score : {score}",
+
+    "touch.hold": "MAINTENIR",
+    "touch.brush": "BALAYER",
+    "touch.tilt": "INCLINER",
+    "touch.pause": "PAUSE",
+    "touch.jumpPrev": "< SAUT",
+    "touch.jumpNext": "SAUT >",
+    "touch.rotationsDown": "- TOUR",
+    "touch.rotationsUp": "+ TOUR",
+    "touch.strideLeft": "< POUSSÉE",
+    "touch.strideRight": "POUSSÉE >",
+    "touch.loadIn": "EMBARQUER",
+    "touch.steerLeft": "< DIRIGER",
+    "touch.steerRight": "DIRIGER >",
+    "touch.holdBreath": "SOUFFLE",
+    "touch.tuck": "GROUPÉ",
+
+    "results.title": "Résultats",
+    "results.judges": "Juges de style",
+
+    "replay.finished": "Replay terminé",
+    "replay.matches": "Identique au score enregistré",
+    "replay.mismatch": "Enregistré {expected}, rejoué {actual}",
+    "replay.banner": "REPLAY  |  ÉCHAP pour arrêter",
+    "replay.loadFailed": "Impossible de charger le replay : {message}",
+    "replay.error.format": "Ce n'est pas un replay Mini Olympics.",
+    "replay.error.version": "Version de replay {version} non prise en charge.",
+    "replay.error.event": "Épreuve inconnue « {event} ».",
+    "replay.error.timestep": "Le replay a été enregistré avec un autre pas de temps.",
+    "replay.error.seed": "La graine aléatoire du replay est absente.",
+    "replay.error.inputs": "Le journal des commandes du replay est absent.",
+    "replay.error.difficulty": "La difficulté du replay est absente.",
+    "replay.error.bindings": "Les touches du replay sont absentes.",
+    "replay.error.assist": "Les aides du replay sont absentes.",
+
+    "record.new": "Nouveau record !",
+    "record.top": "Dans le top {count} !",
+    "record.touchPrompt": "Touchez les cases pour choisir les lettres, puis Valider ou Passer",
+    "record.padPrompt": "Haut/Bas choisit une lettre, Droite en ajoute une, A valide, B passe",
+    "record.keyPrompt": "Tapez vos initiales, ENTRÉE pour valider, ÉCHAP pour passer",
+    "leaderboard.title": "Classement",
+    "leaderboard.assisted": "(A) = joué avec des aides",
+
+    "tournament.tag": "Jeux complets {number}/{count}  |  Total : {total}",
+    "medal.gold": "Or",
+    "medal.silver": "Argent",
+    "medal.bronze": "Bronze",
+    "nation.norway": "Norvège",
+    "nation.canada": "Canada",
+    "nation.germany": "Allemagne",
+    "nation.japan": "Japon",
+    "nation.switzerland": "Suisse",
+    "standings.title": "Classement des Jeux",
+    "standings.event": "Épreuve",
+    "standings.score": "Score",
+    "standings.gamesPoints": "Pts Jeux",
+    "standings.total": "Total : {total}",
+    "standings.rank": "Rang",
+    "standings.nation": "Nation",
+    "standings.totalColumn": "Total",
+    "standings.you": "Vous",
+    "standings.medal": "Médaille : {medal} !",
+    "standings.place": "Terminé {place}e",
+
+    "hotSeat.addPlayer": "+ Joueur",
+    "hotSeat.removePlayer": "- Joueur",
+    "hotSeat.start": "Commencer",
+    "hotSeat.go": "C'est parti !",
+    "hotSeat.playAgain": "Rejouer",
+    "hotSeat.defaultName": "JOUEUR {number}",
+    "hotSeat.players": "Joueurs ({count}/{max}) - choisissez un nom et tapez",
+    "hotSeat.events": "Épreuves",
+    "hotSeat.turn": "Tour {number} sur {count}  |  {event}",
+    "hotSeat.getReady": "{player}, préparez-vous",
+    "hotSeat.pass": "Passez les commandes, puis appuyez sur C'est parti (ENTRÉE).",
+    "hotSeat.resultsTitle": "Résultats chacun son tour",
+    "hotSeat.player": "Joueur",
+    "hotSeat.tag": "{player}  |  Tour {number}/{count}",
+
+    "settings.customHeading": "Valeurs perso (en modifier une sélectionne Perso)",
+    "settings.controls": "Commandes",
+    "settings.access": "Accessibilité",
+    "settings.language": "Langue et unités",
+    "custom.figureNeedleSpeed": "Patinage : vitesse de l'aiguille",
+    "custom.figureChargeRate": "Patinage : vitesse de charge",
+    "custom.figureJumps": "Patinage : sauts",
+    "custom.curlingChargeRate": "Curling : vitesse de charge",
+    "custom.curlingFriction": "Curling : frottement de la glace",
+    "custom.curlingStones": "Curling : pierres par équipe",
+    "custom.curlingEnds": "Curling : manches",
+    "custom.curlingCpuSkill": "Curling : niveau du CPU",
+    "custom.skiLoadRate": "Saut : vitesse de flexion",
+    "custom.skiTakeoffWindow": "Saut : fenêtre d'envol",
+    "custom.skiAttempts": "Saut : essais",
+    "custom.speedCpuTime": "Vitesse : temps du rival (s)",
+    "custom.speedRhythmWindow": "Vitesse : fenêtre de rythme",
+    "custom.speedGrip": "Vitesse : accroche des lames",
+    "custom.bobPushRate": "Bob : vitesse de poussée",
+    "custom.bobDrift": "Bob : dérive",
+    "custom.bobLoadWindow": "Bob : fenêtre d'embarquement",
+    "custom.biathlonSway": "Biathlon : oscillation du fusil",
+    "custom.biathlonDrain": "Biathlon : perte d'endurance",
+    "custom.slalomGateWidth": "Slalom : largeur des portes",
+    "custom.slalomScrub": "Slalom : freinage en virage",
+    "custom.zoneScale": "Largeur des zones de timing",
+
+    "access.note": "Les résultats obtenus avec une aide sont marqués (A) dans les classements.",
+    "access.toggle.on": "{label} : activé",
+    "access.toggle.off": "{label} : désactivé",
+    "access.palette": "Palette daltonisme",
+    "access.palette.hint": "Couleurs très contrastées et zones de timing hachurées.",
+    "access.oneSwitch": "Jeu à un bouton",
+    "access.oneSwitch.hint":
+      "Appuyez sur la touche de charge pour commencer chaque action, puis à nouveau pour la finir.",
+    "access.slowTiming": "Timing ralenti",
+    "access.slowTiming.hint": "Aiguilles et jauges à mi-vitesse ; la fenêtre du nez du tremplin double.",
+    "access.autoRelease": "Relâchement auto",
+    "access.autoRelease.hint": "Les charges se relâchent seules au point idéal.",
+
+    "language.heading": "Langue",
+    "language.units": "Unités",
+    "language.sample": "Exemple : {distance}  |  {points}",
+    "units.metric": "Métrique",
+    "units.imperial": "Impérial",
+
+    "controls.defaults": "Par défaut",
+    "controls.restored": "Touches par défaut rétablies.",
+    "controls.reserved": "{key} est réservée aux menus.",
+    "controls.conflict": "{key} est déjà utilisée pour {actions}.",
+    "controls.waiting": "Appuyez sur une touche (ÉCHAP pour annuler)",
+    "controls.prompt": "Choisissez une action, puis appuyez sur sa nouvelle touche",
+    "action.charge": "Charger / maintenir (toutes épreuves)",
+    "action.jumpPrev": "Patinage : saut précédent",
+    "action.jumpNext": "Patinage : saut suivant",
+    "action.rotationsUp": "Patinage : plus de rotations",
+    "action.rotationsDown": "Patinage : moins de rotations",
+    "action.aimUp": "Curling, biathlon : viser plus haut",
+    "action.aimDown": "Curling, biathlon : viser plus bas",
+    "action.brush": "Curling : balayer",
+    "action.pitchUp": "Saut : nez vers le haut",
+    "action.pitchDown": "Saut : nez vers le bas",
+    "action.strideLeft": "Vitesse : poussée gauche",
+    "action.strideRight": "Vitesse : poussée droite",
+    "action.loadIn": "Bobsleigh : embarquer",
+    "action.steerLeft": "Bobsleigh, slalom : à gauche ; biathlon : viser à gauche",
+    "action.steerRight": "Bobsleigh, slalom : à droite ; biathlon : viser à droite",
+    "action.holdBreath": "Biathlon : retenir son souffle",
+    "action.tuck": "Slalom : position groupée",
+    "action.toggleSound": "Activer/couper le son",
+    "action.pause": "Pause (ÉCHAP marche aussi)",
+
+    "pause.title": "Pause",
+    "pause.hint": "ÉCHAP ou {key} pour reprendre",
+    "pause.resume": "Reprendre",
+    "pause.restart": "Recommencer",
+    "pause.quit": "Quitter au menu",
+
+    "speech.eventBest": "{event}, record {score}",
+    "speech.previousPage": "Page d'épreuves précédente",
+    "speech.nextPage": "Page d'épreuves suivante",
+    "speech.difficulty": "Difficulté {label}",
+    "speech.difficulty.selected": "Difficulté {label}, sélectionnée",
+    "speech.lower": "Diminuer {label}, actuellement {value}",
+    "speech.raise": "Augmenter {label}, actuellement {value}",
+    "speech.on": "{label} activé",
+    "speech.off": "{label} désactivé",
+    "speech.selected": "{label}, sélectionné",
+    "speech.initials": "Tapez vos initiales, puis Entrée pour valider, ou Échap pour passer.",
+    "speech.replay": "Replay {event}",
+    "speech.menu": "Menu principal, difficulté {difficulty}",
+    "speech.results": "Résultats, {conditions}. {result}",
+    "speech.standings": "Classement des Jeux. {points} points, place {place}",
+    "speech.standings.medal": "Classement des Jeux. {points} points, place {place}, médaille : {medal}",
+    "speech.players": { one: "Chacun son tour, {count} joueur", other: "Chacun son tour, {count} joueurs" },
+    "speech.ready": "{player}, préparez-vous pour {event}. Appuyez sur Entrée.",
+    "speech.comparison": "Résultats chacun son tour. {player} mène avec {points} points",
+    "speech.settings": "Réglages, difficulté {difficulty}",
+    "speech.rebinding": "Appuyez sur une touche, Échap pour annuler"
+  };
+});
@@ -0,0 +1,454 @@
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    (root.MiniOlympicsLocales = root.MiniOlympicsLocales || {}).ja = factory();
+  }
+})(typeof self !== "undefined" ? self : this, () => {
+  return {
+    "locale.name": "日本語",
+
+    "units.points": "{value}点",
+    "units.metres": "{value} m",
+    "units.feet": "{value} ft",
+    "units.metresPerSecond": "{value} m/s",
+    "units.mph": "{value} mph",
+    "units.seconds": "{value}秒",
+    "units.minutes": "{minutes}:{seconds}",
+    "units.noTime": "記録なし",
+
+    "figure.name": "フィギュアスケート",
+    "figure.jump.toeLoop": "トウループ",
+    "figure.jump.salchow": "サルコウ",
+    "figure.jump.loop": "ループ",
+    "figure.jump.flip": "フリップ",
+    "figure.jump.lutz": "ルッツ",
+    "figure.jump.axel": "アクセル",
+    "figure.rotations.single": "1回転",
+    "figure.rotations.double": "2回転",
+    "figure.rotations.triple": "3回転",
+    "figure.rotations.quad": "4回転",
+    "figure.element": "{rotations}{jump}",
+    "figure.landing.soaring": "高さのあるクリーンな着氷",
+    "figure.landing.clean": "クリーンな着氷",
+    "figure.landing.good": "良い着氷",
+    "figure.landing.tight": "詰まった着氷",
+    "figure.landing.steppedOut": "ステップアウト",
+    "figure.call.fullyRotated": "回転十分",
+    "figure.call.quarterShort": "q判定",
+    "figure.call.underRotated": "回転不足",
+    "figure.call.downgraded": "ダウングレード",
+    "figure.start": "ジャンプを選び、{key}を長押ししてためて、緑の近くで離します。",
+    "figure.start.oneSwitch": "ジャンプを選び、{key}を押してため、緑の近くでもう一度押します。",
+    "figure.timing.perfect": "完璧なタイミング",
+    "figure.timing.okay": "まずまずのタイミング",
+    "figure.timing.bad": "悪いタイミング",
+    "figure.locked": "{code}：{timing}で決定",
+    "figure.fall": "転倒",
+    "figure.verdict": "{call}、{landing}",
+    "figure.judged": "{code} {verdict}：GOE {goe}、{points}",
+    "figure.routineComplete": "演技終了：{score}",
+    "figure.spinning": "{code}：{rotation} / {revolutions}回転",
+    "figure.next": "次のジャンプ：{key}を長押ししてためます。",
+    "figure.next.oneSwitch": "次のジャンプ：{key}を押してためます。",
+    "figure.meter.power": "ジャンプパワー",
+    "figure.picker": "{name}  基礎点 {base}  滞空 {air} 秒必要",
+    "figure.protocol": "エレメンツ",
+    "figure.deductions": "減点 -{value}",
+    "figure.falls": { other: "（転倒{count}回）" },
+    "figure.hud.ready": "{prev}/{next}でジャンプ、{up}/{down}で回転数。{key}を赤い目盛りを越えるまで押し、緑で離します。",
+    "figure.hud.ready.oneSwitch":
+      "{prev}/{next}でジャンプ、{up}/{down}で回転数。{key}でため始め、赤い目盛りを越えた緑でもう一度押します。",
+    "figure.hud.charging": "{key}を離してタイミングとパワーを決定。",
+    "figure.hud.charging.oneSwitch": "{key}を押してタイミングとパワーを決定。",
+    "figure.hud.air": "{key}を押し続けると腕を締めて速く回転、離すと高く浮きます。",
+    "figure.hud.air.oneSwitch": "{key}で腕を締める・開くを切り替え。締めると速く回転、開くと高く浮きます。",
+    "figure.hud.pause": "着氷を採点中。次のジャンプを準備しています。",
+    "figure.hud.complete": "演技終了。結果画面に戻ります。",
+
+    "curling.name": "カーリング",
+    "curling.team.player": "あなた",
+    "curling.team.cpu": "CPU",
+    "curling.meter.power": "投球パワー",
+    "curling.aim.centre": "狙い：ボタン中央",
+    "curling.aim.left": "狙い：左 {distance}",
+    "curling.aim.right": "狙い：右 {distance}",
+    "curling.brushing.on": "スイープ オン（{key}）",
+    "curling.brushing.off": "スイープ オフ（{key}長押し）",
+    "curling.cpuCalls.draw": "CPUはドローを選択",
+    "curling.cpuCalls.takeout": "CPUはテイクアウトを選択",
+    "curling.cpuCalls.guard": "CPUはガードを選択",
+    "curling.endScore": "{team} +{points}",
+    "curling.blankEnd": "ブランクエンド",
+    "curling.hud.ready": "{up}/{down}で狙い、{key}長押しでパワーを決め、離して投球。",
+    "curling.hud.ready.oneSwitch": "{key}で投球動作を開始、もう一度押して投球。",
+    "curling.hud.aim.oneSwitch": "{key}で動く狙いを固定。",
+    "curling.hud.charging": "{key}を離してストーンを投げます。",
+    "curling.hud.charging.oneSwitch": "{key}を押してストーンを投げます。",
+    "curling.hud.cpuAim": "CPUのスキップが狙いを定めています。",
+    "curling.hud.sliding": "{brush}長押しでスイープし摩擦を下げます（mu {from} -> {to}）。",
+    "curling.hud.sliding.oneSwitch": "{key}でスイープし摩擦を下げます（mu {from} -> {to}）。もう一度押して止めます。",
+    "curling.hud.cpuSliding": "CPUのストーンが進行中。",
+    "curling.hud.settled": "全ストーンが停止。次のストーンへ。",
+    "curling.hud.scored": "エンド終了。近いチームが相手の最良ストーンより内側の数だけ得点。",
+    "curling.hud.complete": "試合終了。結果画面に戻ります。",
+    "curling.result.won": { other: "CPUに{score}-{cpuScore}で勝利（{count}エンド）" },
+    "curling.result.lost": { other: "CPUに{score}-{cpuScore}で敗北（{count}エンド）" },
+    "curling.result.tied": { other: "CPUと{score}-{cpuScore}で引き分け（{count}エンド）" },
+
+    "ski.name": "スキージャンプ",
+    "ski.start": "滑走中に{key}を長押しし、踏み切り付近で離します。",
+    "ski.start.oneSwitch": "{key}でかがみ、踏み切り付近でもう一度押します。",
+    "ski.attempt": "{total}本中{number}本目。",
+    "ski.landing.telemark": "テレマーク着地",
+    "ski.landing.stable": "安定した着地",
+    "ski.landing.hard": "硬い着地",
+    "ski.landed": "{landing} | {distance} | 風補正 {wind}",
+    "ski.result": "K{kPoint}で{distance}（{distancePoints}）、飛型 {style}、風 {wind}",
+    "ski.missed": "着地斜面を外れました",
+    "ski.meter.load": "脚のため",
+    "ski.takeoff": "踏み切りタイミング：{percent}%",
+    "ski.pitch": "姿勢角：{degrees}度",
+    "ski.wind.head": "風：向かい風 {speed}",
+    "ski.wind.tail": "風：追い風 {speed}",
+    "ski.hud.ramp": "滑走中に{key}を長押しし、踏み切り付近で離すと最大の反発。",
+    "ski.hud.ramp.oneSwitch": "{key}でかがみ、踏み切り付近でもう一度押すと最大の反発。",
+    "ski.hud.flight": "{up}/{down}で姿勢角（-20度〜+20度）を調整し揚力と抵抗を整えます。向かい風は揚力を増やします。",
+    "ski.hud.landed": "着地を採点中。最終得点を確定しています。",
+    "ski.hud.complete": "ジャンプ終了。結果画面に戻ります。",
+    "ski.bestOf": "{count}本のベスト：{detail}",
+    "ski.ghost": "ベスト",
+
+    "speed.name": "スピードスケート500m",
+    "speed.start.inner": "インコーススタート。位置について…",
+    "speed.start.outer": "アウトコーススタート。位置について…",
+    "speed.ready": "用意…",
+    "speed.gun": "スタート！",
+    "speed.reaction": "反応 {time}",
+    "speed.falseStart": "フライング：{reason} 2回目は失格です。",
+    "speed.falseStart.early": "号砲の前に動きました。",
+    "speed.falseStart.anticipated": "反応 {time} は {limit} 未満です。",
+    "speed.disqualified": "失格：2回目のフライング",
+    "speed.dnf": "途中棄権",
+    "speed.stride.perfect": "完璧なひと蹴り",
+    "speed.stride.okay": "良いひと蹴り",
+    "speed.stride.rushed": "蹴りが早すぎ",
+    "speed.stride.late": "蹴りが遅すぎ",
+    "speed.stride.sameLeg": "同じ足が2回：推進なし",
+    "speed.crossover.yield": "クロッシング：アウトから来たCPUに道を譲りました。",
+    "speed.crossover.cpuYields": "クロッシング：CPUが道を譲りました。",
+    "speed.split": "{distance} {time}（{gap}）",
+    "speed.split.ahead": "CPUより先行",
+    "speed.split.gap": "CPU比 {gap}",
+    "speed.finish": "ゴール：{time}",
+    "speed.result.won": "CPUに勝利（{cpu}）。反応 {reaction}、100m {opener}",
+    "speed.result.lost": "CPUの勝ち（{cpu}）。反応 {reaction}、100m {opener}",
+    "speed.you": "あなた",
+    "speed.cpu": "CPU",
+    "speed.splits": "ラップ",
+    "speed.meter.rhythm": "ストライドのリズム",
+    "speed.meter.lean": "傾き {degrees}°",
+    "speed.lean.wide": "外に膨らんでいます",
+    "speed.lean.over": "傾きすぎ",
+    "speed.hud.set": "号砲まで動かず、その後 {left}/{right} を交互に。",
+    "speed.hud.set.oneSwitch": "号砲まで動かず、その後 {key} で蹴ります。",
+    "speed.hud.race": "針が緑に来たら {left}/{right} を交互に。{key} 長押しでカーブに体を傾けます。",
+    "speed.hud.race.oneSwitch": "針が緑に来たら {key}。傾きはカーブに自動で合わせます。",
+    "speed.hud.race.autoLean": "針が緑に来たら {left}/{right} を交互に。傾きはカーブに自動で合わせます。",
+    "speed.hud.recall": "リコール。スタートラインに戻ります。",
+    "speed.hud.complete": "レース終了。結果に戻ります。",
+
+    "bob.name": "2人乗りボブスレー",
+    "bob.heat.ready": "{total}本中{number}本目。",
+    "bob.load.perfect": "完璧な乗り込み",
+    "bob.load.okay": "きれいな乗り込み",
+    "bob.load.early": "乗り込みが早すぎ",
+    "bob.load.late": "乗り込みが遅い",
+    "bob.load.scramble": "押し切りの最後に慌てて乗り込み",
+    "bob.startTime": "スタートタイム {time}",
+    "bob.wall": "壁に接触！ {speed} に減速",
+    "bob.heatDone": "{number}本目：{time}",
+    "bob.complete": "合計 {time}",
+    "bob.dnf": "途中棄権",
+    "bob.meter.load": "乗り込み",
+    "bob.meter.push": "プッシュ速度",
+    "bob.heatRow": "{number}本目",
+    "bob.total": "合計",
+    "bob.walls": { other: "壁接触{count}回" },
+    "bob.result": "{heats}、{walls}",
+    "bob.hud.ready": "{key} を連打してソリを押し出します。",
+    "bob.hud.push": "{key} を連打し続け、針が緑を通るときに {load} で乗り込みます。",
+    "bob.hud.push.autoLoad": "{key} を連打し続けてください。緑でクルーが乗り込みます。",
+    "bob.hud.run": "{left}/{right} 長押しで点線のラインに乗ります。壁に当たると減速します。",
+    "bob.hud.run.oneSwitch": "パイロットが点線のラインを保ちます。しっかりつかまって。",
+    "bob.hud.between": "滑走終了。次の滑走のためスタートに戻ります。",
+    "bob.hud.complete": "2本とも終了。結果に戻ります。",
+
+    "biathlon.name": "バイアスロン スプリント",
+    "biathlon.start": "射撃場まで250 m、5発撃って、ゴールへ。",
+    "biathlon.exhausted": "脚が限界！ペースを落としてスタミナを回復しよう。",
+    "biathlon.arrive": "心拍数{bpm}で射撃場に到着。",
+    "biathlon.hit": "{shot}/{rounds}発目：命中",
+    "biathlon.miss": "{shot}/{rounds}発目：外れ",
+    "biathlon.clean": "全弾命中！そのままゴールへ。",
+    "biathlon.penalty": { other: "ペナルティループ{count}周" },
+    "biathlon.finalLeg": "ペナルティ終了。ゴールへ。",
+    "biathlon.finish": "ゴールタイム {time}",
+    "biathlon.dnf": "途中棄権",
+    "biathlon.result": "{hits}/{rounds}命中、射撃{range}、{loops}",
+    "biathlon.heartRate": "心拍数 {bpm}",
+    "biathlon.meter.stamina": "スタミナ",
+    "biathlon.meter.breath": "息",
+    "biathlon.leg.ski": "射撃場まで {distance}",
+    "biathlon.leg.penalty": "ペナルティループ：残り {distance}",
+    "biathlon.leg.final": "ゴールまで {distance}",
+    "biathlon.leg.range": "射撃場",
+    "biathlon.hud.ready": "{key}でスタート。",
+    "biathlon.hud.ski": "{key}を押し続けて全力で滑る。心拍数170を超えるとスタミナが減る。",
+    "biathlon.hud.ski.oneSwitch": "{key}を押すたびに全力と楽な滑りが切り替わる。",
+    "biathlon.hud.ski.assisted": "{key}を押し続けて全力で滑る。心拍数165で自動的にペースを落とす。",
+    "biathlon.hud.range": "マウスか{keys}で狙い、{breath}で息を止めて安定、クリックか{key}で撃つ。",
+    "biathlon.hud.range.oneSwitch": "銃が次の標的を狙い、息も止めてくれる。{key}で撃つ。",
+    "biathlon.hud.range.assisted": "マウスか{keys}で狙う。息は自動で止まる。クリックか{key}で撃つ。",
+    "biathlon.hud.complete": "ゴール。結果に戻ります。",
+
+    "slalom.name": "回転",
+    "slalom.run.ready": "{total}本中{number}本目。",
+    "slalom.fence": "ネットに突っ込んだ！",
+    "slalom.missed": "{gate}番旗門を不通過！{key}で登り返そう。",
+    "slalom.split": "中間{number}：{time}",
+    "slalom.split.gap": "中間{number}：{time}（{gap}）",
+    "slalom.hike": "{gate}番旗門へ登り返し中...",
+    "slalom.hike.done": "{gate}番旗門の上に戻った。スタート！",
+    "slalom.dq": "失格：{gate}番旗門を通過せず",
+    "slalom.dnf": "途中棄権",
+    "slalom.runDone": "{number}本目：{time}",
+    "slalom.complete": "合計 {time}",
+    "slalom.gates": "旗門 {passed}/{total}",
+    "slalom.meter.edge": "エッジ角 {degrees}°",
+    "slalom.meter.tuck": "クラウチング",
+    "slalom.splitColumn": "中間{number}",
+    "slalom.timeColumn": "タイム",
+    "slalom.runRow": "{number}本目",
+    "slalom.total": "合計",
+    "slalom.result": "各本 {runs}",
+    "slalom.result.dq": "{number}本目：{reason}",
+    "slalom.hud.ready": "{key}でスタートゲートを飛び出す。",
+    "slalom.hud.run": "{left}/{right}を押し続けて旗門をカービング。エッジを立てるほど小回りになるが減速する。{tuck}でクラウチング。",
+    "slalom.hud.run.oneSwitch": "ラインどりもクラウチングも自動。そのまま見守ろう。",
+    "slalom.hud.run.autoRelease": "{left}/{right}でカービング。次の旗門を向くとエッジが自動で戻る。{tuck}でクラウチング。",
+    "slalom.hud.missed": "{key}で旗門の上まで登り返そう。次の旗門を過ぎると失格。",
+    "slalom.hud.hike": "登り返し中。タイムは進んでいる。",
+    "slalom.hud.between": "1本目終了。2本目のためにスタートへ戻る。",
+    "slalom.hud.complete": "2本とも終了。結果に戻ります。",
+
+    "page.saveReplay": "リプレイを保存",
+    "page.loadReplay": "リプレイを読込",
+    "page.soundOn": "サウンド：オン",
+    "page.soundOff": "サウンド：オフ",
+    "page.canvas": "Mini Olympics ゲーム画面",
+
+    "difficulty.easy": "やさしい",
+    "difficulty.normal": "ふつう",
+    "difficulty.hard": "むずかしい",
+    "difficulty.custom": "カスタム",
+    "conditions": "難易度：{difficulty}",
+    "conditions.assisted": "難易度：{difficulty}（アシストあり）",
+
+    "menu.title": "Mini Olympics",
+    "menu.choose": "種目を選択  |  {difficulty}",
+    "menu.best": "ベスト：{score}",
+    "menu.page": "{page} / {count} ページ",
+    "menu.fullGames": "全種目",
+    "menu.hotSeat": "交代プレイ",
+    "menu.settings": "設定",
+    "menu.footer": "どの種目も{charge}長押しでためます。{sound}でサウンド切替。キーは設定で変更できます。",
+    "menu.gamepad": "ゲームパッド：十字キーで選択、Aでため/決定、Bでスイープ、スティックで狙いと姿勢。",
+
+    "button.back": "戻る",
+    "button.backToMenu": "メニューへ",
+    "button.watchReplay": "リプレイを見る",
+    "button.save": "保存",
+    "button.skip": "スキップ",
+
+    "hud.attempts": "残り試技：{count}",
+    "hud.score": "スコア：{score}",
+
+    "touch.hold": "長押し",
+    "touch.brush": "スイープ",
+    "touch.tilt": "傾き",
+    "touch.pause": "一時停止",
+    "touch.jumpPrev": "< ジャンプ",
+    "touch.jumpNext": "ジャンプ >",
+    "touch.rotationsDown": "- 回転",
+    "touch.rotationsUp": "+ 回転",
+    "touch.strideLeft": "< 左蹴り",
+    "touch.strideRight": "右蹴り >",
+    "touch.loadIn": "乗り込み",
+    "touch.steerLeft": "< 左へ",
+    "touch.steerRight": "右へ >",
+    "touch.holdBreath": "息止め",
+    "touch.tuck": "クラウチ",
+
+    "results.title": "結果",
+    "results.judges": "飛型審判",
+
+    "replay.finished": "リプレイ終了",
+    "replay.matches": "記録されたスコアと一致",
+    "replay.mismatch": "記録 {expected}、再生 {actual}",
+    "replay.banner": "リプレイ  |  ESCで停止",
+    "replay.loadFailed": "リプレイを読み込めません：{message}",
+    "replay.error.format": "Mini Olympics のリプレイファイルではありません。",
+    "replay.error.version": "リプレイのバージョン {version} には対応していません。",
+    "replay.error.event": "不明な種目「{event}」です。",
+    "replay.error.timestep": "異なるタイムステップで記録されたリプレイです。",
+    "replay.error.seed": "リプレイに乱数シードがありません。",
+    "replay.error.inputs": "リプレイに入力記録がありません。",
+    "replay.error.difficulty": "リプレイに難易度がありません。",
+    "replay.error.bindings": "リプレイにキー設定がありません。",
+    "replay.error.assist": "リプレイにアシスト設定がありません。",
+
+    "record.new": "新記録！",
+    "record.top": "トップ{count}入り！",
+    "record.touchPrompt": "枠をタップして文字を選び、保存かスキップを押してください",
+    "record.padPrompt": "上下で文字を選び、右で次の文字、Aで保存、Bでスキップ",
+    "record.keyPrompt": "イニシャルを入力し、ENTERで保存、ESCでスキップ",
+    "leaderboard.title": "ランキング",
+    "leaderboard.assisted": "(A) = アシスト使用",
+
+    "tournament.tag": "全種目 {number}/{count}  |  合計：{total}",
+    "medal.gold": "金",
+    "medal.silver": "銀",
+    "medal.bronze": "銅",
+    "nation.norway": "ノルウェー",
+    "nation.canada": "カナダ",
+    "nation.germany": "ドイツ",
+    "nation.japan": "日本",
+    "nation.switzerland": "スイス",
+    "standings.title": "全種目 総合順位",
+    "standings.event": "種目",
+    "standings.score": "スコア",
+    "standings.gamesPoints": "大会pt",
+    "standings.total": "合計：{total}",
+    "standings.rank": "順位",
+    "standings.nation": "国",
+    "standings.totalColumn": "合計",
+    "standings.you": "あなた",
+    "standings.medal": "{medal}メダル！",
+    "standings.place": "{place}位",
+
+    "hotSeat.addPlayer": "+ プレイヤー",
+    "hotSeat.removePlayer": "- プレイヤー",
+    "hotSeat.start": "開始",
+    "hotSeat.go": "スタート！",
+    "hotSeat.playAgain": "もう一度",
+    "hotSeat.defaultName": "プレイヤー{number}",
+    "hotSeat.players": "プレイヤー（{count}/{max}）- 名前を選んで入力",
+    "hotSeat.events": "種目",
+    "hotSeat.turn": "{count}番中{number}番目  |  {event}",
+    "hotSeat.getReady": "{player}さん、準備して",
+    "hotSeat.pass": "コントローラーを渡して、スタートを押してください（ENTER）。",
+    "hotSeat.resultsTitle": "交代プレイ 結果",
+    "hotSeat.player": "プレイヤー",
+    "hotSeat.tag": "{player}  |  {number}/{count}番目",
+
+    "settings.customHeading": "カスタム値（変更するとカスタムになります）",
+    "settings.controls": "操作",
+    "settings.access": "アクセシビリティ",
+    "settings.language": "言語と単位",
+    "custom.figureNeedleSpeed": "フィギュア：針の速さ",
+    "custom.figureChargeRate": "フィギュア：ためる速さ",
+    "custom.figureJumps": "フィギュア：ジャンプ数",
+    "custom.curlingChargeRate": "カーリング：ためる速さ",
+    "custom.curlingFriction": "カーリング：氷の摩擦",
+    "custom.curlingStones": "カーリング：チームのストーン数",
+    "custom.curlingEnds": "カーリング：エンド数",
+    "custom.curlingCpuSkill": "カーリング：CPUの強さ",
+    "custom.skiLoadRate": "ジャンプ：ためる速さ",
+    "custom.skiTakeoffWindow": "ジャンプ：踏み切りの猶予",
+    "custom.skiAttempts": "ジャンプ：試技数",
+    "custom.speedCpuTime": "スピード：ライバルのタイム（秒）",
+    "custom.speedRhythmWindow": "スピード：リズムの猶予",
+    "custom.speedGrip": "スピード：ブレードのグリップ",
+    "custom.bobPushRate": "ボブスレー：押す速さ",
+    "custom.bobDrift": "ボブスレー：横流れ",
+    "custom.bobLoadWindow": "ボブスレー：乗り込みの猶予",
+    "custom.biathlonSway": "バイアスロン：銃の揺れ",
+    "custom.biathlonDrain": "バイアスロン：スタミナの減り",
+    "custom.slalomGateWidth": "スラローム：旗門の幅",
+    "custom.slalomScrub": "スラローム：ターンの減速",
+    "custom.zoneScale": "タイミングゾーンの幅",
+
+    "access.note": "アシストを使った結果はランキングで(A)と表示されます。",
+    "access.toggle.on": "{label}：オン",
+    "access.toggle.off": "{label}：オフ",
+    "access.palette": "色覚対応パレット",
+    "access.palette.hint": "高コントラストの色と模様付きのタイミングゾーン。",
+    "access.oneSwitch": "ワンスイッチ操作",
+    "access.oneSwitch.hint": "ためるキーを押して動作を始め、もう一度押して終えます。",
+    "access.slowTiming": "スロータイミング",
+    "access.slowTiming.hint": "針とゲージが半分の速さになり、踏み切りの猶予が2倍になります。",
+    "access.autoRelease": "自動リリース",
+    "access.autoRelease.hint": "ためは理想の位置で自動的に放たれます。",
+
+    "language.heading": "言語",
+    "language.units": "単位",
+    "language.sample": "例：{distance}  |  {points}",
+    "units.metric": "メートル法",
+    "units.imperial": "ヤード・ポンド法",
+
+    "controls.defaults": "初期設定",
+    "controls.restored": "初期のキー設定に戻しました。",
+    "controls.reserved": "{key}はメニュー用に予約されています。",
+    "controls.conflict": "{key}はすでに{actions}に使われています。",
+    "controls.waiting": "キーを押してください（ESCで取消）",
+    "controls.prompt": "操作を選び、新しいキーを押してください",
+    "action.charge": "ためる / 長押し（全種目）",
+    "action.jumpPrev": "フィギュア：前のジャンプ",
+    "action.jumpNext": "フィギュア：次のジャンプ",
+    "action.rotationsUp": "フィギュア：回転数を増やす",
+    "action.rotationsDown": "フィギュア：回転数を減らす",
+    "action.aimUp": "カーリング・バイアスロン：狙いを上へ",
+    "action.aimDown": "カーリング・バイアスロン：狙いを下へ",
+    "action.brush": "カーリング：スイープ",
+    "action.pitchUp": "ジャンプ：先端を上げる",
+    "action.pitchDown": "ジャンプ：先端を下げる",
+    "action.strideLeft": "スピード：左の蹴り",
+    "action.strideRight": "スピード：右の蹴り",
+    "action.loadIn": "ボブスレー：乗り込み",
+    "action.steerLeft": "ボブスレー・回転：左へ／バイアスロン：狙いを左へ",
+    "action.steerRight": "ボブスレー・回転：右へ／バイアスロン：狙いを右へ",
+    "action.holdBreath": "バイアスロン：息を止める",
+    "action.tuck": "回転：クラウチング",
+    "action.toggleSound": "サウンド切替",
+    "action.pause": "一時停止（ESCも可）",
+
+    "pause.title": "一時停止中",
+    "pause.hint": "ESCまたは{key}で再開",
+    "pause.resume": "再開",
+    "pause.restart": "種目をやり直す",
+    "pause.quit": "メニューへ戻る",
+
+    "speech.eventBest": "{event}、ベスト {score}",
+    "speech.previousPage": "前の種目ページ",
+    "speech.nextPage": "次の種目ページ",
+    "speech.difficulty": "難易度 {label}",
+    "speech.difficulty.selected": "難易度 {label}、選択中",
+    "speech.lower": "{label}を下げる、現在 {value}",
+    "speech.raise": "{label}を上げる、現在 {value}",
+    "speech.on": "{label} オン",
+    "speech.off": "{label} オフ",
+    "speech.selected": "{label}、選択中",
+    "speech.initials": "イニシャルを入力し、Enterで保存、Escapeでスキップします。",
+    "speech.replay": "{event} リプレイ",
+    "speech.menu": "メインメニュー、難易度 {difficulty}",
+    "speech.results": "結果、{conditions}。{result}",
+    "speech.standings": "全種目 総合順位。{points}ポイント、{place}位",
+    "speech.standings.medal": "全種目 総合順位。{points}ポイント、{place}位、{medal}メダル",
+    "speech.players": "交代プレイ設定、{count}人",
+    "speech.ready": "{player}さん、{event}の準備をしてください。Enterを押します。",
+    "speech.comparison": "交代プレイ結果。{player}さんが{points}ポイントで首位",
+    "speech.settings": "設定、難易度 {difficulty}",
+    "speech.rebinding": "キーを押してください。Escapeで取消"
+  };
+});
@@ -0,0 +1,107 @@
+// Biathlon range and breath. The five discs stand 80 px apart across x 290 to 610
+// at y 320; with the sway turned off a shot lands where it is aimed.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FIXED_DT, createScriptedInput } = require("../core.js");
+const { createBiathlonEvent } = require("../events/biathlon.js");
+
+function createRange(input = createScriptedInput()) {
+  const event = createBiathlonEvent({ input });
+  event.reset({ seed: 1 });
+  event.phase = "range";
+  event.sway = 0;
+  return event;
+}
+
+function shoot(event, x, y = 320) {
+  event.reload = 0;
+  event.handleInput("pointerdown", { x, y });
+}
+
+function run(event, seconds) {
+  for (let tick = 0; tick < Math.round(seconds / FIXED_DT); tick += 1) {
+    event.update(FIXED_DT);
+  }
+}
+
+test("each miss sends the skier round one penalty loop", () => {
+  const event = createRange();
+  shoot(event, 290);
+  shoot(event, 370);
+  shoot(event, 450, 260);
+  shoot(event, 530);
+  shoot(event, 700);
+  assert.deepEqual(event.shots.map((shot) => shot.hit), [true, true, false, true, false]);
+
+  run(event, 1.1);
+  assert.equal(event.phase, "penalty");
+  assert.equal(event.penaltyLoops, 2);
+  assert.equal(event.legLength(), 120);
+});
+
+test("a clean range goes straight to the final leg", () => {
+  const event = createRange();
+  for (const x of [290, 370, 450, 530, 610]) {
+    shoot(event, x);
+  }
+
+  run(event, 1.1);
+  assert.equal(event.phase, "final");
+  assert.equal(event.penaltyLoops, 0);
+});
+
+test("hitting a disc that is already down is a miss", () => {
+  const event = createRange();
+  shoot(event, 290);
+  shoot(event, 290);
+
+  assert.equal(event.misses, 1);
+  assert.deepEqual(event.targets, [true, false, false, false, false]);
+});
+
+test("the rifle needs half a second to reload", () => {
+  const event = createRange();
+  event.handleInput("pointerdown", { x: 290, y: 320 });
+  event.handleInput("pointerdown", { x: 370, y: 320 });
+  assert.equal(event.shots.length, 1);
+
+  run(event, 0.5);
+  event.handleInput("pointerdown", { x: 370, y: 320 });
+  assert.equal(event.shots.length, 2);
+});
+
+test("a held breath steadies the aim until it runs out, then the shooter gasps", () => {
+  const input = createScriptedInput();
+  const event = createRange(input);
+  const steady = event.swayScale();
+
+  input.apply("keydown", { code: "ShiftLeft" });
+  run(event, 0.1);
+  assert.ok(event.swayScale() < steady);
+
+  run(event, 2.7);
+  assert.equal(event.breathSpent, true);
+  assert.ok(event.swayScale() > steady);
+
+  // Still gasping after letting go, until the breath is half back.
+  input.apply("keyup", { code: "ShiftLeft" });
+  run(event, 0.8);
+  assert.ok(event.swayScale() > steady);
+  run(event, 0.3);
+  assert.equal(event.swayScale(), steady);
+});
+
+test("each fresh hold costs a gulp of breath", () => {
+  const input = createScriptedInput();
+  const event = createRange(input);
+  for (let i = 0; i < 3; i += 1) {
+    input.apply("keydown", { code: "ShiftLeft" });
+    event.update(FIXED_DT);
+    input.apply("keyup", { code: "ShiftLeft" });
+    event.update(FIXED_DT);
+  }
+
+  assert.ok(event.breath < 0.75, `breath ${event.breath}`);
+});
@@ -0,0 +1,90 @@
+// Bobsleigh start, walls and heats. The load zone runs from 30 to 50 m and the
+// channel is 0.7 m either side of the centre line.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FIXED_DT, createScriptedInput } = require("../core.js");
+const { createBobsleighEvent } = require("../events/bobsleigh.js");
+
+function createRun() {
+  const event = createBobsleighEvent({ input: createScriptedInput() });
+  event.reset({ seed: 1 });
+  return event;
+}
+
+function loadAt(distance, scramble = false) {
+  const event = createRun();
+  event.phase = "push";
+  event.distance = distance;
+  event.speed = 10;
+  event.loadIn(scramble);
+  return event;
+}
+
+test("loading in mid-zone kicks the sled on and a scramble costs a tenth", () => {
+  assert.ok(Math.abs(loadAt(40).speed - 10.4) < 1e-9);
+  assert.ok(Math.abs(loadAt(31).speed - 9.4) < 1e-9);
+  assert.ok(Math.abs(loadAt(50, true).speed - 9) < 1e-9);
+  assert.equal(loadAt(40).phase, "run");
+});
+
+test("a wall bounces the sled back and scrubs speed once a quarter second", () => {
+  const event = createRun();
+  event.phase = "run";
+  event.speed = 30;
+  event.lateral = -0.75;
+
+  event.hitWall();
+  assert.equal(event.lateral, -0.6);
+  assert.ok(Math.abs(event.speed - 28.2) < 1e-9);
+  assert.equal(event.wallHits, 1);
+
+  event.lateral = -0.75;
+  event.hitWall();
+  assert.equal(event.wallHits, 1);
+  assert.ok(Math.abs(event.speed - 28.2) < 1e-9);
+
+  event.wallTimer = 0;
+  event.hitWall();
+  assert.equal(event.wallHits, 2);
+});
+
+test("running into the wall costs more than riding the line", () => {
+  const sledAt = (lateral) => {
+    const event = createRun();
+    event.phase = "run";
+    event.distance = 60;
+    event.speed = 30;
+    event.lateral = lateral === undefined ? event.idealLine(60) : lateral;
+    event.update(FIXED_DT);
+    return event;
+  };
+  const walled = sledAt(0.75);
+  const clean = sledAt();
+
+  assert.equal(walled.wallHits, 1);
+  assert.equal(clean.wallHits, 0);
+  assert.ok(walled.speed < clean.speed * 0.95, `${walled.speed} against ${clean.speed} m/s`);
+});
+
+test("the two heats are added together", () => {
+  const event = createRun();
+  event.finishHeat(50.123);
+  assert.equal(event.phase, "between");
+  event.finishHeat(49.5);
+
+  assert.equal(event.finished, true);
+  assert.equal(event.score, 99.62);
+});
+
+test("a sled that never reaches the bottom is out after two minutes", () => {
+  const event = createRun();
+  event.phase = "run";
+  event.runTime = 120 - FIXED_DT / 2;
+  event.update(FIXED_DT);
+
+  assert.equal(event.dnf, true);
+  assert.equal(event.finished, true);
+  assert.equal(event.score, 0);
+});
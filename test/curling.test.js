@@ -0,0 +1,141 @@
+// Curling rules on a staged sheet: the rink runs from x 80 to 820 and y 100 to 500,
+// with the button at (700, 300) and stones 14 px in radius.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FIXED_DT, DIFFICULTY_PRESETS, createScriptedInput, createEvent } = require("../core.js");
+require("../events/curling.js");
+
+function createMatch() {
+  const event = createEvent("curling", { input: createScriptedInput() });
+  event.reset({ seed: 1 });
+  event.stones = [];
+  return event;
+}
+
+function place(event, team, x, y, vx = 0) {
+  const stone = { ...event.createStone(team), x, y, vx };
+  event.stones.push(stone);
+  return stone;
+}
+
+function settle(event) {
+  for (let tick = 0; tick < 120 * 60 && event.stepStones(FIXED_DT); tick += 1) {
+    // Run until every stone is at rest.
+  }
+}
+
+test("a square hit stops the shooter and sends the struck stone on", () => {
+  const event = createMatch();
+  const shooter = place(event, "player", 400, 300, 500);
+  const target = place(event, "cpu", 500, 300);
+
+  let speedBefore = 0;
+  while (target.vx === 0) {
+    speedBefore = shooter.vx;
+    event.stepStones(FIXED_DT);
+  }
+
+  assert.ok(Math.abs(shooter.vx) < 5, `shooter kept ${shooter.vx} px/s`);
+  assert.ok(Math.abs(target.vx - speedBefore) < 5, `target took ${target.vx} of ${speedBefore} px/s`);
+});
+
+test("a hit carries down a line of touching stones", () => {
+  const event = createMatch();
+  place(event, "player", 300, 300, 500);
+  const middle = place(event, "cpu", 420, 300);
+  const last = place(event, "cpu", 449, 300);
+
+  settle(event);
+
+  assert.ok(last.x > 520, `last stone only reached ${last.x}`);
+  assert.ok(middle.x < last.x - 28);
+});
+
+test("stones that leave the sheet at either end are removed", () => {
+  const event = createMatch();
+  const backward = place(event, "cpu", 110, 300, -200);
+  const through = place(event, "cpu", 790, 300, 300);
+  const resting = place(event, "player", 700, 300);
+
+  settle(event);
+
+  assert.ok(!event.stones.includes(backward));
+  assert.ok(!event.stones.includes(through));
+  assert.deepEqual(event.stones, [resting]);
+});
+
+test("the end is scored from where the stones come to rest", () => {
+  const event = createMatch();
+  event.throwIndex = event.stonesPerTeam * 2 - 1;
+  event.phase = "sliding";
+  // The last stone takes out the CPU's shot stone and stays in the house.
+  place(event, "cpu", 700, 300);
+  place(event, "player", 560, 300, 500);
+
+  while (event.phase === "sliding") {
+    event.update(FIXED_DT);
+  }
+
+  assert.equal(event.phase, "scored");
+  assert.ok(event.stones.every((stone) => stone.vx === 0 && stone.vy === 0));
+  assert.deepEqual(event.endResult, { team: "player", points: 1 });
+});
+
+test("only the team with the shot stone scores, one per stone inside the other's best", () => {
+  const event = createMatch();
+  place(event, "player", 700, 310);
+  place(event, "player", 700, 340);
+  place(event, "cpu", 700, 250);
+  place(event, "player", 700, 370);
+
+  assert.deepEqual(event.scoreEnd(), { team: "player", points: 2 });
+});
+
+test("scoring hands the hammer to the other team and a blank end keeps it", () => {
+  const event = createMatch();
+  event.throwIndex = event.stonesPerTeam * 2 - 1;
+  place(event, "cpu", 700, 300);
+  event.finishThrow();
+  assert.equal(event.hammer, "player");
+
+  event.startNextEnd();
+  event.throwIndex = event.stonesPerTeam * 2 - 1;
+  event.finishThrow();
+  assert.deepEqual(event.endResult, { team: null, points: 0 });
+  assert.equal(event.hammer, "player");
+});
+
+test("extra ends go on until the tie breaks", () => {
+  const event = createMatch();
+  event.endIndex = event.endsTotal - 1;
+  event.score = 2;
+  event.cpuScore = 2;
+
+  event.startNextEnd();
+  event.startNextEnd();
+  assert.equal(event.extraEnds, 2);
+  assert.equal(event.finished, false);
+
+  event.score = 3;
+  event.startNextEnd();
+  assert.equal(event.finished, true);
+});
+
+test("ends and CPU skill come from the difficulty", () => {
+  const difficulty = JSON.parse(JSON.stringify(DIFFICULTY_PRESETS.normal));
+  difficulty.curling.ends = 2;
+  difficulty.curling.cpuSkill = 1;
+  const event = createEvent("curling", { input: createScriptedInput() });
+
+  // A perfect skip plays the same shot whatever the seed.
+  const plans = [1, 2].map((seed) => {
+    event.reset({ seed, difficulty });
+    event.stones = [];
+    return event.planCpuShot();
+  });
+
+  assert.equal(event.endsTotal, 2);
+  assert.deepEqual(plans[0], plans[1]);
+});
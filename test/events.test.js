@@ -0,0 +1,72 @@
+// Plays every event headlessly through simulate() with a fixed script and checks
+// the score it lands on. Run with `node --test test/`.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { simulate, createScriptedInput, createEvent, NO_ASSIST } = require("../core.js");
+
+for (const file of ["figureSkating", "curling", "skiJump", "speedSkating", "bobsleigh", "biathlon", "slalom"]) {
+  require(`../events/${file}.js`);
+}
+
+// `count` presses of `code`, `period` ticks apart from `start`, each held `hold` ticks.
+function taps(code, { start = 10, period = 60, hold = 10, count = 200 } = {}) {
+  const script = [];
+  for (let i = 0; i < count; i += 1) {
+    const tick = start + i * period;
+    script.push({ tick, type: "keydown", payload: { code } }, { tick: tick + hold, type: "keyup", payload: { code } });
+  }
+  return script;
+}
+
+// Strides alternate feet once the gun has gone.
+function strides({ start = 480, period = 48, count = 200 } = {}) {
+  const script = [];
+  for (let i = 0; i < count; i += 1) {
+    const code = i % 2 ? "ArrowRight" : "ArrowLeft";
+    const tick = start + i * period;
+    script.push({ tick, type: "keydown", payload: { code } }, { tick: tick + 5, type: "keyup", payload: { code } });
+  }
+  return script;
+}
+
+// Each case plays its script twice on one instance, resetting in between, so
+// anything reset() forgets shows up as a different second result.
+const CASES = [
+  {
+    id: "figure",
+    assist: { autoRelease: true },
+    // Picks the next jump before the routine starts.
+    script: [
+      { tick: 2, type: "keydown", payload: { code: "ArrowRight" } },
+      ...taps("Space", { period: 120, hold: 30 })
+    ],
+    check: (score) => score > 0
+  },
+  { id: "curling", script: taps("Space"), check: (score) => score > 0 },
+  { id: "ski", assist: { autoRelease: true }, script: taps("Space"), check: (score) => score > 100 },
+  { id: "speed", assist: { autoRelease: true }, script: strides(), check: (score) => score > 30 && score < 60 },
+  { id: "bob", assist: { oneSwitch: true }, script: taps("Space"), check: (score) => score > 60 && score < 240 },
+  { id: "biathlon", assist: { oneSwitch: true }, script: taps("Space"), check: (score) => score > 60 && score < 240 },
+  { id: "slalom", assist: { oneSwitch: true }, script: taps("Space"), check: (score) => score > 40 && score < 130 }
+];
+
+for (const { id, assist = {}, script, check } of CASES) {
+  test(`${id} finishes with a score through simulate()`, () => {
+    const input = createScriptedInput();
+    const event = createEvent(id, { input });
+    const play = () => {
+      event.reset({ seed: 3, assist: { ...NO_ASSIST, ...assist } });
+      return simulate(event, script, { input });
+    };
+
+    const first = play();
+    assert.equal(first.finished, true);
+    assert.ok(check(first.score), `unexpected score ${first.score} (${first.resultDetail})`);
+
+    const again = play();
+    assert.equal(again.score, first.score);
+    assert.equal(again.resultDetail, first.resultDetail);
+  });
+}
@@ -0,0 +1,147 @@
+// Figure skating protocol: base values from the jump catalog, GOE from takeoff
+// timing and landing, and the falls that end an element.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FIXED_DT, createScriptedInput } = require("../core.js");
+const { createFigureSkatingEvent } = require("../events/figureSkating.js");
+
+function createRoutine() {
+  const event = createFigureSkatingEvent({ input: createScriptedInput() });
+  event.reset();
+  return event;
+}
+
+// Judges one element as if it had flown `airRatio` of the airtime it needs and
+// come down `short` revolutions short, and returns its protocol line.
+function judge(event, { typeIndex = 0, rotations = 2, timingError = 0, airRatio = 1, short = 0 } = {}) {
+  event.typeIndex = typeIndex;
+  event.rotations = rotations;
+  event.element = event.selectedJump();
+  event.timingError = timingError;
+  event.airTime = event.element.requiredAirtime * airRatio;
+  event.rotation = event.element.revolutions - short;
+  event.resolveLanding();
+  return event.elements[event.elements.length - 1];
+}
+
+function press(event, code) {
+  event.handleInput("keydown", { code });
+  event.handleInput("keyup", { code });
+}
+
+test("the arrows pick a jump from the catalog and its rotations", () => {
+  const event = createRoutine();
+  assert.equal(event.selectedJump().code, "2T");
+
+  press(event, "ArrowRight");
+  press(event, "ArrowUp");
+  assert.equal(event.selectedJump().code, "3S");
+  assert.equal(event.selectedJump().baseValue, 4.3);
+
+  press(event, "ArrowLeft");
+  press(event, "ArrowLeft");
+  for (let i = 0; i < 4; i += 1) {
+    press(event, "ArrowUp");
+  }
+  assert.equal(event.selectedJump().code, "4A");
+  assert.equal(event.selectedJump().revolutions, 4.5);
+
+  for (let i = 0; i < 4; i += 1) {
+    press(event, "ArrowDown");
+  }
+  assert.equal(event.selectedJump().code, "1A");
+});
+
+test("GOE adds or takes 10% of the base value a grade", () => {
+  const event = createRoutine();
+
+  // Perfect timing (+2) and a clean landing (+2).
+  assert.deepEqual(judge(event, { airRatio: 1.05 }), {
+    code: "2T",
+    baseValue: 1.3,
+    goe: 4,
+    points: 1.82,
+    fall: false,
+    rotation: 2
+  });
+  // Off timing (0) and a tight landing (-1).
+  const tight = judge(event, { typeIndex: 4, rotations: 3, timingError: 0.16, airRatio: 0.96 });
+  assert.equal(tight.goe, -1);
+  assert.equal(tight.points, 5.31);
+});
+
+test("GOE is capped at -5 and +5", () => {
+  const event = createRoutine();
+
+  assert.equal(judge(event, { airRatio: 1.2 }).goe, 5);
+  assert.equal(judge(event, { timingError: 0.5, airRatio: 0.9 }).goe, -5);
+});
+
+test("a fall is -5 and costs a point off the total, which never goes below zero", () => {
+  const event = createRoutine();
+  judge(event, { airRatio: 1.05 });
+  const fall = judge(event, { airRatio: 0.8 });
+
+  assert.equal(fall.fall, true);
+  assert.equal(fall.goe, -5);
+  assert.equal(fall.points, 0.65);
+  assert.equal(event.deductions, 1);
+  assert.equal(event.score, 1.47);
+
+  const weak = createRoutine();
+  judge(weak, { rotations: 1, airRatio: 0.5 });
+  assert.equal(weak.score, 0);
+});
+
+test("rotation calls by how far short the skater lands", () => {
+  const call = (short) => {
+    const line = judge(createRoutine(), { typeIndex: 4, rotations: 3, timingError: 0.16, airRatio: 1.05, short });
+    return [line.code, line.goe, line.points];
+  };
+
+  assert.deepEqual(call(0.05), ["3Lz", 2, 7.08]);
+  // A quarter short keeps the full base value but costs a grade.
+  assert.deepEqual(call(0.2), ["3Lzq", 1, 6.49]);
+  // Under-rotated jumps keep 80% of it.
+  assert.deepEqual(call(0.4), ["3Lz<", 0, 4.72]);
+  // A downgrade is valued as the double.
+  assert.deepEqual(call(0.6), ["3Lz<<", -1, 1.89]);
+  assert.deepEqual(call(0.8), ["3Lz", -5, 2.95]);
+  // Spinning more than half a turn past the landing is a fall too.
+  assert.deepEqual(call(-0.6), ["3Lz", -5, 2.95]);
+});
+
+test("a downgraded single is worth nothing", () => {
+  const line = judge(createRoutine(), { typeIndex: 5, rotations: 1, airRatio: 1.05, short: 0.6 });
+
+  assert.equal(line.code, "1A<<");
+  assert.equal(line.baseValue, 0);
+  assert.equal(line.points, 0);
+});
+
+test("pulling the arms in spins faster and brings the skater down sooner", () => {
+  const fly = (tucked) => {
+    const input = createScriptedInput();
+    const event = createFigureSkatingEvent({ input });
+    event.reset();
+    event.charge = 1;
+    event.startJump();
+    if (tucked) {
+      input.apply("keydown", { code: "Space" });
+    }
+    let airTime = 0;
+    while (event.phase === "air") {
+      event.update(FIXED_DT);
+      airTime += FIXED_DT;
+    }
+    return { airTime, rotation: event.elements[0].rotation };
+  };
+
+  const open = fly(false);
+  const tucked = fly(true);
+
+  assert.ok(tucked.airTime < open.airTime);
+  assert.ok(tucked.rotation > open.rotation * 3, `${tucked.rotation} against ${open.rotation} revolutions`);
+});
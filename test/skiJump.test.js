@@ -0,0 +1,118 @@
+// Ski jump scoring on the normal hill (K 17, 4.8 points a metre). Distances are
+// measured from the lip at x 330, 6 px to the metre.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { simulate, createScriptedInput, NO_ASSIST } = require("../core.js");
+const { createSkiJumpEvent } = require("../events/skiJump.js");
+
+const STILL_AIR = { base: 0, gust: 0, period: 1, phase: 0, phase2: 0 };
+
+// Lands a clean, steady jump of `meters` with `wind` m/s averaged over one second of flight.
+function land(event, meters, wind = 0) {
+  event.reset({ seed: 5 });
+  event.flightTime = 1;
+  event.windSum = wind;
+  event.skier.x = 330 + meters * 6;
+  event.skier.pitchDeg = 8;
+  event.resolveLanding();
+  return event;
+}
+
+// One autoRelease jump flown in a steady wind.
+function jumpIn(wind) {
+  const input = createScriptedInput();
+  const event = createSkiJumpEvent({ input });
+  event.reset({ seed: 5, assist: { ...NO_ASSIST, autoRelease: true } });
+  event.wind = { ...STILL_AIR, base: wind };
+  const press = [
+    { tick: 10, type: "keydown", payload: { code: "Space" } },
+    { tick: 20, type: "keyup", payload: { code: "Space" } }
+  ];
+  simulate(event, press, { input });
+  return event.distanceMeters;
+}
+
+test("headwind is deducted and tailwind credited 1.21 times as much", () => {
+  const event = createSkiJumpEvent({ input: createScriptedInput() });
+
+  assert.ok(Math.abs(event.computeWindCompensation(2) - -2 * 0.35 * 4.8) < 1e-9);
+  assert.ok(Math.abs(event.computeWindCompensation(-2) - 2 * 0.35 * 4.8 * 1.21) < 1e-9);
+});
+
+test("compensation comes from the wind averaged over the flight", () => {
+  const headwind = land(createSkiJumpEvent({ input: createScriptedInput() }), 17, 1.5);
+  const tailwind = land(createSkiJumpEvent({ input: createScriptedInput() }), 17, -1.5);
+
+  assert.equal(headwind.windAverage, 1.5);
+  assert.equal(tailwind.windAverage, -1.5);
+  // Same seed and landing, so the judges agree and only the wind separates them.
+  assert.equal(headwind.styleScore, tailwind.styleScore);
+  const gap = tailwind.windCompensation - headwind.windCompensation;
+  assert.ok(Math.abs(tailwind.score - headwind.score - gap) < 0.11);
+});
+
+test("a headwind carries the jumper further than a tailwind", () => {
+  const headwind = jumpIn(2);
+  const tailwind = jumpIn(-2);
+
+  assert.ok(headwind > tailwind, `headwind ${headwind} m, tailwind ${tailwind} m`);
+});
+
+test("each attempt draws its wind from the seed", () => {
+  const event = createSkiJumpEvent({ input: createScriptedInput() });
+  const windFor = (seed) => {
+    event.reset({ seed });
+    return { ...event.wind };
+  };
+
+  assert.deepEqual(windFor(4), windFor(4));
+  assert.notDeepEqual(windFor(4), windFor(9));
+});
+
+test("a jump to the K-point is worth 60 and each metre either side the meter value", () => {
+  const event = createSkiJumpEvent({ input: createScriptedInput() });
+
+  assert.equal(land(event, 17).distancePoints, 60);
+  assert.equal(land(event, 19.5).distancePoints, 72);
+  assert.equal(land(event, 15).distancePoints, 50.4);
+  // Distances are measured to the half metre.
+  assert.equal(land(event, 16.3).distanceMeters, 16.5);
+});
+
+test("the meter value follows the FIS K-point bands", () => {
+  const input = createScriptedInput();
+
+  assert.equal(createSkiJumpEvent({ input }, { hill: "small" }).hill.meterValue, 4.8);
+  assert.equal(createSkiJumpEvent({ input }, { hill: { kPoint: 90 } }).hill.meterValue, 2);
+  assert.equal(createSkiJumpEvent({ input }, { hill: { kPoint: 120 } }).hill.meterValue, 1.8);
+  assert.equal(createSkiJumpEvent({ input }, { hill: { kPoint: 20, meterValue: 3 } }).hill.meterValue, 3);
+});
+
+test("five judges mark in half points and the middle three count", () => {
+  const event = land(createSkiJumpEvent({ input: createScriptedInput() }), 17);
+  const marks = event.judges.map((judge) => judge.mark);
+  const counted = event.judges.filter((judge) => !judge.dropped).map((judge) => judge.mark);
+  const sorted = marks.slice().sort((a, b) => a - b);
+
+  assert.equal(marks.length, 5);
+  assert.ok(marks.every((mark) => mark >= 0 && mark <= 20 && mark * 2 === Math.round(mark * 2)));
+  assert.deepEqual(counted.sort((a, b) => a - b), sorted.slice(1, 4));
+  assert.equal(event.styleScore, sorted[1] + sorted[2] + sorted[3]);
+});
+
+test("a short, shaky jump loses style marks", () => {
+  const clean = land(createSkiJumpEvent({ input: createScriptedInput() }), 17);
+  const shaky = createSkiJumpEvent({ input: createScriptedInput() });
+  shaky.reset({ seed: 5 });
+  shaky.flightTime = 1;
+  shaky.pitchSum = 40;
+  shaky.pitchSquareSum = 800;
+  shaky.pitchSamples = 4;
+  shaky.skier.x = 330 + 8 * 6;
+  shaky.skier.pitchDeg = 8;
+  shaky.resolveLanding();
+
+  assert.ok(shaky.styleScore < clean.styleScore - 10, `${shaky.styleScore} against ${clean.styleScore}`);
+});
@@ -0,0 +1,114 @@
+// Slalom gates, hiking back and the fences, on a staged course of three gates down
+// the fall line. Gates are 4.5 m wide and the fences stand 12 m either side.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FIXED_DT, Utils, createScriptedInput } = require("../core.js");
+const { createSlalomEvent } = require("../events/slalom.js");
+
+function createRun() {
+  const event = createSlalomEvent({ input: createScriptedInput() });
+  event.reset({ seed: 1 });
+  event.course = {
+    gates: [
+      { x: 0, y: 10, color: "red" },
+      { x: 0, y: 20, color: "blue" },
+      { x: 0, y: 30, color: "red" }
+    ],
+    finish: 40
+  };
+  event.phase = "run";
+  return event;
+}
+
+// Moves the skier in one step and judges the gates it crossed.
+function skiTo(event, x, y) {
+  const fromX = event.x;
+  const fromY = event.y;
+  event.x = x;
+  event.y = y;
+  event.checkGates(fromX, fromY, FIXED_DT);
+}
+
+function press(event) {
+  event.handleInput("keydown", { code: "Space" });
+  event.handleInput("keyup", { code: "Space" });
+}
+
+test("a missed gate disqualifies at the next gate", () => {
+  const event = createRun();
+  skiTo(event, 0, 12);
+  skiTo(event, 4, 22);
+  assert.equal(event.missedGate, 1);
+  assert.equal(event.phase, "run");
+
+  skiTo(event, 0, 32);
+  assert.equal(event.finished, true);
+  assert.equal(event.score, 0);
+  assert.equal(event.disqualified.reason, Utils.t("slalom.dq", { gate: 2 }));
+});
+
+test("a gate missed at the bottom disqualifies at the finish", () => {
+  const event = createRun();
+  skiTo(event, 0, 22);
+  skiTo(event, -4, 32);
+  skiTo(event, 0, 41);
+
+  assert.equal(event.finished, true);
+  assert.deepEqual(event.runs, []);
+  assert.equal(event.disqualified.reason, Utils.t("slalom.dq", { gate: 3 }));
+});
+
+test("hiking back above a missed gate lets the run go on", () => {
+  const event = createRun();
+  skiTo(event, 0, 12);
+  skiTo(event, 4, 22);
+  press(event);
+  assert.equal(event.phase, "hike");
+
+  while (event.phase === "hike") {
+    event.update(FIXED_DT);
+  }
+  assert.equal(event.x, 0);
+  assert.equal(event.y, 17);
+  assert.equal(event.nextGate, 1);
+  assert.equal(event.missedGate, -1);
+
+  skiTo(event, 0, 32);
+  skiTo(event, 0, 41);
+  assert.equal(event.disqualified, null);
+  assert.equal(event.runs.length, 1);
+});
+
+test("the fence costs speed once per contact and only stops a heading into it", () => {
+  const event = createRun();
+  event.x = 11.99;
+  event.y = 5;
+  event.heading = 0.4;
+  event.speed = 10;
+
+  event.ski(FIXED_DT);
+  assert.equal(event.x, 12);
+  assert.equal(event.heading, 0);
+  assert.ok(event.speed < 7.1, `speed ${event.speed}`);
+
+  const speed = event.speed;
+  event.ski(FIXED_DT);
+  assert.ok(event.speed > speed * 0.95);
+
+  event.heading = -0.4;
+  event.ski(FIXED_DT);
+  assert.equal(event.heading, -0.4);
+  assert.ok(event.x < 12);
+});
+
+test("both runs are timed and added together", () => {
+  const event = createRun();
+  event.finishRun(48.123);
+  assert.equal(event.phase, "between");
+  event.finishRun(47.5);
+
+  assert.equal(event.finished, true);
+  assert.equal(event.score, 95.62);
+});
@@ -0,0 +1,97 @@
+// Speed skating starts, strides and splits, stepped one tick at a time.
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { FIXED_DT, Utils, createScriptedInput } = require("../core.js");
+const { createSpeedSkatingEvent } = require("../events/speedSkating.js");
+
+function createRace() {
+  const event = createSpeedSkatingEvent({ input: createScriptedInput() });
+  event.reset({ seed: 1 });
+  return event;
+}
+
+function push(event, code) {
+  event.handleInput("keydown", { code });
+  event.handleInput("keyup", { code });
+}
+
+function run(event, seconds) {
+  for (let tick = 0; tick < Math.round(seconds / FIXED_DT); tick += 1) {
+    event.update(FIXED_DT);
+  }
+}
+
+function runToGun(event) {
+  while (event.phase === "set") {
+    event.update(FIXED_DT);
+  }
+}
+
+test("pushing off before the gun recalls the pair to the line", () => {
+  const event = createRace();
+  push(event, "ArrowLeft");
+
+  assert.equal(event.phase, "recall");
+  assert.equal(event.falseStarts, 1);
+  run(event, 2);
+  assert.equal(event.phase, "set");
+  assert.equal(event.player.distance, 0);
+});
+
+test("a reaction under a tenth of a second counts as anticipating the gun", () => {
+  const early = createRace();
+  runToGun(early);
+  run(early, 0.05);
+  push(early, "ArrowLeft");
+  assert.equal(early.phase, "recall");
+
+  const clean = createRace();
+  runToGun(clean);
+  run(clean, 0.15);
+  push(clean, "ArrowLeft");
+  assert.equal(clean.phase, "race");
+  assert.ok(Math.abs(clean.reaction - 0.15) < FIXED_DT);
+});
+
+test("a second false start disqualifies", () => {
+  const event = createRace();
+  push(event, "ArrowLeft");
+  run(event, 2);
+  push(event, "ArrowRight");
+
+  assert.equal(event.falseStarts, 2);
+  assert.equal(event.finished, true);
+  assert.equal(event.score, 0);
+  assert.equal(event.result, Utils.t("speed.disqualified"));
+});
+
+test("pushing twice off the same leg adds no speed", () => {
+  const event = createRace();
+  runToGun(event);
+  run(event, 0.2);
+  push(event, "ArrowLeft");
+  const speed = event.player.speed;
+  push(event, "ArrowLeft");
+
+  assert.ok(speed > 0);
+  assert.equal(event.player.speed, speed);
+});
+
+test("splits and the finish are timed to when the mark was crossed", () => {
+  const event = createRace();
+  runToGun(event);
+  event.player.distance = 99.5;
+  event.player.speed = 12;
+  run(event, 0.1);
+
+  // 0.5 m at 12 m/s, less a whisker of drag.
+  assert.ok(Math.abs(event.player.splits[0] - 0.5 / 12) < 0.001, `split ${event.player.splits[0]}`);
+
+  event.player.distance = 499;
+  run(event, 0.1);
+  assert.equal(event.finished, true);
+  assert.equal(event.score, Math.round(event.player.finishTime * 100) / 100);
+  assert.ok(event.cpu.finishTime > 0);
+});